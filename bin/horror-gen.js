@@ -0,0 +1,695 @@
+#!/usr/bin/env node
+
+/**
+ * horror-gen CLI
+ * Drive the generation pipeline without the Express server
+ *
+ * Subcommands mirror the staged API (contract → plan → generate-chunk →
+ * assemble) plus the stand-alone audit / refine / polish passes and
+ * packaging. Session artifacts are written to <out>/<sessionId>/, exactly
+ * as the server writes them to generated/<sessionId>/.
+ *
+ * Usage: horror-gen <command> [args] [options]   (see `horror-gen help`)
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const Orchestrator = require('../src/backend/services/orchestrator');
+const StagedWorkflow = require('../src/backend/services/stagedWorkflow');
+const BatchRunner = require('../src/backend/services/batchRunner');
+const SessionTree = require('../src/backend/services/sessionTree');
+const StageOrchestrator = require('../src/generators/stageOrchestrator');
+const PostProcessor = require('../src/generators/postProcessor');
+const Cassette = require('../src/backend/api/cassette');
+const TemplateValidator = require('../src/backend/utils/templateValidator');
+const TemplateReferenceChecker = require('../src/backend/utils/templateReferences');
+const StateModel = require('../src/backend/utils/stateModel');
+const { resolveProviderName, requiresApiKey } = require('../src/backend/api/providers');
+
+const ROOT_DIR = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(ROOT_DIR, 'config/.env') });
+
+// Paths given on the command line are relative to where the CLI was invoked
+const INVOCATION_DIR = process.cwd();
+
+const USAGE = `Usage: horror-gen <command> [args] [options]
+
+Commands:
+  options                      List available templates (locations, themes, ...)
+  template-packs               List template packs and validate them
+  validate-templates           Check template files and their cross-references
+                               (all packs, or --template-pack)
+  contract                     Stage 1: create a story contract from --params
+  plan <sessionId>             Stage 2: outline and chunk plan
+  generate-chunk <sessionId>   Stage 3: generate the next chunk (--chunk N, --all)
+  regenerate-chunk <sessionId> Regenerate --chunk N with its gate-audit failures
+                               (and --feedback) as corrections, then re-check
+                               the chunks after it against the new state
+  assemble <sessionId>         Stage 4: combine chunks into full_story.md and
+                               write payoff_report.md (fails if a critical
+                               setup is never paid off, unless --allow-unpaid)
+  rollback <sessionId>         Return a session to the state after --chunk N
+                               (later chunks are archived under rollbacks/)
+  fork <sessionId>             Copy a session up to --chunk N into a new session
+                               with the --params overrides (endingType,
+                               violationResponse, wordCount)
+  tree <sessionId>             Show the forks of a session and where each split
+  generate                     Run the whole staged pipeline from --params
+  audit <file>                 Structural audit of a story file
+  refine <file>                Audit a story file and refine it if needed
+  polish <file>                Prose polish pass over a story file
+  package <sessionId>          Build the output ZIP for a session
+  batch                        Run many full generations from a --params batch file
+
+Options:
+  --params <file>              Parameters as JSON or YAML (.yaml/.yml)
+  --out <dir>                  Output directory (default: ./generated)
+  --template-pack <name>       Template pack to read options from (default: config)
+  --chunk <n>                  Chunk number for generate-chunk (default: next),
+                               the chunk to regenerate, or the chunk to keep
+                               for rollback and fork
+  --all                        generate-chunk: continue until done or a gate fails
+  --feedback <text>            regenerate-chunk: extra correction for the prompt
+  --allow-unpaid               assemble, package: finish even with critical
+                               promises unpaid
+  --concurrency <n>            batch: stories generated in parallel (default: 2)
+  --token-budget <n>           batch: stop starting new stories after n tokens
+  --provider <name>            LLM provider (anthropic, mock, fixture)
+  --cassette <mode>            record | replay model calls
+  --replay-session <id>        Session whose cassette to replay
+  --json                       Print the result as JSON
+  --help                       Show this message
+
+Exit codes: 0 success, 1 error, 2 usage error, 3 stopped by a failed gate audit,
+            4 batch finished with failed or skipped items`;
+
+const COMMANDS = {
+  options: runOptions,
+  'template-packs': runTemplatePacks,
+  'validate-templates': runValidateTemplates,
+  contract: runContract,
+  plan: runPlan,
+  'generate-chunk': runGenerateChunk,
+  'regenerate-chunk': runRegenerateChunk,
+  assemble: runAssemble,
+  rollback: runRollback,
+  fork: runFork,
+  tree: runTree,
+  generate: runGenerate,
+  audit: runAudit,
+  refine: runRefine,
+  polish: runPolish,
+  package: runPackage,
+  batch: runBatch
+};
+
+// Commands that only read templates
+const TEMPLATE_COMMANDS = ['options', 'template-packs', 'validate-templates'];
+
+const BOOLEAN_FLAGS = ['all', 'json', 'help', 'allow-unpaid'];
+
+/**
+ * Split argv into positionals and --options
+ *
+ * @param {string[]} argv - Arguments after the node binary and script
+ * @returns {{positionals: string[], options: object}}
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const key = rawKey.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+
+    if (BOOLEAN_FLAGS.includes(rawKey)) {
+      options[key] = true;
+    } else if (inlineValue !== undefined) {
+      options[key] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[key] = argv[++i];
+    } else {
+      throw usageError(`Option --${rawKey} requires a value`);
+    }
+  }
+
+  return { positionals, options };
+}
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Load a JSON or YAML parameter file
+ *
+ * @param {string} filepath - Absolute path
+ * @returns {Promise<object>} Parsed parameters
+ */
+async function loadParams(filepath) {
+  if (!filepath) return {};
+
+  const content = await fs.readFile(filepath, 'utf-8');
+  const ext = path.extname(filepath).toLowerCase();
+  const params = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw usageError(`Parameter file ${filepath} must contain an object`);
+  }
+
+  return params;
+}
+
+async function readJson(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filepath}: ${error.message}`);
+  }
+}
+
+function requireArg(value, name) {
+  if (!value) {
+    throw usageError(`Missing ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Load contract and state for a staged session (params override the session files)
+ */
+async function loadStagedSession(ctx, sessionId) {
+  const sessionDir = ctx.stagedWorkflow.getSessionDir(sessionId);
+  const contract = ctx.params.contract || await readJson(path.join(sessionDir, 'story_contract.json'));
+  const state = ctx.params.state || await readJson(path.join(sessionDir, 'state.json'));
+
+  if (!contract) {
+    throw new Error(`No story_contract.json for session ${sessionId} in ${ctx.outDir}`);
+  }
+
+  return {
+    contract,
+    state: state ? StateModel.migrate(state) : null,
+    chunkPlan: ctx.params.chunkPlan || await readJson(path.join(sessionDir, 'chunk_plan.json'))
+  };
+}
+
+// ------------------------------------------------------------
+// Commands
+// ------------------------------------------------------------
+
+async function runOptions(ctx) {
+  return ctx.orchestrator.getAvailableOptions(ctx.params.templatePack);
+}
+
+async function runTemplatePacks(ctx) {
+  const packs = await ctx.orchestrator.listTemplatePacks();
+  if (packs.some(p => !p.valid)) {
+    ctx.exitCode = 1;
+  }
+  return { packs };
+}
+
+async function runValidateTemplates(ctx) {
+  const results = await ctx.orchestrator.validateTemplates(ctx.params.templatePack);
+  const packs = results.map(result => {
+    const references = result.references || { dangling: [], orphaned: [] };
+    const errors = [
+      ...result.errors.map(message => `${result.pack}: ${message}`),
+      ...result.files.flatMap(file => file.errors.map(TemplateValidator.formatError)),
+      ...references.dangling.map(TemplateReferenceChecker.format)
+    ];
+    const warnings = references.orphaned.map(TemplateReferenceChecker.format);
+
+    console.log(`${errors.length === 0 ? '✅' : '❌'} ${result.pack}: ${result.files.length} files, ${errors.length} error(s), ${warnings.length} warning(s)`);
+    errors.forEach(error => console.log(`   ${error}`));
+    warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+    return { pack: result.pack, valid: errors.length === 0, errors, warnings };
+  });
+
+  const valid = packs.every(p => p.valid);
+  if (!valid) {
+    ctx.exitCode = 1;
+  }
+  return { valid, packs };
+}
+
+async function runContract(ctx) {
+  const result = await ctx.stagedWorkflow.createContract(ctx.params, { cassette: ctx.cassette });
+  return {
+    sessionId: result.sessionId,
+    rules: result.contract.rule_system?.rules?.length || 0,
+    sessionDir: result.sessionDir,
+    pack: result.packPath
+  };
+}
+
+async function runPlan(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const { contract, state } = await loadStagedSession(ctx, sessionId);
+  const result = await ctx.stagedWorkflow.createPlan(contract, state, { cassette: ctx.cassette });
+  return {
+    sessionId: result.sessionId,
+    totalChunks: result.chunkPlan.total_chunks,
+    acts: (result.outline.acts || []).map(a => a.name),
+    pack: result.packPath
+  };
+}
+
+async function runGenerateChunk(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const session = await loadStagedSession(ctx, sessionId);
+  const { contract, chunkPlan } = session;
+  let state = session.state;
+  if (!state) {
+    throw new Error(`No state.json for session ${sessionId} in ${ctx.outDir}`);
+  }
+
+  let chunkNumber = ctx.options.chunk
+    ? parseInt(ctx.options.chunk, 10)
+    : state.canonical_state.narrative.current_chunk + 1;
+  if (!Number.isInteger(chunkNumber) || chunkNumber < 1) {
+    throw usageError(`Invalid --chunk ${ctx.options.chunk}`);
+  }
+
+  const chunks = [];
+  let result;
+
+  do {
+    console.log(`\n--- Chunk ${chunkNumber} ---`);
+    result = await ctx.stagedWorkflow.generateChunk(contract, state, {
+      chunkPlan,
+      chunkNumber,
+      cassette: ctx.cassette
+    });
+
+    chunks.push({
+      chunkNumber,
+      words: result.chunkWordCount,
+      audit: result.auditResult.status,
+      file: path.join(ctx.stagedWorkflow.getSessionDir(sessionId), 'chunks', result.chunkFilename)
+    });
+
+    state = result.state;
+    chunkNumber++;
+  } while (ctx.options.all && result.nextAction === 'continue');
+
+  if (result.nextAction === 'stop') {
+    ctx.exitCode = 3;
+  }
+
+  return {
+    sessionId,
+    chunks,
+    totalWordsGenerated: state.canonical_state.narrative.total_words_generated,
+    targetWords: result.targetWords,
+    nextAction: result.nextAction,
+    pack: result.packPath
+  };
+}
+
+async function runRegenerateChunk(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const chunk = requireArg(ctx.options.chunk, '--chunk');
+  if (!/^\d+$/.test(chunk) || parseInt(chunk, 10) < 1) {
+    throw usageError(`Invalid --chunk ${chunk}`);
+  }
+
+  const result = await ctx.stagedWorkflow.regenerateChunk(sessionId, parseInt(chunk, 10), {
+    feedback: ctx.options.feedback,
+    chunkPlan: ctx.params.chunkPlan,
+    cassette: ctx.cassette
+  });
+
+  if (result.nextAction === 'stop') {
+    ctx.exitCode = 3;
+  }
+
+  return {
+    sessionId,
+    chunkNumber: result.chunkNumber,
+    words: result.chunkWordCount,
+    audit: result.auditResult.status,
+    corrections: result.corrections.length,
+    downstream: result.downstream.map(c => ({
+      chunkNumber: c.chunkNumber,
+      audit: c.auditStatus,
+      contradictions: c.contradictions.map(x => x.detail)
+    })),
+    contradicting: result.contradicting,
+    nextAction: result.nextAction,
+    archiveDir: result.archiveDir,
+    pack: result.packPath
+  };
+}
+
+async function runAssemble(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const { contract, state } = await loadStagedSession(ctx, sessionId);
+  const result = await ctx.stagedWorkflow.assemble(contract, state || {}, {
+    allowUnpaidPromises: ctx.options.allowUnpaid
+  });
+  return {
+    sessionId,
+    totalChunks: result.totalChunks,
+    totalWords: result.totalWords,
+    unpaidPromises: result.payoffReport.unpaid.length,
+    story: result.storyPath,
+    payoffReport: result.payoffReportPath,
+    pack: result.packPath
+  };
+}
+
+async function runRollback(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const chunk = requireArg(ctx.options.chunk, '--chunk');
+  if (!/^\d+$/.test(chunk)) {
+    throw usageError(`Invalid --chunk ${chunk}`);
+  }
+
+  const result = await ctx.orchestrator.rollbackSession(sessionId, parseInt(chunk, 10));
+  return {
+    sessionId,
+    pipeline: result.pipeline,
+    rolledBackTo: result.chunk,
+    nextChunk: result.nextChunk,
+    archived: result.archived.length,
+    archiveDir: result.archiveDir
+  };
+}
+
+async function runFork(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const chunk = requireArg(ctx.options.chunk, '--chunk');
+  if (!/^\d+$/.test(chunk)) {
+    throw usageError(`Invalid --chunk ${chunk}`);
+  }
+
+  const sessionTree = new SessionTree(ctx.orchestrator, { baseDir: ctx.outDir });
+  let result;
+  try {
+    result = await sessionTree.fork(sessionId, parseInt(chunk, 10), ctx.params);
+  } catch (error) {
+    if (error.code === 'INVALID_INPUT' && error.errors) {
+      throw new Error(`Invalid fork:\n   ${error.errors.join('\n   ')}`);
+    }
+    throw error;
+  }
+
+  return {
+    sessionId: result.sessionId,
+    parentId: result.parentId,
+    pipeline: result.pipeline,
+    forkedAt: result.chunk,
+    nextChunk: result.nextChunk,
+    overrides: result.overrides,
+    nextAction: result.nextAction || 'resume',
+    pack: result.packPath || null
+  };
+}
+
+async function runTree(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const sessionTree = new SessionTree(ctx.orchestrator, { baseDir: ctx.outDir });
+  return sessionTree.getTree(sessionId);
+}
+
+async function runGenerate(ctx) {
+  const { orchestrator } = ctx;
+
+  const validation = orchestrator.validateInput(ctx.params);
+  if (!validation.valid) {
+    throw usageError(validation.errors.join('; '));
+  }
+
+  const userInput = await orchestrator.fillDefaults(ctx.params);
+  const sessionId = orchestrator.generateSessionId();
+  orchestrator.stateManager.initializeState(sessionId, userInput);
+
+  const stageOrchestrator = new StageOrchestrator({
+    storyGenerator: orchestrator.storyGenerator,
+    stateManager: orchestrator.stateManager,
+    claudeClient: orchestrator.claudeClient,
+    revisionAuditor: orchestrator.revisionAuditor,
+    storyRefiner: orchestrator.storyRefiner,
+    constraintEnforcer: orchestrator.constraintEnforcer,
+    outputPackager: orchestrator.outputPackager,
+    baseDir: ctx.outDir,
+    chunkSize: 2000
+  });
+
+  const cassette = Cassette.fromOptions(sessionId, ctx.cassette);
+  const result = await orchestrator.claudeClient.runWithCassette(cassette, () =>
+    orchestrator.withTemplatePack(userInput.templatePack, () =>
+      stageOrchestrator.generateInStages(sessionId, {
+        wordCount: userInput.wordCount,
+        userParams: userInput,
+        runAudit: !userInput.skipAudit,
+        runRefinement: !userInput.skipRefinement && !userInput.skipAudit
+      })
+    )
+  );
+
+  if (!result.success) {
+    throw new Error(result.errors?.[0]?.message || 'Generation failed');
+  }
+
+  return {
+    sessionId,
+    totalChunks: result.totalChunks,
+    totalWords: result.totalWords,
+    sessionDir: ctx.stagedWorkflow.getSessionDir(sessionId)
+  };
+}
+
+async function readStoryFile(file) {
+  const filepath = path.resolve(INVOCATION_DIR, requireArg(file, 'story file'));
+  return {
+    text: await fs.readFile(filepath, 'utf-8'),
+    stem: path.basename(filepath, path.extname(filepath))
+  };
+}
+
+async function runAudit(ctx, file) {
+  const { text, stem } = await readStoryFile(file);
+  const auditDir = ctx.stagedWorkflow.getSessionDir(`${stem}-audit`);
+
+  const cassette = Cassette.fromOptions(`${stem}-audit`, ctx.cassette);
+  const auditResult = await ctx.orchestrator.claudeClient.runWithCassette(cassette, () =>
+    ctx.orchestrator.revisionAuditor.auditStory(text, ctx.params)
+  );
+
+  await fs.mkdir(auditDir, { recursive: true });
+  const reportPath = path.join(auditDir, 'revision_audit_report.md');
+  await fs.writeFile(reportPath, auditResult.rawReport, 'utf-8');
+  await fs.writeFile(path.join(auditDir, 'audit_scores.json'), JSON.stringify(auditResult.scores, null, 2), 'utf-8');
+
+  return {
+    score: auditResult.scores.overallScore,
+    grade: auditResult.scores.grade,
+    needsRefinement: ctx.orchestrator.revisionAuditor.needsRefinement(auditResult.scores),
+    report: reportPath
+  };
+}
+
+async function runRefine(ctx, file) {
+  const { text, stem } = await readStoryFile(file);
+  const result = await ctx.stagedWorkflow.refine(text, {
+    sourceSessionId: stem,
+    maxRounds: ctx.params.maxRounds,
+    cassette: ctx.cassette
+  });
+
+  return {
+    refined: result.refined,
+    auditScore: result.auditResult.scores.overallScore,
+    grade: result.auditResult.scores.grade,
+    rounds: result.refinementResult ? result.refinementResult.rounds : 0,
+    story: result.storyPath
+  };
+}
+
+async function runPolish(ctx, file) {
+  const { text, stem } = await readStoryFile(file);
+  const result = await ctx.stagedWorkflow.polish(text, {
+    sourceSessionId: stem,
+    polishOptions: ctx.params.polishOptions || ctx.params,
+    cassette: ctx.cassette
+  });
+
+  return {
+    inputWords: result.inputWords,
+    outputWords: result.outputWords,
+    story: result.storyPath
+  };
+}
+
+async function runPackage(ctx, sessionId) {
+  requireArg(sessionId, 'sessionId');
+  const postProcessor = new PostProcessor({
+    baseDir: ctx.outDir,
+    outputPackager: ctx.orchestrator.outputPackager,
+    templateLoader: ctx.orchestrator.storyGenerator.getTemplateLoader()
+  });
+
+  const result = await postProcessor.assembleAndProcess(sessionId, {
+    runAudit: false,
+    runRefinement: false,
+    runConstraints: false,
+    allowUnpaidPromises: ctx.options.allowUnpaid
+  });
+
+  if (!result.success || !result.outputs.package) {
+    const reason = result.errors[0]?.message || result.stages.package?.error || 'packaging failed';
+    throw new Error(`Could not package ${sessionId}: ${reason}`);
+  }
+
+  return {
+    sessionId,
+    chunks: result.stages.loadChunks.chunks.length,
+    payoffReport: result.outputs.payoffReport,
+    package: result.outputs.package
+  };
+}
+
+async function runBatch(ctx) {
+  const request = { ...ctx.params };
+  if (ctx.options.concurrency) request.concurrency = parseInt(ctx.options.concurrency, 10);
+  if (ctx.options.tokenBudget) request.tokenBudget = parseInt(ctx.options.tokenBudget, 10);
+  if (ctx.options.cassette) request.cassette = ctx.options.cassette;
+  if (ctx.options.templatePack) request.base = { templatePack: ctx.options.templatePack, ...request.base };
+
+  const batchRunner = new BatchRunner(ctx.orchestrator, { baseDir: ctx.outDir });
+
+  let manifest;
+  try {
+    manifest = await batchRunner.prepare(request);
+  } catch (error) {
+    if (error.code === 'INVALID_INPUT') {
+      throw new Error(`Invalid batch file:\n   ${error.errors.join('\n   ')}`);
+    }
+    throw error;
+  }
+
+  manifest = await batchRunner.run(manifest);
+
+  if (manifest.totals.failed > 0 || manifest.totals.skipped > 0) {
+    ctx.exitCode = 4;
+  }
+
+  return {
+    batchId: manifest.batchId,
+    totals: manifest.totals,
+    sessions: manifest.items.map(item => ({
+      sessionId: item.sessionId,
+      status: item.status,
+      grade: item.grade,
+      costUsd: item.costUsd
+    })),
+    manifest: batchRunner.getManifestPath(manifest.batchId)
+  };
+}
+
+// ------------------------------------------------------------
+// Entry point
+// ------------------------------------------------------------
+
+async function main(argv) {
+  const { positionals, options } = parseArgs(argv);
+  const [command, ...args] = positionals;
+
+  if (!command || command === 'help' || options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const handler = COMMANDS[command];
+  if (!handler) {
+    throw usageError(`Unknown command "${command}"`);
+  }
+
+  // With --json, stdout carries only the result; progress logs go to stderr
+  if (options.json) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  const outDir = path.resolve(INVOCATION_DIR, options.out || 'generated');
+  const params = await loadParams(options.params && path.resolve(INVOCATION_DIR, options.params));
+  if (options.templatePack && command !== 'batch') {
+    params.templatePack = options.templatePack;
+  }
+
+  // Templates and a few writers resolve paths from the working directory
+  process.chdir(ROOT_DIR);
+  process.env.SESSIONS_DIR = outDir;
+  if (options.provider) {
+    process.env.LLM_PROVIDER = options.provider;
+  } else if (TEMPLATE_COMMANDS.includes(command)) {
+    // Template commands never call the model, so they run without an API key
+    process.env.LLM_PROVIDER = 'mock';
+  }
+
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (requiresApiKey(resolveProviderName()) && !apiKey) {
+    throw usageError('ANTHROPIC_API_KEY is not set (or use --provider mock to run offline)');
+  }
+
+  const orchestrator = new Orchestrator(apiKey, {
+    model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929',
+    temperature: parseFloat(process.env.GENERATION_TEMPERATURE || '0.7'),
+    outputDir: outDir,
+    autoRefine: true,
+    maxRevisionRounds: 3
+  });
+
+  const ctx = {
+    options,
+    params,
+    outDir,
+    orchestrator,
+    stagedWorkflow: new StagedWorkflow(orchestrator, { baseDir: outDir }),
+    cassette: { mode: options.cassette, sourceSessionId: options.replaySession },
+    exitCode: 0
+  };
+
+  await fs.mkdir(outDir, { recursive: true });
+  const result = await handler(ctx, ...args);
+
+  if (options.json) {
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+  } else {
+    console.log(ctx.exitCode === 0 ? `\n✅ horror-gen ${command} complete` : `\n❌ horror-gen ${command} failed`);
+    for (const [key, value] of Object.entries(result)) {
+      console.log(`   ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    }
+  }
+
+  return ctx.exitCode;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`❌ ${error.message}`);
+      if (error.code === 'USAGE') {
+        console.error(`\n${USAGE}`);
+        process.exit(2);
+      }
+      process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, loadParams, main };
@@ -13,17 +13,20 @@ const Orchestrator = require('./src/backend/services/orchestrator');
 const DebugLogger = require('./src/utils/debugLogger');
 const ChunkPersistence = require('./src/generators/chunkPersistence');
 const StageOrchestrator = require('./src/generators/stageOrchestrator');
-const ContractGenerator = require('./src/backend/services/contractGenerator');
-const GateAudit = require('./src/backend/services/gateAudit');
-const StateTracker = require('./src/backend/services/stateTracker');
-const archiver = require('archiver');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const BatchRunner = require('./src/backend/services/batchRunner');
+const SessionTree = require('./src/backend/services/sessionTree');
+const { resolveProviderName, requiresApiKey } = require('./src/backend/api/providers');
+const Cassette = require('./src/backend/api/cassette');
+const JobStore = require('./src/backend/utils/jobStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// In-memory job store (for async generation / polling)
-// NOTE: Render instances can restart; for durable storage, use a DB or object storage.
-const jobs = new Map(); // jobId -> { status, createdAt, updatedAt, userInput, result, error }
+// Durable job store (for async generation / polling)
+// Jobs persist under generated/jobs/ so status and downloads survive restarts;
+// jobs still running when the server stopped are marked resumable on boot.
+const jobStore = new JobStore({ baseDir: path.join(__dirname, 'generated') });
 
 function createJobId() {
   // Example: job-2026-01-22T23-10-27-1620f69a (similar shape to session ids)
@@ -34,6 +37,23 @@ function createJobId() {
   return `job-${iso}-${rand}`;
 }
 
+// Record a progress event (and any artifact it carries) against a job
+async function recordJobProgress(jobId, event) {
+  try {
+    await jobStore.addEvent(jobId, event);
+    if (event.artifact) {
+      await jobStore.addArtifact(jobId, event.artifact);
+    }
+  } catch (error) {
+    console.warn(`Failed to record progress for ${jobId}: ${error.message}`);
+  }
+}
+
+// Cassette options from a request body: { cassette: 'record'|'replay', replaySessionId }
+function getCassetteOptions(body = {}) {
+  return { mode: body.cassette, sourceSessionId: body.replaySessionId };
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -69,11 +89,16 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Initialize orchestrator
 let orchestrator;
+let stagedWorkflow;
+let batchRunner;
+let sessionTree;
 try {
   const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
+  const providerName = resolveProviderName();
+  if (requiresApiKey(providerName) && !apiKey) {
     console.error('ERROR: ANTHROPIC_API_KEY not found in environment variables');
     console.error('Please create config/.env file with your API key');
+    console.error('(or set LLM_PROVIDER=mock to run offline)');
     process.exit(1);
   }
 
@@ -85,6 +110,10 @@ try {
     maxRevisionRounds: 3
   });
 
+  stagedWorkflow = new StagedWorkflow(orchestrator, { baseDir: path.join(__dirname, 'generated') });
+  batchRunner = new BatchRunner(orchestrator, { baseDir: path.join(__dirname, 'generated') });
+  sessionTree = new SessionTree(orchestrator, { baseDir: path.join(__dirname, 'generated') });
+
   console.log('✅ Orchestrator initialized successfully');
 } catch (error) {
   console.error('❌ Failed to initialize orchestrator:', error.message);
@@ -123,9 +152,23 @@ app.get('/staged', (req, res) => {
  */
 app.get('/api/options', async (req, res) => {
   try {
-    const options = await orchestrator.getAvailableOptions();
+    const options = await orchestrator.getAvailableOptions(req.query.templatePack || null);
     res.json({ success: true, options });
   } catch (error) {
+    if (error.code === 'INVALID_TEMPLATE_PACK') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error.code === 'INVALID_TEMPLATE') {
+      // A template file on the server fails its schema
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        errors: error.errors
+      });
+    }
     console.error('Error fetching options:', error);
     res.status(500).json({
       success: false,
@@ -134,6 +177,27 @@ app.get('/api/options', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/template-packs
+ * List installed template packs (manifest, compatibility and validation status)
+ */
+app.get('/api/template-packs', async (req, res) => {
+  try {
+    const packs = await orchestrator.listTemplatePacks();
+    res.json({
+      success: true,
+      defaultPack: packs.find(p => p.default)?.name || null,
+      packs
+    });
+  } catch (error) {
+    console.error('Error listing template packs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list template packs'
+    });
+  }
+});
+
 /**
  * POST /api/generate
  * Generate a new story (async)
@@ -155,52 +219,77 @@ app.post('/api/generate', async (req, res) => {
       });
     }
 
+    try {
+      await orchestrator.resolveTemplatePack(userInput.templatePack);
+    } catch (error) {
+      if (error.code !== 'INVALID_TEMPLATE_PACK') throw error;
+      return res.status(400).json({
+        success: false,
+        errors: error.errors || [error.message]
+      });
+    }
+
     console.log('\n--- New Generation Request ---');
     console.log('User Input:', JSON.stringify(userInput, null, 2));
 
     // Create job and respond immediately
     const jobId = createJobId();
     const createdAt = new Date().toISOString();
+    const sessionId = orchestrator.generateSessionId();
 
-    jobs.set(jobId, {
+    await jobStore.set(jobId, {
       status: 'running',
       createdAt,
       updatedAt: createdAt,
-      userInput
+      userInput,
+      sessionId
     });
+    await recordJobProgress(jobId, { type: 'job_created', stage: 'initialization', sessionId });
 
     // Kick off workflow in background (do NOT await)
     (async () => {
       try {
-        const result = await orchestrator.executeWorkflow(userInput);
+        const result = await orchestrator.executeWorkflow(userInput, {
+          sessionId,
+          cassette: getCassetteOptions(userInput),
+          onProgress: (event) => recordJobProgress(jobId, event)
+        });
 
         const updatedAt = new Date().toISOString();
         if (result && result.success) {
-          jobs.set(jobId, {
+          await jobStore.set(jobId, {
             status: 'complete',
             createdAt,
             updatedAt,
             userInput,
+            sessionId,
             result
           });
+          await recordJobProgress(jobId, { type: 'complete', stage: 'complete', sessionId });
         } else {
-          jobs.set(jobId, {
+          await jobStore.set(jobId, {
             status: 'failed',
             createdAt,
             updatedAt,
             userInput,
-            error: (result && result.error) ? result.error : 'Unknown generation error'
+            sessionId,
+            error: (result && result.error) ? result.error : 'Unknown generation error',
+            failureStage: result?.failureStage || null,
+            availableArtifacts: result?.availableArtifacts || []
           });
+          await recordJobProgress(jobId, { type: 'failed', stage: result?.failureStage, sessionId });
         }
       } catch (err) {
         const updatedAt = new Date().toISOString();
-        jobs.set(jobId, {
+        await jobStore.set(jobId, {
           status: 'failed',
           createdAt,
           updatedAt,
           userInput,
+          sessionId,
           error: err?.message || String(err)
         });
+        await recordJobProgress(jobId, { type: 'failed', sessionId });
         console.error('Async generation failed:', err);
       }
     })();
@@ -258,6 +347,15 @@ app.post('/api/generate-stream', async (req, res) => {
       return;
     }
 
+    try {
+      await orchestrator.resolveTemplatePack(userInput.templatePack);
+    } catch (error) {
+      if (error.code !== 'INVALID_TEMPLATE_PACK') throw error;
+      sendEvent('error', { errors: error.errors || [error.message] });
+      res.end();
+      return;
+    }
+
     // Fill in random defaults for any null fields
     userInput = await orchestrator.fillDefaults(userInput);
 
@@ -271,7 +369,7 @@ app.post('/api/generate-stream', async (req, res) => {
     // Generate session ID BEFORE creating job so it's available during generation
     const sessionId = orchestrator.generateSessionId();
 
-    jobs.set(jobId, {
+    await jobStore.set(jobId, {
       status: 'running',
       createdAt,
       updatedAt: createdAt,
@@ -295,6 +393,17 @@ app.post('/api/generate-stream', async (req, res) => {
       onProgress: (event) => {
         // Stream progress to client
         sendEvent(event.type, event);
+
+        // Persist progress (heartbeats are too chatty to keep)
+        if (event.type === 'heartbeat') return;
+        if (event.type === 'chunk_complete') {
+          const chunkFile = `chunk_${String(event.chunkNumber).padStart(3, '0')}.txt`;
+          event = {
+            ...event,
+            artifact: { name: chunkFile, url: `/api/session/${sessionId}/file/chunks/${chunkFile}` }
+          };
+        }
+        recordJobProgress(jobId, event);
       }
     });
 
@@ -308,17 +417,22 @@ app.post('/api/generate-stream', async (req, res) => {
     });
 
     // Run staged generation (respect user's skip flags)
-    const result = await stageOrchestrator.generateInStages(sessionId, {
-      wordCount: userInput.wordCount,
-      userParams: userInput,
-      runAudit: !userInput.skipAudit,
-      runRefinement: !userInput.skipRefinement && !userInput.skipAudit
-    });
+    const cassette = Cassette.fromOptions(sessionId, getCassetteOptions(userInput));
+    const result = await orchestrator.claudeClient.runWithCassette(cassette, () =>
+      orchestrator.withTemplatePack(userInput.templatePack, () =>
+        stageOrchestrator.generateInStages(sessionId, {
+          wordCount: userInput.wordCount,
+          userParams: userInput,
+          runAudit: !userInput.skipAudit,
+          runRefinement: !userInput.skipRefinement && !userInput.skipAudit
+        })
+      )
+    );
 
     // Update job status
     const updatedAt = new Date().toISOString();
     if (result.success) {
-      jobs.set(jobId, {
+      await jobStore.set(jobId, {
         status: 'complete',
         createdAt,
         updatedAt,
@@ -343,14 +457,15 @@ app.post('/api/generate-stream', async (req, res) => {
         totalWords: result.totalWords,
         totalChunks: result.totalChunks,
         downloadUrl: result.downloadUrl,
-        summary: jobs.get(jobId).result.summary
+        summary: jobStore.get(jobId).result.summary
       });
     } else {
-      jobs.set(jobId, {
+      await jobStore.set(jobId, {
         status: 'failed',
         createdAt,
         updatedAt,
         userInput,
+        sessionId,
         error: result.errors?.[0]?.message || 'Generation failed'
       });
 
@@ -385,7 +500,7 @@ app.post('/api/generate-stream', async (req, res) => {
 app.get('/api/status/:jobId', (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = jobs.get(jobId);
+    const job = jobStore.get(jobId);
 
     if (!job) {
       return res.status(404).json({
@@ -403,6 +518,7 @@ app.get('/api/status/:jobId', (req, res) => {
         sessionId,
         summary: job.result.summary,
         downloadUrl: `/api/download/${jobId}`, // download by jobId (server maps to session zip)
+        artifacts: job.artifacts,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt
       });
@@ -415,17 +531,40 @@ app.get('/api/status/:jobId', (req, res) => {
         jobId,
         sessionId: job.sessionId,  // Available for debug logs on failure
         error: job.error,
+        failureStage: job.failureStage,
+        artifacts: job.artifacts,
         createdAt: job.createdAt,
         updatedAt: job.updatedAt
       });
     }
 
+    if (job.status === 'interrupted') {
+      // Server restarted mid-generation; partial artifacts stay on disk
+      return res.status(409).json({
+        success: false,
+        status: job.status,
+        jobId,
+        sessionId: job.sessionId,
+        error: job.error,
+        resumable: job.resumable,
+        resumeUrl: job.resumable ? `/api/session/${job.sessionId}/resume` : null,
+        resumedBy: job.resumedBy || null,
+        progress: job.progress,
+        artifacts: job.artifacts,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        interruptedAt: job.interruptedAt
+      });
+    }
+
     // running - include sessionId so debug logs work during generation
     return res.json({
       success: true,
       status: job.status,
       jobId,
       sessionId: job.sessionId,  // Available immediately for debug logs
+      progress: job.progress,
+      artifacts: job.artifacts,
       createdAt: job.createdAt,
       updatedAt: job.updatedAt
     });
@@ -438,6 +577,32 @@ app.get('/api/status/:jobId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/status/:jobId/events
+ * Full progress event history for a job (persisted across restarts)
+ */
+app.get('/api/status/:jobId/events', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobStore.get(jobId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const events = await jobStore.getEvents(jobId);
+    res.json({ success: true, jobId, events });
+  } catch (error) {
+    console.error('Error in job events endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job events'
+    });
+  }
+});
+
 /**
  * GET /api/download/:id
  * Download the generated story package.
@@ -450,12 +615,13 @@ app.get('/api/download/:id', (req, res) => {
   try {
     const { id } = req.params;
 
-    // If it's a jobId and completed, map to the real sessionId zip
-    const job = jobs.get(id);
+    // If it's a jobId, map to the real sessionId zip
+    // (failed/interrupted jobs may still have a partial package)
+    const job = jobStore.get(id);
     let zipName = id;
 
-    if (job && job.status === 'complete' && job.result?.sessionId) {
-      zipName = job.result.sessionId;
+    if (job && (job.result?.sessionId || job.sessionId)) {
+      zipName = job.result?.sessionId || job.sessionId;
     }
 
     const zipPath = path.join(__dirname, 'generated', `${zipName}.zip`);
@@ -768,352 +934,290 @@ app.get('/api/session/:sessionId/partial', async (req, res) => {
 });
 
 /**
- * POST /api/refine
- * Refine an existing generated story (separate from initial generation)
+ * Start a background job continuing a chunked session from a resume point
  *
- * This allows users to download after generation, then optionally refine later.
+ * @param {string} sessionId - Session to continue
+ * @param {object} resumePoint - From orchestrator.prepareResume()
+ * @param {object|null} previousJob - Last job of the session (marked as superseded)
+ * @param {object} body - Request body (cassette options)
+ * @returns {Promise<string>} New job ID
  */
-app.post('/api/refine', async (req, res) => {
+async function startResumeJob(sessionId, resumePoint, previousJob, body) {
+  const jobId = createJobId();
+  const createdAt = new Date().toISOString();
+  const userInput = resumePoint.userParams;
+
+  await jobStore.set(jobId, {
+    status: 'running',
+    createdAt,
+    updatedAt: createdAt,
+    userInput,
+    sessionId,
+    resumedFrom: previousJob ? previousJob.jobId : null
+  });
+  await recordJobProgress(jobId, {
+    type: 'job_resumed',
+    stage: 'chunked_generation',
+    sessionId,
+    resumeFromChunk: resumePoint.chunks.length + 1,
+    wordsCompleted: resumePoint.wordsCompleted
+  });
+
+  if (previousJob) {
+    await jobStore.update(previousJob.jobId, { resumable: false, resumedBy: jobId });
+  }
+
+  // Kick off workflow in background (do NOT await)
+  (async () => {
+    try {
+      const result = await orchestrator.resumeWorkflow(sessionId, {
+        resumePoint,
+        cassette: getCassetteOptions(body),
+        onProgress: (event) => recordJobProgress(jobId, event)
+      });
+
+      const updatedAt = new Date().toISOString();
+      if (result && result.success) {
+        await jobStore.update(jobId, { status: 'complete', updatedAt, result });
+        await recordJobProgress(jobId, { type: 'complete', stage: 'complete', sessionId });
+      } else {
+        await jobStore.update(jobId, {
+          status: 'failed',
+          updatedAt,
+          error: (result && result.error) ? result.error : 'Unknown generation error',
+          failureStage: result?.failureStage || null,
+          availableArtifacts: result?.availableArtifacts || []
+        });
+        await recordJobProgress(jobId, { type: 'failed', stage: result?.failureStage, sessionId });
+      }
+    } catch (err) {
+      await jobStore.update(jobId, {
+        status: 'failed',
+        updatedAt: new Date().toISOString(),
+        error: err?.message || String(err)
+      });
+      await recordJobProgress(jobId, { type: 'failed', sessionId });
+      console.error('Resumed generation failed:', err);
+    }
+  })();
+
+  return jobId;
+}
+
+/**
+ * POST /api/session/:sessionId/resume
+ * Resume an interrupted chunked generation from its last state snapshot
+ *
+ * Verifies the chunks already on disk, then continues generating from the
+ * next scene as a new async job (poll /api/status/:jobId as usual).
+ */
+app.post('/api/session/:sessionId/resume', async (req, res) => {
   try {
-    const { sessionId, story } = req.body;
+    const { sessionId } = req.params;
 
-    if (!sessionId && !story) {
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
       return res.status(400).json({
         success: false,
-        error: 'Either sessionId or story text is required'
+        error: 'Invalid session ID'
       });
     }
 
-    console.log(`\n--- Refinement Request ---`);
-    console.log(`Session ID: ${sessionId || 'none (using provided story)'}`);
+    try {
+      await fs.access(path.join(__dirname, 'generated', sessionId));
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
 
-    // Load story from session or use provided story
-    let storyText = story;
-    let sourceSessionId = sessionId;
+    const previousJob = jobStore.findBySession(sessionId);
+    if (previousJob && previousJob.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is still being generated',
+        jobId: previousJob.jobId,
+        statusUrl: `/api/status/${previousJob.jobId}`
+      });
+    }
 
-    if (!storyText && sessionId) {
-      // Load story from session directory
-      const storyPath = path.join(__dirname, 'generated', sessionId, 'full_story.md');
-      try {
-        storyText = await fs.readFile(storyPath, 'utf-8');
-      } catch (e) {
-        // Try alternative filenames
-        const altPath = path.join(__dirname, 'generated', sessionId, 'final_story.txt');
-        try {
-          storyText = await fs.readFile(altPath, 'utf-8');
-        } catch (e2) {
-          return res.status(404).json({
-            success: false,
-            error: 'Could not find story file for session'
-          });
-        }
+    let resumePoint;
+    try {
+      resumePoint = await orchestrator.prepareResume(sessionId);
+    } catch (error) {
+      if (error.code === 'NOT_RESUMABLE' || error.code === 'CHUNK_INTEGRITY') {
+        return res.status(error.code === 'CHUNK_INTEGRITY' ? 422 : 409).json({
+          success: false,
+          error: error.message,
+          issues: error.issues || []
+        });
       }
+      throw error;
     }
 
-    // Create new session for refined version
-    const refinedSessionId = sourceSessionId
-      ? `${sourceSessionId}-refined`
-      : orchestrator.generateSessionId() + '-refined';
-
-    console.log(`Refined Session ID: ${refinedSessionId}`);
-
-    // Perform audit first
-    console.log('🔍 Running audit...');
-    const auditResult = await orchestrator.revisionAuditor.auditStory(storyText, {});
-
-    console.log(`   Audit Score: ${auditResult.scores.overallScore}/100`);
-    console.log(`   Grade: ${auditResult.scores.grade}`);
-
-    // Refine based on audit
-    if (orchestrator.revisionAuditor.needsRefinement(auditResult.scores)) {
-      console.log('🔧 Applying refinement...');
-
-      const refinementResult = await orchestrator.storyRefiner.refineStory(
-        storyText,
-        auditResult.rawReport,
-        { maxRounds: 2 }
-      );
-
-      // Save refined story
-      const refinedDir = path.join(__dirname, 'generated', refinedSessionId);
-      await fs.mkdir(refinedDir, { recursive: true });
-      await fs.writeFile(
-        path.join(refinedDir, 'refined_story.txt'),
-        refinementResult.refinedStory,
-        'utf-8'
-      );
-      await fs.writeFile(
-        path.join(refinedDir, 'refinement_changelog.json'),
-        JSON.stringify(refinementResult.changeLog, null, 2),
-        'utf-8'
-      );
-
-      console.log(`✅ Refinement complete - ${refinementResult.rounds} rounds`);
+    console.log(`\n--- Resume Request: ${sessionId} ---`);
 
-      res.json({
-        success: true,
-        sessionId: refinedSessionId,
-        originalSessionId: sourceSessionId,
-        downloadUrl: `/api/session/${refinedSessionId}/file/refined_story.txt`,
-        auditScore: auditResult.scores.overallScore,
-        refinementRounds: refinementResult.rounds,
-        changeCount: refinementResult.metadata?.totalChanges || refinementResult.changeLog.length
-      });
-    } else {
-      console.log('✅ No refinement needed');
-      res.json({
-        success: true,
-        sessionId: sourceSessionId,
-        message: 'Story passed audit, no refinement needed',
-        auditScore: auditResult.scores.overallScore,
-        grade: auditResult.scores.grade
-      });
-    }
+    const jobId = await startResumeJob(sessionId, resumePoint, previousJob, req.body);
 
+    res.status(202).json({
+      success: true,
+      jobId,
+      sessionId,
+      resumeFromChunk: resumePoint.chunks.length + 1,
+      wordsCompleted: resumePoint.wordsCompleted,
+      targetWords: resumePoint.targetWords,
+      regeneratedChunks: resumePoint.orphanedChunks,
+      statusUrl: `/api/status/${jobId}`
+    });
   } catch (error) {
-    console.error('Refinement error:', error);
+    console.error('Error resuming session:', error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message || 'An unexpected error occurred'
     });
   }
 });
 
 /**
- * POST /api/polish
- * Polish story for sensory detail, dialogue, and prose quality
+ * POST /api/session/:sessionId/rollback
+ * Roll a session back to the state after chunk N and continue from there
  *
- * This is a separate pass focused on literary quality rather than structural fixes.
+ * Body: { chunk: N, continue?: true, cassette? }
+ * Chunks after N are archived under rollbacks/ and N's state snapshot is
+ * restored. Chunked sessions then continue from chunk N+1 as a new async
+ * job (unless continue is false); staged sessions get the restored state
+ * back for their next /api/staged/generate call.
  */
-app.post('/api/polish', async (req, res) => {
+app.post('/api/session/:sessionId/rollback', async (req, res) => {
   try {
-    const { sessionId, story, polishOptions = {} } = req.body;
+    const { sessionId } = req.params;
+    const chunk = /^\d+$/.test(String(req.body.chunk)) ? parseInt(req.body.chunk, 10) : req.body.chunk;
 
-    if (!sessionId && !story) {
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
       return res.status(400).json({
         success: false,
-        error: 'Either sessionId or story text is required'
+        error: 'Invalid session ID'
       });
     }
 
-    console.log(`\n--- Polish Request ---`);
-    console.log(`Session ID: ${sessionId || 'none (using provided story)'}`);
-    console.log(`Options:`, polishOptions);
+    try {
+      await fs.access(path.join(__dirname, 'generated', sessionId));
+    } catch {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
 
-    // Load story from session or use provided story
-    let storyText = story;
-    let sourceSessionId = sessionId;
+    const previousJob = jobStore.findBySession(sessionId);
+    if (previousJob && previousJob.status === 'running') {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is still being generated',
+        jobId: previousJob.jobId,
+        statusUrl: `/api/status/${previousJob.jobId}`
+      });
+    }
 
-    if (!storyText && sessionId) {
-      const storyPath = path.join(__dirname, 'generated', sessionId, 'full_story.md');
-      try {
-        storyText = await fs.readFile(storyPath, 'utf-8');
-      } catch (e) {
-        const altPath = path.join(__dirname, 'generated', sessionId, 'refined_story.txt');
-        try {
-          storyText = await fs.readFile(altPath, 'utf-8');
-        } catch (e2) {
-          const altPath2 = path.join(__dirname, 'generated', sessionId, 'final_story.txt');
-          try {
-            storyText = await fs.readFile(altPath2, 'utf-8');
-          } catch (e3) {
-            return res.status(404).json({
-              success: false,
-              error: 'Could not find story file for session'
-            });
-          }
-        }
+    let rollback;
+    try {
+      rollback = await orchestrator.rollbackSession(sessionId, chunk);
+    } catch (error) {
+      if (error.code === 'INVALID_INPUT' || error.code === 'SNAPSHOT_NOT_FOUND') {
+        return res.status(error.code === 'INVALID_INPUT' ? 400 : 404).json({
+          success: false,
+          error: error.message
+        });
       }
+      throw error;
     }
 
-    // Create new session for polished version
-    const polishedSessionId = sourceSessionId
-      ? `${sourceSessionId}-polished`
-      : orchestrator.generateSessionId() + '-polished';
+    console.log(`\n--- Rollback Request: ${sessionId} to chunk ${chunk} ---`);
 
-    console.log(`Polished Session ID: ${polishedSessionId}`);
+    const response = {
+      success: true,
+      sessionId,
+      pipeline: rollback.pipeline,
+      rolledBackTo: rollback.chunk,
+      nextChunk: rollback.nextChunk,
+      archived: rollback.archived,
+      archiveDir: rollback.archiveDir ? path.relative(__dirname, rollback.archiveDir) : null
+    };
 
-    // Build polish prompt based on options
-    const polishFocus = [];
-    if (polishOptions.sensoryDetail !== false) {
-      polishFocus.push('SENSORY DETAIL: Add specific sounds, textures, temperatures, smells. Use physical sensations (breath, heartbeat, skin crawling). Include onomatopoeia sparingly but effectively.');
-    }
-    if (polishOptions.dialoguePolish !== false) {
-      polishFocus.push('DIALOGUE: Make dialogue feel natural and character-specific. Use minimal tags. Ensure voices are distinct.');
-    }
-    if (polishOptions.emotionalInteriority !== false) {
-      polishFocus.push('EMOTIONAL INTERIORITY: Deepen the narrator\'s fear responses, doubt, mounting dread. Show physical manifestations of emotion.');
+    if (rollback.pipeline === 'staged') {
+      return res.json({ ...response, state: rollback.state });
     }
-    if (polishOptions.atmosphericDread !== false) {
-      polishFocus.push('ATMOSPHERE: Build dread through accumulation of detail. Use subtle foreshadowing. Maintain tension through pacing.');
-    }
-
-    const polishPrompt = `You are a prose polish pass for a horror story. Enhance the literary quality while preserving ALL events, plot points, and structural elements exactly.
-
-POLISH FOCUS:
-${polishFocus.join('\n\n')}
-
-CRITICAL RULES:
-1. DO NOT change any events, actions, or plot points
-2. DO NOT add new information or lore
-3. DO NOT change POV or tense
-4. DO NOT use meta-language (avoid: threshold, mechanism, system, protocol)
-5. Preserve the exact sequence of events
-6. Only enhance the prose quality within each scene
-
-Return ONLY the polished story, no commentary.
-
-STORY TO POLISH:
-${storyText}`;
-
-    console.log('✨ Running polish pass...');
-
-    const claudeClient = orchestrator.claudeClient;
-    const response = await claudeClient.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: Math.min(storyText.length * 2, 64000),
-      temperature: 0.4,
-      messages: [{
-        role: 'user',
-        content: polishPrompt
-      }]
-    });
 
-    const polishedStory = response.content[0].text;
+    if (req.body.continue === false) {
+      return res.json(response);
+    }
 
-    // Save polished story
-    const polishedDir = path.join(__dirname, 'generated', polishedSessionId);
-    await fs.mkdir(polishedDir, { recursive: true });
-    await fs.writeFile(
-      path.join(polishedDir, 'polished_story.txt'),
-      polishedStory,
-      'utf-8'
-    );
-    await fs.writeFile(
-      path.join(polishedDir, 'polish_options.json'),
-      JSON.stringify(polishOptions, null, 2),
-      'utf-8'
-    );
+    let resumePoint;
+    try {
+      resumePoint = await orchestrator.prepareResume(sessionId);
+    } catch (error) {
+      if (error.code === 'NOT_RESUMABLE' || error.code === 'CHUNK_INTEGRITY') {
+        return res.status(error.code === 'CHUNK_INTEGRITY' ? 422 : 409).json({
+          ...response,
+          success: false,
+          error: error.message,
+          issues: error.issues || []
+        });
+      }
+      throw error;
+    }
 
-    console.log(`✅ Polish complete`);
-    console.log(`   Input words: ${storyText.split(/\s+/).length}`);
-    console.log(`   Output words: ${polishedStory.split(/\s+/).length}`);
+    const jobId = await startResumeJob(sessionId, resumePoint, previousJob, req.body);
 
-    res.json({
-      success: true,
-      sessionId: polishedSessionId,
-      originalSessionId: sourceSessionId,
-      downloadUrl: `/api/session/${polishedSessionId}/file/polished_story.txt`,
-      inputWords: storyText.split(/\s+/).length,
-      outputWords: polishedStory.split(/\s+/).length,
-      polishOptions
+    res.status(202).json({
+      ...response,
+      jobId,
+      wordsCompleted: resumePoint.wordsCompleted,
+      targetWords: resumePoint.targetWords,
+      statusUrl: `/api/status/${jobId}`
     });
-
   } catch (error) {
-    console.error('Polish error:', error);
+    console.error('Error rolling back session:', error);
     res.status(500).json({
       success: false,
-      error: error.message
+      error: error.message || 'An unexpected error occurred'
     });
   }
 });
 
-// ============================================================
-// STAGED WORKFLOW ENDPOINTS (3-Page Architecture)
-// ============================================================
-
 /**
- * POST /api/staged/contract
- * Stage 1: Generate story contract from user input
- *
- * This creates the foundational document that locks identity, scope, and rules.
- * Returns a contract JSON + initial state + ZIP for download.
+ * GET /api/session/:sessionId/state/snapshots
+ * List the chunks a session has state snapshots for (rollback / diff points)
  */
-app.post('/api/staged/contract', async (req, res) => {
+app.get('/api/session/:sessionId/state/snapshots', async (req, res) => {
   try {
-    const userInput = req.body;
-
-    console.log('\n--- Stage 1: Contract Generation ---');
-    console.log('User Input:', JSON.stringify(userInput, null, 2));
+    const { sessionId } = req.params;
 
-    // Validate basic input
-    if (!userInput.wordCount || userInput.wordCount < 5000 || userInput.wordCount > 50000) {
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
       return res.status(400).json({
         success: false,
-        error: 'Word count must be between 5,000 and 50,000'
+        error: 'Invalid session ID'
       });
     }
 
-    // Fill defaults for any null fields
-    const filledInput = await orchestrator.fillDefaults(userInput);
-
-    // Generate contract
-    const contractGenerator = new ContractGenerator(
-      orchestrator.claudeClient,
-      orchestrator.storyGenerator.getTemplateLoader()
-    );
-
-    const contract = await contractGenerator.generateContract(filledInput);
-
-    // Audit the contract
-    const contractAudit = await contractGenerator.auditContract(contract);
-    contract.contract_audit = contractAudit;
-
-    // Initialize state from contract
-    const stateTracker = new StateTracker();
-    const initialState = stateTracker.initializeFromContract(contract);
-
-    // Create session directory
-    const sessionId = contract.session_id;
-    const sessionDir = path.join(__dirname, 'generated', sessionId);
-    await fs.mkdir(sessionDir, { recursive: true });
-
-    // Save contract and state
-    await fs.writeFile(
-      path.join(sessionDir, 'story_contract.json'),
-      JSON.stringify(contract, null, 2),
-      'utf-8'
-    );
-
-    await fs.writeFile(
-      path.join(sessionDir, 'state.json'),
-      JSON.stringify(initialState, null, 2),
-      'utf-8'
-    );
-
-    // Create contract pack ZIP
-    const zipPath = path.join(sessionDir, 'contract_pack.zip');
-    await createZipFromFiles(zipPath, [
-      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
-      { name: 'state.json', content: JSON.stringify(initialState, null, 2) },
-      { name: 'README.txt', content: `Story Contract Pack
-Session: ${sessionId}
-Created: ${new Date().toISOString()}
-
-This is a "resume pack" for Stage 1 (Contract).
-Upload this ZIP to continue to Stage 2 (Planning).
-
-Files included:
-- story_contract.json: The story's foundational constraints and rules
-- state.json: Initial state (to be updated after each chunk)
-` }
-    ]);
-
-    console.log(`✅ Contract pack created: ${sessionId}`);
+    const snapshots = await new ChunkPersistence().listStateSnapshots(sessionId);
+    if (snapshots.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No state snapshots for this session'
+      });
+    }
 
     res.json({
       success: true,
-      stage: 'contract',
       sessionId,
-      contract,
-      state: initialState,
-      downloadUrl: `/api/session/${sessionId}/file/contract_pack.zip`,
-      nextStage: '/api/staged/plan',
-      instructions: 'Download the contract pack ZIP. Upload it to /api/staged/plan to continue.'
+      snapshots
     });
-
   } catch (error) {
-    console.error('Contract generation error:', error);
+    console.error('Error listing state snapshots:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1122,76 +1226,463 @@ Files included:
 });
 
 /**
- * POST /api/staged/plan
- * Stage 2: Generate outline and chunk plan from contract
+ * GET /api/session/:sessionId/state/diff?from=N&to=M
+ * Structured diff of the state after chunk N and after chunk M
  *
- * Takes a contract and generates:
- * - Story outline/beats
- * - Chunk plan (what each chunk should accomplish)
- * - Updated planning pack ZIP
+ * Returns rules discovered/violated, entity capability changes, flag flips,
+ * escalation, contamination, new named elements, the delta log entries in
+ * between and a readable change list (see StateDiff).
  */
-app.post('/api/staged/plan', async (req, res) => {
+app.get('/api/session/:sessionId/state/diff', async (req, res) => {
   try {
-    const { contract, state } = req.body;
+    const { sessionId } = req.params;
+    const [from, to] = [req.query.from, req.query.to].map(value => (/^\d+$/.test(value || '') ? parseInt(value, 10) : value));
 
-    if (!contract) {
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
       return res.status(400).json({
         success: false,
-        error: 'Contract is required. Upload the contract pack from Stage 1.'
+        error: 'Invalid session ID'
       });
     }
 
-    console.log('\n--- Stage 2: Planning ---');
-    console.log(`Session: ${contract.session_id}`);
+    let result;
+    try {
+      result = await orchestrator.diffSessionState(sessionId, from, to);
+    } catch (error) {
+      if (error.code === 'INVALID_INPUT' || error.code === 'SNAPSHOT_NOT_FOUND') {
+        return res.status(error.code === 'INVALID_INPUT' ? 400 : 404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
+    }
 
-    const sessionId = contract.session_id;
-    const sessionDir = path.join(__dirname, 'generated', sessionId);
-    await fs.mkdir(sessionDir, { recursive: true });
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error diffing session state:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/fork
+ * Fork a session after chunk N into a new session with changed parameters
+ *
+ * Body: { chunk: N, overrides?: { endingType, violationResponse, wordCount }, continue?: true, cassette? }
+ * The fork inherits the chunks, state snapshots and (staged) contract up to N.
+ * Chunked forks continue from chunk N+1 as a new async job (unless continue
+ * is false); staged forks return their contract and state for the next
+ * /api/staged/generate call.
+ */
+app.post('/api/session/:sessionId/fork', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const chunk = /^\d+$/.test(String(req.body.chunk)) ? parseInt(req.body.chunk, 10) : req.body.chunk;
+
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
 
-    // Generate outline using Claude
-    const outline = await generateOutline(contract);
+    let fork;
+    try {
+      fork = await sessionTree.fork(sessionId, chunk, req.body.overrides || {});
+    } catch (error) {
+      if (['INVALID_INPUT', 'SESSION_NOT_FOUND', 'SNAPSHOT_NOT_FOUND'].includes(error.code)) {
+        return res.status(error.code === 'INVALID_INPUT' ? 400 : 404).json({
+          success: false,
+          error: error.message,
+          errors: error.errors || []
+        });
+      }
+      throw error;
+    }
 
-    // Generate chunk plan
-    const chunkPlan = generateChunkPlan(contract, outline);
+    console.log(`\n--- Fork Request: ${sessionId} at chunk ${chunk} -> ${fork.sessionId} ---`);
 
-    // Save planning artifacts
-    await fs.writeFile(
-      path.join(sessionDir, 'outline.json'),
-      JSON.stringify(outline, null, 2),
-      'utf-8'
-    );
+    const response = {
+      success: true,
+      sessionId: fork.sessionId,
+      parentId: sessionId,
+      pipeline: fork.pipeline,
+      forkedAt: fork.chunk,
+      nextChunk: fork.nextChunk,
+      overrides: fork.overrides,
+      treeUrl: `/api/session/${fork.sessionId}/tree`
+    };
+
+    if (fork.pipeline === 'staged') {
+      return res.json({
+        ...response,
+        contract: fork.contract,
+        state: fork.state,
+        nextAction: fork.nextAction,
+        downloadUrl: `/api/session/${fork.sessionId}/file/resume_pack.zip`,
+        nextInstructions: fork.nextInstructions
+      });
+    }
+
+    if (req.body.continue === false) {
+      return res.json(response);
+    }
+
+    let resumePoint;
+    try {
+      resumePoint = await orchestrator.prepareResume(fork.sessionId);
+    } catch (error) {
+      if (error.code === 'NOT_RESUMABLE' || error.code === 'CHUNK_INTEGRITY') {
+        return res.status(error.code === 'CHUNK_INTEGRITY' ? 422 : 409).json({
+          ...response,
+          success: false,
+          error: error.message,
+          issues: error.issues || []
+        });
+      }
+      throw error;
+    }
+
+    const jobId = await startResumeJob(fork.sessionId, resumePoint, null, req.body);
+
+    res.status(202).json({
+      ...response,
+      jobId,
+      wordsCompleted: resumePoint.wordsCompleted,
+      targetWords: resumePoint.targetWords,
+      statusUrl: `/api/status/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error forking session:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+/**
+ * GET /api/session/:sessionId/tree
+ * The variant tree a session belongs to (its root, every fork and where each was forked)
+ */
+app.get('/api/session/:sessionId/tree', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    // Security: Prevent directory traversal
+    if (sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    let result;
+    try {
+      result = await sessionTree.getTree(sessionId);
+    } catch (error) {
+      if (error.code === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
+    }
 
-    await fs.writeFile(
-      path.join(sessionDir, 'chunk_plan.json'),
-      JSON.stringify(chunkPlan, null, 2),
-      'utf-8'
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error loading session tree:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/batch
+ * Queue a batch of full generations (async)
+ *
+ * Body: { items?: [userInput], matrix?: { location: [...] | '*', ... }, base?: userInput,
+ *         limit?, concurrency?, tokenBudget?, cassette? }
+ * Returns immediately; poll /api/batch/:batchId for the manifest.
+ */
+app.post('/api/batch', async (req, res) => {
+  try {
+    let manifest;
+    try {
+      manifest = await batchRunner.prepare(req.body);
+    } catch (error) {
+      if (error.code === 'INVALID_INPUT') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          errors: error.errors
+        });
+      }
+      throw error;
+    }
+
+    console.log(`\n--- New Batch Request: ${manifest.batchId} (${manifest.items.length} items) ---`);
+
+    // Run in background (do NOT await); the manifest on disk tracks progress
+    batchRunner.run(manifest).catch(error => {
+      console.error(`Batch ${manifest.batchId} failed:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      batchId: manifest.batchId,
+      items: manifest.items.length,
+      concurrency: manifest.concurrency,
+      tokenBudget: manifest.tokenBudget,
+      statusUrl: `/api/batch/${manifest.batchId}`
+    });
+  } catch (error) {
+    console.error('Error queuing batch:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+/**
+ * GET /api/batch/:batchId
+ * Batch manifest: per-item session ID, parameters, status, grade and cost
+ */
+app.get('/api/batch/:batchId', async (req, res) => {
+  try {
+    const { batchId } = req.params;
+
+    // Security: Prevent directory traversal
+    if (batchId.includes('..') || batchId.includes('/') || batchId.includes('\\')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch ID'
+      });
+    }
+
+    const manifest = await batchRunner.loadManifest(batchId);
+    if (!manifest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+
+    res.json({ success: true, ...manifest });
+  } catch (error) {
+    console.error('Error reading batch manifest:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+/**
+ * POST /api/refine
+ * Refine an existing generated story (separate from initial generation)
+ *
+ * This allows users to download after generation, then optionally refine later.
+ */
+app.post('/api/refine', async (req, res) => {
+  try {
+    const { sessionId, story } = req.body;
+
+    if (!sessionId && !story) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either sessionId or story text is required'
+      });
+    }
+
+    console.log(`\n--- Refinement Request ---`);
+    console.log(`Session ID: ${sessionId || 'none (using provided story)'}`);
+
+    // Load story from session or use provided story
+    const storyText = story || await stagedWorkflow.loadSessionStory(sessionId, ['full_story.md', 'final_story.txt']);
+    if (!storyText) {
+      return res.status(404).json({
+        success: false,
+        error: 'Could not find story file for session'
+      });
+    }
+
+    const result = await stagedWorkflow.refine(storyText, {
+      sourceSessionId: sessionId,
+      cassette: getCassetteOptions(req.body)
+    });
+
+    if (result.refined) {
+      res.json({
+        success: true,
+        sessionId: result.sessionId,
+        originalSessionId: sessionId,
+        downloadUrl: `/api/session/${result.sessionId}/file/refined_story.txt`,
+        auditScore: result.auditResult.scores.overallScore,
+        refinementRounds: result.refinementResult.rounds,
+        changeCount: result.refinementResult.metadata?.totalChanges || result.refinementResult.changeLog.length
+      });
+    } else {
+      res.json({
+        success: true,
+        sessionId: result.sessionId,
+        message: 'Story passed audit, no refinement needed',
+        auditScore: result.auditResult.scores.overallScore,
+        grade: result.auditResult.scores.grade
+      });
+    }
+
+  } catch (error) {
+    console.error('Refinement error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/polish
+ * Polish story for sensory detail, dialogue, and prose quality
+ *
+ * This is a separate pass focused on literary quality rather than structural fixes.
+ */
+app.post('/api/polish', async (req, res) => {
+  try {
+    const { sessionId, story, polishOptions = {} } = req.body;
+
+    if (!sessionId && !story) {
+      return res.status(400).json({
+        success: false,
+        error: 'Either sessionId or story text is required'
+      });
+    }
+
+    console.log(`\n--- Polish Request ---`);
+    console.log(`Session ID: ${sessionId || 'none (using provided story)'}`);
+    console.log(`Options:`, polishOptions);
+
+    // Load story from session or use provided story
+    const storyText = story || await stagedWorkflow.loadSessionStory(
+      sessionId,
+      ['full_story.md', 'refined_story.txt', 'final_story.txt']
     );
+    if (!storyText) {
+      return res.status(404).json({
+        success: false,
+        error: 'Could not find story file for session'
+      });
+    }
+
+    const result = await stagedWorkflow.polish(storyText, {
+      sourceSessionId: sessionId,
+      polishOptions,
+      cassette: getCassetteOptions(req.body)
+    });
 
-    // Create planning pack ZIP (includes contract + state + plan)
-    const zipPath = path.join(sessionDir, 'planning_pack.zip');
-    await createZipFromFiles(zipPath, [
-      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
-      { name: 'state.json', content: JSON.stringify(state || {}, null, 2) },
-      { name: 'outline.json', content: JSON.stringify(outline, null, 2) },
-      { name: 'chunk_plan.json', content: JSON.stringify(chunkPlan, null, 2) },
-      { name: 'README.txt', content: `Story Planning Pack
-Session: ${sessionId}
-Created: ${new Date().toISOString()}
+    res.json({
+      success: true,
+      sessionId: result.sessionId,
+      originalSessionId: sessionId,
+      downloadUrl: `/api/session/${result.sessionId}/file/polished_story.txt`,
+      inputWords: result.inputWords,
+      outputWords: result.outputWords,
+      polishOptions
+    });
+
+  } catch (error) {
+    console.error('Polish error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-This is a "resume pack" for Stage 2 (Planning).
-Upload this ZIP to continue to Stage 3 (Generate Chunks).
+// ============================================================
+// STAGED WORKFLOW ENDPOINTS (3-Page Architecture)
+// ============================================================
 
-Files included:
-- story_contract.json: The story's foundational constraints
-- state.json: Current state
-- outline.json: Story structure and beats
-- chunk_plan.json: What each chunk should accomplish
+/**
+ * POST /api/staged/contract
+ * Stage 1: Generate story contract from user input
+ *
+ * This creates the foundational document that locks identity, scope, and rules.
+ * Returns a contract JSON + initial state + ZIP for download.
+ */
+app.post('/api/staged/contract', async (req, res) => {
+  try {
+    const userInput = req.body;
 
-Next: POST to /api/staged/generate with this pack to generate chunks.
-` }
-    ]);
+    console.log('\n--- Stage 1: Contract Generation ---');
+    console.log('User Input:', JSON.stringify(userInput, null, 2));
 
-    console.log(`✅ Planning pack created: ${sessionId}`);
+    const { sessionId, contract, state } = await stagedWorkflow.createContract(userInput, {
+      cassette: getCassetteOptions(userInput)
+    });
+
+    res.json({
+      success: true,
+      stage: 'contract',
+      sessionId,
+      contract,
+      state,
+      downloadUrl: `/api/session/${sessionId}/file/contract_pack.zip`,
+      nextStage: '/api/staged/plan',
+      instructions: 'Download the contract pack ZIP. Upload it to /api/staged/plan to continue.'
+    });
+
+  } catch (error) {
+    console.error('Contract generation error:', error);
+    res.status(error.code === 'INVALID_INPUT' ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/staged/plan
+ * Stage 2: Generate outline and chunk plan from contract
+ *
+ * Takes a contract and generates:
+ * - Story outline/beats
+ * - Chunk plan (what each chunk should accomplish)
+ * - Updated planning pack ZIP
+ */
+app.post('/api/staged/plan', async (req, res) => {
+  try {
+    const { contract, state } = req.body;
+
+    if (!contract) {
+      return res.status(400).json({
+        success: false,
+        error: 'Contract is required. Upload the contract pack from Stage 1.'
+      });
+    }
+
+    console.log('\n--- Stage 2: Planning ---');
+    console.log(`Session: ${contract.session_id}`);
+
+    const { sessionId, outline, chunkPlan } = await stagedWorkflow.createPlan(contract, state, {
+      cassette: getCassetteOptions(req.body)
+    });
 
     res.json({
       success: true,
@@ -1235,181 +1726,115 @@ app.post('/api/staged/generate', async (req, res) => {
     console.log(`Session: ${contract.session_id}`);
     console.log(`Generating chunk: ${chunkNumber}`);
 
-    const sessionId = contract.session_id;
-    const sessionDir = path.join(__dirname, 'generated', sessionId);
-    const chunksDir = path.join(sessionDir, 'chunks');
-    await fs.mkdir(chunksDir, { recursive: true });
-
-    // Load or initialize state tracker
-    const stateTracker = new StateTracker();
-    stateTracker.loadState(state);
-
-    // Determine chunk parameters
-    const targetWords = contract.generation_parameters?.target_word_count || 10000;
-    const chunkSize = contract.generation_parameters?.chunk_size || 2000;
-    const totalChunks = Math.ceil(targetWords / chunkSize);
-    const isLastChunk = chunkNumber >= totalChunks;
-
-    // Calculate target for this chunk
-    const wordsGenerated = state.narrative_state?.total_words_generated || 0;
-    const wordsRemaining = targetWords - wordsGenerated;
-    const thisChunkTarget = isLastChunk ? wordsRemaining : Math.min(chunkSize, wordsRemaining);
-
-    console.log(`   Target words: ${thisChunkTarget}`);
-    console.log(`   Total progress: ${wordsGenerated}/${targetWords}`);
-    console.log(`   Is final chunk: ${isLastChunk}`);
-
-    // Generate chunk
-    const chunkPrompt = buildChunkPrompt(contract, stateTracker, chunkNumber, thisChunkTarget, isLastChunk);
-
-    const claudeClient = orchestrator.claudeClient;
-    const maxTokens = Math.ceil(thisChunkTarget * 1.6);
-
-    console.log(`   Calling Claude API (max_tokens: ${maxTokens})...`);
-
-    const response = await claudeClient.client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: maxTokens,
-      temperature: 0.7,
-      messages: [{ role: 'user', content: chunkPrompt }]
+    const result = await stagedWorkflow.generateChunk(contract, state, {
+      chunkPlan,
+      chunkNumber,
+      cassette: getCassetteOptions(req.body)
     });
+    const { sessionId, auditResult, state: updatedState } = result;
 
-    const chunkText = response.content[0].text;
-    const chunkWordCount = chunkText.split(/\s+/).length;
-
-    console.log(`   Chunk generated: ${chunkWordCount} words`);
-
-    // Save chunk
-    const chunkFilename = `chunk_${String(chunkNumber).padStart(3, '0')}.txt`;
-    await fs.writeFile(
-      path.join(chunksDir, chunkFilename),
-      chunkText,
-      'utf-8'
-    );
-
-    // Extract state updates from chunk
-    const updates = await stateTracker.extractUpdatesFromChunk(
-      claudeClient,
-      chunkText,
-      contract,
-      chunkNumber
-    );
-
-    // Update state
-    const previousState = JSON.parse(JSON.stringify(stateTracker.getState()));
-    const updatedState = stateTracker.updateAfterChunk(updates, chunkNumber, chunkWordCount);
-
-    // Run gate audit
-    const gateAudit = new GateAudit(claudeClient);
-    const auditResult = await gateAudit.auditChunk(
-      contract,
-      previousState,
-      updatedState,
-      chunkText,
+    res.json({
+      success: true,
+      stage: 'generate',
+      sessionId,
       chunkNumber,
-      isLastChunk
-    );
-
-    // Save state and audit
-    await fs.writeFile(
-      path.join(sessionDir, 'state.json'),
-      JSON.stringify(updatedState, null, 2),
-      'utf-8'
-    );
-
-    await fs.writeFile(
-      path.join(sessionDir, `audit_chunk_${chunkNumber}.json`),
-      JSON.stringify(auditResult, null, 2),
-      'utf-8'
-    );
+      chunkWordCount: result.chunkWordCount,
+      totalWordsGenerated: updatedState.canonical_state.narrative.total_words_generated,
+      targetWords: result.targetWords,
+      chunksRemaining: result.totalChunks - chunkNumber,
+      isComplete: result.isLastChunk,
+      audit: {
+        status: auditResult.status,
+        recommendation: auditResult.recommendation,
+        criticalFailures: auditResult.critical_failures?.length || 0,
+        warnings: auditResult.warnings?.length || 0
+      },
+      state: updatedState,
+      nextAction: result.nextAction,
+      downloadUrl: `/api/session/${sessionId}/file/resume_pack.zip`,
+      chunkUrl: `/api/session/${sessionId}/file/chunks/${result.chunkFilename}`,
+      nextInstructions: result.nextInstructions
+    });
 
-    const auditReport = gateAudit.generateReport(auditResult);
-    await fs.writeFile(
-      path.join(sessionDir, `audit_chunk_${chunkNumber}.md`),
-      auditReport,
-      'utf-8'
-    );
+  } catch (error) {
+    console.error('Chunk generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Determine next step based on audit
-    let nextAction = 'continue';
-    let nextInstructions = `Download the resume pack and POST to /api/staged/generate with chunkNumber: ${chunkNumber + 1}`;
+/**
+ * POST /api/staged/regenerate
+ * Regenerate one chunk of a staged session and reconcile the chunks after it
+ *
+ * Body: { sessionId, chunkNumber, feedback?, chunkPlan?, cassette? }
+ * The chunk's gate-audit failures (plus feedback) are sent as corrections.
+ * Later chunks are re-validated against the new state; those that now
+ * contradict canon are listed in `contradicting` (nextAction: 'regenerate').
+ */
+app.post('/api/staged/regenerate', async (req, res) => {
+  try {
+    const { sessionId, chunkNumber, feedback, chunkPlan } = req.body;
 
-    if (auditResult.status === 'FAIL') {
-      nextAction = 'stop';
-      nextInstructions = 'Gate audit FAILED. Review the audit report and fix issues before continuing.';
-    } else if (isLastChunk) {
-      nextAction = 'assemble';
-      nextInstructions = 'All chunks generated. POST to /api/staged/assemble to combine into final story.';
+    // Security: Prevent directory traversal
+    if (typeof sessionId !== 'string' || !sessionId || sessionId.includes('..') || sessionId.includes('/') || sessionId.includes('\\')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
     }
 
-    // Create resume pack ZIP
-    const resumePackPath = path.join(sessionDir, 'resume_pack.zip');
-    const zipFiles = [
-      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
-      { name: 'state.json', content: JSON.stringify(updatedState, null, 2) },
-      { name: `audit_chunk_${chunkNumber}.md`, content: auditReport }
-    ];
-
-    // Include outline/chunk_plan if they exist
-    if (chunkPlan) {
-      zipFiles.push({ name: 'chunk_plan.json', content: JSON.stringify(chunkPlan, null, 2) });
-    }
+    console.log('\n--- Stage 3: Chunk Regeneration ---');
+    console.log(`Session: ${sessionId}`);
+    console.log(`Regenerating chunk: ${chunkNumber}`);
 
-    // Include all chunks generated so far
-    const chunkFiles = await fs.readdir(chunksDir);
-    for (const cf of chunkFiles.filter(f => f.startsWith('chunk_'))) {
-      const chunkContent = await fs.readFile(path.join(chunksDir, cf), 'utf-8');
-      zipFiles.push({ name: `chunks/${cf}`, content: chunkContent });
+    let result;
+    try {
+      result = await stagedWorkflow.regenerateChunk(sessionId, chunkNumber, {
+        feedback,
+        chunkPlan,
+        cassette: getCassetteOptions(req.body)
+      });
+    } catch (error) {
+      if (['INVALID_INPUT', 'SESSION_NOT_FOUND', 'CHUNK_NOT_FOUND', 'SNAPSHOT_NOT_FOUND'].includes(error.code)) {
+        return res.status(error.code === 'INVALID_INPUT' ? 400 : 404).json({
+          success: false,
+          error: error.message
+        });
+      }
+      throw error;
     }
 
-    zipFiles.push({
-      name: 'README.txt',
-      content: `Story Resume Pack
-Session: ${sessionId}
-Created: ${new Date().toISOString()}
-Chunks completed: ${chunkNumber}/${totalChunks}
-Words generated: ${updatedState.narrative_state?.total_words_generated}/${targetWords}
-
-Next action: ${nextAction}
-${nextInstructions}
-
-Files included:
-- story_contract.json: The story's foundational constraints
-- state.json: Current state (updated after chunk ${chunkNumber})
-- audit_chunk_${chunkNumber}.md: Gate audit report for this chunk
-- chunks/: All generated chunks so far
-`
-    });
-
-    await createZipFromFiles(resumePackPath, zipFiles);
-
-    console.log(`✅ Resume pack created after chunk ${chunkNumber}`);
+    const { auditResult, state: updatedState } = result;
 
     res.json({
       success: true,
-      stage: 'generate',
+      stage: 'regenerate',
       sessionId,
       chunkNumber,
-      chunkWordCount,
-      totalWordsGenerated: updatedState.narrative_state?.total_words_generated,
-      targetWords,
-      chunksRemaining: totalChunks - chunkNumber,
-      isComplete: isLastChunk,
+      chunkWordCount: result.chunkWordCount,
+      totalWordsGenerated: updatedState.canonical_state.narrative.total_words_generated,
+      targetWords: result.targetWords,
+      corrections: result.corrections,
       audit: {
         status: auditResult.status,
         recommendation: auditResult.recommendation,
         criticalFailures: auditResult.critical_failures?.length || 0,
         warnings: auditResult.warnings?.length || 0
       },
+      downstream: result.downstream,
+      contradicting: result.contradicting,
       state: updatedState,
-      nextAction,
+      nextAction: result.nextAction,
       downloadUrl: `/api/session/${sessionId}/file/resume_pack.zip`,
-      chunkUrl: `/api/session/${sessionId}/file/chunks/${chunkFilename}`,
-      nextInstructions
+      chunkUrl: `/api/session/${sessionId}/file/chunks/${result.chunkFilename}`,
+      nextInstructions: result.nextInstructions
     });
 
   } catch (error) {
-    console.error('Chunk generation error:', error);
+    console.error('Chunk regeneration error:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -1420,10 +1845,12 @@ Files included:
 /**
  * POST /api/staged/assemble
  * Assemble all chunks into final story
+ * Body: { contract, state, allowUnpaidPromises } - 422 with the payoff report
+ * if a critical promise is unpaid (unless allowUnpaidPromises)
  */
 app.post('/api/staged/assemble', async (req, res) => {
   try {
-    const { contract, state } = req.body;
+    const { contract, state, allowUnpaidPromises } = req.body;
 
     if (!contract || !state) {
       return res.status(400).json({
@@ -1436,73 +1863,18 @@ app.post('/api/staged/assemble', async (req, res) => {
     const sessionId = contract.session_id;
     console.log(`Session: ${sessionId}`);
 
-    const sessionDir = path.join(__dirname, 'generated', sessionId);
-    const chunksDir = path.join(sessionDir, 'chunks');
-
-    // Load all chunks
-    const chunkFiles = await fs.readdir(chunksDir);
-    const chunks = [];
-
-    for (const cf of chunkFiles.filter(f => f.startsWith('chunk_')).sort()) {
-      const content = await fs.readFile(path.join(chunksDir, cf), 'utf-8');
-      chunks.push(content);
-    }
-
-    if (chunks.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'No chunks found to assemble.'
-      });
-    }
-
-    console.log(`   Assembling ${chunks.length} chunks...`);
-
-    // Simple assembly: join with scene breaks
-    const assembledStory = chunks.join('\n\n---\n\n');
-    const totalWords = assembledStory.split(/\s+/).length;
-
-    // Save assembled story
-    await fs.writeFile(
-      path.join(sessionDir, 'full_story.md'),
-      assembledStory,
-      'utf-8'
-    );
-
-    // Create final pack ZIP
-    const finalPackPath = path.join(sessionDir, 'final_pack.zip');
-    const zipFiles = [
-      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
-      { name: 'state.json', content: JSON.stringify(state, null, 2) },
-      { name: 'full_story.md', content: assembledStory },
-      { name: 'README.txt', content: `Story Final Pack
-Session: ${sessionId}
-Created: ${new Date().toISOString()}
-Total words: ${totalWords}
-Total chunks: ${chunks.length}
-
-Files included:
-- story_contract.json: The story's foundational constraints
-- state.json: Final state
-- full_story.md: The complete assembled story
-
-Optional next steps:
-- POST to /api/refine with sessionId to run structural audit and refinement
-- POST to /api/polish with sessionId to enhance prose quality
-` }
-    ];
-
-    await createZipFromFiles(finalPackPath, zipFiles);
-
-    console.log(`✅ Assembly complete: ${totalWords} words`);
+    const result = await stagedWorkflow.assemble(contract, state, { allowUnpaidPromises: allowUnpaidPromises === true });
 
     res.json({
       success: true,
       stage: 'assemble',
       sessionId,
-      totalChunks: chunks.length,
-      totalWords,
+      totalChunks: result.totalChunks,
+      totalWords: result.totalWords,
+      payoffReport: result.payoffReport,
       downloadUrl: `/api/session/${sessionId}/file/final_pack.zip`,
       storyUrl: `/api/session/${sessionId}/file/full_story.md`,
+      payoffReportUrl: `/api/session/${sessionId}/file/payoff_report.md`,
       nextSteps: {
         refine: '/api/refine',
         polish: '/api/polish'
@@ -1510,236 +1882,23 @@ Optional next steps:
     });
 
   } catch (error) {
+    if (error.code === 'UNPAID_PROMISES') {
+      // The story set up something critical and never paid it off
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        payoffReport: error.payoffReport,
+        payoffReportUrl: `/api/session/${req.body.contract.session_id}/file/payoff_report.md`
+      });
+    }
     console.error('Assembly error:', error);
-    res.status(500).json({
+    res.status(error.code === 'INVALID_INPUT' ? 400 : 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Helper: Create ZIP from file array
-async function createZipFromFiles(zipPath, files) {
-  return new Promise((resolve, reject) => {
-    const output = require('fs').createWriteStream(zipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-
-    output.on('close', () => resolve(zipPath));
-    archive.on('error', reject);
-
-    archive.pipe(output);
-
-    for (const file of files) {
-      archive.append(file.content, { name: file.name });
-    }
-
-    archive.finalize();
-  });
-}
-
-// Helper: Generate outline from contract
-async function generateOutline(contract) {
-  const rules = contract.rule_system?.rules || [];
-  const targetWords = contract.generation_parameters?.target_word_count || 10000;
-  const chunkSize = contract.generation_parameters?.chunk_size || 2000;
-  const totalChunks = Math.ceil(targetWords / chunkSize);
-
-  const prompt = `Create a story outline for a rule-based horror story.
-
-CONTRACT SUMMARY:
-- Location: ${contract.identity_anchors?.setting?.location_name}
-- Protagonist: ${contract.identity_anchors?.protagonist?.role}
-- Rules: ${rules.length} total
-- Theme: ${contract.thematic_contract?.primary_theme}
-- Ending type: ${contract.ending_contract?.ending_type}
-- Target: ${targetWords} words in ${totalChunks} chunks
-
-RULES:
-${rules.map(r => `${r.rule_number}. ${r.rule_text}`).join('\n')}
-
-Create an outline with:
-1. Act structure (setup, confrontation, crisis, resolution)
-2. Key beats for each act
-3. Which rules are discovered/violated when
-4. Escalation progression
-
-Return as JSON:
-{
-  "acts": [
-    {
-      "name": "setup",
-      "chunks": [1, 2, 3],
-      "beats": ["arrival", "first hints", "rule discovery"],
-      "escalation_range": [1, 2]
-    }
-  ],
-  "rule_reveals": [
-    {"rule_number": 1, "chunk": 1, "method": "told by character"},
-    {"rule_number": 2, "chunk": 2, "method": "discovered through observation"}
-  ],
-  "key_moments": [
-    {"chunk": 5, "event": "First violation", "consequence": "..."}
-  ]
-}`;
-
-  try {
-    const response = await orchestrator.claudeClient.client.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      temperature: 0.3,
-      messages: [{ role: 'user', content: prompt }]
-    });
-
-    const content = response.content[0].text;
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-  } catch (error) {
-    console.warn('Outline generation failed, using default:', error.message);
-  }
-
-  // Default outline
-  return {
-    acts: [
-      { name: 'setup', chunks: [1, 2], beats: ['arrival', 'orientation', 'first rule'], escalation_range: [1, 1] },
-      { name: 'confrontation', chunks: [3, 4, 5, 6], beats: ['more rules', 'first test', 'violation', 'consequence'], escalation_range: [2, 3] },
-      { name: 'crisis', chunks: [7, 8], beats: ['point of no return', 'desperate action'], escalation_range: [3, 4] },
-      { name: 'resolution', chunks: [9, 10], beats: ['climax', 'ending'], escalation_range: [4, 5] }
-    ],
-    rule_reveals: rules.map((r, i) => ({
-      rule_number: r.rule_number,
-      chunk: Math.ceil((i + 1) / 2),
-      method: r.is_hidden ? 'discovered through consequence' : 'revealed early'
-    })),
-    key_moments: []
-  };
-}
-
-// Helper: Generate chunk plan from contract and outline
-function generateChunkPlan(contract, outline) {
-  const targetWords = contract.generation_parameters?.target_word_count || 10000;
-  const chunkSize = contract.generation_parameters?.chunk_size || 2000;
-  const totalChunks = Math.ceil(targetWords / chunkSize);
-
-  const chunks = [];
-
-  for (let i = 1; i <= totalChunks; i++) {
-    const isFirst = i === 1;
-    const isLast = i === totalChunks;
-
-    // Find which act this chunk is in
-    const act = outline.acts?.find(a => a.chunks?.includes(i)) || outline.acts?.[0];
-
-    // Find rules to reveal in this chunk
-    const rulesToReveal = outline.rule_reveals
-      ?.filter(r => r.chunk === i)
-      ?.map(r => r.rule_number) || [];
-
-    // Find key moments
-    const keyMoments = outline.key_moments
-      ?.filter(m => m.chunk === i) || [];
-
-    chunks.push({
-      chunk_number: i,
-      target_words: isLast ? (targetWords - (totalChunks - 1) * chunkSize) : chunkSize,
-      is_first: isFirst,
-      is_last: isLast,
-      act: act?.name || 'unknown',
-      beats: act?.beats?.slice(0, 2) || [],
-      rules_to_reveal: rulesToReveal,
-      key_moments: keyMoments,
-      escalation_target: act?.escalation_range?.[1] || 1,
-      goals: isFirst
-        ? ['Establish setting', 'Introduce protagonist', 'Create atmosphere']
-        : isLast
-          ? ['Resolve conflict', 'Deliver ending', 'Ensure permanence']
-          : ['Continue narrative', 'Build tension', 'Progress escalation']
-    });
-  }
-
-  return {
-    total_chunks: totalChunks,
-    target_words: targetWords,
-    chunk_size: chunkSize,
-    chunks
-  };
-}
-
-// Helper: Build chunk prompt
-function buildChunkPrompt(contract, stateTracker, chunkNumber, targetWords, isLastChunk) {
-  const rules = contract.rule_system?.rules || [];
-  const setting = contract.identity_anchors?.setting;
-  const protagonist = contract.identity_anchors?.protagonist;
-  const pov = contract.identity_anchors?.point_of_view;
-  const theme = contract.thematic_contract?.primary_theme;
-  const stateContext = stateTracker.getPromptContext();
-
-  const isFirstChunk = chunkNumber === 1;
-
-  let prompt = `Write a ${targetWords}-word chunk of a rule-based horror story.
-
-# CONTRACT CONSTRAINTS (DO NOT VIOLATE)
-## Setting
-- Location: ${setting?.location_name}
-- Atmosphere: ${setting?.atmosphere_keywords?.join(', ')}
-
-## Protagonist
-- Role: ${protagonist?.role}
-- Starting state: ${protagonist?.starting_state}
-
-## Point of View
-- POV: ${pov?.pov_type}
-- Tense: ${pov?.tense}
-
-## Rules
-${rules.map(r => `${r.rule_number}. ${r.rule_text}${r.is_hidden ? ' [HIDDEN - do not reveal yet unless appropriate]' : ''}`).join('\n')}
-
-## Theme
-${theme}
-
-${stateContext}
-
-# CHUNK REQUIREMENTS
-- Target: **EXACTLY ${targetWords} WORDS** (±10%)
-- This is chunk ${chunkNumber}${isFirstChunk ? ' (FIRST CHUNK - establish everything)' : ''}${isLastChunk ? ' (FINAL CHUNK - conclude the story)' : ''}
-`;
-
-  if (isFirstChunk) {
-    prompt += `
-# FIRST CHUNK INSTRUCTIONS
-- Establish the setting vividly
-- Introduce the protagonist and their reason for being here
-- Create immediate atmosphere of wrongness
-- Begin rule discovery naturally
-- DO NOT conclude the story - more chunks will follow
-`;
-  } else if (isLastChunk) {
-    prompt += `
-# FINAL CHUNK INSTRUCTIONS
-- Bring the narrative to a conclusion
-- Resolve the protagonist's situation (escape/transformation/death)
-- Ensure permanent consequences
-- Match the contracted ending type: ${contract.ending_contract?.ending_type}
-`;
-  } else {
-    prompt += `
-# CONTINUATION INSTRUCTIONS
-- Continue seamlessly from the previous chunk
-- Maintain all established facts
-- Progress the escalation
-- DO NOT conclude the story - more chunks will follow
-- DO NOT reset tension or danger
-`;
-  }
-
-  prompt += `
-
-Write the chunk now. Return ONLY the story text, no commentary.`;
-
-  return prompt;
-}
-
 /**
  * GET /api/health
  * Health check endpoint
@@ -1761,17 +1920,38 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Report template schema errors at startup rather than on the first request that loads them
+async function checkTemplates() {
+  try {
+    for (const result of await orchestrator.validateTemplates()) {
+      if (!result.valid) {
+        console.warn(`⚠️  Template pack "${result.pack}" failed schema validation (run: npm run validate-templates)`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to validate templates:', error.message);
+  }
+}
+
 // Start server
-app.listen(PORT, () => {
-  console.log(`\n=================================`);
-  console.log(`Rule-Based Horror Story Generator`);
-  console.log(`=================================`);
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`API Key configured: ✅`);
-  console.log(`Model: ${process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929'}`);
-  console.log(`\nReady to generate stories! 👻`);
-  console.log(`=================================\n`);
-});
+// Load persisted jobs (marking interrupted ones resumable) before accepting requests
+jobStore.initialize()
+  .catch(error => {
+    console.error('❌ Failed to load job store:', error.message);
+  })
+  .then(checkTemplates)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`\n=================================`);
+      console.log(`Rule-Based Horror Story Generator`);
+      console.log(`=================================`);
+      console.log(`Server running on http://localhost:${PORT}`);
+      console.log(`API Key configured: ✅`);
+      console.log(`Model: ${process.env.CLAUDE_MODEL || 'claude-sonnet-4-5-20250929'}`);
+      console.log(`\nReady to generate stories! 👻`);
+      console.log(`=================================\n`);
+    });
+  });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,289 @@
+/**
+ * Cassette
+ * Records every model request/response in a session and replays them later
+ *
+ * Purpose: Reproduce a generation session exactly (for debugging) without
+ * paying for tokens. Recording appends one JSON line per call to
+ * generated/<sessionId>/cassette.jsonl; each staged request records through
+ * its own Cassette, so sequence numbers continue from the file's last entry.
+ * Replay serves responses from a recorded cassette by prompt hash and reports
+ * any prompt that diverged.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ChunkPersistence = require('../../generators/chunkPersistence');
+const { hashPrompt, getPromptText } = require('./promptHash');
+const { loadApiConfig } = require('./providers');
+
+const CASSETTE_FILENAME = 'cassette.jsonl';
+const MODES = ['record', 'replay'];
+
+class Cassette {
+  /**
+   * @param {string} sessionId - Session being recorded (or replayed into)
+   * @param {object} options - { mode, sourceSessionId, baseDir }
+   */
+  constructor(sessionId, options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Invalid cassette mode "${options.mode}". Expected one of: ${MODES.join(', ')}`);
+    }
+
+    this.sessionId = sessionId;
+    this.mode = options.mode;
+    this.persistence = new ChunkPersistence({ baseDir: options.baseDir });
+
+    // Replay reads from the source session's cassette (defaults to this session)
+    this.sourceSessionId = options.sourceSessionId || sessionId;
+    this.filepath = path.join(
+      this.persistence.getSessionDir(this.mode === 'replay' ? this.sourceSessionId : sessionId),
+      CASSETTE_FILENAME
+    );
+
+    this.entries = null;
+    this.consumed = new Set();
+    this.mismatches = [];
+    this.sequence = null; // last recorded seq, read from the file on the first record
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Build a cassette from request options, falling back to LLM_CASSETTE / api.cassette.
+   * Returns null when cassettes are off.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {object} options - { mode, sourceSessionId }
+   * @returns {Cassette|null}
+   */
+  static fromOptions(sessionId, options = {}) {
+    const mode = options.mode || process.env.LLM_CASSETTE || loadApiConfig().cassette;
+
+    if (!mode || mode === 'off') {
+      return null;
+    }
+
+    return new Cassette(sessionId, { ...options, mode });
+  }
+
+  /**
+   * Record one call (response or error) as a cassette line
+   *
+   * @param {object} params - messages.create parameters
+   * @param {string} operationName - Label of the calling operation
+   * @param {object} outcome - { response } or { error }
+   * @param {number} durationMs - Call duration
+   */
+  record(params, operationName, outcome, durationMs) {
+    const entry = {
+      seq: null,
+      operation: operationName,
+      hash: hashPrompt(params),
+      timestamp: new Date().toISOString(),
+      duration_ms: durationMs,
+      request: params,
+      response: outcome.response || null,
+      error: outcome.error ? { message: outcome.error.message, status: outcome.error.status } : null
+    };
+
+    // Serialize appends so concurrent calls never interleave lines and are numbered in call order
+    this.writeQueue = this.writeQueue.then(async () => {
+      if (this.sequence === null) {
+        this.sequence = await this.readLastSequence();
+      }
+      entry.seq = ++this.sequence;
+      await fs.mkdir(path.dirname(this.filepath), { recursive: true });
+      await fs.appendFile(this.filepath, JSON.stringify(entry) + '\n', 'utf-8');
+    }).catch(error => {
+      console.error(`[Cassette] Failed to record ${operationName}: ${error.message}`);
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * seq of the last entry already in the cassette file (0 if there is none)
+   */
+  async readLastSequence() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filepath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const lines = raw.split('\n').filter(line => line.trim().length > 0);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (Number.isInteger(entry.seq)) return entry.seq;
+      } catch (error) {
+        // A torn last line (crash mid-append) is skipped
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Serve a recorded response for this request
+   *
+   * @param {object} params - messages.create parameters
+   * @param {string} operationName - Label of the calling operation
+   * @returns {Promise<object>} Recorded Anthropic-shaped response
+   */
+  async replay(params, operationName) {
+    const entries = await this.load();
+    const hash = hashPrompt(params);
+
+    // Prefer the first unconsumed match so repeated prompts replay in order
+    let index = entries.findIndex((e, i) => e.hash === hash && !this.consumed.has(i));
+    if (index === -1) {
+      index = entries.findIndex(e => e.hash === hash);
+    }
+
+    if (index === -1) {
+      const error = this.buildMismatchError(params, operationName, entries);
+      this.mismatches.push(error);
+      throw error;
+    }
+
+    this.consumed.add(index);
+    const entry = entries[index];
+
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.status = entry.error.status;
+      throw error;
+    }
+
+    return entry.response;
+  }
+
+  /**
+   * Load recorded entries (once)
+   */
+  async load() {
+    if (this.entries) return this.entries;
+
+    let raw;
+    try {
+      raw = await fs.readFile(this.filepath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No cassette found for session ${this.sourceSessionId} at ${this.filepath}`);
+      }
+      throw error;
+    }
+
+    this.entries = raw
+      .split('\n')
+      .filter(line => line.trim().length > 0)
+      .map(line => JSON.parse(line));
+
+    return this.entries;
+  }
+
+  /**
+   * Build a replay mismatch error carrying a diff of the diverged prompt
+   */
+  buildMismatchError(params, operationName, entries) {
+    // Compare against the next unplayed call of the same operation, else the next unplayed call
+    const pending = entries.filter((e, i) => !this.consumed.has(i));
+    const expected = pending.find(e => e.operation === operationName) || pending[0] || null;
+
+    const diff = expected
+      ? diffLines(getPromptText(expected.request), getPromptText(params))
+      : '(cassette has no remaining recorded calls)';
+
+    const error = new Error(
+      `Cassette replay mismatch for ${operationName}` +
+      (expected ? ` (expected recorded call #${expected.seq}: ${expected.operation})` : '') +
+      `\n${diff}`
+    );
+    error.code = 'CASSETTE_MISMATCH';
+    error.operation = operationName;
+    error.expectedSeq = expected ? expected.seq : null;
+    error.diff = diff;
+    return error;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async flush() {
+    await this.writeQueue;
+  }
+
+  getFilePath() {
+    return this.filepath;
+  }
+}
+
+/**
+ * Line diff of two prompts (LCS over the region between the common
+ * prefix/suffix), rendered as "- recorded" / "+ actual" lines with context.
+ */
+function diffLines(expectedText, actualText, context = 2, maxLines = 40) {
+  const expected = expectedText.split('\n');
+  const actual = actualText.split('\n');
+
+  let start = 0;
+  while (start < expected.length && start < actual.length && expected[start] === actual[start]) {
+    start++;
+  }
+
+  let endExpected = expected.length;
+  let endActual = actual.length;
+  while (endExpected > start && endActual > start && expected[endExpected - 1] === actual[endActual - 1]) {
+    endExpected--;
+    endActual--;
+  }
+
+  const a = expected.slice(start, endExpected);
+  const b = actual.slice(start, endActual);
+  const ops = [];
+
+  if (a.length * b.length <= 1000000) {
+    // LCS table, walked forwards to emit the edit script
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push(`  ${a[i]}`);
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(`- ${a[i++]}`);
+      } else {
+        ops.push(`+ ${b[j++]}`);
+      }
+    }
+  } else {
+    a.forEach(line => ops.push(`- ${line}`));
+    b.forEach(line => ops.push(`+ ${line}`));
+  }
+
+  const lines = [`@@ prompt line ${start + 1} @@`];
+  for (let i = Math.max(0, start - context); i < start; i++) {
+    lines.push(`  ${expected[i]}`);
+  }
+  lines.push(...ops.slice(0, maxLines));
+  if (ops.length > maxLines) {
+    lines.push(`... (${ops.length - maxLines} more diff lines)`);
+  }
+  for (let i = endExpected; i < Math.min(expected.length, endExpected + context); i++) {
+    lines.push(`  ${expected[i]}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = Cassette;
+module.exports.diffLines = diffLines;
@@ -1,30 +1,149 @@
 /**
  * Claude API Client
- * Handles all interactions with Anthropic's Claude API
+ * Handles all interactions with the configured LLM provider
+ * (Anthropic's Claude API by default, or the offline mock provider)
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createProvider, resolveProviderName, requiresApiKey, loadApiConfig } = require('./providers');
 
 class ClaudeClient {
   constructor(apiKey, config = {}) {
-    if (!apiKey) {
+    const providerName = resolveProviderName(config);
+
+    if (requiresApiKey(providerName) && !apiKey) {
       throw new Error('Anthropic API key is required');
     }
 
-    this.client = new Anthropic({
-      apiKey: apiKey,
+    this.provider = createProvider(providerName, apiKey, {
       timeout: config.timeout || 300000, // 5 minutes default timeout (safer for Render)
-      maxRetries: config.maxRetries || 2  // Retry failed requests
+      maxRetries: config.maxRetries || 2,  // Retry failed requests
+      model: config.model,
+      fixturesDir: config.fixturesDir || loadApiConfig().fixtures_dir
     });
 
+    // SDK-compatible facade: services that call client.messages.create(...)
+    // are routed through the selected provider
+    this.client = {
+      messages: {
+        create: (params, operationName) => this.createMessage(params, operationName)
+      }
+    };
+    this.messages = this.client.messages;
+
+    // Session cassette (record/replay) bound to the current async flow
+    this.cassetteContext = new AsyncLocalStorage();
+
+    // Token usage meter bound to the current async flow (e.g. one batch item)
+    this.usageContext = new AsyncLocalStorage();
+
     this.config = {
+      provider: providerName,
       model: config.model || 'claude-sonnet-4-5-20250929',
       maxTokens: config.maxTokens || 16000,
       temperature: config.temperature || 0.7,
       timeout: config.timeout || 300000  // 5 minutes
     };
 
-    console.log(`✅ Claude client initialized with ${this.config.timeout/1000}s timeout, ${this.config.maxTokens} max tokens`);
+    console.log(`✅ Claude client initialized (${providerName} provider) with ${this.config.timeout/1000}s timeout, ${this.config.maxTokens} max tokens`);
+  }
+
+  /**
+   * Send a raw messages.create request through the selected provider
+   * Every model call funnels through here, so timeouts and cassette
+   * record/replay apply to all services.
+   *
+   * @param {object} params - Anthropic messages.create parameters
+   * @param {string} operationName - Label used in timeout errors and cassettes
+   * @returns {Promise<object>} Anthropic-shaped message response
+   */
+  async createMessage(params, operationName = 'Message') {
+    const cassette = this.cassetteContext.getStore();
+
+    if (cassette && cassette.mode === 'replay') {
+      return cassette.replay(params, operationName);
+    }
+
+    const startTime = Date.now();
+    try {
+      const response = await this.withTimeout(this.provider.createMessage(params), operationName);
+      if (cassette) cassette.record(params, operationName, { response }, Date.now() - startTime);
+      this.recordUsage(response);
+      return response;
+    } catch (error) {
+      if (cassette) cassette.record(params, operationName, { error }, Date.now() - startTime);
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn with a session cassette attached to every model call it makes
+   * Replay mismatches swallowed by service-level fallbacks are re-raised here.
+   *
+   * @param {Cassette|null} cassette - Cassette to attach (null runs fn as-is)
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} fn's result
+   */
+  async runWithCassette(cassette, fn) {
+    if (!cassette) {
+      return fn();
+    }
+
+    console.log(`📼 Cassette ${cassette.mode}: ${cassette.getFilePath()}`);
+
+    let result;
+    try {
+      result = await this.cassetteContext.run(cassette, fn);
+    } catch (error) {
+      // Surface the original mismatch rather than a service's wrapped error
+      throw cassette.mismatches[0] || error;
+    } finally {
+      await cassette.flush();
+    }
+
+    if (cassette.mismatches.length > 0) {
+      throw cassette.mismatches[0];
+    }
+
+    return result;
+  }
+
+  /**
+   * Run fn with a usage meter that accumulates the tokens of every model call it makes
+   * Replayed calls cost nothing and are not metered.
+   *
+   * @param {object} meter - Meter from ClaudeClient.createUsageMeter()
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} fn's result
+   */
+  async runWithUsageMeter(meter, fn) {
+    return this.usageContext.run(meter, fn);
+  }
+
+  /**
+   * Add a provider response's token usage to the current meter (if any)
+   */
+  recordUsage(response) {
+    const meter = this.usageContext.getStore();
+    if (!meter || !response?.usage) return;
+
+    const model = response.model || this.config.model;
+    const inputTokens = response.usage.input_tokens || 0;
+    const outputTokens = response.usage.output_tokens || 0;
+
+    meter.calls++;
+    meter.inputTokens += inputTokens;
+    meter.outputTokens += outputTokens;
+    meter.byModel[model] = meter.byModel[model] || { inputTokens: 0, outputTokens: 0 };
+    meter.byModel[model].inputTokens += inputTokens;
+    meter.byModel[model].outputTokens += outputTokens;
+  }
+
+  /**
+   * Create an empty usage meter for runWithUsageMeter
+   */
+  static createUsageMeter() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, byModel: {} };
   }
 
   /**
@@ -32,13 +151,15 @@ class ClaudeClient {
    * Uses Promise.race to ensure timeout is respected even if SDK timeout fails
    */
   async withTimeout(promise, operationName) {
+    let timeoutId;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
+      timeoutId = setTimeout(() => {
         reject(new Error(`${operationName} exceeded ${this.config.timeout/1000}s timeout`));
       }, this.config.timeout);
     });
 
-    return Promise.race([promise, timeoutPromise]);
+    // Clear the timer so offline runs and scripts can exit promptly
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timeoutId));
   }
 
   /**
@@ -56,7 +177,7 @@ class ClaudeClient {
     }, 30000);
 
     try {
-      const apiCall = this.client.messages.create({
+      const response = await this.createMessage({
         model: options.model || this.config.model,
         max_tokens: maxTokens,
         temperature: options.temperature !== undefined ? options.temperature : this.config.temperature,
@@ -67,9 +188,8 @@ class ClaudeClient {
             content: userPrompt
           }
         ]
-      });
+      }, 'Story generation');
 
-      const response = await this.withTimeout(apiCall, 'Story generation');
       clearInterval(progressInterval);
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -114,7 +234,7 @@ class ClaudeClient {
     const userPrompt = this.buildAuditUserPrompt(story);
 
     try {
-      const apiCall = this.client.messages.create({
+      const response = await this.createMessage({
         model: options.model || this.config.model,
         max_tokens: options.maxTokens || 8000,
         temperature: 0.3, // Lower temperature for more consistent analysis
@@ -125,9 +245,8 @@ class ClaudeClient {
             content: userPrompt
           }
         ]
-      });
+      }, 'Audit');
 
-      const response = await this.withTimeout(apiCall, 'Audit');
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`✅ Audit response received (${duration}s)`);
@@ -164,7 +283,7 @@ class ClaudeClient {
     const userPrompt = this.buildRefinementUserPrompt(originalStory, auditReport);
 
     try {
-      const apiCall = this.client.messages.create({
+      const response = await this.createMessage({
         model: options.model || this.config.model,
         max_tokens: options.maxTokens || 16000,
         temperature: 0.5, // Moderate temperature for targeted fixes
@@ -175,9 +294,8 @@ class ClaudeClient {
             content: userPrompt
           }
         ]
-      });
+      }, 'Refinement');
 
-      const response = await this.withTimeout(apiCall, 'Refinement');
 
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       console.log(`✅ Refinement response received (${duration}s)`);
@@ -0,0 +1,45 @@
+/**
+ * Prompt Hash
+ * Stable fingerprint of a message request, used to key recorded responses
+ * (mock provider fixtures, session cassettes)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Flatten system + message content of a request into plain text
+ *
+ * @param {object} params - messages.create parameters
+ * @returns {string} Prompt text
+ */
+function getPromptText(params = {}) {
+  const system = typeof params.system === 'string' ? params.system : '';
+  const messages = (params.messages || []).map(m =>
+    typeof m.content === 'string'
+      ? m.content
+      : (m.content || []).map(c => c.text || '').join('')
+  );
+  return [system, ...messages].join('\n');
+}
+
+/**
+ * Hash the prompt-bearing parts of a messages.create request.
+ * Model, temperature and max_tokens are deliberately excluded so recorded
+ * responses survive model or sampling changes.
+ *
+ * @param {object} params - messages.create parameters
+ * @returns {string} sha256 hex digest
+ */
+function hashPrompt(params = {}) {
+  const payload = JSON.stringify({
+    system: params.system || '',
+    messages: (params.messages || []).map(m => ({
+      role: m.role,
+      content: m.content
+    }))
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+module.exports = { hashPrompt, getPromptText };
@@ -0,0 +1,33 @@
+/**
+ * Anthropic Provider
+ * Sends message requests to the live Anthropic API
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+class AnthropicProvider {
+  constructor(apiKey, options = {}) {
+    if (!apiKey) {
+      throw new Error('Anthropic API key is required');
+    }
+
+    this.name = 'anthropic';
+    this.sdk = new Anthropic({
+      apiKey: apiKey,
+      timeout: options.timeout || 300000,
+      maxRetries: options.maxRetries || 2
+    });
+  }
+
+  /**
+   * Create a message (same request/response shape as the Anthropic SDK)
+   *
+   * @param {object} params - messages.create parameters
+   * @returns {Promise<object>} Anthropic message response
+   */
+  async createMessage(params) {
+    return this.sdk.messages.create(params);
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,69 @@
+/**
+ * LLM Provider Registry
+ * Resolves the configured provider name to a provider instance
+ *
+ * Every provider exposes createMessage(params), taking and returning the
+ * Anthropic messages.create request/response shape.
+ */
+
+const path = require('path');
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  anthropic: (apiKey, options) => new AnthropicProvider(apiKey, options),
+  mock: (apiKey, options) => new MockProvider(options),
+  fixture: (apiKey, options) => new MockProvider(options)
+};
+
+/**
+ * Read the api section of config/config.json (empty object if unavailable)
+ */
+function loadApiConfig() {
+  try {
+    return require(path.join(__dirname, '../../../../config/config.json')).api || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Resolve which provider to use.
+ * Priority: explicit config > LLM_PROVIDER env var > config.json api.provider > anthropic
+ *
+ * @param {object} config - Client config
+ * @returns {string} Provider name
+ */
+function resolveProviderName(config = {}) {
+  return (config.provider || process.env.LLM_PROVIDER || loadApiConfig().provider || 'anthropic').toLowerCase();
+}
+
+/**
+ * Whether the named provider needs an Anthropic API key
+ */
+function requiresApiKey(providerName) {
+  return providerName === 'anthropic';
+}
+
+/**
+ * Create a provider instance
+ *
+ * @param {string} providerName - Registered provider name
+ * @param {string} apiKey - API key (ignored by offline providers)
+ * @param {object} options - Provider options
+ * @returns {object} Provider with createMessage(params)
+ */
+function createProvider(providerName, apiKey, options = {}) {
+  const factory = PROVIDERS[providerName];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory(apiKey, options);
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  requiresApiKey,
+  loadApiConfig
+};
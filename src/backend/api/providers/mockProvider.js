@@ -0,0 +1,331 @@
+/**
+ * Mock Provider
+ * Deterministic offline stand-in for the Anthropic API
+ *
+ * Purpose: Let the full generation pipeline (story, audit, refine, delta
+ * extraction, gate audit, outline) run without a live key. Responses are
+ * either replayed from fixture files keyed by prompt hash, or synthesized
+ * from a SeededRandom stream seeded with the prompt hash, so identical
+ * requests always produce identical output.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { hashPrompt, getPromptText } = require('../promptHash');
+const SeededRandom = require('../../utils/seededRandom');
+
+// Sentence bank for synthetic prose (kept free of NarrativeFirewall lexemes)
+const OPENINGS = [
+  'The fluorescent lights hummed above the empty counter.',
+  'I noticed the clock on the wall had stopped again.',
+  'Rain pressed against the windows like something patient.',
+  'The hallway smelled of bleach and old paper.',
+  'Somewhere behind the shelves, a cart wheel squeaked once and went quiet.',
+  'My breath fogged in air that should not have been that cold.'
+];
+
+const MIDDLES = [
+  'I read the laminated card taped beside the door and did exactly what it said.',
+  'The silence afterward was worse than the sound had been.',
+  'I kept my eyes on the floor tiles and counted them until my heart slowed.',
+  'Something in the far corner shifted, and I pretended not to see it.',
+  'The radio crackled with a voice that almost sounded like my mother.',
+  'I wrote the time on the back of my hand so I would not forget it.',
+  'When I looked up, the door on the far side of the corridor was open.',
+  'My keys were no longer in my pocket, and I did not remember moving them.',
+  'The vending machine lit up on its own and offered a single cup of water.',
+  'I said good evening to the empty chair, because the card told me to.',
+  'Footsteps matched mine, one half-beat behind, and stopped when I stopped.',
+  'The phone at the desk rang twice and then never again.',
+  'Dust had gathered on the handrail in the shape of fingers.',
+  'I told myself it was only the building settling, and I almost believed it.'
+];
+
+const CLOSINGS = [
+  'I did not sleep, but I stayed where I was until the light came.',
+  'By morning the card by the door had one more line written on it.',
+  'I still keep the time written on my hand, just in case.',
+  'When the shift ended, I walked out without looking back.'
+];
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesDir = options.fixturesDir
+      ? path.resolve(process.cwd(), options.fixturesDir)
+      : null;
+    this.defaultModel = options.model || 'mock-model';
+  }
+
+  /**
+   * Create a message (same request/response shape as the Anthropic SDK)
+   *
+   * @param {object} params - messages.create parameters
+   * @returns {Promise<object>} Anthropic-shaped message response
+   */
+  async createMessage(params = {}) {
+    const hash = hashPrompt(params);
+
+    const fixture = await this.loadFixture(hash);
+    if (fixture) {
+      return this.buildResponse(params, hash, fixture.text, fixture);
+    }
+
+    const text = this.synthesize(params, hash);
+    return this.buildResponse(params, hash, text);
+  }
+
+  /**
+   * Load a recorded response for a prompt hash, if one exists
+   *
+   * Fixture files live at <fixturesDir>/<hash>.json and contain either a full
+   * Anthropic message response or { "text": "..." }.
+   */
+  async loadFixture(hash) {
+    if (!this.fixturesDir) return null;
+
+    try {
+      const raw = await fs.readFile(path.join(this.fixturesDir, `${hash}.json`), 'utf-8');
+      const fixture = JSON.parse(raw);
+
+      if (Array.isArray(fixture.content)) {
+        return { ...fixture, text: fixture.content.map(c => c.text || '').join('') };
+      }
+      return { text: String(fixture.text || '') };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to load mock fixture ${hash}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wrap text in an Anthropic message response
+   */
+  buildResponse(params, hash, text, fixture = {}) {
+    const promptText = getPromptText(params);
+
+    return {
+      id: `msg_mock_${hash.slice(0, 24)}`,
+      type: 'message',
+      role: 'assistant',
+      model: fixture.model || params.model || this.defaultModel,
+      content: [{ type: 'text', text }],
+      stop_reason: fixture.stop_reason || 'end_turn',
+      stop_sequence: null,
+      usage: fixture.usage || {
+        input_tokens: Math.ceil(promptText.length / 4),
+        output_tokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  /**
+   * Produce a deterministic response appropriate to the kind of request
+   */
+  synthesize(params, hash) {
+    const prompt = getPromptText(params);
+    const rng = new SeededRandom(hash, 'mockProvider');
+
+    const rulesMatch = prompt.match(/Generate exactly (\d+) rules/);
+    if (rulesMatch) return this.synthesizeRules(parseInt(rulesMatch[1], 10));
+
+    if (prompt.includes('Extract state changes from this horror story chunk')) {
+      return this.synthesizeCanonDelta(prompt, rng);
+    }
+    if (prompt.includes('Analyze this story chunk and extract state changes')) {
+      return this.synthesizeTrackerUpdates(prompt, rng);
+    }
+    if (/EXTRACTED STATE CHANGES:\s*$/.test(prompt)) {
+      return this.synthesizeCheckpointDelta();
+    }
+    if (prompt.includes('STORY OPENING:')) {
+      return this.synthesizeStoryContext();
+    }
+    if (prompt.includes('Create an outline with:')) {
+      return this.synthesizeOutline(prompt);
+    }
+
+    const quickCheck = prompt.match(/Respond with JSON: (\{.*\})/);
+    if (quickCheck) return this.synthesizeQuickCheck(quickCheck[1]);
+
+    if (prompt.includes('REVISION AUDIT REPORT')) {
+      return this.synthesizeAuditReport(rng);
+    }
+
+    const refineMatch = prompt.match(/ORIGINAL STORY:\n([\s\S]*?)\n\n---\n\nAUDIT REPORT:/);
+    if (refineMatch) return refineMatch[1];
+
+    const polishMatch = prompt.match(/STORY TO POLISH:\n([\s\S]*)$/);
+    if (polishMatch) return polishMatch[1];
+
+    const rewriteMatch = prompt.match(/PASSAGE TO REWRITE:\n([\s\S]*?)\n\nReturn ONLY the rewritten passage/);
+    if (rewriteMatch) return this.synthesizeRewrite(rewriteMatch[1], rng);
+
+    return this.synthesizeProse(prompt, params, rng);
+  }
+
+  synthesizeRules(count) {
+    const types = ['prohibition', 'obligation', 'conditional', 'boundary', 'sequence', 'timing'];
+    const rules = [];
+
+    for (let i = 1; i <= count; i++) {
+      rules.push({
+        rule_number: i,
+        rule_text: `Rule ${i}: ${MIDDLES[(i - 1) % MIDDLES.length]}`,
+        rule_type: types[(i - 1) % types.length],
+        trigger_condition: `Whenever the night shift reaches hour ${i}`,
+        consequence_on_violation: `Something in the building learns one more thing about you (${i})`,
+        is_hidden: i === count && count > 3,
+        related_rules: i > 1 ? [i - 1] : []
+      });
+    }
+
+    return JSON.stringify(rules, null, 2);
+  }
+
+  synthesizeCanonDelta(prompt, rng) {
+    const hour = rng.int(9, 11);
+    const minute = String(rng.int(0, 59)).padStart(2, '0');
+
+    return JSON.stringify({
+      rulesIntroduced: [],
+      rulesViolated: [],
+      entityCapabilities: {},
+      timelineCommitments: [`clock read ${hour}:${minute} PM`]
+    }, null, 2);
+  }
+
+  synthesizeTrackerUpdates(prompt, rng) {
+    const ruleNumbers = [...prompt.matchAll(/^Rule (\d+):/gm)].map(m => parseInt(m[1], 10));
+    const discovered = ruleNumbers.length > 0
+      ? [rng.pick(ruleNumbers)]
+      : [];
+
+    return JSON.stringify({
+      rules_discovered: discovered,
+      rules_violated: [],
+      escalation_tier: rng.int(1, 2),
+      contamination_level: rng.int(0, 9),
+      protagonist_awareness: 'suspicious',
+      established_facts: [{ text: 'The clock in the lobby stops at night', category: 'setting' }],
+      scene_tension: 'building'
+    }, null, 2);
+  }
+
+  synthesizeCheckpointDelta() {
+    return [
+      'RULE_VIOLATIONS:',
+      'None',
+      '',
+      'ENTITY_CAPABILITIES:',
+      'None',
+      '',
+      'IRREVERSIBLE_FLAGS:',
+      'None',
+      '',
+      'WORLD_FACTS:',
+      'None',
+      '',
+      'TIMELINE_COMMITMENTS:',
+      'None'
+    ].join('\n');
+  }
+
+  synthesizeStoryContext() {
+    return JSON.stringify({
+      setting: { location: 'night shift workplace', timeOfDay: 'night', atmosphere: 'quiet dread' },
+      protagonist: { name: 'unnamed narrator', role: 'night worker', knowledge: 'the posted card' },
+      rules: [],
+      entities: [],
+      stateFlags: { rulesDiscovered: true, firstViolation: false, entityEncountered: false }
+    }, null, 2);
+  }
+
+  synthesizeOutline(prompt) {
+    const chunkMatch = prompt.match(/in (\d+) chunks/);
+    const totalChunks = chunkMatch ? parseInt(chunkMatch[1], 10) : 5;
+    const names = ['setup', 'confrontation', 'crisis', 'resolution'];
+    const perAct = Math.max(1, Math.ceil(totalChunks / names.length));
+
+    const acts = names.map((name, i) => {
+      const chunks = [];
+      for (let c = i * perAct + 1; c <= Math.min(totalChunks, (i + 1) * perAct); c++) {
+        chunks.push(c);
+      }
+      return { name, chunks, beats: [`${name} beat`], escalation_range: [i + 1, i + 2] };
+    }).filter(act => act.chunks.length > 0);
+
+    return JSON.stringify({ acts, rule_reveals: [], key_moments: [] }, null, 2);
+  }
+
+  synthesizeQuickCheck(template) {
+    try {
+      return JSON.stringify(JSON.parse(template.replace(/true\/false/g, 'true')));
+    } catch (error) {
+      return '{"issues": []}';
+    }
+  }
+
+  synthesizeAuditReport(rng) {
+    const score = rng.int(80, 94);
+
+    return `# REVISION AUDIT REPORT
+
+## Rule Logic Audit
+### Rule Enumeration
+- Result: PASS
+- Evidence: Rules are stated once and applied consistently.
+- Notes: Synthetic audit produced by the mock provider.
+
+## Summary
+- Overall Score: ${score}
+- Critical Failures: 0
+- Major Failures: 0
+- Recommendation: publish`;
+  }
+
+  /**
+   * Firewall span rewrite: one sentence from the bank per sentence in the passage
+   */
+  synthesizeRewrite(passage, rng) {
+    const count = passage.split(/(?<=[.!?])\s+/).length;
+    const sentences = [];
+    for (let i = 0; i < count; i++) {
+      sentences.push(rng.pick(MIDDLES));
+    }
+    return sentences.join(' ');
+  }
+
+  synthesizeProse(prompt, params, rng) {
+    const targetMatch = prompt.match(/EXACTLY\s+\**\s*(\d+)\s+WORDS/i)
+      || prompt.match(/Target Length\**:\s*(\d+)\s+words/i)
+      || prompt.match(/(\d{3,5})\s+words/i);
+
+    let targetWords = targetMatch ? parseInt(targetMatch[1], 10) : 400;
+    if (params.max_tokens) {
+      targetWords = Math.min(targetWords, Math.floor(params.max_tokens * 0.7));
+    }
+
+    const paragraphs = [];
+    let words = 0;
+    let paragraph = [rng.pick(OPENINGS)];
+
+    while (words < targetWords) {
+      const sentence = rng.pick(MIDDLES);
+      paragraph.push(sentence);
+      words += sentence.split(/\s+/).length;
+
+      if (paragraph.length >= rng.int(4, 6)) {
+        paragraphs.push(paragraph.join(' '));
+        paragraph = [];
+      }
+    }
+
+    paragraph.push(rng.pick(CLOSINGS));
+    paragraphs.push(paragraph.join(' '));
+
+    return paragraphs.join('\n\n');
+  }
+}
+
+module.exports = MockProvider;
@@ -3,9 +3,13 @@
  * Checks generated prose against state to detect contradictions
  *
  * Purpose: Enforce hard constraints that prose must respect state,
- * preventing retcons, knowledge inconsistencies, and untraced escalations.
+ * preventing retcons, knowledge inconsistencies, untraced escalations,
+ * and the narrator using items they lost or never had.
  */
 
+const EntityRegistry = require('../services/entityRegistry');
+const Inventory = require('../services/inventory');
+
 class ConstraintEnforcer {
   constructor(stateManager) {
     this.stateManager = stateManager;
@@ -285,7 +289,9 @@ class ConstraintEnforcer {
 
   /**
    * Check for escalation traceability
-   * Verifies new entity behaviors trace to state
+   * Verifies new entity behaviors trace to state: the entity showing a behavior
+   * (the registered entity named in the same sentence, or any entity) must have
+   * gained the capability, and the registry must record what caused it
    *
    * @param {string} generatedProse - Story text to check
    * @returns {object} Check result with untraced escalations
@@ -298,8 +304,8 @@ class ConstraintEnforcer {
       return { passed: true, untracedEscalations: [] };
     }
 
-    const capabilities = state.canonical_state.entity_capabilities;
-    const flags = state.canonical_state.irreversible_flags;
+    const canonical = state.canonical_state;
+    const entities = canonical.entities?.entities || [];
 
     // Check 1: Entity behaviors that should require capabilities
     const behaviorChecks = [
@@ -339,20 +345,47 @@ class ConstraintEnforcer {
 
     for (const check of behaviorChecks) {
       for (const pattern of check.patterns) {
-        if (pattern.test(generatedProse)) {
-          // Behavior detected - check if capability exists
-          if (!capabilities[check.requiredCapability]) {
-            untracedEscalations.push({
-              type: 'missing_capability',
-              severity: 'critical',
-              behavior: check.behavior,
-              description: check.description,
-              required_capability: check.requiredCapability,
-              detected_text: generatedProse.match(pattern)[0]
-            });
-          }
-          break;
+        const match = generatedProse.match(pattern);
+        if (!match) continue;
+
+        // Behavior detected - check which entity has the capability and why
+        const holders = EntityRegistry.withCapability(canonical, check.requiredCapability);
+        const sentence = sentenceAround(generatedProse, match.index).toLowerCase();
+        const named = entities.filter(e => e.entity_name && sentence.includes(e.entity_name.toLowerCase()));
+        const actor = named.length > 0 ? holders.find(h => named.includes(h.entity)) : holders[0];
+
+        if (holders.length === 0) {
+          untracedEscalations.push({
+            type: 'missing_capability',
+            severity: 'critical',
+            behavior: check.behavior,
+            description: check.description,
+            required_capability: check.requiredCapability,
+            detected_text: match[0]
+          });
+        } else if (!actor) {
+          untracedEscalations.push({
+            type: 'misattributed_capability',
+            severity: 'critical',
+            behavior: check.behavior,
+            description: `${named.map(EntityRegistry.label).join(', ')} shows ${check.behavior}, but only ${holders.map(h => EntityRegistry.label(h.entity)).join(', ')} gained ${check.requiredCapability}`,
+            required_capability: check.requiredCapability,
+            entity_id: named[0].entity_id,
+            detected_text: match[0]
+          });
+        } else if (!actor.record.caused_by_rule && actor.record.source !== 'unattributed') {
+          untracedEscalations.push({
+            type: 'untraced_capability',
+            severity: 'major',
+            behavior: check.behavior,
+            description: `${EntityRegistry.label(actor.entity)} has ${check.requiredCapability}, but no rule violation explains how it was gained`,
+            required_capability: check.requiredCapability,
+            entity_id: actor.entity.entity_id,
+            detected_text: match[0],
+            suggestion: 'Entity capabilities should be gained through rule violations'
+          });
         }
+        break;
       }
     }
 
@@ -409,6 +442,70 @@ class ConstraintEnforcer {
     };
   }
 
+  /**
+   * Check for possession continuity violations
+   * Detects the narrator using an item the state records as lost or destroyed
+   * (after the prose describes the loss, when it does), or a common item the
+   * story never gave them. A lost item used by someone the prose does not
+   * name as the narrator is only a major issue.
+   *
+   * @param {string} generatedProse - Story text to check
+   * @returns {object} Check result with issues
+   */
+  checkPossessionContinuity(generatedProse) {
+    const issues = [];
+    const state = this.stateManager.getState();
+
+    if (!state) {
+      return { passed: true, issues: [] };
+    }
+
+    const {
+      lost_items_used: lostUsed,
+      unattributed_items_used: unattributed,
+      unacquired_items_used: unacquired
+    } = Inventory.check(state.canonical_state, generatedProse);
+
+    lostUsed.forEach(use => {
+      const when = use.scene !== null ? ` in scene ${use.scene}` : use.chunk !== null ? ` in chunk ${use.chunk}` : '';
+      issues.push({
+        type: 'lost_item_used',
+        severity: 'critical',
+        description: `Narrator uses ${use.item}, but it was ${use.event}${when}`,
+        item: use.item,
+        detected_text: use.detected_text,
+        suggestion: 'Lost items stay lost unless the story has the narrator find them again'
+      });
+    });
+
+    unattributed.forEach(use => {
+      issues.push({
+        type: 'unattributed_lost_item_used',
+        severity: 'major',
+        description: `A ${use.item} is used, but the narrator's was ${use.event}; check whose it is`,
+        item: use.item,
+        detected_text: use.detected_text,
+        suggestion: 'Make clear the item belongs to another character, or keep it lost'
+      });
+    });
+
+    unacquired.forEach(use => {
+      issues.push({
+        type: 'unacquired_item_used',
+        severity: 'major',
+        description: `Narrator uses a ${use.item} the story never gave them`,
+        item: use.item,
+        detected_text: use.detected_text,
+        suggestion: 'Show the narrator picking up or carrying an item before they use it'
+      });
+    });
+
+    return {
+      passed: issues.length === 0,
+      issues: issues
+    };
+  }
+
   /**
    * Enforce all constraints
    * Run all checks and return comprehensive results
@@ -422,22 +519,26 @@ class ConstraintEnforcer {
     const results = {
       noRetcon: this.checkNoRetcon(generatedProse),
       knowledge: this.checkKnowledgeConsistency(generatedProse),
-      escalation: this.checkEscalationTraceability(generatedProse)
+      escalation: this.checkEscalationTraceability(generatedProse),
+      possessions: this.checkPossessionContinuity(generatedProse)
     };
 
     const allPassed =
       results.noRetcon.passed &&
       results.knowledge.passed &&
-      results.escalation.passed;
+      results.escalation.passed &&
+      results.possessions.passed;
 
     const totalViolations =
       results.noRetcon.violations.length +
       results.knowledge.issues.length +
-      results.escalation.untracedEscalations.length;
+      results.escalation.untracedEscalations.length +
+      results.possessions.issues.length;
 
     console.log(`   No-Retcon: ${results.noRetcon.passed ? '✅ PASS' : '❌ FAIL'} (${results.noRetcon.violations.length} violations)`);
     console.log(`   Knowledge: ${results.knowledge.passed ? '✅ PASS' : '❌ FAIL'} (${results.knowledge.issues.length} issues)`);
     console.log(`   Escalation: ${results.escalation.passed ? '✅ PASS' : '❌ FAIL'} (${results.escalation.untracedEscalations.length} issues)`);
+    console.log(`   Possessions: ${results.possessions.passed ? '✅ PASS' : '❌ FAIL'} (${results.possessions.issues.length} issues)`);
 
     if (allPassed) {
       console.log('✅ All constraints passed\n');
@@ -474,6 +575,10 @@ class ConstraintEnforcer {
       count += results.escalation.untracedEscalations.filter(e => e.severity === 'critical').length;
     }
 
+    if (results.possessions.issues) {
+      count += results.possessions.issues.filter(i => i.severity === 'critical').length;
+    }
+
     return count;
   }
 
@@ -495,8 +600,21 @@ class ConstraintEnforcer {
       count += results.escalation.untracedEscalations.filter(e => e.severity === 'major').length;
     }
 
+    if (results.possessions.issues) {
+      count += results.possessions.issues.filter(i => i.severity === 'major').length;
+    }
+
     return count;
   }
 }
 
+/**
+ * The sentence a match sits in (for finding which entity it is about)
+ */
+function sentenceAround(text, index) {
+  const start = Math.max(text.lastIndexOf('.', index), text.lastIndexOf('!', index), text.lastIndexOf('?', index), text.lastIndexOf('\n', index)) + 1;
+  const ends = ['.', '!', '?', '\n'].map(c => text.indexOf(c, index)).filter(i => i !== -1);
+  return text.slice(start, ends.length > 0 ? Math.min(...ends) + 1 : text.length);
+}
+
 module.exports = ConstraintEnforcer;
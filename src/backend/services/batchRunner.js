@@ -0,0 +1,456 @@
+/**
+ * Batch Runner Service
+ * Queue many full generations and run them with a concurrency limit
+ *
+ * A batch request is a list of userInput objects and/or a parameter matrix
+ * (e.g. locations × themes × exit conditions). Every item runs through
+ * Orchestrator.executeWorkflow; the batch manifest at
+ * generated/batches/<batchId>/batch_manifest.json links each session ID to
+ * its parameters, grade and token cost, and is rewritten as items finish.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const ClaudeClient = require('../api/claudeClient');
+const { loadApiConfig } = require('../api/providers');
+
+const MANIFEST_FILENAME = 'batch_manifest.json';
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+const MAX_BATCH_ITEMS = 200;
+
+// Template-backed userInput fields -> getAvailableOptions() keys
+const TEMPLATE_FIELDS = {
+  location: 'locations',
+  thematicFocus: 'themes',
+  entryCondition: 'entryConditions',
+  discoveryMethod: 'discoveryMethods',
+  completenessPattern: 'completenessPatterns',
+  violationResponse: 'violationResponses',
+  endingType: 'exitConditions'
+};
+
+class BatchRunner {
+  /**
+   * @param {Orchestrator} orchestrator - Runs each item (executeWorkflow, fillDefaults)
+   * @param {object} options - { baseDir }
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.baseDir = options.baseDir || process.env.SESSIONS_DIR || path.join(process.cwd(), 'generated');
+    this.batchesDir = path.join(this.baseDir, 'batches');
+    this.writeQueues = new Map(); // batchId -> pending manifest write
+    this.activeMeters = new Map(); // sessionId -> usage meter of a running item
+  }
+
+  getBatchDir(batchId) {
+    return path.join(this.batchesDir, batchId);
+  }
+
+  getManifestPath(batchId) {
+    return path.join(this.getBatchDir(batchId), MANIFEST_FILENAME);
+  }
+
+  /**
+   * Generate unique batch ID (same shape as session IDs)
+   */
+  generateBatchId() {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    return `batch-${timestamp}-${uuidv4().slice(0, 8)}`;
+  }
+
+  /**
+   * Validate a batch request, expand it into items and write the queued manifest
+   *
+   * @param {object} request - { items?, matrix?, base?, limit?, concurrency?, tokenBudget?, cassette? }
+   *   items: userInput objects; matrix: { field: [values] | '*' }; base: shared parameters
+   * @returns {Promise<object>} Manifest (status 'queued')
+   * @throws {Error} code INVALID_INPUT, with .errors
+   */
+  async prepare(request = {}) {
+    const errors = [];
+
+    // Template options per pack ('*' in the matrix expands from the base pack)
+    const optionsByPack = new Map();
+    const getOptions = async (packName) => {
+      const key = packName || '';
+      if (!optionsByPack.has(key)) {
+        optionsByPack.set(key, await this.orchestrator.getAvailableOptions(packName).catch(error => {
+          if (error.code === 'INVALID_TEMPLATE_PACK') return null;
+          throw error;
+        }));
+      }
+      return optionsByPack.get(key);
+    };
+    const options = await getOptions(request.base?.templatePack) || await getOptions(null);
+
+    const concurrency = request.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(request.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+      errors.push(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+    }
+
+    const tokenBudget = request.tokenBudget === undefined || request.tokenBudget === null
+      ? null
+      : Number(request.tokenBudget);
+    if (tokenBudget !== null && (!Number.isInteger(tokenBudget) || tokenBudget < 1)) {
+      errors.push('tokenBudget must be a positive integer');
+    }
+
+    if (request.items !== undefined && !Array.isArray(request.items)) {
+      errors.push('items must be an array of generation parameters');
+    }
+
+    let inputs = [...(Array.isArray(request.items) ? request.items : [])];
+    if (request.matrix !== undefined) {
+      inputs = inputs.concat(this.expandMatrix(request.matrix, options, errors));
+    }
+
+    // Shared parameters apply to every item; an item's own values win
+    if (request.base !== undefined) {
+      if (!request.base || typeof request.base !== 'object' || Array.isArray(request.base)) {
+        errors.push('base must be an object of generation parameters');
+      } else {
+        inputs = inputs.map(input => (input && typeof input === 'object' && !Array.isArray(input))
+          ? { ...request.base, ...input }
+          : input);
+      }
+    }
+
+    if (request.limit !== undefined) {
+      const limit = Number(request.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        errors.push('limit must be a positive integer');
+      } else {
+        inputs = inputs.slice(0, limit);
+      }
+    }
+
+    if (inputs.length === 0 && errors.length === 0) {
+      errors.push('Batch needs at least one item (items or matrix)');
+    }
+    if (inputs.length > MAX_BATCH_ITEMS) {
+      errors.push(`Batch has ${inputs.length} items; the maximum is ${MAX_BATCH_ITEMS} (use limit)`);
+    }
+
+    for (const [index, input] of inputs.entries()) {
+      if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`Item ${index}: must be an object`);
+        continue;
+      }
+      for (const message of this.orchestrator.validateInput(input).errors) {
+        errors.push(`Item ${index}: ${message}`);
+      }
+
+      const itemOptions = await getOptions(input.templatePack);
+      if (!itemOptions) {
+        errors.push(`Item ${index}: unknown or invalid template pack "${input.templatePack}"`);
+        continue;
+      }
+      for (const [field, optionKey] of Object.entries(TEMPLATE_FIELDS)) {
+        if (input[field] && !itemOptions[optionKey].includes(input[field])) {
+          errors.push(`Item ${index}: unknown ${field} "${input[field]}"`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid batch request: ${errors[0]}`);
+      error.code = 'INVALID_INPUT';
+      error.errors = errors;
+      throw error;
+    }
+
+    const batchId = this.generateBatchId();
+    const createdAt = new Date().toISOString();
+    const items = [];
+
+    console.log(`\n📦 Preparing batch ${batchId} (${inputs.length} items)`);
+    for (const [index, input] of inputs.entries()) {
+      // Fill random defaults now so the manifest records the exact parameters
+      const params = await this.orchestrator.fillDefaults(input);
+      items.push({
+        index,
+        sessionId: this.orchestrator.generateSessionId(),
+        status: 'queued',
+        params,
+        grade: null,
+        qualityScore: null,
+        wordCount: null,
+        usage: null,
+        costUsd: null,
+        error: null,
+        startedAt: null,
+        finishedAt: null
+      });
+    }
+
+    const manifest = {
+      batchId,
+      status: 'queued',
+      createdAt,
+      updatedAt: createdAt,
+      finishedAt: null,
+      concurrency,
+      tokenBudget,
+      cassette: request.cassette || null,
+      budgetExhausted: false,
+      totals: null,
+      items
+    };
+    manifest.totals = this.summarize(manifest);
+
+    await this.persist(manifest);
+    return manifest;
+  }
+
+  /**
+   * Expand a parameter matrix into the cross product of its values
+   * '*' expands to every option of a template-backed field.
+   */
+  expandMatrix(matrix, options, errors) {
+    if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+      errors.push('matrix must be an object of { field: [values] }');
+      return [];
+    }
+
+    let combinations = [{}];
+    for (const [field, spec] of Object.entries(matrix)) {
+      let values = spec;
+      if (spec === '*') {
+        if (!TEMPLATE_FIELDS[field]) {
+          errors.push(`matrix.${field}: "*" only applies to ${Object.keys(TEMPLATE_FIELDS).join(', ')}`);
+          continue;
+        }
+        values = options[TEMPLATE_FIELDS[field]];
+      }
+      if (!Array.isArray(values) || values.length === 0) {
+        errors.push(`matrix.${field} must be a non-empty array or "*"`);
+        continue;
+      }
+      combinations = combinations.flatMap(combo => values.map(value => ({ ...combo, [field]: value })));
+
+      // Fail early instead of building an enormous cross product
+      if (combinations.length > MAX_BATCH_ITEMS * 50) {
+        errors.push(`matrix expands to more than ${MAX_BATCH_ITEMS * 50} combinations`);
+        return [];
+      }
+    }
+
+    return combinations;
+  }
+
+  /**
+   * Run every queued item with the batch's concurrency and token budget
+   * The budget is a soft limit: it is checked before each item starts,
+   * counting the tokens running items have spent so far. Once it is spent,
+   * items not yet started are skipped; items already running finish
+   * normally, so the batch can overrun the budget by what they still use.
+   *
+   * @param {object} manifest - Manifest from prepare()
+   * @returns {Promise<object>} Final manifest
+   */
+  async run(manifest) {
+    manifest.status = 'running';
+    await this.persist(manifest);
+
+    console.log(`📦 Running batch ${manifest.batchId}: ${manifest.items.length} items, concurrency ${manifest.concurrency}` +
+      (manifest.tokenBudget ? `, budget ${manifest.tokenBudget} tokens` : ''));
+
+    let next = 0;
+    const worker = async () => {
+      while (next < manifest.items.length) {
+        const item = manifest.items[next++];
+        if (item.status !== 'queued') continue;
+
+        if (this.isBudgetExhausted(manifest)) {
+          manifest.budgetExhausted = true;
+          item.status = 'skipped';
+          item.error = 'Token budget exhausted';
+          await this.persist(manifest);
+          continue;
+        }
+
+        await this.runItem(manifest, item);
+      }
+    };
+
+    await Promise.all(Array.from({ length: manifest.concurrency }, worker));
+
+    manifest.status = 'complete';
+    manifest.finishedAt = new Date().toISOString();
+    await this.persist(manifest);
+
+    const { complete, failed, skipped, costUsd } = manifest.totals;
+    console.log(`📦 Batch ${manifest.batchId} finished: ${complete} complete, ${failed} failed, ${skipped} skipped ($${costUsd})`);
+    return manifest;
+  }
+
+  /**
+   * Run a single item under its own usage meter
+   */
+  async runItem(manifest, item) {
+    item.status = 'running';
+    item.startedAt = new Date().toISOString();
+    await this.persist(manifest);
+
+    console.log(`\n📦 [${manifest.batchId}] Item ${item.index + 1}/${manifest.items.length}: ${item.sessionId}`);
+
+    const meter = ClaudeClient.createUsageMeter();
+    this.activeMeters.set(item.sessionId, meter);
+    try {
+      const result = await this.orchestrator.claudeClient.runWithUsageMeter(meter, () =>
+        this.orchestrator.executeWorkflow(item.params, {
+          sessionId: item.sessionId,
+          cassette: {
+            mode: item.params.cassette || manifest.cassette,
+            sourceSessionId: item.params.replaySessionId
+          }
+        })
+      );
+
+      if (result && result.success) {
+        item.status = 'complete';
+        item.grade = result.summary.grade;
+        item.qualityScore = result.summary.qualityScore;
+        item.wordCount = result.summary.wordCount;
+        item.downloadUrl = `/api/download/${item.sessionId}`;
+      } else {
+        item.status = 'failed';
+        item.error = (result && result.error) ? result.error : 'Unknown generation error';
+        item.failureStage = result?.failureStage || null;
+      }
+    } catch (error) {
+      item.status = 'failed';
+      item.error = error.message;
+      console.error(`❌ Batch item ${item.sessionId} failed: ${error.message}`);
+    } finally {
+      this.activeMeters.delete(item.sessionId);
+    }
+
+    item.usage = { calls: meter.calls, inputTokens: meter.inputTokens, outputTokens: meter.outputTokens };
+    const cost = this.estimateCost(meter);
+    item.costUsd = cost.costUsd;
+    if (cost.unpricedModels.length > 0) {
+      item.unpricedModels = cost.unpricedModels;
+    }
+    item.finishedAt = new Date().toISOString();
+    await this.persist(manifest);
+  }
+
+  /**
+   * Whether finished and running items together have spent the token budget
+   */
+  isBudgetExhausted(manifest) {
+    if (!manifest.tokenBudget) return false;
+    const totals = this.summarize(manifest);
+    let spent = totals.inputTokens + totals.outputTokens;
+
+    for (const item of manifest.items) {
+      const meter = item.status === 'running' && this.activeMeters.get(item.sessionId);
+      if (meter) {
+        spent += meter.inputTokens + meter.outputTokens;
+      }
+    }
+
+    return spent >= manifest.tokenBudget;
+  }
+
+  /**
+   * Price a usage meter with config.json api.pricing ($ per million tokens)
+   *
+   * @returns {{costUsd: number, unpricedModels: string[]}}
+   */
+  estimateCost(meter) {
+    const pricing = loadApiConfig().pricing || {};
+    const unpricedModels = [];
+    let cost = 0;
+
+    for (const [model, usage] of Object.entries(meter.byModel)) {
+      const price = pricing[model];
+      if (!price) {
+        unpricedModels.push(model);
+        continue;
+      }
+      cost += (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+    }
+
+    return { costUsd: Math.round(cost * 10000) / 10000, unpricedModels };
+  }
+
+  /**
+   * Aggregate item statuses, grades, tokens and cost
+   */
+  summarize(manifest) {
+    const totals = {
+      items: manifest.items.length,
+      queued: 0,
+      running: 0,
+      complete: 0,
+      failed: 0,
+      skipped: 0,
+      grades: {},
+      calls: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      costUsd: 0
+    };
+
+    for (const item of manifest.items) {
+      totals[item.status]++;
+      if (item.grade) {
+        totals.grades[item.grade] = (totals.grades[item.grade] || 0) + 1;
+      }
+      if (item.usage) {
+        totals.calls += item.usage.calls;
+        totals.inputTokens += item.usage.inputTokens;
+        totals.outputTokens += item.usage.outputTokens;
+      }
+      totals.costUsd += item.costUsd || 0;
+    }
+    totals.costUsd = Math.round(totals.costUsd * 10000) / 10000;
+
+    return totals;
+  }
+
+  /**
+   * Load a batch manifest
+   *
+   * @param {string} batchId - Batch identifier
+   * @returns {Promise<object|null>} Manifest, or null if the batch does not exist
+   */
+  async loadManifest(batchId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getManifestPath(batchId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh totals and write the manifest atomically (temp file + rename)
+   * Writes are serialized per batch so concurrent items never race.
+   */
+  async persist(manifest) {
+    manifest.totals = this.summarize(manifest);
+    manifest.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(manifest, null, 2);
+
+    const { batchId } = manifest;
+    const filepath = this.getManifestPath(batchId);
+    const previous = this.writeQueues.get(batchId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const tempPath = `${filepath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(filepath), { recursive: true });
+      await fs.writeFile(tempPath, snapshot, 'utf-8');
+      await fs.rename(tempPath, filepath);
+    }).catch(error => {
+      console.error(`[BatchRunner] Manifest write failed for ${batchId}: ${error.message}`);
+    });
+    this.writeQueues.set(batchId, next);
+    return next;
+  }
+}
+
+module.exports = BatchRunner;
@@ -12,6 +12,7 @@ const ChunkPersistence = require('../../generators/chunkPersistence');
 const DebugLogger = require('../../utils/debugLogger');
 const CanonDeltaExtractor = require('../../generators/canonDeltaExtractor');
 const StateUpdater = require('../../generators/stateUpdater');
+const NarrativeFirewall = require('../../validators/narrativeFirewall');
 
 class CheckpointManager {
   constructor(storyGenerator, stateManager, claudeClient) {
@@ -29,6 +30,7 @@ class CheckpointManager {
     this.debugLogger = null;
     this.deltaExtractor = null;
     this.stateUpdater = null;
+    this.firewall = null;
   }
 
   /**
@@ -37,23 +39,29 @@ class CheckpointManager {
    * @param {object} userParams - User story parameters
    * @param {number} targetWordCount - Total desired story length
    * @param {string} sessionId - Session ID for file organization
+   * @param {object|null} resume - { chunks } already generated and verified (see loadResumePoint)
    * @returns {object} Complete story data with chunk metadata
    */
-  async generateChunkedStory(userParams, targetWordCount, sessionId) {
+  async generateChunkedStory(userParams, targetWordCount, sessionId, resume = null) {
     // Initialize per-session modules
     this.chunkPersistence = new ChunkPersistence();
-    this.debugLogger = new DebugLogger(sessionId);
+    this.debugLogger = new DebugLogger(sessionId, { append: Boolean(resume) });
     this.deltaExtractor = new CanonDeltaExtractor(this.claudeClient);
     this.stateUpdater = new StateUpdater(this.stateManager);
+    this.firewall = new NarrativeFirewall(this.claudeClient, {
+      lexicon: await this.storyGenerator.getTemplateLoader().loadFirewallLexicon(),
+      location: userParams.location
+    });
 
     // Initialize debug logger
     await this.debugLogger.initialize();
 
-    await this.debugLogger.start('Starting chunked generation', {
+    await this.debugLogger.start(resume ? 'Resuming chunked generation' : 'Starting chunked generation', {
       sessionId: sessionId,
       targetWordCount: targetWordCount,
       chunkSize: this.CHUNK_SIZE,
-      version: this.CHECKPOINT_VERSION
+      version: this.CHECKPOINT_VERSION,
+      resumedChunks: resume ? resume.chunks.length : 0
     });
 
     console.log(`\n[CHECKPOINT] ============================================`);
@@ -72,12 +80,19 @@ class CheckpointManager {
     await fs.mkdir(chunksDir, { recursive: true });
     console.log(`[CHECKPOINT] ✅ Chunks directory created\n`);
 
-    const chunks = [];
-    let currentWordCount = 0;
-    let sceneNumber = 1;
-    let previousProse = '';
+    const chunks = resume ? [...resume.chunks] : [];
+    let currentWordCount = chunks.reduce((sum, c) => sum + c.wordCount, 0);
+    let sceneNumber = chunks.length + 1;
+    let previousProse = chunks.length > 0 ? chunks[chunks.length - 1].prose : '';
     let partialOutputSaved = false;
 
+    if (resume) {
+      console.log(`[CHECKPOINT] Resuming after scene ${chunks.length} (${currentWordCount}/${targetWordCount} words)\n`);
+    } else {
+      // State before scene 1, so the whole story can be rolled back
+      await this.chunkPersistence.saveStateSnapshot(sessionId, 0, this.stateManager.getState());
+    }
+
     try {
       while (currentWordCount < targetWordCount) {
         const remainingWords = targetWordCount - currentWordCount;
@@ -120,6 +135,23 @@ class CheckpointManager {
           console.log(`[CHECKPOINT]    Word count: ${chunk.wordCount} words`);
           console.log(`[CHECKPOINT]    Prose preview: "${chunk.prose.substring(0, 100)}..."`);
 
+          // STEP 1b: Narrative firewall - rewrite the sentences that leak meta-language before saving
+          const gated = await this.firewall.gate(chunk.prose);
+          if (gated.report.status === 'clean') {
+            console.log(`[CHECKPOINT] ✅ Firewall: no meta-language`);
+          } else {
+            chunk.prose = gated.text;
+            chunk.wordCount = this.countWords(chunk.prose);
+
+            console.log(`[CHECKPOINT] 🛡️  Firewall: ${gated.report.violations_found} violation(s), ${gated.report.rewrites.length} span(s) rewritten, ${gated.report.violations_remaining} remaining`);
+            await this.debugLogger.info('firewall', 'Meta-language rewritten', {
+              chunk: sceneNumber,
+              violationsFound: gated.report.violations_found,
+              violationsRemaining: gated.report.violations_remaining,
+              rewrites: gated.report.rewrites.map(r => ({ terms: r.terms, before: r.before, after: r.after, error: r.error }))
+            });
+          }
+
           // STEP 2: Save chunk immediately with atomic write (CRITICAL)
           console.log(`\n[CHECKPOINT] STEP 2: Saving chunk ${sceneNumber} with atomic write...`);
 
@@ -143,7 +175,8 @@ class CheckpointManager {
             filePath: saveResult.filepath,
             filename: saveResult.filename,
             wordCount: chunk.wordCount,
-            savedAt: new Date().toISOString()
+            savedAt: new Date().toISOString(),
+            firewall: gated.report
           };
 
           chunks.push(chunkMetadata);
@@ -170,7 +203,7 @@ class CheckpointManager {
             if (extractResult.success) {
               // Convert to state manager format and apply
               const stateDelta = this.deltaExtractor.toStateManagerFormat(extractResult.delta);
-              const updateResult = this.stateUpdater.updateCanonicalState(stateDelta);
+              const updateResult = this.stateUpdater.updateCanonicalState(stateDelta, { prose: chunk.prose });
 
               deltaApplied = true;
               const deltaDuration = ((Date.now() - deltaStartTime) / 1000).toFixed(1);
@@ -206,11 +239,21 @@ class CheckpointManager {
             deltaApplied: deltaApplied
           });
 
-          // Save chunk manifest after each chunk (for recovery)
+          // Snapshot state, then the manifest, after each chunk (for resume)
+          const snapshotResult = await this.chunkPersistence.saveStateSnapshot(
+            sessionId,
+            sceneNumber,
+            this.stateManager.getState()
+          );
+          if (!snapshotResult.success) {
+            console.warn(`[CHECKPOINT] ⚠️  State snapshot failed (resume unavailable): ${snapshotResult.error}`);
+          }
+
           await this.chunkPersistence.saveChunkManifest(sessionId, chunks, {
             activeRules: this.stateManager.getActiveRules().length,
             violatedRules: this.stateManager.getViolatedRules().length,
-            entityCapabilities: Object.keys(this.stateManager.getEntityCapabilities()).length
+            entityCapabilities: Object.keys(this.stateManager.getEntityCapabilities()).length,
+            seed: userParams.seed
           });
 
           sceneNumber++;
@@ -322,7 +365,8 @@ class CheckpointManager {
         scene: c.sceneNumber,
         filename: c.filename,
         word_count: c.wordCount,
-        timestamp: c.savedAt || c.timestamp
+        timestamp: c.savedAt || c.timestamp,
+        ...(c.firewall ? { firewall: ChunkPersistence.firewallCounts(c.firewall) } : {})
       })),
       state_summary: this.stateUpdater ? this.stateUpdater.getStateSummary() : null
     };
@@ -366,6 +410,65 @@ class CheckpointManager {
     };
   }
 
+  /**
+   * Load everything needed to resume an interrupted chunked generation
+   *
+   * The state snapshot written after each chunk is the resume point: chunks
+   * 1..last_chunk must be intact, anything after it is regenerated.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {ChunkPersistence} chunkPersistence - Persistence to read from (defaults to generated/)
+   * @returns {Promise<object>} { sessionId, userParams, state, chunks, wordsCompleted, orphanedChunks }
+   */
+  static async loadResumePoint(sessionId, chunkPersistence = new ChunkPersistence()) {
+    const snapshot = await chunkPersistence.loadStateSnapshot(sessionId);
+    if (!snapshot) {
+      const error = new Error(`Session ${sessionId} has no state snapshot to resume from`);
+      error.code = 'NOT_RESUMABLE';
+      throw error;
+    }
+
+    const userParams = snapshot.state?.metadata?.user_parameters;
+    if (!userParams || !userParams.wordCount) {
+      const error = new Error(`State snapshot for ${sessionId} does not record the generation parameters`);
+      error.code = 'NOT_RESUMABLE';
+      throw error;
+    }
+
+    const manifest = await chunkPersistence.loadChunkManifest(sessionId);
+    const integrity = await chunkPersistence.verifyChunks(sessionId, snapshot.last_chunk, manifest);
+
+    if (!integrity.valid) {
+      const error = new Error(
+        `Chunk integrity check failed for ${sessionId}: ` +
+        integrity.issues.map(i => `chunk ${i.chunk} ${i.issue}`).join('; ')
+      );
+      error.code = 'CHUNK_INTEGRITY';
+      error.issues = integrity.issues;
+      throw error;
+    }
+
+    const chunks = integrity.chunks.map(c => ({
+      sceneNumber: c.number,
+      prose: c.text,
+      filePath: c.filepath,
+      filename: c.filename,
+      wordCount: c.wordCount,
+      savedAt: c.savedAt,
+      firewall: c.firewall
+    }));
+
+    return {
+      sessionId: sessionId,
+      userParams: userParams,
+      state: snapshot.state,
+      chunks: chunks,
+      wordsCompleted: chunks.reduce((sum, c) => sum + c.wordCount, 0),
+      targetWords: userParams.wordCount,
+      orphanedChunks: integrity.orphaned
+    };
+  }
+
   /**
    * Save partial output for recovery after failure
    *
@@ -612,7 +715,7 @@ EXTRACTED STATE CHANGES:
           role: 'user',
           content: extractionPrompt
         }]
-      });
+      }, 'Delta extraction');
 
       const apiDuration = ((Date.now() - apiStartTime) / 1000).toFixed(1);
       console.log(`[CHECKPOINT]    → Delta extraction API call completed in ${apiDuration}s`);
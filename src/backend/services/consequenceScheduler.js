@@ -0,0 +1,244 @@
+/**
+ * Consequence Scheduler Service
+ * Queues the delayed consequences of rule violations and fires them later
+ *
+ * Each delayed consequence fires on the trigger set by its catalog entry
+ * (consequences.yaml `delay`): N scenes after the violation, on the next
+ * violation of any rule, or at the next act transition. The queue lives in
+ * canonical_state.scheduled_consequences so it survives state snapshots and
+ * resume; firing goes through StateManager.applyConsequence().
+ *
+ * Triggers are reported after a scene has been written, so a consequence
+ * fired then is paid off in the following scene (payoff_scene).
+ */
+
+const DEFAULT_DELAY = { trigger: 'scenes', scenes: 1 };
+
+class ConsequenceScheduler {
+  /**
+   * @param {StateManager} stateManager - State the queue is stored in and applied to
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  /**
+   * Queue stored in state (created on first use, e.g. for older snapshots)
+   *
+   * @returns {object} { current_scene, current_act, pending, fired }
+   */
+  getQueue() {
+    const state = this.stateManager.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    if (!state.canonical_state.scheduled_consequences) {
+      state.canonical_state.scheduled_consequences = ConsequenceScheduler.createQueue();
+    }
+    return state.canonical_state.scheduled_consequences;
+  }
+
+  /**
+   * Empty queue for a new state
+   */
+  static createQueue() {
+    return {
+      current_scene: null,
+      current_act: null,
+      pending: [],
+      fired: []
+    };
+  }
+
+  /**
+   * A rule was violated: fire consequences waiting for the next violation,
+   * then queue this rule's delayed consequences
+   *
+   * A delayed id that cannot be scheduled (e.g. not in the catalog) is logged
+   * and returned in failed, like a failed immediate consequence; the others
+   * are still queued.
+   *
+   * @param {object} rule - Violated rule
+   * @param {number|null} sceneNumber - Scene the violation happened in
+   * @returns {{fired: Array, scheduled: Array, failed: Array<{consequence, error}>}} Queue entries
+   */
+  onViolation(rule, sceneNumber = null) {
+    const fired = this.fireWhere(entry => entry.trigger.trigger === 'next_violation', sceneNumber,
+      `violation of ${rule.rule_id}`);
+
+    const delayed = (rule.consequences && rule.consequences.delayed) || [];
+    const scheduled = [];
+    const failed = [];
+    delayed.forEach(consequence => {
+      try {
+        scheduled.push(this.schedule(rule.rule_id, consequence, sceneNumber));
+      } catch (error) {
+        console.error(`Failed to schedule delayed consequence "${consequence}":`, error.message);
+        failed.push({ consequence, error: error.message });
+      }
+    });
+
+    return { fired, scheduled, failed };
+  }
+
+  /**
+   * The story moved to a new act: fire consequences waiting for it
+   *
+   * @param {string} act - New act name
+   * @param {number|null} sceneNumber - Scene the transition happened in
+   * @returns {Array} Fired queue entries
+   */
+  onActTransition(act, sceneNumber = null) {
+    const queue = this.getQueue();
+    if (!act || act === queue.current_act) {
+      return [];
+    }
+
+    const previous = queue.current_act;
+    queue.current_act = act;
+
+    // The first act reported is where the story starts, not a transition
+    if (previous === null) {
+      return [];
+    }
+
+    return this.fireWhere(entry => entry.trigger.trigger === 'act_transition', sceneNumber,
+      `act transition ${previous} -> ${act}`);
+  }
+
+  /**
+   * The story is about to be written up to sceneNumber: fire consequences due by then
+   *
+   * @param {number} sceneNumber - Next scene to be written
+   * @returns {Array} Fired queue entries
+   */
+  advanceToScene(sceneNumber) {
+    const queue = this.getQueue();
+    queue.current_scene = sceneNumber;
+
+    // Scheduled before any scene number was known: count from the scene just written
+    queue.pending
+      .filter(entry => entry.trigger.trigger === 'scenes' && entry.due_scene === null)
+      .forEach(entry => { entry.due_scene = sceneNumber - 1 + entry.trigger.scenes; });
+
+    return this.fireWhere(
+      entry => entry.trigger.trigger === 'scenes' && entry.due_scene !== null && entry.due_scene <= sceneNumber,
+      sceneNumber - 1,
+      `scene ${sceneNumber} reached`
+    );
+  }
+
+  /**
+   * Queue one delayed consequence
+   *
+   * @param {string} ruleId - Rule whose violation scheduled it
+   * @param {string} consequence - Consequence id
+   * @param {number|null} sceneNumber - Scene the violation happened in
+   * @returns {object} Queue entry
+   * @throws {Error} code UNKNOWN_CONSEQUENCE if the id is not in the catalog
+   */
+  schedule(ruleId, consequence, sceneNumber = null) {
+    const definition = this.stateManager.consequences.get(consequence);
+    if (!definition) {
+      const error = new Error(`Unknown consequence: ${consequence}`);
+      error.code = 'UNKNOWN_CONSEQUENCE';
+      throw error;
+    }
+
+    const queue = this.getQueue();
+    const trigger = { ...DEFAULT_DELAY, ...definition.delay };
+    if (trigger.trigger !== 'scenes') {
+      delete trigger.scenes;
+    }
+    const baseScene = sceneNumber !== null ? sceneNumber : queue.current_scene;
+
+    const entry = {
+      consequence,
+      description: definition.description,
+      rule_id: ruleId,
+      scheduled_at_scene: sceneNumber,
+      trigger,
+      due_scene: trigger.trigger === 'scenes' && baseScene !== null ? baseScene + trigger.scenes : null
+    };
+
+    queue.pending.push(entry);
+    console.log(`   ⏳ Scheduled ${consequence} (${ConsequenceScheduler.describeTrigger(entry)})`);
+    return entry;
+  }
+
+  /**
+   * Apply and move every pending entry matching a predicate
+   *
+   * @param {Function} predicate - Entry filter
+   * @param {number|null} sceneNumber - Scene the trigger happened in
+   * @param {string} reason - What fired them (for the delta log)
+   * @returns {Array} Fired entries
+   */
+  fireWhere(predicate, sceneNumber, reason) {
+    const queue = this.getQueue();
+    const due = queue.pending.filter(predicate);
+    if (due.length === 0) {
+      return [];
+    }
+
+    const fired = [];
+    for (const entry of due) {
+      queue.pending.splice(queue.pending.indexOf(entry), 1);
+
+      try {
+        this.stateManager.applyConsequence(entry.consequence, { cause: { rule_id: entry.rule_id, scene: sceneNumber } });
+      } catch (error) {
+        console.error(`Failed to apply delayed consequence "${entry.consequence}":`, error.message);
+        continue;
+      }
+
+      entry.fired_at_scene = sceneNumber;
+      entry.payoff_scene = sceneNumber !== null ? sceneNumber + 1 : null;
+      entry.fired_by = reason;
+      queue.fired.push(entry);
+      fired.push(entry);
+    }
+
+    if (fired.length > 0) {
+      this.stateManager.logDelta(sceneNumber, [
+        `Delayed consequences fired (${reason}): ${fired.map(e => e.consequence).join(', ')}`
+      ]);
+    }
+
+    return fired;
+  }
+
+  /**
+   * Consequences still waiting for their trigger
+   */
+  getPending() {
+    return this.getQueue().pending;
+  }
+
+  /**
+   * Consequences fired for the scene about to be written
+   */
+  getDue() {
+    const queue = this.getQueue();
+    return queue.fired.filter(entry => entry.payoff_scene !== null && entry.payoff_scene === queue.current_scene);
+  }
+
+  /**
+   * Human-readable trigger of a queue entry
+   */
+  static describeTrigger(entry) {
+    switch (entry.trigger.trigger) {
+      case 'scenes':
+        return entry.due_scene !== null ? `due in scene ${entry.due_scene}` : `${entry.trigger.scenes} scene(s) after the violation`;
+      case 'next_violation':
+        return 'on the next rule violation';
+      case 'act_transition':
+        return 'at the next act transition';
+      default:
+        return entry.trigger.trigger;
+    }
+  }
+}
+
+module.exports = ConsequenceScheduler;
@@ -67,6 +67,11 @@ class ContractGenerator {
     // Generate rules using Claude
     const rules = await this.generateRules(userInput, locationDetails);
 
+    // Template pack the selections above were read from
+    const templatePack = await this.templateLoader.resolvePack(
+      userInput.templatePack || this.templateLoader.getActivePack()
+    );
+
     // Handle thematic focus based on thematicMode
     const thematicMode = userInput.thematicMode || 'engine_selects';
     let primaryTheme = userInput.thematicFocus;
@@ -89,7 +94,7 @@ class ContractGenerator {
     const contract = {
       version: '1.0',
       created_at: new Date().toISOString(),
-      session_id: `session-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}-${uuidv4().slice(0, 8)}`,
+      session_id: userInput.sessionId || `session-${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}-${uuidv4().slice(0, 8)}`,
 
       // Section 1: Identity Anchors
       identity_anchors: {
@@ -167,7 +172,9 @@ class ContractGenerator {
         chunk_size: 2000,
         chunk_count_estimate: Math.ceil(userInput.wordCount / 2000),
         skip_audit: userInput.skipAudit || false,
-        skip_refinement: userInput.skipRefinement || false
+        skip_refinement: userInput.skipRefinement || false,
+        seed: userInput.seed ?? null, // Reproduces the engine's default selections
+        template_pack: { name: templatePack.name, version: templatePack.version }
       },
 
       // Contract validation result
@@ -251,7 +258,7 @@ Return ONLY the JSON array, no other text.`;
         max_tokens: 2000,
         temperature: 0.7,
         messages: [{ role: 'user', content: prompt }]
-      });
+      }, 'Rule generation');
 
       const content = response.content[0].text;
 
@@ -0,0 +1,361 @@
+/**
+ * Entity Registry Service
+ * Keeps every horror entity of a story as its own record
+ *
+ * Each entity in canonical_state.entities.entities has an identity
+ * (entity_id, entity_name, entity_type), the capabilities it has gained
+ * (with the scene / chunk and the violated rule that caused each one), its
+ * appearance history and the rules that bind it. Both pipelines write it:
+ * StateManager (chunked) and StateTracker (staged) own a registry each.
+ *
+ * canonical_state.entity_capabilities stays as the union of every entity's
+ * capabilities, for rule interaction conditions and older readers. Capabilities
+ * reported without an entity go to the primary entity (the first one, created
+ * unnamed when needed and named by the first named appearance).
+ */
+
+const PRIMARY_ENTITY_LABEL = 'the entity';
+
+class EntityRegistry {
+  /**
+   * @param {object} owner - StateManager or StateTracker (anything with getState())
+   */
+  constructor(owner) {
+    this.owner = owner;
+  }
+
+  /**
+   * The entities section of the owner's state
+   *
+   * @returns {object} { entities, active_entity_count, total_entity_appearances }
+   */
+  getSection() {
+    const state = this.owner.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    return state.canonical_state.entities;
+  }
+
+  getEntities() {
+    return this.getSection().entities;
+  }
+
+  /**
+   * Find an entity by id or name (case-insensitive)
+   *
+   * @param {string} ref - entity_id or entity_name
+   * @returns {object|null} Entity record
+   */
+  getEntity(ref) {
+    return EntityRegistry.find(this.getEntities(), ref);
+  }
+
+  /**
+   * Entity that unattributed capabilities and bindings belong to
+   */
+  getPrimary() {
+    const entities = this.getEntities();
+    if (entities.length === 0) {
+      this.register({});
+    }
+    return entities[0];
+  }
+
+  /**
+   * Add an entity to the registry
+   *
+   * @param {object} fields - Entity fields (entity_name, entity_type, ...)
+   * @returns {object} New entity record
+   */
+  register(fields) {
+    const section = this.getSection();
+    const entity = EntityRegistry.createEntity({
+      entity_id: EntityRegistry.nextId(section.entities),
+      ...fields
+    });
+
+    section.entities.push(entity);
+    section.active_entity_count = section.entities.filter(e => e.current_status !== 'dormant').length;
+    return entity;
+  }
+
+  /**
+   * Entity for a reference, registered if it is new
+   * A named reference adopts the unnamed primary entity rather than adding a second one.
+   *
+   * @param {string|null} ref - entity_id or entity_name (null for the primary entity)
+   * @returns {{entity: object, created: boolean}}
+   */
+  resolve(ref) {
+    if (!ref) {
+      const created = this.getEntities().length === 0;
+      return { entity: this.getPrimary(), created };
+    }
+
+    const existing = this.getEntity(ref);
+    if (existing) {
+      return { entity: existing, created: false };
+    }
+
+    const unnamed = this.getEntities().find(e => !e.entity_name);
+    if (unnamed) {
+      unnamed.entity_name = ref;
+      return { entity: unnamed, created: false };
+    }
+
+    return { entity: this.register({ entity_name: ref }), created: true };
+  }
+
+  /**
+   * Record that an entity appeared
+   *
+   * @param {string|null} ref - entity_id or entity_name (null for the primary entity)
+   * @param {object} details - { chunk, scene, action, entity_type, status, threat_level, triggers }
+   * @returns {{entity: object, created: boolean}}
+   */
+  recordAppearance(ref, details = {}) {
+    const { entity, created } = this.resolve(ref);
+    const { chunk = null, scene = null, action = null } = details;
+
+    if (entity.appearances.length === 0) {
+      entity.first_appeared_chunk = entity.first_appeared_chunk ?? chunk;
+      entity.first_appeared_scene = entity.first_appeared_scene ?? scene;
+    }
+    entity.appearances.push({ chunk, scene, action });
+
+    if (action) entity.last_action = action;
+    if (details.entity_type) entity.entity_type = details.entity_type;
+    if (details.status) entity.current_status = details.status;
+    if (details.threat_level) entity.threat_level = details.threat_level;
+    (details.triggers || []).forEach(trigger => addUnique(entity.triggered_by, trigger));
+
+    const section = this.getSection();
+    section.total_entity_appearances++;
+    section.active_entity_count = section.entities.filter(e => e.current_status !== 'dormant').length;
+
+    return { entity, created };
+  }
+
+  /**
+   * Grant (or change) a capability of an entity
+   * Without an explicit cause, the capability is attributed to the latest rule
+   * violation of the same chunk / scene (or the latest violation at all when
+   * neither is known); with no violation it stays untraced (caused_by_rule null).
+   *
+   * @param {string|null} ref - entity_id or entity_name (null for the primary entity)
+   * @param {string} capability - Capability name
+   * @param {any} value - Capability value (boolean, string, object)
+   * @param {object} cause - { scene, chunk, rule_id, source } (rule_id null = known to be untraced)
+   * @returns {object} Capability record { value, gained_at_scene, gained_in_chunk, caused_by_rule, source }
+   */
+  addCapability(ref, capability, value, cause = {}) {
+    const { entity } = this.resolve(ref);
+    const { scene = null, chunk = null, source = null } = cause;
+    const state = this.owner.getState();
+
+    const record = {
+      value,
+      gained_at_scene: scene,
+      gained_in_chunk: chunk,
+      caused_by_rule: cause.rule_id !== undefined ? cause.rule_id : EntityRegistry.inferCause(state.canonical_state, { scene, chunk }),
+      source
+    };
+
+    entity.capabilities[capability] = record;
+    if (value) {
+      addUnique(entity.capabilities_revealed, capability);
+    }
+    state.canonical_state.entity_capabilities[capability] = value;
+
+    return record;
+  }
+
+  /**
+   * Record that a rule binds (restrains) an entity
+   *
+   * @param {string|null} ref - entity_id or entity_name (null for the primary entity)
+   * @param {string} ruleId - Rule identifier
+   * @returns {object} Entity record
+   */
+  bindRule(ref, ruleId) {
+    const { entity } = this.resolve(ref);
+    addUnique(entity.bound_by_rules, ruleId);
+    return entity;
+  }
+
+  /**
+   * Bind the primary entity to every rule whose violation would grant it a capability
+   * (the rule is what holds that capability back)
+   *
+   * @param {Array} rules - Rule objects
+   * @param {ConsequenceCatalog} catalog - Consequence definitions
+   * @returns {string[]} Rule ids bound
+   */
+  bindRulesByConsequences(rules, catalog) {
+    const bound = rules
+      .filter(rule => ['immediate', 'delayed', 'permanent'].some(timing =>
+        (rule.consequences?.[timing] || []).some(id => {
+          const capabilities = catalog.get(id)?.effects?.capabilities;
+          return capabilities && Object.keys(capabilities).length > 0;
+        })
+      ))
+      .map(rule => rule.rule_id);
+
+    bound.forEach(ruleId => this.bindRule(null, ruleId));
+    return bound;
+  }
+
+  /**
+   * Entity record with every field of the registry (unset fields at their defaults)
+   *
+   * @param {object} fields - Fields to set
+   * @returns {object} Entity record
+   */
+  static createEntity(fields = {}) {
+    return {
+      entity_id: null,
+      entity_name: null,
+      entity_type: 'unknown', // creature|force|presence|system
+      first_appeared_chunk: null,
+      first_appeared_scene: null,
+      current_status: 'observing',
+      threat_level: 'ambient',
+      last_action: null,
+      triggered_by: [],
+      capabilities_revealed: [],
+      capabilities: {},
+      appearances: [],
+      bound_by_rules: [],
+      ...fields
+    };
+  }
+
+  /**
+   * Bring an entities section up to the registry model
+   * Used by StateModel.migrate: entity records get ids and every field, and
+   * capabilities only known from the flat entity_capabilities map (or a staged
+   * capabilities_revealed list) are added to their entity as unattributed.
+   *
+   * @param {object} canonical - canonical_state (modified in place)
+   * @returns {object} canonical
+   */
+  static normalize(canonical) {
+    const section = canonical.entities;
+    const entities = [];
+
+    for (const stored of section.entities || []) {
+      const entity = EntityRegistry.createEntity({
+        ...stored,
+        entity_id: stored.entity_id || EntityRegistry.nextId(entities)
+      });
+
+      if (entity.appearances.length === 0 && entity.first_appeared_chunk !== null) {
+        entity.appearances.push({ chunk: entity.first_appeared_chunk, scene: entity.first_appeared_scene, action: entity.last_action });
+      }
+      entity.capabilities_revealed
+        .filter(capability => !entity.capabilities[capability])
+        .forEach(capability => { entity.capabilities[capability] = unattributed(true); });
+
+      entities.push(entity);
+    }
+
+    const attributed = new Set(entities.flatMap(e => Object.keys(e.capabilities)));
+    const orphaned = Object.entries(canonical.entity_capabilities || {}).filter(([capability]) => !attributed.has(capability));
+    if (orphaned.length > 0) {
+      if (entities.length === 0) {
+        entities.push(EntityRegistry.createEntity({ entity_id: EntityRegistry.nextId(entities) }));
+      }
+      orphaned.forEach(([capability, value]) => {
+        entities[0].capabilities[capability] = unattributed(value);
+        if (value) addUnique(entities[0].capabilities_revealed, capability);
+      });
+    }
+
+    section.entities = entities;
+    return canonical;
+  }
+
+  /**
+   * Find an entity by id or name (case-insensitive)
+   */
+  static find(entities, ref) {
+    if (!ref) return null;
+    const key = String(ref).toLowerCase();
+    return entities.find(e => e.entity_id === ref || (e.entity_name && e.entity_name.toLowerCase() === key)) || null;
+  }
+
+  /**
+   * Entities holding a capability (truthy value)
+   *
+   * @param {object} canonical - canonical_state
+   * @param {string} capability - Capability name
+   * @returns {Array<{entity: object, record: object}>}
+   */
+  static withCapability(canonical, capability) {
+    return (canonical.entities?.entities || [])
+      .filter(entity => entity.capabilities?.[capability]?.value)
+      .map(entity => ({ entity, record: entity.capabilities[capability] }));
+  }
+
+  /**
+   * Latest rule violation of a chunk / scene (the rule that caused a change made then)
+   *
+   * @param {object} canonical - canonical_state
+   * @param {object} at - { scene, chunk }
+   * @returns {string|null} rule_id
+   */
+  static inferCause(canonical, at = {}) {
+    const violations = canonical.irreversible_flags?.violations || [];
+    const candidates = violations.filter(v => {
+      if (at.chunk !== null && at.chunk !== undefined) return v.chunk === at.chunk;
+      if (at.scene !== null && at.scene !== undefined) return v.scene === at.scene;
+      return true;
+    });
+
+    return candidates.length > 0 ? candidates[candidates.length - 1].rule_id : null;
+  }
+
+  /**
+   * How an entity is referred to in prompts and reports
+   */
+  static label(entity) {
+    return entity.entity_name || PRIMARY_ENTITY_LABEL;
+  }
+
+  /**
+   * One line per gained capability, with where it came from
+   *
+   * @param {object} entity - Entity record
+   * @returns {string[]} e.g. "CAN imitate narrator (scene 3, after rule_2 was violated)"
+   */
+  static describeCapabilities(entity) {
+    return Object.entries(entity.capabilities).map(([capability, record]) => {
+      const status = record.value ? 'CAN' : 'CANNOT';
+      const when = record.gained_in_chunk !== null ? `chunk ${record.gained_in_chunk}`
+        : record.gained_at_scene !== null ? `scene ${record.gained_at_scene}` : null;
+      const why = record.caused_by_rule ? `after ${record.caused_by_rule} was violated` : 'cause not established';
+      return `${status} ${capability.replace(/^can_/, '').replace(/_/g, ' ')} (${[when, why].filter(Boolean).join(', ')})`;
+    });
+  }
+
+  static nextId(entities) {
+    const numbers = entities.map(e => parseInt(/^entity_(\d+)$/.exec(e.entity_id || '')?.[1], 10)).filter(n => !isNaN(n));
+    return `entity_${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+  }
+}
+
+EntityRegistry.PRIMARY_ENTITY_LABEL = PRIMARY_ENTITY_LABEL;
+
+function unattributed(value) {
+  return { value, gained_at_scene: null, gained_in_chunk: null, caused_by_rule: null, source: 'unattributed' };
+}
+
+function addUnique(list, value) {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+}
+
+module.exports = EntityRegistry;
@@ -6,6 +6,9 @@
  * If gate audit fails, generation STOPS until the issue is resolved
  */
 
+const StateModel = require('../utils/stateModel');
+const Inventory = require('./inventory');
+
 class GateAudit {
   constructor(claudeClient) {
     this.claudeClient = claudeClient;
@@ -19,12 +22,18 @@ class GateAudit {
    * @param {string} chunkText - The generated chunk text
    * @param {number} chunkNumber - Which chunk this is
    * @param {boolean} isFinal - Whether this is the final chunk
+   * @param {Object} options - { firewall }: NarrativeFirewall.gate() report for this chunk,
+   *   checked and stored with the audit
    * @returns {Object} - Audit result with pass/fail and reasons
    */
-  async auditChunk(contract, previousState, newState, chunkText, chunkNumber, isFinal = false) {
+  async auditChunk(contract, previousState, newState, chunkText, chunkNumber, isFinal = false, options = {}) {
     console.log(`🔍 Gate audit: Chunk ${chunkNumber}...`);
     const startTime = Date.now();
 
+    // States from older resume packs are compared in the current format
+    previousState = previousState && !StateModel.isCurrent(previousState) ? StateModel.migrate(previousState) : previousState;
+    newState = newState && !StateModel.isCurrent(newState) ? StateModel.migrate(newState) : newState;
+
     const results = {
       chunk_number: chunkNumber,
       timestamp: new Date().toISOString(),
@@ -42,8 +51,15 @@ class GateAudit {
       this.checkRuleConsistency(contract, previousState, newState, chunkText),
       this.checkScopeEnforcement(contract, chunkText, chunkNumber, isFinal),
       this.checkEscalationIntegrity(previousState, newState),
-      this.checkStateValidity(previousState, newState, chunkText)
+      this.checkStateValidity(previousState, newState, chunkText),
+      this.checkPossessionContinuity(newState, chunkText, previousState),
+      this.checkTimelineConsistency(newState, chunkNumber),
+      this.checkNameContinuity(newState, chunkNumber)
     ];
+    if (options.firewall) {
+      checks.push(this.checkMetaLanguage(options.firewall));
+      results.firewall = options.firewall;
+    }
 
     const checkResults = await Promise.all(checks);
 
@@ -175,8 +191,8 @@ class GateAudit {
     };
 
     const rules = contract.rule_system?.rules || [];
-    const prevRuleState = previousState?.rule_state?.rules || [];
-    const newRuleState = newState?.rule_state?.rules || [];
+    const prevRuleState = previousState?.canonical_state?.rules || [];
+    const newRuleState = newState?.canonical_state?.rules || [];
 
     // Check: No unauthorized new rules
     const contractRuleCount = rules.length;
@@ -189,8 +205,8 @@ class GateAudit {
 
     // Check: Rules discovered in this chunk are valid
     const newlyDiscovered = newRuleState.filter((r, i) =>
-      r.status === 'discovered' &&
-      (!prevRuleState[i] || prevRuleState[i].status === 'unknown')
+      StateModel.ruleStatus(r) === 'discovered' &&
+      (!prevRuleState[i] || StateModel.ruleStatus(prevRuleState[i]) === 'unknown')
     );
 
     if (newlyDiscovered.length > 0) {
@@ -208,8 +224,8 @@ class GateAudit {
 
     // Check: Violated rules had consequences (if violation claimed)
     const newlyViolated = newRuleState.filter((r, i) =>
-      r.status === 'violated' &&
-      (!prevRuleState[i] || prevRuleState[i].status !== 'violated')
+      r.violated &&
+      (!prevRuleState[i] || !prevRuleState[i].violated)
     );
 
     if (newlyViolated.length > 0) {
@@ -326,8 +342,8 @@ class GateAudit {
       sub_checks: {}
     };
 
-    const prevEscalation = previousState?.escalation_state || {};
-    const newEscalation = newState?.escalation_state || {};
+    const prevEscalation = previousState?.canonical_state?.escalation || {};
+    const newEscalation = newState?.canonical_state?.escalation || {};
 
     // Check: Escalation tier never decreases
     const prevTier = prevEscalation.escalation_tier || 1;
@@ -345,8 +361,8 @@ class GateAudit {
     }
 
     // Check: Contamination level never decreases
-    const prevContam = prevEscalation.contamination_level || 0;
-    const newContam = newEscalation.contamination_level || 0;
+    const prevContam = previousState?.canonical_state?.irreversible_flags?.contamination_level || 0;
+    const newContam = newState?.canonical_state?.irreversible_flags?.contamination_level || 0;
 
     result.sub_checks.contamination_monotonic = {
       status: newContam >= prevContam ? 'PASS' : 'FAIL',
@@ -360,8 +376,9 @@ class GateAudit {
     }
 
     // Check: Rules violated count never decreases
-    const prevViolated = previousState?.rule_state?.rules_violated || 0;
-    const newViolated = newState?.rule_state?.rules_violated || 0;
+    const countViolated = state => (state?.canonical_state?.rules || []).filter(r => r.violated).length;
+    const prevViolated = countViolated(previousState);
+    const newViolated = countViolated(newState);
 
     result.sub_checks.violations_monotonic = {
       status: newViolated >= prevViolated ? 'PASS' : 'FAIL',
@@ -383,8 +400,8 @@ class GateAudit {
     };
 
     // Check: Current chunk number incremented
-    const prevChunk = previousState?.narrative_state?.current_chunk || 0;
-    const newChunk = newState?.narrative_state?.current_chunk || 0;
+    const prevChunk = previousState?.canonical_state?.narrative?.current_chunk || 0;
+    const newChunk = newState?.canonical_state?.narrative?.current_chunk || 0;
 
     result.sub_checks.chunk_incremented = {
       status: newChunk === prevChunk + 1 ? 'PASS' : 'WARN',
@@ -392,8 +409,8 @@ class GateAudit {
     };
 
     // Check: Word count updated
-    const prevWords = previousState?.narrative_state?.total_words_generated || 0;
-    const newWords = newState?.narrative_state?.total_words_generated || 0;
+    const prevWords = previousState?.canonical_state?.narrative?.total_words_generated || 0;
+    const newWords = newState?.canonical_state?.narrative?.total_words_generated || 0;
     const chunkWords = chunkText.split(/\s+/).length;
 
     const expectedNewWords = prevWords + chunkWords;
@@ -421,6 +438,192 @@ class GateAudit {
     return result;
   }
 
+  /**
+   * Check 6: Possession Continuity
+   * The protagonist may not use an item lost before (or earlier in) this chunk;
+   * a use of a lost item the prose does not attribute to the protagonist (it may
+   * be another character's), or of a common item the story never gave them, is
+   * a warning. The chunk's
+   * own extraction records the items it uses, so those are judged against
+   * previousState.
+   */
+  async checkPossessionContinuity(newState, chunkText, previousState = null) {
+    const result = {
+      name: 'possession_continuity',
+      status: 'PASS',
+      severity: 'critical',
+      sub_checks: {}
+    };
+
+    const canonical = newState?.canonical_state;
+    if (!canonical?.protagonist) {
+      return result;
+    }
+
+    const {
+      lost_items_used: lostUsed,
+      unattributed_items_used: unattributed,
+      unacquired_items_used: unacquired
+    } = Inventory.check(canonical, chunkText, previousState?.canonical_state);
+
+    result.sub_checks.no_lost_items_used = {
+      status: lostUsed.length === 0 ? 'PASS' : 'FAIL',
+      evidence: lostUsed.length === 0
+        ? `Lost items: ${canonical.protagonist.physical_condition.lost_possessions.length}, none used`
+        : lostUsed.map(u => `"${u.detected_text}" (${u.item} ${u.event}${u.chunk !== null ? ` in chunk ${u.chunk}` : ''})`).join('; ')
+    };
+
+    result.sub_checks.no_unattributed_lost_items_used = {
+      status: unattributed.length === 0 ? 'PASS' : 'WARN',
+      evidence: unattributed.length === 0
+        ? 'No lost items used by an unclear owner'
+        : unattributed.map(u => `"${u.detected_text}" (${u.item} ${u.event}; may not be the protagonist's)`).join('; ')
+    };
+
+    result.sub_checks.no_unacquired_items_used = {
+      status: unacquired.length === 0 ? 'PASS' : 'WARN',
+      evidence: unacquired.length === 0
+        ? 'No untracked items used'
+        : unacquired.map(u => `"${u.detected_text}" (${u.item} never acquired)`).join('; ')
+    };
+
+    if (lostUsed.length > 0) {
+      result.status = 'FAIL';
+      result.failure_reason = `Protagonist uses ${lostUsed.map(u => u.item).join(', ')} after losing it`;
+      result.evidence = result.sub_checks.no_lost_items_used.evidence;
+    } else if (unattributed.length > 0 || unacquired.length > 0) {
+      result.status = 'WARN';
+      result.failure_reason = [
+        unattributed.length > 0 ? `Lost ${unattributed.map(u => u.item).join(', ')} used, possibly by another character` : null,
+        unacquired.length > 0 ? `Protagonist uses ${unacquired.map(u => u.item).join(', ')} without acquiring it` : null
+      ].filter(Boolean).join('; ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Check 7: Timeline Consistency
+   * Story time may not go backwards or jump hours without the prose showing it,
+   * and a timing rule's deadline must be kept or broken on the page, not skipped past.
+   * StateTracker records the issues when it reads the chunk; failures are warnings.
+   */
+  async checkTimelineConsistency(newState, chunkNumber) {
+    const result = {
+      name: 'timeline_consistency',
+      status: 'PASS',
+      severity: 'major',
+      sub_checks: {}
+    };
+
+    const timeline = newState?.canonical_state?.narrative?.timeline;
+    if (!timeline?.issues) {
+      return result;
+    }
+
+    const issues = timeline.issues.filter(issue => issue.chunk === chunkNumber);
+    const ofType = type => issues.filter(issue => issue.type === type);
+    const subCheck = (found, clean) => ({
+      status: found.length === 0 ? 'PASS' : 'FAIL',
+      evidence: found.length === 0 ? clean : found.map(issue => `${issue.description}${issue.text ? ` ("${issue.text}")` : ''}`).join('; ')
+    });
+
+    result.sub_checks.no_regression = subCheck(ofType('regression'),
+      timeline.current_time ? `Story time now ${timeline.current_time}` : 'No story time established');
+    result.sub_checks.no_impossible_jump = subCheck(ofType('impossible_jump'), 'No unexplained jumps');
+
+    const settled = timeline.deadlines.filter(d => d.resolved_in_chunk === chunkNumber && d.status !== 'unresolved');
+    result.sub_checks.deadlines_resolved = subCheck(ofType('deadline_unresolved'),
+      settled.length > 0 ? settled.map(d => `${d.rule_id} ${d.status}`).join(', ') : `Deadlines pending: ${timeline.deadlines.filter(d => d.status === 'pending' || d.status === 'active').length}`);
+
+    if (issues.length > 0) {
+      result.status = 'FAIL';
+      result.failure_reason = issues.map(issue => issue.description).join('; ');
+      result.evidence = Object.values(result.sub_checks).filter(c => c.status === 'FAIL').map(c => c.evidence).join('; ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Check 8: Name Continuity
+   * Names keep the spelling they were established with ("Mr. Hale" does not
+   * become "Mr. Hall"), and an unnamed first-person narrator stays unnamed.
+   * StateTracker records the drifts when it reads the chunk; they are suspected, so failures are warnings.
+   */
+  async checkNameContinuity(newState, chunkNumber) {
+    const result = {
+      name: 'name_continuity',
+      status: 'PASS',
+      severity: 'major',
+      sub_checks: {}
+    };
+
+    const continuity = newState?.canonical_state?.continuity;
+    if (!continuity?.name_drifts) {
+      return result;
+    }
+
+    const drifts = continuity.name_drifts.filter(drift => drift.chunk === chunkNumber);
+    const spelling = drifts.filter(drift => drift.type === 'spelling');
+    const seen = continuity.name_sightings.filter(sighting => sighting.chunk === chunkNumber);
+
+    result.sub_checks.names_consistent = {
+      status: spelling.length === 0 ? 'PASS' : 'FAIL',
+      evidence: spelling.length === 0
+        ? `Names used: ${seen.length}`
+        : spelling.map(d => `"${d.found}" (chunk ${d.chunk}: "${d.excerpt}") vs "${d.known}" (${d.known_locations.join(', ') || 'established before the story'})`).join('; ')
+    };
+
+    const facts = newState.canonical_state.immutable_facts || {};
+    if (facts.pov_type === 'first_person' && !facts.protagonist_name) {
+      const named = drifts.filter(drift => drift.type === 'narrator_named');
+      result.sub_checks.narrator_unnamed = {
+        status: named.length === 0 ? 'PASS' : 'FAIL',
+        evidence: named.length === 0 ? 'Narrator not named' : named.map(d => `"${d.excerpt}"`).join('; ')
+      };
+    }
+
+    if (drifts.length > 0) {
+      result.status = 'FAIL';
+      result.failure_reason = drifts.map(drift => drift.description).join('; ');
+      result.evidence = Object.values(result.sub_checks).filter(c => c.status === 'FAIL').map(c => c.evidence).join('; ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Check 9: Meta-Language
+   * The chunk is free of the narrative firewall's lexemes and patterns once its
+   * offending spans have been rewritten. What is left is suspected, so failures are warnings.
+   *
+   * @param {Object} firewall - NarrativeFirewall.gate() report
+   */
+  async checkMetaLanguage(firewall) {
+    const result = {
+      name: 'meta_language',
+      status: 'PASS',
+      severity: 'major',
+      sub_checks: {}
+    };
+
+    result.sub_checks.no_meta_language = {
+      status: firewall.violations_remaining === 0 ? 'PASS' : 'FAIL',
+      evidence: `${firewall.violations_found} found, ${firewall.rewrites.length} span(s) rewritten, ${firewall.violations_remaining} remaining`
+    };
+
+    if (firewall.violations_remaining > 0) {
+      result.status = 'FAIL';
+      result.failure_reason = `Meta-language left after rewriting: ${firewall.remaining.map(v => `"${v.match}" (${v.severity})`).join(', ')}`;
+      result.evidence = firewall.remaining.map(v => `"${v.context}"`).join('; ');
+    } else {
+      result.evidence = result.sub_checks.no_meta_language.evidence;
+    }
+
+    return result;
+  }
+
   /**
    * Generate audit report markdown
    */
@@ -458,6 +661,15 @@ class GateAudit {
       });
     }
 
+    if (auditResult.firewall?.rewrites.length > 0) {
+      lines.push('', '## Narrative Firewall Rewrites');
+      auditResult.firewall.rewrites.forEach(r => {
+        lines.push(`- ${r.terms.map(t => `"${t}"`).join(', ')}${r.error ? ` (not rewritten: ${r.error})` : ''}`);
+        lines.push(`  - Before: ${r.before}`);
+        lines.push(`  - After: ${r.after}`);
+      });
+    }
+
     lines.push('', `## Recommendation`, auditResult.recommendation);
 
     return lines.join('\n');
@@ -506,7 +718,7 @@ Respond with JSON: {"no_forbidden_expansion": true/false, "not_premature_end": t
         max_tokens: 500,
         temperature: 0.1,
         messages: [{ role: 'user', content: prompt }]
-      });
+      }, 'Gate audit');
 
       const content = response.content[0].text;
       const jsonMatch = content.match(/\{[\s\S]*\}/);
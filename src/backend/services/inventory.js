@@ -0,0 +1,359 @@
+/**
+ * Inventory Service
+ * Tracks what the protagonist carries, and checks prose against it
+ *
+ * protagonist.physical_condition holds the inventory of both pipelines:
+ *   possessions       items the protagonist has now
+ *   lost_possessions  items lost or destroyed (and not found again)
+ *   possession_log    every gained / lost / used / destroyed event, with its chunk or scene
+ *
+ * check() is deterministic: it finds the protagonist using an item they have
+ * lost (after the prose describes the loss, when it does) or, once the
+ * inventory is being tracked, a common carried item they never picked up.
+ * A use counts as the protagonist's only when the prose says so: "I" / "my"
+ * in first person, the protagonist's name in third person. Any other use of
+ * a lost item ("with his flashlight") may be another character's and is
+ * reported separately, as uncertain.
+ * GateAudit runs it on each staged chunk after the chunk's state update (with
+ * the state before it, since extraction has already recorded the use);
+ * ConstraintEnforcer runs it on chunked prose before the scene's update.
+ */
+
+const EVENTS = ['gained', 'used', 'lost', 'destroyed'];
+
+// Items a narrator tends to reach for without the story ever giving them one
+const COMMON_ITEMS = [
+  'flashlight', 'torch', 'keycard', 'key card', 'lighter', 'matches', 'phone', 'radio',
+  'walkie-talkie', 'lantern', 'candle', 'knife', 'gun', 'pistol', 'crowbar', 'map',
+  'compass', 'camera', 'badge', 'rosary'
+];
+
+const USE_VERBS = [
+  'used', 'raised', 'lifted', 'switched on', 'turned on', 'clicked on', 'flicked on', 'swiped',
+  'shone', 'aimed', 'pointed', 'held up', 'pulled out', 'took out', 'fished out', 'dug out',
+  'checked', 'dialed', 'dialled', 'lit', 'struck', 'gripped', 'clutched', 'swung', 'fired',
+  'waved', 'consulted', 'unfolded', 'flipped open'
+];
+
+const LOSS_VERBS = [
+  'lost', 'dropped', 'broke', 'smashed', 'shattered', 'left behind', 'abandoned', 'threw away',
+  'threw', 'gave away', 'gave up', 'handed over', 'surrendered', 'let go of'
+];
+
+const LOSS_STATES = ['gone', 'lost', 'broken', 'destroyed', 'dead', 'missing', 'shattered', 'useless'];
+
+// Anyone's: a use matched with these cannot be attributed to the protagonist
+const OWNER = '(?:my|our|his|her|their|the)';
+const SUBJECT = '(?:I|we|he|she|they)';
+const FILLER = "(?:[\\w'-]+\\s+){0,2}?";
+
+class Inventory {
+  /**
+   * @param {object} owner - StateManager or StateTracker (anything with getState())
+   */
+  constructor(owner) {
+    this.owner = owner;
+  }
+
+  /**
+   * The protagonist's physical condition (where the inventory lives)
+   */
+  getCondition() {
+    const state = this.owner.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    return state.canonical_state.protagonist.physical_condition;
+  }
+
+  /**
+   * Whether the protagonist has an item now
+   */
+  has(item) {
+    return findItem(this.getCondition().possessions, item) !== null;
+  }
+
+  /**
+   * Apply one chunk's (or scene's) inventory changes
+   * Gains are applied first and losses last, so an item picked up and lost in
+   * the same chunk ends up lost.
+   *
+   * @param {object} changes - { gained: [], used: [], lost: [], destroyed: [] } item names
+   * @param {object} at - { chunk, scene }
+   * @returns {Array<{event: string, item: string}>} Events recorded
+   */
+  apply(changes = {}, at = {}) {
+    const applied = [];
+
+    EVENTS.forEach(event => {
+      (changes[event] || [])
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim().replace(/^(?:a|an|the)\s+/i, ''))
+        .forEach(item => {
+          if (this.record(event, item, at)) {
+            applied.push({ event, item });
+          }
+        });
+    });
+
+    return applied;
+  }
+
+  /**
+   * Record one inventory event
+   * Using an item nobody saw the protagonist get means they carried it all
+   * along, so it is added to possessions; using a lost item is only logged
+   * (check() reports it).
+   *
+   * @param {string} event - gained|used|lost|destroyed
+   * @param {string} item - Item name
+   * @param {object} at - { chunk, scene }
+   * @returns {boolean} True if the inventory changed or the use was logged
+   */
+  record(event, item, at = {}) {
+    if (!EVENTS.includes(event)) {
+      const error = new Error(`Unknown inventory event: ${event} (expected ${EVENTS.join(', ')})`);
+      error.code = 'INVALID_INPUT';
+      throw error;
+    }
+
+    const condition = this.getCondition();
+    const held = findItem(condition.possessions, item);
+    const lost = findItem(condition.lost_possessions, item);
+
+    if (event === 'gained') {
+      if (held !== null) return false;
+      condition.possessions.push(item);
+      if (lost !== null) condition.lost_possessions.splice(lost, 1);
+    } else if (event === 'used') {
+      if (held === null && lost === null) condition.possessions.push(item);
+    } else {
+      if (held === null && lost !== null) return false;
+      if (held !== null) condition.possessions.splice(held, 1);
+      condition.lost_possessions.push(item);
+    }
+
+    condition.possession_log.push({
+      item,
+      event,
+      chunk: at.chunk ?? null,
+      scene: at.scene ?? null
+    });
+    return true;
+  }
+
+  /**
+   * Lines describing the inventory for chunk prompts
+   *
+   * @param {object} canonical - canonical_state
+   * @returns {string[]} e.g. "Carrying: flashlight", "Lost: keycard (lost in chunk 2)"
+   */
+  static describe(canonical) {
+    const condition = canonical.protagonist?.physical_condition || {};
+    const lines = [];
+
+    if ((condition.possessions || []).length > 0) {
+      lines.push(`Carrying: ${condition.possessions.join(', ')}`);
+    }
+    if ((condition.lost_possessions || []).length > 0) {
+      const lost = condition.lost_possessions.map(item => {
+        const entry = Inventory.lastLoss(condition, item);
+        const when = entry && (entry.chunk !== null ? `chunk ${entry.chunk}` : entry.scene !== null ? `scene ${entry.scene}` : null);
+        return entry ? `${item} (${entry.event}${when ? ` in ${when}` : ''})` : item;
+      });
+      lines.push(`Lost: ${lost.join(', ')}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Find continuity errors in prose: use of a lost or never-acquired item
+   * Recording a use adds an unknown item to possessions, so when canonical is
+   * the state after the prose's own update, pass the state before it: items are
+   * then judged acquired if they were known before the prose or gained in it.
+   *
+   * @param {object} canonical - canonical_state after the prose (its losses included)
+   * @param {string} text - Prose to check
+   * @param {object} previous - canonical_state before the prose's update (optional)
+   * @returns {{lost_items_used: Array, unattributed_items_used: Array, unacquired_items_used: Array}}
+   *   lost_items_used are the protagonist's; unattributed_items_used are uses of a
+   *   lost item by someone the prose does not name as the protagonist
+   */
+  static check(canonical, text, previous = null) {
+    const condition = canonical.protagonist?.physical_condition || {};
+    const lostPossessions = condition.lost_possessions || [];
+    const protagonist = protagonistPatterns(canonical.immutable_facts);
+    const result = { lost_items_used: [], unattributed_items_used: [], unacquired_items_used: [] };
+
+    // A lost item may still be used before the prose loses it
+    lostPossessions.forEach(item => {
+      const name = normalizeName(item);
+      const loss = findLoss(text, name);
+      const use = findUse(text, name, protagonist, loss ? loss.index + loss[0].length : 0);
+      if (use) {
+        const entry = Inventory.lastLoss(condition, item);
+        (use.attributed ? result.lost_items_used : result.unattributed_items_used).push({
+          item,
+          event: entry?.event || 'lost',
+          chunk: entry?.chunk ?? null,
+          scene: entry?.scene ?? null,
+          detected_text: use.match[0]
+        });
+      }
+    });
+
+    // Never-acquired items are only judged once the inventory is being tracked
+    if ((condition.possession_log || []).length > 0) {
+      const known = acquiredItems(condition, previous?.protagonist?.physical_condition).map(normalizeName);
+      COMMON_ITEMS
+        .filter(item => !known.some(name => containsWord(name, item) || containsWord(item, name)))
+        .forEach(item => {
+          const use = findUse(text, item, protagonist);
+          if (use && use.attributed) {
+            result.unacquired_items_used.push({ item, detected_text: use.match[0] });
+          }
+        });
+    }
+
+    return result;
+  }
+
+  /**
+   * Latest lost / destroyed log entry of an item
+   */
+  static lastLoss(condition, item) {
+    const name = normalizeName(item);
+    const entries = (condition.possession_log || []).filter(entry =>
+      (entry.event === 'lost' || entry.event === 'destroyed') && normalizeName(entry.item) === name
+    );
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+  }
+
+  static normalizeName(item) {
+    return normalizeName(item);
+  }
+}
+
+Inventory.EVENTS = EVENTS;
+Inventory.COMMON_ITEMS = COMMON_ITEMS;
+
+/**
+ * Lowercase item name without a leading article or possessive ("My Flashlight" -> "flashlight")
+ */
+function normalizeName(item) {
+  return String(item).trim().toLowerCase()
+    .replace(/^(?:a|an|the|my|our|his|her|their|your)\s+/, '')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Items the protagonist is known to have had: everything in the inventory or,
+ * given the condition before an update, what it held then plus what the
+ * update gained
+ */
+function acquiredItems(condition, before = null) {
+  if (!before) {
+    return [...(condition.possessions || []), ...(condition.lost_possessions || [])];
+  }
+
+  const gained = (condition.possession_log || [])
+    .slice((before.possession_log || []).length)
+    .filter(entry => entry.event === 'gained')
+    .map(entry => entry.item);
+  return [...(before.possessions || []), ...(before.lost_possessions || []), ...gained];
+}
+
+function findItem(list, item) {
+  const name = normalizeName(item);
+  const index = list.findIndex(existing => normalizeName(existing) === name);
+  return index === -1 ? null : index;
+}
+
+function containsWord(text, word) {
+  return new RegExp(`\\b${escapeRegex(word)}\\b`).test(text);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function alternatives(words) {
+  return `(?:${words.map(escapeRegex).join('|')})`;
+}
+
+/**
+ * Subject and owner patterns that name the protagonist: "I" / "my" in first
+ * person (also the default), the protagonist's full or first name otherwise
+ *
+ * @param {object} facts - canonical_state.immutable_facts
+ * @returns {{subject: string, owner: string}|null} null if the prose cannot name them
+ */
+function protagonistPatterns(facts = {}) {
+  const povType = facts?.pov_type;
+  if (!povType || povType === 'first_person') {
+    return { subject: 'I', owner: 'my' };
+  }
+
+  const fullName = typeof facts.protagonist_name === 'string' ? facts.protagonist_name.trim() : '';
+  if (!fullName) return null;
+
+  const names = alternatives([...new Set([fullName, fullName.split(/\s+/)[0]])]).replace(/ /g, '\\s+');
+  return { subject: names, owner: `${names}['\u2019]s` };
+}
+
+/**
+ * First use of an item at or after an index ("I switched on my flashlight",
+ * "with the keycard", "the flashlight's beam")
+ * A use by the protagonist is preferred over anyone's.
+ *
+ * @returns {{match: Array, attributed: boolean}|null} attributed if the protagonist is the user
+ */
+function findUse(text, name, protagonist, from = 0) {
+  const item = escapeRegex(name).replace(/ /g, '\\s+');
+  const usePatterns = (subject, owner, heldWith) => [
+    new RegExp(`\\b${subject}\\s+${FILLER}${alternatives(USE_VERBS)}\\s+${heldWith}\\s+${FILLER}${item}\\b`, 'gi'),
+    new RegExp(`\\bwith\\s+${owner}\\s+${FILLER}${item}\\b`, 'gi'),
+    new RegExp(`\\b${owner}\\s+${item}(?:'s)?\\s+(?:beam|light|glow|screen|flame|blade)\\b`, 'gi')
+  ];
+
+  // The protagonist picking up "the" item is using it; "his" item stays uncertain
+  const own = protagonist
+    ? firstMatch(text, usePatterns(protagonist.subject, protagonist.owner, `(?:${protagonist.owner}|the)`), from)
+    : null;
+  if (own) {
+    return { match: own, attributed: true };
+  }
+
+  const any = firstMatch(text, usePatterns(SUBJECT, OWNER, OWNER), from);
+  return any ? { match: any, attributed: false } : null;
+}
+
+/**
+ * First mention of an item being lost ("dropped the flashlight", "my phone was dead")
+ */
+function findLoss(text, name) {
+  const item = escapeRegex(name).replace(/ /g, '\\s+');
+  const patterns = [
+    new RegExp(`\\b${alternatives(LOSS_VERBS)}\\s+${OWNER}\\s+${FILLER}${item}\\b`, 'gi'),
+    new RegExp(`\\b${OWNER}\\s+${FILLER}${item}\\s+(?:was|is|had\\s+gone|went)\\s+(?:\\w+\\s+)?${alternatives(LOSS_STATES)}\\b`, 'gi'),
+    new RegExp(`\\b${item}\\s+(?:slipped|fell|shattered|died|broke|went\\s+dark|sank)\\b`, 'gi')
+  ];
+
+  return firstMatch(text, patterns, 0);
+}
+
+function firstMatch(text, patterns, from) {
+  let first = null;
+  patterns.forEach(pattern => {
+    pattern.lastIndex = from;
+    const match = pattern.exec(text);
+    if (match && (!first || match.index < first.index)) {
+      first = match;
+    }
+  });
+  return first;
+}
+
+module.exports = Inventory;
@@ -0,0 +1,329 @@
+/**
+ * Name Continuity Service
+ * Deterministic check that names keep their spelling from chunk to chunk
+ *
+ * After each chunk or scene the proper nouns of the prose are extracted and
+ * compared with continuity.named_elements (names from the contract, the entity
+ * registry and earlier prose). A name within a few letters of an established
+ * one ("Mr. Hall" after "Mr. Hale") is a suspected drift; so are two close
+ * spellings first seen in the same chunk, the rarer one drifting from the other.
+ * In a first-person story with an unnamed narrator, the narrator being named
+ * ("my name is Daniel") is a drift as well.
+ *
+ * continuity holds:
+ *   named_elements.prose_names  names first seen in prose (not drifts)
+ *   name_sightings              first use of each spelling per chunk or scene, with an excerpt
+ *   name_drifts                 suspected drifts: both spellings and where each was used
+ *
+ * A capitalized word opening a sentence is only taken for a name when it
+ * follows a title, is an established name, or is capitalized mid-sentence
+ * elsewhere in the text.
+ */
+
+const TITLES = ['Mr', 'Mrs', 'Ms', 'Miss', 'Mister', 'Dr', 'Doctor', 'Father', 'Sister', 'Officer', 'Detective', 'Sheriff'];
+
+// Capitalized words that are not names
+const NOT_NAMES = new Set([
+  'i', "i'm", "i'd", "i'll", "i've", 'ok', 'god', 'rule', 'rules', 'chunk',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december', 'am', 'pm'
+]);
+
+const NAME_PATTERN = new RegExp(
+  `(?:\\b(${TITLES.join('|')})\\.?\\s+)?\\b([A-Z][a-z]+(?:['’][A-Z]?[a-z]+)?(?:[- ][A-Z][a-z]+(?:['’][A-Z]?[a-z]+)?)*)`,
+  'g'
+);
+
+const SENTENCE_START = /(?:^|[.!?:]["'”’)]*\s+|\n\s*|["“‘(]\s*)$/;
+
+const NARRATOR_NAMED = /\b(?:[Mm]y\s+name(?:'s|\s+is|\s+was)|[Cc]all(?:ed)?\s+me|I(?:'m|\s+am))\s+([A-Z][a-z]+(?: [A-Z][a-z]+)?)\b(?!['’]s)/g;
+
+// Characters either side of a name kept as its excerpt
+const EXCERPT_RADIUS = 40;
+
+class NameContinuity {
+  /**
+   * @param {object} owner - StateManager or StateTracker (anything with getState())
+   */
+  constructor(owner) {
+    this.owner = owner;
+  }
+
+  /**
+   * The continuity section of the owner's state
+   */
+  getContinuity() {
+    const state = this.owner.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    return state.canonical_state.continuity;
+  }
+
+  /**
+   * Read the names of a chunk (or scene) and record new names and drifts
+   * Call after the chunk's entities are recorded, so their names count as established.
+   *
+   * @param {string} text - Prose of the chunk (may be empty)
+   * @param {object} at - { chunk, scene }
+   * @returns {{names: string[], drifts: Array}} Names this chunk established and drifts it made
+   */
+  observe(text, at = {}) {
+    const continuity = this.getContinuity();
+    const facts = this.owner.getState().canonical_state.immutable_facts || {};
+    const where = { chunk: at.chunk ?? null, scene: at.scene ?? null };
+    const added = { names: [], drifts: [] };
+
+    const known = NameContinuity.knownNames(this.owner.getState().canonical_state);
+    const found = NameContinuity.extractNames(text || '', known);
+
+    found.forEach(name => {
+      continuity.name_sightings.push({ name: name.name, ...where, excerpt: name.excerpt });
+    });
+
+    // First-person narrator the contract leaves unnamed (their name is not established)
+    let narratorName = null;
+    if (facts.pov_type === 'first_person' && !facts.protagonist_name) {
+      for (const match of (text || '').matchAll(NARRATOR_NAMED)) {
+        const first = match[1].split(' ')[0];
+        if (NOT_NAMES.has(first.toLowerCase()) || TITLES.includes(first)) continue;
+        const drift = {
+          type: 'narrator_named',
+          found: match[1],
+          known: null,
+          ...where,
+          excerpt: excerpt(text, match.index, match[0].length),
+          known_locations: [],
+          description: `The unnamed first-person narrator is called "${match[1]}"`
+        };
+        continuity.name_drifts.push(drift);
+        added.drifts.push(drift);
+        narratorName = match[1];
+        break;
+      }
+    }
+
+    // Established names lead their cluster, then the most used new spelling:
+    // the other spellings in a cluster drift from its first
+    const fresh = found
+      .filter(name => !known.some(k => sameName(k, name.name)) && !(narratorName && sameName(name.name, narratorName)))
+      .sort((a, b) => b.count - a.count || a.index - b.index);
+    NameContinuity.cluster([...known, ...fresh.map(name => name.name)]).forEach(([original, ...variants]) => {
+      if (!known.some(k => sameName(k, original))) {
+        continuity.named_elements.prose_names.push(original);
+        added.names.push(original);
+      }
+
+      variants
+        .filter(variant => !known.some(k => sameName(k, variant)))
+        .forEach(variant => {
+          const name = found.find(n => n.name === variant);
+          const knownLocations = NameContinuity.locations(continuity, original);
+          const drift = {
+            type: 'spelling',
+            found: variant,
+            known: original,
+            ...where,
+            excerpt: name.excerpt,
+            known_locations: knownLocations,
+            description: `"${variant}" looks like a misspelling of "${original}" (${knownLocations.join(', ') || 'established before the story'})`
+          };
+          continuity.name_drifts.push(drift);
+          added.drifts.push(drift);
+        });
+    });
+
+    return added;
+  }
+
+  /**
+   * Every established name: named_elements plus the protagonist's
+   */
+  static knownNames(canonical) {
+    const names = [
+      canonical.immutable_facts?.protagonist_name,
+      ...Object.values(canonical.continuity?.named_elements || {}).flat()
+    ].filter(name => typeof name === 'string' && name.trim());
+
+    return names.filter((name, i) => names.findIndex(other => sameName(other, name)) === i);
+  }
+
+  /**
+   * Proper nouns of a text, once per spelling, in order of first use
+   *
+   * @param {string} text - Prose
+   * @param {string[]} known - Established names (accepted even at the start of a sentence)
+   * @returns {Array<{name: string, index: number, count: number, excerpt: string}>}
+   */
+  static extractNames(text, known = []) {
+    const candidates = [];
+    for (const match of text.matchAll(NAME_PATTERN)) {
+      const title = match[1];
+      const words = match[2].replace(/['’]s$/, '').split(' ');
+      const index = match.index + match[0].length - match[2].length;
+
+      if (title) {
+        candidates.push({ name: `${title}${/^(Mr|Mrs|Ms|Dr)$/.test(title) ? '.' : ''} ${words.join(' ')}`, index: match.index, titled: true });
+        continue;
+      }
+      // A title alone ("Father, please") is an ordinary word
+      if (words.length === 1 && TITLES.includes(words[0])) continue;
+
+      if (SENTENCE_START.test(text.slice(Math.max(0, index - 4), index))) {
+        candidates.push({ name: words.join(' '), index, opening: true, rest: words.slice(1).join(' '), restIndex: index + words[0].length + 1 });
+        continue;
+      }
+      candidates.push({ name: words.join(' '), index });
+    }
+
+    // Capitalized mid-sentence somewhere in the text
+    const midSentence = new Set(candidates.filter(c => !c.opening).flatMap(c => coreWords(c.name)));
+    const names = [];
+    candidates.forEach(candidate => {
+      let { name, index } = candidate;
+      if (candidate.opening && !candidate.titled) {
+        const first = name.split(' ')[0].toLowerCase();
+        const accepted = known.some(k => coreWords(k).includes(first)) || midSentence.has(first);
+        if (!accepted) {
+          if (!candidate.rest) return;
+          name = candidate.rest;
+          index = candidate.restIndex;
+        }
+      }
+
+      name = name.split(' ').filter((word, i, all) => !(NOT_NAMES.has(word.toLowerCase()) && all.length > 1 && (i === 0 || i === all.length - 1))).join(' ');
+      if (!name || NOT_NAMES.has(name.toLowerCase())) return;
+
+      const existing = names.find(n => n.name === name);
+      if (existing) {
+        existing.count++;
+      } else {
+        names.push({ name, index, count: 1, excerpt: excerpt(text, index, name.length) });
+      }
+    });
+
+    return names;
+  }
+
+  /**
+   * Whether a name is a near spelling of another (but not the same name)
+   * Whole names are compared without titles; a one-word name is also compared
+   * with each word of the other ("Hall" against "Mr. Hale"). Words shared
+   * outright ("Cole" and "Mara Cole") are the same name, not a drift.
+   */
+  static isVariant(a, b) {
+    const wordsA = coreWords(a);
+    const wordsB = coreWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) return false;
+    if (wordsA.join(' ') === wordsB.join(' ')) return false;
+    if (wordsA.every(w => wordsB.includes(w)) || wordsB.every(w => wordsA.includes(w))) return false;
+
+    if (close(wordsA.join(' '), wordsB.join(' '))) return true;
+
+    const [single, other] = wordsA.length === 1 ? [wordsA[0], wordsB] : wordsB.length === 1 ? [wordsB[0], wordsA] : [null, null];
+    return single !== null && other.some(word => close(single, word));
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Groups of near spellings among names (each name in one cluster)
+   *
+   * @param {string[]} names - Names to group
+   * @returns {string[][]} Clusters, in order of their first name
+   */
+  static cluster(names) {
+    const clusters = [];
+    names.forEach(name => {
+      const cluster = clusters.find(c => c.some(other => sameName(other, name) || NameContinuity.isVariant(other, name)));
+      if (cluster) {
+        if (!cluster.some(other => sameName(other, name))) cluster.push(name);
+      } else {
+        clusters.push([name]);
+      }
+    });
+    return clusters;
+  }
+
+  /**
+   * Chunks or scenes a spelling was seen in (as "chunk 3")
+   */
+  static locations(continuity, name) {
+    const seen = continuity.name_sightings
+      .filter(s => sameName(s.name, name))
+      .map(s => (s.chunk !== null && s.chunk !== undefined ? `chunk ${s.chunk}` : `scene ${s.scene}`));
+    return [...new Set(seen)];
+  }
+
+  /**
+   * Lines describing the established names for chunk prompts
+   *
+   * @param {object} canonical - canonical_state
+   * @returns {string[]} Spellings to keep, the unnamed narrator, and the latest drifts to correct
+   */
+  static describe(canonical) {
+    const lines = [];
+    const names = NameContinuity.knownNames(canonical);
+    if (names.length > 0) {
+      lines.push(`Names in use (keep these spellings): ${names.join(', ')}`);
+    }
+
+    const facts = canonical.immutable_facts || {};
+    if (facts.pov_type === 'first_person' && !facts.protagonist_name) {
+      lines.push('The narrator has no name: nobody calls them by one');
+    }
+
+    const drifts = canonical.continuity?.name_drifts || [];
+    const latest = drifts.length > 0 ? drifts[drifts.length - 1] : null;
+    drifts
+      .filter(d => d.type === 'spelling' && d.chunk === latest.chunk && d.scene === latest.scene)
+      .forEach(d => lines.push(`"${d.found}" was a misspelling: the name is "${d.known}"`));
+
+    return lines;
+  }
+}
+
+NameContinuity.TITLES = TITLES;
+
+function sameName(a, b) {
+  return coreWords(a).join(' ') === coreWords(b).join(' ');
+}
+
+function coreWords(name) {
+  return String(name).toLowerCase().replace(/['’]s\b/g, '').split(/[\s.]+/)
+    .filter(word => word && !TITLES.some(title => title.toLowerCase() === word));
+}
+
+// Near enough to be a misspelling: one letter in a short name, two in a long one
+function close(a, b) {
+  const length = Math.max(a.length, b.length);
+  const allowed = length <= 3 ? 0 : length <= 7 ? 1 : 2;
+  return allowed > 0 && NameContinuity.editDistance(a, b) <= allowed;
+}
+
+function excerpt(text, index, length) {
+  const start = Math.max(0, index - EXCERPT_RADIUS);
+  const end = Math.min(text.length, index + length + EXCERPT_RADIUS);
+  return `${start > 0 ? '...' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`;
+}
+
+module.exports = NameContinuity;
@@ -13,6 +13,12 @@ const OutputPackager = require('../utils/outputPackager');
 const StateManager = require('./stateManager');
 const ConstraintEnforcer = require('../audit/constraintEnforcer');
 const CheckpointManager = require('./checkpointManager');
+const ChunkPersistence = require('../../generators/chunkPersistence');
+const StateModel = require('../utils/stateModel');
+const StateDiff = require('../utils/stateDiff');
+const Cassette = require('../api/cassette');
+const SeededRandom = require('../utils/seededRandom');
+const TemplateReferenceChecker = require('../utils/templateReferences');
 
 class Orchestrator {
   constructor(apiKey, config = {}) {
@@ -22,6 +28,7 @@ class Orchestrator {
       this.storyGenerator.getTemplateLoader()
     );
     this.storyRefiner = new StoryRefiner(this.storyGenerator.getClaudeClient());
+    this.referenceChecker = new TemplateReferenceChecker(this.storyGenerator.getTemplateLoader());
     this.outputPackager = new OutputPackager(config.outputDir);
 
     // Expose Claude client for external use (e.g., StageOrchestrator)
@@ -42,9 +49,196 @@ class Orchestrator {
 
   /**
    * Execute complete generation workflow
+   *
+   * @param {object} userInput - Generation parameters
+   * @param {object} options - { sessionId, onProgress, cassette: { mode: 'record'|'replay', sourceSessionId } }
    */
   async executeWorkflow(userInput, options = {}) {
-    const sessionId = this.generateSessionId();
+    const sessionId = options.sessionId || this.generateSessionId();
+    const cassette = Cassette.fromOptions(sessionId, options.cassette);
+
+    return this.claudeClient.runWithCassette(
+      cassette,
+      () => this.withTemplatePack(userInput.templatePack, () => this.runWorkflow(sessionId, userInput, options))
+    );
+  }
+
+  /**
+   * Resume an interrupted chunked generation
+   *
+   * Rebuilds the state from the session's last snapshot, verifies the chunks
+   * already on disk and continues from the next scene, then runs the rest of
+   * the workflow (constraints, packaging, audit) as usual.
+   *
+   * @param {string} sessionId - Session to resume
+   * @param {object} options - { resumePoint, onProgress, cassette }
+   */
+  async resumeWorkflow(sessionId, options = {}) {
+    const resumePoint = options.resumePoint || await this.prepareResume(sessionId);
+    const cassette = Cassette.fromOptions(sessionId, options.cassette);
+
+    console.log(`\n♻️  Resuming session ${sessionId} after chunk ${resumePoint.chunks.length}`);
+    console.log(`   Words completed: ${resumePoint.wordsCompleted}/${resumePoint.targetWords}`);
+
+    return this.claudeClient.runWithCassette(
+      cassette,
+      () => this.withTemplatePack(
+        resumePoint.userParams.templatePack,
+        () => this.runWorkflow(sessionId, resumePoint.userParams, { ...options, resume: resumePoint })
+      )
+    );
+  }
+
+  /**
+   * Load and verify a session's resume point (throws with .code NOT_RESUMABLE / CHUNK_INTEGRITY)
+   *
+   * @param {string} sessionId - Session to resume
+   * @returns {Promise<object>} Resume point (see CheckpointManager.loadResumePoint)
+   */
+  async prepareResume(sessionId) {
+    return CheckpointManager.loadResumePoint(sessionId);
+  }
+
+  /**
+   * Roll a session (either pipeline) back to the state after a chunk
+   *
+   * Later chunks are archived and the state snapshot taken after chunkNumber
+   * becomes the session's state again. Generation then continues from
+   * chunkNumber + 1: resumeWorkflow() for chunked sessions, the next
+   * generate-chunk call for staged ones.
+   *
+   * @param {string} sessionId - Session to roll back
+   * @param {number} chunkNumber - Last chunk to keep (0 keeps none)
+   * @returns {Promise<object>} { sessionId, chunk, pipeline, state, nextChunk, archiveDir, archived }
+   * @throws {Error} code INVALID_INPUT / SNAPSHOT_NOT_FOUND
+   */
+  async rollbackSession(sessionId, chunkNumber) {
+    if (!Number.isInteger(chunkNumber) || chunkNumber < 0) {
+      const error = new Error(`Chunk to roll back to must be a non-negative integer, got ${chunkNumber}`);
+      error.code = 'INVALID_INPUT';
+      throw error;
+    }
+
+    const result = await new ChunkPersistence().rollbackToChunk(sessionId, chunkNumber);
+    const state = StateModel.migrate(result.state);
+
+    return {
+      ...result,
+      pipeline: state.metadata.pipeline,
+      state,
+      nextChunk: chunkNumber + 1
+    };
+  }
+
+  /**
+   * Compare a session's state after two chunks
+   *
+   * @param {string} sessionId - Session to inspect
+   * @param {number} fromChunk - Earlier chunk (0 is the state before chunk 1)
+   * @param {number} toChunk - Later chunk
+   * @returns {Promise<object>} { sessionId, from, to, chunks, diff } - chunks are the
+   *   chunk manifest entries written in between (chunked pipeline only; see StateDiff.diff for diff)
+   * @throws {Error} code INVALID_INPUT / SNAPSHOT_NOT_FOUND
+   */
+  async diffSessionState(sessionId, fromChunk, toChunk) {
+    for (const chunk of [fromChunk, toChunk]) {
+      if (!Number.isInteger(chunk) || chunk < 0) {
+        const error = new Error(`Chunk numbers must be non-negative integers, got ${chunk}`);
+        error.code = 'INVALID_INPUT';
+        throw error;
+      }
+    }
+
+    const chunkPersistence = new ChunkPersistence();
+    const [fromSnapshot, toSnapshot] = await Promise.all(
+      [fromChunk, toChunk].map(chunk => chunkPersistence.loadStateSnapshot(sessionId, chunk))
+    );
+
+    const missing = [[fromChunk, fromSnapshot], [toChunk, toSnapshot]].find(([, snapshot]) => !snapshot);
+    if (missing) {
+      const error = new Error(`Session ${sessionId} has no state snapshot after chunk ${missing[0]}`);
+      error.code = 'SNAPSHOT_NOT_FOUND';
+      throw error;
+    }
+
+    const manifest = await chunkPersistence.loadChunkManifest(sessionId);
+    const [low, high] = [Math.min(fromChunk, toChunk), Math.max(fromChunk, toChunk)];
+
+    return {
+      sessionId,
+      from: fromChunk,
+      to: toChunk,
+      chunks: ((manifest && manifest.chunks) || [])
+        .filter(c => (c.number || c.scene) > low && (c.number || c.scene) <= high),
+      diff: StateDiff.diff(fromSnapshot.state, toSnapshot.state)
+    };
+  }
+
+  /**
+   * Run fn with a template pack active for all template lookups it makes
+   *
+   * @param {string|null} packName - Pack name (null keeps the default pack)
+   * @param {Function} fn - Async function to run
+   * @throws {Error} code INVALID_TEMPLATE_PACK
+   */
+  async withTemplatePack(packName, fn) {
+    return this.storyGenerator.getTemplateLoader().runWithPack(packName, fn);
+  }
+
+  /**
+   * Validate a requested template pack (throws with .code INVALID_TEMPLATE_PACK)
+   *
+   * @param {string|null} packName - Pack name (null resolves the default pack)
+   * @returns {Promise<object>} Pack info { name, version, ... }
+   */
+  async resolveTemplatePack(packName) {
+    const templateLoader = this.storyGenerator.getTemplateLoader();
+    return templateLoader.resolvePack(packName || templateLoader.getActivePack());
+  }
+
+  /**
+   * List installed template packs with their validation status
+   */
+  async listTemplatePacks() {
+    return this.storyGenerator.getTemplateLoader().listPacks();
+  }
+
+  /**
+   * Schema-check the template files of one pack, or of every installed pack,
+   * then resolve the cross-references between its catalogs
+   *
+   * @param {string|null} packName - Pack name (null checks all packs)
+   * @returns {Promise<Array>} TemplateLoader.validateTemplates() results
+   * @throws {Error} code INVALID_TEMPLATE_PACK if the named pack does not exist
+   */
+  async validateTemplates(packName = null) {
+    const templateLoader = this.storyGenerator.getTemplateLoader();
+
+    if (packName && !(await templateLoader.loadPackManifest(packName))) {
+      const error = new Error(`Unknown template pack "${packName}"`);
+      error.code = 'INVALID_TEMPLATE_PACK';
+      throw error;
+    }
+
+    const names = packName ? [packName] : (await templateLoader.listPacks()).map(p => p.name);
+    const results = [];
+    for (const name of names) {
+      const result = await templateLoader.validateTemplates(name);
+
+      // Cross-references can only be resolved once every file parses to its schema
+      if (result.valid) {
+        result.references = await this.withTemplatePack(name, () => this.referenceChecker.check());
+        result.valid = result.references.valid;
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Run the generation workflow for a session
+   */
+  async runWorkflow(sessionId, userInput, options = {}) {
 
     console.log(`\n=== Starting Story Generation Workflow ===`);
     console.log(`Session ID: ${sessionId}`);
@@ -55,11 +249,13 @@ class Orchestrator {
     userInput = await this.fillDefaults(userInput);
 
     console.log(`Location: ${userInput.location}`);
-    console.log(`Theme: ${userInput.thematicFocus}\n`);
+    console.log(`Theme: ${userInput.thematicFocus}`);
+    console.log(`Template pack: ${userInput.templatePack}\n`);
 
     const sessionData = {
       sessionId,
       userInput,
+      templatePack: await this.resolveTemplatePack(userInput.templatePack),
       status: 'in_progress', // Track workflow status
       currentStage: 'initialization', // Track current stage
       metadata: {
@@ -72,12 +268,28 @@ class Orchestrator {
       }
     };
 
-    // Initialize state tracking
-    console.log('📊 Initializing state tracking...');
-    const stateManager = new StateManager();
-    const state = stateManager.initializeState(sessionId, userInput);
+    // Initialize state tracking (or rebuild it from the resume snapshot)
+    const stateManager = new StateManager(null, {
+      consequences: await this.storyGenerator.getTemplateLoader().loadConsequenceCatalog()
+    });
+    if (options.resume) {
+      console.log('📊 Restoring state from snapshot...');
+      stateManager.restoreState(options.resume.state);
+      console.log(`✅ State restored: ${stateManager.getSummary().delta_log_entries} delta entries\n`);
+    } else {
+      console.log('📊 Initializing state tracking...');
+      stateManager.initializeState(sessionId, userInput);
+      console.log(`✅ State initialized: ${stateManager.getSummary().total_rules} rule slots created\n`);
+    }
     sessionData.stateManager = stateManager;
-    console.log(`✅ State initialized: ${stateManager.getSummary().total_rules} rule slots created\n`);
+
+    // Report stage transitions to the caller (e.g. the job store)
+    const setStage = (stage) => {
+      sessionData.currentStage = stage;
+      if (options.onProgress) {
+        options.onProgress({ type: 'stage', stage, sessionId });
+      }
+    };
 
     // Initialize constraint enforcer (Phase 4)
     const constraintEnforcer = new ConstraintEnforcer(stateManager);
@@ -85,10 +297,10 @@ class Orchestrator {
 
     try {
       // Determine generation strategy (Phase 2)
-      const useChunkedGeneration = userInput.wordCount > 12000;
+      const useChunkedGeneration = Boolean(options.resume) || userInput.wordCount > 12000;
 
       if (useChunkedGeneration) {
-        sessionData.currentStage = 'chunked_generation';
+        setStage('chunked_generation');
         console.log('📝 Step 1: Generating story in chunks (Phase 2)...');
         console.log(`   Strategy: Chunked generation (~1500 words/chunk)`);
         console.log(`   Reason: Target word count (${userInput.wordCount}) exceeds single-call limit\n`);
@@ -104,7 +316,8 @@ class Orchestrator {
         const chunkedResult = await checkpointManager.generateChunkedStory(
           userInput,
           userInput.wordCount,
-          sessionId  // Pass sessionId for file organization
+          sessionId,  // Pass sessionId for file organization
+          options.resume ? { chunks: options.resume.chunks } : null
         );
 
         sessionData.initialStory = chunkedResult.story;
@@ -139,7 +352,7 @@ class Orchestrator {
 
       } else {
         // Step 1: Generate initial story (single-call)
-        sessionData.currentStage = 'story_generation';
+        setStage('story_generation');
         console.log('📝 Step 1: Generating initial story (single-call)...');
         console.log(`   Strategy: Single API call`);
         console.log(`   Reason: Target word count (${userInput.wordCount}) within single-call limit\n`);
@@ -157,7 +370,7 @@ class Orchestrator {
       }
 
       // Step 1.5: Enforce hard constraints (Phase 4)
-      sessionData.currentStage = 'constraint_enforcement';
+      setStage('constraint_enforcement');
       console.log('🔒 Step 1.5: Enforcing hard constraints...');
       const constraintCheck = constraintEnforcer.enforceConstraints(sessionData.initialStory);
       sessionData.constraintCheck = constraintCheck;
@@ -178,7 +391,7 @@ class Orchestrator {
 
       // CRITICAL: Save and package files IMMEDIATELY after generation
       // This ensures files are downloadable even if audit/refinement fails
-      sessionData.currentStage = 'immediate_packaging';
+      setStage('immediate_packaging');
       console.log('📦 Step 1.75: Creating IMMEDIATE output package (before audit)...');
 
       // Save state file first
@@ -204,6 +417,14 @@ class Orchestrator {
 
       // Store immediate package info for potential early return
       sessionData.immediatePackage = immediatePackage;
+      if (options.onProgress) {
+        options.onProgress({
+          type: 'artifact',
+          stage: 'immediate_packaging',
+          sessionId,
+          artifact: { name: 'immediate_package', path: immediatePackage.zipPath, url: `/api/download/${sessionId}` }
+        });
+      }
 
       // Check if user wants to skip audit/refinement (for faster delivery)
       const skipAudit = userInput.skipAudit === true;
@@ -212,7 +433,7 @@ class Orchestrator {
       if (skipAudit) {
         console.log('⏭️  Skipping audit and refinement (user requested)...\n');
         sessionData.status = 'completed';
-        sessionData.currentStage = 'complete';
+        setStage('complete');
         sessionData.metadata.endTime = new Date().toISOString();
         sessionData.metadata.duration = this.calculateDuration(
           sessionData.metadata.startTime,
@@ -229,7 +450,8 @@ class Orchestrator {
             qualityScore: null,
             grade: 'not_audited',
             revisionsApplied: 0,
-            duration: sessionData.metadata.duration
+            duration: sessionData.metadata.duration,
+            seed: userInput.seed
           },
           files: immediatePackage.files,
           stage: 'generation_complete',
@@ -238,7 +460,7 @@ class Orchestrator {
       }
 
       // Step 2: Perform revision audit
-      sessionData.currentStage = 'revision_audit';
+      setStage('revision_audit');
       console.log('🔍 Step 2: Performing revision audit...');
       const auditResult = await this.revisionAuditor.auditStory(
         sessionData.initialStory,
@@ -259,7 +481,7 @@ class Orchestrator {
 
       // Step 3: Refine if needed (and not skipped)
       if (!skipRefinement && this.config.autoRefine && this.revisionAuditor.needsRefinement(auditResult.scores)) {
-        sessionData.currentStage = 'refinement';
+        setStage('refinement');
         console.log('🔧 Step 3: Refinement needed - applying fixes...');
 
         const refinementResult = await this.storyRefiner.refineStory(
@@ -290,18 +512,18 @@ class Orchestrator {
       }
 
       // Step 4: Save updated state file
-      sessionData.currentStage = 'state_saving';
+      setStage('state_saving');
       console.log('💾 Step 4: Saving updated state file...');
       await sessionData.stateManager.saveState(stateFilePath);
       console.log(`✅ State saved\n`);
 
       // Step 5: Package final output (with audit/refinement)
-      sessionData.currentStage = 'packaging';
+      setStage('packaging');
       console.log('📦 Step 5: Creating final output package...');
       const packageResult = await this.outputPackager.createPackage(sessionData);
 
       sessionData.status = 'completed';
-      sessionData.currentStage = 'complete';
+      setStage('complete');
       sessionData.metadata.endTime = new Date().toISOString();
       sessionData.metadata.duration = this.calculateDuration(
         sessionData.metadata.startTime,
@@ -321,7 +543,8 @@ class Orchestrator {
           qualityScore: auditResult.scores.overallScore,
           grade: auditResult.scores.grade,
           revisionsApplied: sessionData.changeLog.length,
-          duration: sessionData.metadata.duration
+          duration: sessionData.metadata.duration,
+          seed: userInput.seed
         },
         files: packageResult.files
       };
@@ -434,11 +657,17 @@ class Orchestrator {
 
   /**
    * Get available options for form fields
+   *
+   * @param {string|null} packName - Template pack (defaults to the active pack)
    */
-  async getAvailableOptions() {
+  async getAvailableOptions(packName = null) {
+    if (packName) {
+      return this.withTemplatePack(packName, () => this.getAvailableOptions());
+    }
+
     const templateLoader = this.storyGenerator.getTemplateLoader();
 
-    return {
+    const options = {
       locations: await templateLoader.listOptions('locations'),
       themes: await templateLoader.listOptions('themes'),
       entryConditions: await templateLoader.listOptions('entry_conditions'),
@@ -447,6 +676,14 @@ class Orchestrator {
       violationResponses: await templateLoader.listOptions('violation_responses'),
       exitConditions: await templateLoader.listOptions('exit_conditions')
     };
+
+    // Offer only the pairings whose ids exist; refuse the ones that dangle
+    const { pairings, refused } = await this.referenceChecker.check();
+    if (refused.length > 0) {
+      console.warn(`⚠️  Template pack "${templateLoader.getActivePack()}" has dangling references; not offering ${refused.map(TemplateReferenceChecker.formatRefused).join(', ')}`);
+    }
+
+    return { ...options, pairings, refused };
   }
 
   /**
@@ -461,6 +698,10 @@ class Orchestrator {
       errors.push('Word count must be between 5,000 and 50,000');
     }
 
+    if (userInput.seed !== undefined && userInput.seed !== null && !SeededRandom.isValidSeed(userInput.seed)) {
+      errors.push('Seed must be a non-negative integer or a non-empty string (max 128 characters)');
+    }
+
     // All other fields are optional - engine will pick random defaults if null
 
     return {
@@ -472,13 +713,22 @@ class Orchestrator {
   /**
    * Fill in random defaults for any null/undefined fields
    * Called after validation, before workflow execution
+   *
+   * Choices come from a PRNG seeded with userInput.seed (a fresh seed is
+   * generated and recorded when none is given), so the same seed and
+   * parameters always fill the same defaults.
    */
   async fillDefaults(userInput) {
-    const options = await this.getAvailableOptions();
+    const options = await this.getAvailableOptions(userInput.templatePack);
     const filled = { ...userInput };
 
+    const hasSeed = filled.seed !== undefined && filled.seed !== null && filled.seed !== '';
+    filled.seed = hasSeed ? filled.seed : SeededRandom.generateSeed();
+    console.log(`   🎲 Seed: ${filled.seed}${hasSeed ? '' : ' (generated)'}`);
+    const random = new SeededRandom(filled.seed, 'fillDefaults');
+
     // Helper to pick random element from array
-    const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
+    const pickRandom = (arr) => random.pick(arr);
 
     // Fill each null field with a random option
     if (!filled.location && options.locations?.length) {
@@ -529,10 +779,13 @@ class Orchestrator {
 
     // Default rule count if not set
     if (!filled.ruleCount || filled.ruleCount < 1) {
-      filled.ruleCount = Math.floor(Math.random() * 5) + 3; // 3-7 rules
+      filled.ruleCount = random.int(3, 7);
       console.log(`   🎲 Random rule count: ${filled.ruleCount}`);
     }
 
+    // Record the pack the options came from
+    filled.templatePack = userInput.templatePack || this.storyGenerator.getTemplateLoader().getActivePack();
+
     return filled;
   }
 }
@@ -0,0 +1,274 @@
+/**
+ * Promise Ledger Service
+ * Tracks the story's setups until they are paid off
+ *
+ * continuity.promises holds the ledger of both pipelines. Each promise is a
+ * setup the reader will expect to see again:
+ *   object         an item or place the story draws attention to (the locked drawer)
+ *   foreshadowing  an event the story hints is coming (the bells will stop at three)
+ *   rule_hint      a rule or its consequence that is hinted but not yet shown
+ * with the chunk or scene it was set up in, how much the ending depends on it
+ * (critical|major|minor), an optional chunk it must be paid off by, and when
+ * it was paid off.
+ *
+ * Final chunks are told which promises they must resolve. Assembly (staged
+ * and PostProcessor) writes a payoff report and refuses a story that ends
+ * with a critical promise unpaid.
+ */
+
+const KINDS = ['object', 'foreshadowing', 'rule_hint'];
+const IMPORTANCE = ['critical', 'major', 'minor'];
+
+// Share of a reference's words a setup must contain to match it
+const MATCH_THRESHOLD = 0.6;
+
+const STOP_WORDS = new Set(['the', 'and', 'that', 'this', 'with', 'was', 'were', 'for', 'from', 'into', 'her', 'his', 'its', 'their', 'has', 'had', 'but', 'not', 'are', 'will']);
+
+class PromiseLedger {
+  /**
+   * @param {object} owner - StateManager or StateTracker (anything with getState())
+   */
+  constructor(owner) {
+    this.owner = owner;
+  }
+
+  /**
+   * The promises section of the owner's state
+   */
+  getPromises() {
+    const state = this.owner.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    return state.canonical_state.continuity.promises;
+  }
+
+  /**
+   * Promises not yet paid off
+   */
+  getOpen() {
+    return this.getPromises().filter(p => !p.paid_off);
+  }
+
+  /**
+   * Record a setup
+   * A setup already open under the same wording is not recorded twice.
+   * Unknown kinds and importance fall back to foreshadowing / major.
+   *
+   * @param {object} promise - { setup, kind, importance, payoff_by }
+   * @param {object} at - { chunk, scene }
+   * @returns {object|null} Promise recorded, or null if it was already open
+   */
+  open(promise, at = {}) {
+    const setup = typeof promise === 'string' ? promise : promise?.setup;
+    if (typeof setup !== 'string' || !setup.trim()) {
+      const error = new Error('A promise needs its setup text');
+      error.code = 'INVALID_INPUT';
+      throw error;
+    }
+
+    const promises = this.getPromises();
+    if (promises.some(p => !p.paid_off && normalizeText(p.setup) === normalizeText(setup))) {
+      return null;
+    }
+
+    const record = PromiseLedger.createPromise({
+      promise_id: PromiseLedger.nextId(promises),
+      setup: setup.trim(),
+      kind: KINDS.includes(promise.kind) ? promise.kind : 'foreshadowing',
+      importance: IMPORTANCE.includes(promise.importance) ? promise.importance : 'major',
+      established_chunk: at.chunk ?? null,
+      established_scene: at.scene ?? null,
+      requires_payoff_by: Number.isInteger(promise.payoff_by) ? promise.payoff_by : null
+    });
+    promises.push(record);
+    return record;
+  }
+
+  /**
+   * Mark a promise paid off
+   *
+   * @param {string} reference - promise_id, or the setup text (close wording matches)
+   * @param {object} at - { chunk, scene }
+   * @returns {object|null} Promise paid, or null if no open promise matches
+   */
+  pay(reference, at = {}) {
+    const promise = PromiseLedger.find(this.getOpen(), reference);
+    if (!promise) {
+      return null;
+    }
+
+    promise.paid_off = true;
+    promise.payoff_chunk = at.chunk ?? null;
+    promise.payoff_scene = at.scene ?? null;
+    return promise;
+  }
+
+  /**
+   * A promise record with every field
+   */
+  static createPromise(fields = {}) {
+    return {
+      promise_id: null,
+      setup: '',
+      kind: 'foreshadowing',
+      importance: 'major',
+      established_chunk: null,
+      established_scene: null,
+      requires_payoff_by: null,
+      paid_off: false,
+      payoff_chunk: null,
+      payoff_scene: null,
+      ...fields
+    };
+  }
+
+  /**
+   * Bring a promises section up to the ledger model (ids, kinds, importance)
+   */
+  static normalize(canonical) {
+    const promises = [];
+    for (const stored of canonical.continuity.promises || []) {
+      promises.push(PromiseLedger.createPromise({
+        ...stored,
+        promise_id: stored.promise_id || PromiseLedger.nextId(promises)
+      }));
+    }
+    canonical.continuity.promises = promises;
+    return canonical;
+  }
+
+  /**
+   * Find an open promise by id or setup text
+   * Exact wording wins; otherwise the setup containing the most of the
+   * reference's words, if it contains enough of them.
+   */
+  static find(promises, reference) {
+    if (typeof reference !== 'string' || !reference.trim()) return null;
+
+    const byId = promises.find(p => p.promise_id === reference.trim());
+    if (byId) return byId;
+
+    const text = normalizeText(reference);
+    const exact = promises.find(p => normalizeText(p.setup) === text);
+    if (exact) return exact;
+
+    const words = contentWords(text);
+    if (words.length === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+    promises.forEach(p => {
+      const setupWords = new Set(contentWords(normalizeText(p.setup)));
+      const score = words.filter(word => setupWords.has(word)).length / words.length;
+      if (score > bestScore) {
+        best = p;
+        bestScore = score;
+      }
+    });
+    return bestScore >= MATCH_THRESHOLD ? best : null;
+  }
+
+  /**
+   * Lines describing the open promises for chunk prompts
+   *
+   * @param {object} canonical - canonical_state
+   * @param {string[]} importance - Importance levels to include
+   * @returns {string[]} e.g. "promise_2 (object, critical): The locked drawer - set up in chunk 1, pay off by chunk 4"
+   */
+  static describe(canonical, importance = IMPORTANCE) {
+    return (canonical.continuity?.promises || [])
+      .filter(p => !p.paid_off && importance.includes(p.importance))
+      .map(p => {
+        const due = p.requires_payoff_by !== null ? `, pay off by chunk ${p.requires_payoff_by}` : '';
+        return `${p.promise_id} (${p.kind.replace('_', ' ')}, ${p.importance}): ${p.setup} - set up in ${where(p.established_chunk, p.established_scene)}${due}`;
+      });
+  }
+
+  /**
+   * Payoff report of a finished story
+   *
+   * @param {object} canonical - canonical_state after the last chunk
+   * @param {string[]} requirements - Thematic payoff requirements (thematic_elements.yaml)
+   * @returns {object} { passed, total, paid, unpaid, critical_unpaid, overdue, payoff_requirements }
+   */
+  static report(canonical, requirements = []) {
+    const promises = canonical.continuity?.promises || [];
+    const lastChunk = canonical.narrative?.current_chunk || 0;
+    const unpaid = promises.filter(p => !p.paid_off);
+    const criticalUnpaid = unpaid.filter(p => p.importance === 'critical');
+
+    return {
+      passed: criticalUnpaid.length === 0,
+      total: promises.length,
+      paid: promises.filter(p => p.paid_off),
+      unpaid,
+      critical_unpaid: criticalUnpaid,
+      overdue: unpaid.filter(p => p.requires_payoff_by !== null && p.requires_payoff_by < lastChunk),
+      payoff_requirements: requirements
+    };
+  }
+
+  /**
+   * Markdown of a payoff report
+   */
+  static formatReport(report, sessionId = null) {
+    const lines = [
+      '# Payoff Report',
+      ...(sessionId ? [`**Session:** ${sessionId}`] : []),
+      `**Status:** ${report.passed ? 'PASS' : `FAIL (${report.critical_unpaid.length} critical promise(s) unpaid)`}`,
+      `**Promises:** ${report.total} set up, ${report.paid.length} paid off, ${report.unpaid.length} open`,
+      ''
+    ];
+
+    if (report.unpaid.length > 0) {
+      lines.push('## Unpaid', '| Promise | Kind | Importance | Set up | Due |', '|---------|------|------------|--------|-----|');
+      report.unpaid.forEach(p => {
+        const due = p.requires_payoff_by !== null ? `chunk ${p.requires_payoff_by}${report.overdue.includes(p) ? ' (overdue)' : ''}` : '-';
+        lines.push(`| ${p.promise_id}: ${p.setup} | ${p.kind} | ${p.importance} | ${where(p.established_chunk, p.established_scene)} | ${due} |`);
+      });
+      lines.push('');
+    }
+
+    if (report.paid.length > 0) {
+      lines.push('## Paid Off', '| Promise | Kind | Set up | Paid off |', '|---------|------|--------|----------|');
+      report.paid.forEach(p => {
+        lines.push(`| ${p.promise_id}: ${p.setup} | ${p.kind} | ${where(p.established_chunk, p.established_scene)} | ${where(p.payoff_chunk, p.payoff_scene)} |`);
+      });
+      lines.push('');
+    }
+
+    if (report.payoff_requirements.length > 0) {
+      lines.push('## Thematic Payoff (check by reading)');
+      report.payoff_requirements.forEach(requirement => lines.push(`- ${requirement}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  static nextId(promises) {
+    const numbers = promises.map(p => parseInt(/^promise_(\d+)$/.exec(p.promise_id || '')?.[1], 10)).filter(n => !isNaN(n));
+    return `promise_${numbers.length > 0 ? Math.max(...numbers) + 1 : 1}`;
+  }
+}
+
+PromiseLedger.KINDS = KINDS;
+PromiseLedger.IMPORTANCE = IMPORTANCE;
+
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^\w\s'-]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function contentWords(text) {
+  return text.split(' ').filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+function where(chunk, scene) {
+  if (chunk !== null && chunk !== undefined) return `chunk ${chunk}`;
+  if (scene !== null && scene !== undefined) return `scene ${scene}`;
+  return 'unknown';
+}
+
+module.exports = PromiseLedger;
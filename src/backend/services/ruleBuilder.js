@@ -2,10 +2,19 @@
  * Rule Builder Service
  * Translates YAML templates into structured rule objects with
  * consequences, dependencies, and violation tracking
+ *
+ * Consequence ids are defined in the template pack's consequences.yaml
+ * (see consequenceCatalog.js).
  */
 
+const ConsequenceCatalog = require('../utils/consequenceCatalog');
+
 class RuleBuilder {
-  constructor() {
+  /**
+   * @param {object} options - { consequences: ConsequenceCatalog (defaults to the built-in pack's) }
+   */
+  constructor(options = {}) {
+    this.consequences = options.consequences || ConsequenceCatalog.loadDefault();
 
     // Rule type configurations
     this.ruleTypeDefaults = {
@@ -55,108 +64,6 @@ class RuleBuilder {
         }
       }
     };
-
-    // Consequence definitions
-    this.consequenceEffects = {
-      // Protection/Safety
-      'protection_void': {
-        type: 'irreversible_flag',
-        flag: 'protected',
-        value: false,
-        description: 'Narrator no longer protected by rules'
-      },
-      'boundary_breached': {
-        type: 'irreversible_flag',
-        flag: 'boundary_intact',
-        value: false,
-        description: 'Physical boundary no longer enforced'
-      },
-
-      // Entity capabilities
-      'entity_can_reach_vehicle': {
-        type: 'entity_capability',
-        capability: 'can_enter_vehicle',
-        value: true,
-        description: 'Entity gains ability to access vehicle'
-      },
-      'entity_can_imitate_narrator': {
-        type: 'entity_capability',
-        capability: 'can_imitate_narrator',
-        value: true,
-        description: 'Entity can mimic narrator appearance/voice'
-      },
-      'entity_knows_name': {
-        type: 'entity_capability',
-        capability: 'knows_narrator_name',
-        value: true,
-        description: 'Entity has learned narrator identity'
-      },
-      'attention_drawn': {
-        type: 'entity_capability',
-        capability: 'aware_of_narrator',
-        value: true,
-        description: 'Entity now aware of narrator presence'
-      },
-
-      // Contamination/Marking
-      'marked_for_collection': {
-        type: 'contamination',
-        level: 1,
-        description: 'Narrator marked for entity attention'
-      },
-      'marked_for_observation': {
-        type: 'contamination',
-        level: 1,
-        description: 'Narrator under observation'
-      },
-      'contamination_spread': {
-        type: 'contamination',
-        level: 2,
-        description: 'Contamination spreads to narrator'
-      },
-
-      // Temporal/Reality
-      'temporal_slip': {
-        type: 'world_fact',
-        key: 'temporal_stability',
-        value: 'unstable',
-        description: 'Time flow becomes unreliable'
-      },
-      'reality_degradation': {
-        type: 'irreversible_flag',
-        flag: 'reality_stable',
-        value: false,
-        description: 'Reality begins to break down'
-      },
-
-      // Procedural
-      'procedure_disrupted': {
-        type: 'world_fact',
-        key: 'procedure_intact',
-        value: false,
-        description: 'Required procedure disrupted'
-      },
-      'system_instability': {
-        type: 'irreversible_flag',
-        flag: 'system_stable',
-        value: false,
-        description: 'Overall system becomes unstable'
-      },
-
-      // Object state
-      'object_state_changed': {
-        type: 'world_fact',
-        key: 'object_pristine',
-        value: false,
-        description: 'Object state permanently altered'
-      },
-      'interaction_irreversible': {
-        type: 'irreversible_flag',
-        flag: 'can_undo_interaction',
-        value: false,
-        description: 'Object interaction cannot be undone'
-      }
-    };
   }
 
   /**
@@ -181,6 +88,10 @@ class RuleBuilder {
       dependencies = null
     } = params;
 
+    if (consequences) {
+      this.assertKnownConsequences(rule_id, consequences);
+    }
+
     // Get defaults for rule type
     const typeDefaults = this.ruleTypeDefaults[type] || this.ruleTypeDefaults.behavioral;
 
@@ -399,14 +310,73 @@ class RuleBuilder {
     });
   }
 
+  /**
+   * Build default interactions for the selected interaction patterns
+   * (inflection_points/rule_interactions.yaml ids) over a rule set
+   *
+   * Each pattern is bound to fixed rule positions so the same parameters
+   * always give the same interactions; patterns needing more rules than the
+   * set has are skipped.
+   *
+   * @param {array} rules - Rule objects
+   * @param {array} patterns - Interaction pattern ids
+   * @returns {array} Interaction definitions for StateManager.setRuleInteractions()
+   */
+  buildInteractions(rules, patterns = []) {
+    const ids = rules.map(r => r.rule_id);
+    const last = ids.length - 1;
+    const templates = {
+      dependency: { slots: [0, 1] },
+      threshold: {
+        slots: ids.map((_, i) => i),
+        count: Math.max(2, Math.ceil(ids.length / 2)),
+        consequences: ['system_instability']
+      },
+      conflict: { slots: [2, 3], resolution: 'genuine' },
+      contextual_drift: {
+        slots: [2],
+        when: { violated: ids[0] },
+        context: 'After the first violation, the rule applies to whatever the narrator now fears most'
+      },
+      mutual_exclusion: { slots: [4, 5] },
+      amplification: { slots: [0, 3], multiplier: 2 },
+      temporal_sequencing: { slots: [1, 2], window_scenes: 2 },
+      conditional_activation: { slots: [last], when: { violated: ids[0] } }
+    };
+
+    const interactions = [];
+    for (const pattern of patterns) {
+      const template = templates[pattern];
+      if (!template) {
+        console.warn(`⚠️  No interaction template for pattern: ${pattern}`);
+        continue;
+      }
+
+      const { slots, ...params } = template;
+      if (slots.length === 0 || slots.some(i => i > last)) {
+        console.warn(`⚠️  Not enough rules for ${pattern} interaction (${ids.length} rules)`);
+        continue;
+      }
+
+      interactions.push({ id: pattern, type: pattern, rules: slots.map(i => ids[i]), ...params });
+    }
+
+    // Dormant rules stay inactive until the engine activates them
+    interactions
+      .filter(i => i.type === 'conditional_activation')
+      .forEach(i => { rules.find(r => r.rule_id === i.rules[0]).dormant = true; });
+
+    return interactions;
+  }
+
   /**
    * Get consequence effect definition
    *
    * @param {string} consequence - Consequence identifier
-   * @returns {object} Consequence effect definition
+   * @returns {object} Consequence definition ({ category, description, effects }) or null
    */
   getConsequenceEffect(consequence) {
-    return this.consequenceEffects[consequence] || null;
+    return this.consequences.get(consequence);
   }
 
   /**
@@ -415,7 +385,25 @@ class RuleBuilder {
    * @returns {object} All consequence definitions
    */
   getAllConsequences() {
-    return this.consequenceEffects;
+    return this.consequences.toJSON();
+  }
+
+  /**
+   * Throw UNKNOWN_CONSEQUENCE if a rule lists ids missing from the catalog
+   *
+   * @param {string} ruleId - Rule the consequences belong to
+   * @param {object} consequences - { immediate, delayed, permanent } id lists
+   */
+  assertKnownConsequences(ruleId, consequences) {
+    const ids = ['immediate', 'delayed', 'permanent'].flatMap(timing => consequences[timing] || []);
+    const unknown = this.consequences.findUnknown(ids);
+
+    if (unknown.length > 0) {
+      const error = new Error(`Rule ${ruleId} has unknown consequence(s): ${unknown.join(', ')}`);
+      error.code = 'UNKNOWN_CONSEQUENCE';
+      error.consequences = unknown;
+      throw error;
+    }
   }
 
   /**
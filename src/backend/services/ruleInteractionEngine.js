@@ -0,0 +1,706 @@
+/**
+ * Rule Interaction Engine
+ * Executes the interaction types described in rule_interactions.yaml
+ *
+ * Interactions are stored in canonical_state.rule_interactions, each with the
+ * rules it links, its parameters and a status the engine updates:
+ *
+ *   dependency             { rules: [prerequisite, dependent] }
+ *                          following the dependent only protects once the prerequisite
+ *                          was followed; violating the prerequisite invalidates the dependent
+ *   threshold              { rules, count, consequences }
+ *                          consequences apply once when violations across the rules reach count
+ *   conflict               { rules: [a, b], resolution: genuine|apparent }
+ *                          genuine: following one rule violates the other
+ *   contextual_drift       { rules: [rule], when, context, text? }
+ *                          once `when` holds, the rule's application (and optionally text) shifts
+ *   mutual_exclusion       { rules }
+ *                          engaging one rule locks the others out for good
+ *   amplification          { rules, multiplier }
+ *                          a violation while the other rules are already violated multiplies
+ *                          its contamination
+ *   temporal_sequencing    { rules, window_scenes? }
+ *                          rules must be followed in order (and within the window)
+ *   conditional_activation { rules: [rule], when }
+ *                          the rule is dormant (rule.dormant) until `when` holds
+ *
+ * `when` conditions: { violated: ruleId, count? } | { scene: n } | { act: name } |
+ * { flag: name, equals? } | { world_fact: key, equals? } | { capability: name }
+ *
+ * Dependency, sequencing, violation-triggered activation and requires_rules form a
+ * directed graph over rules; a cycle in it is an error (no order could satisfy it).
+ */
+
+const INTERACTION_TYPES = [
+  'dependency',
+  'threshold',
+  'conflict',
+  'contextual_drift',
+  'mutual_exclusion',
+  'amplification',
+  'temporal_sequencing',
+  'conditional_activation'
+];
+
+// Minimum number of rules each type links
+const MIN_RULES = {
+  dependency: 2,
+  threshold: 1,
+  conflict: 2,
+  contextual_drift: 1,
+  mutual_exclusion: 2,
+  amplification: 2,
+  temporal_sequencing: 2,
+  conditional_activation: 1
+};
+
+// Types that link a fixed number of rules
+const EXACT_RULES = {
+  dependency: 2,
+  conflict: 2,
+  contextual_drift: 1,
+  conditional_activation: 1
+};
+
+class RuleInteractionEngine {
+  /**
+   * @param {StateManager} stateManager - State the interactions are stored in and act on
+   */
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+  }
+
+  static getTypes() {
+    return [...INTERACTION_TYPES];
+  }
+
+  /**
+   * Interactions stored in state (created on first use, e.g. for older snapshots)
+   */
+  getInteractions() {
+    const state = this.stateManager.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    if (!state.canonical_state.rule_interactions) {
+      state.canonical_state.rule_interactions = [];
+    }
+    return state.canonical_state.rule_interactions;
+  }
+
+  /**
+   * Replace all interactions
+   *
+   * @param {Array} interactions - Interaction definitions
+   * @returns {Array} Stored interactions
+   * @throws {Error} code INVALID_RULE_INTERACTION (with .errors) if any is invalid or the
+   *   dependency graph has a cycle
+   */
+  setInteractions(interactions) {
+    const normalized = interactions.map((interaction, index) => this.normalize(interaction, index));
+    const errors = this.validate(normalized);
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid rule interactions: ${errors[0].message}`);
+      error.code = 'INVALID_RULE_INTERACTION';
+      error.errors = errors;
+      throw error;
+    }
+
+    const state = this.stateManager.getState();
+    state.canonical_state.rule_interactions = normalized;
+    return normalized;
+  }
+
+  /**
+   * Add one interaction (validated together with the existing ones)
+   */
+  addInteraction(interaction) {
+    const existing = this.getInteractions();
+    return this.setInteractions([...existing, interaction])[existing.length];
+  }
+
+  /**
+   * Fill in defaults, an id and an empty status
+   */
+  normalize(interaction, index) {
+    const normalized = {
+      id: interaction.id || `${interaction.type}_${index + 1}`,
+      ...interaction,
+      rules: [...(interaction.rules || [])],
+      status: interaction.status ? { ...interaction.status } : {}
+    };
+
+    if (normalized.type === 'conflict' && !normalized.resolution) {
+      normalized.resolution = 'genuine';
+    }
+    if (normalized.type === 'amplification' && normalized.multiplier === undefined) {
+      normalized.multiplier = 2;
+    }
+    if (normalized.type === 'threshold' && !normalized.consequences) {
+      normalized.consequences = [];
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Check interactions against the current rules
+   *
+   * @param {Array} interactions - Normalized interactions (defaults to the stored ones)
+   * @returns {Array<{code, interaction, message}>} Errors (empty if valid)
+   */
+  validate(interactions = this.getInteractions()) {
+    const errors = [];
+    const fail = (interaction, code, message) => errors.push({ code, interaction: interaction.id, message: `${interaction.id}: ${message}` });
+    const ids = new Set();
+
+    for (const interaction of interactions) {
+      if (ids.has(interaction.id)) {
+        fail(interaction, 'DUPLICATE_INTERACTION', 'duplicate interaction id');
+      }
+      ids.add(interaction.id);
+
+      if (!INTERACTION_TYPES.includes(interaction.type)) {
+        fail(interaction, 'UNKNOWN_INTERACTION_TYPE', `unknown type "${interaction.type}" (expected one of ${INTERACTION_TYPES.join(', ')})`);
+        continue;
+      }
+
+      if (interaction.rules.length < MIN_RULES[interaction.type]) {
+        fail(interaction, 'MISSING_RULES', `${interaction.type} needs at least ${MIN_RULES[interaction.type]} rule(s)`);
+      }
+      if (EXACT_RULES[interaction.type] && interaction.rules.length > EXACT_RULES[interaction.type]) {
+        fail(interaction, 'TOO_MANY_RULES', `${interaction.type} links exactly ${EXACT_RULES[interaction.type]} rule(s)`);
+      }
+      if (new Set(interaction.rules).size !== interaction.rules.length) {
+        fail(interaction, 'DUPLICATE_RULES', 'a rule is listed more than once');
+      }
+      interaction.rules
+        .filter(ruleId => !this.stateManager.getRule(ruleId))
+        .forEach(ruleId => fail(interaction, 'UNKNOWN_RULE', `unknown rule "${ruleId}"`));
+
+      switch (interaction.type) {
+        case 'threshold':
+          if (!Number.isInteger(interaction.count) || interaction.count < 1) {
+            fail(interaction, 'INVALID_PARAMETER', 'count must be a positive integer');
+          }
+          this.stateManager.consequences.findUnknown(interaction.consequences)
+            .forEach(id => fail(interaction, 'UNKNOWN_CONSEQUENCE', `unknown consequence "${id}"`));
+          break;
+        case 'conflict':
+          if (!['genuine', 'apparent'].includes(interaction.resolution)) {
+            fail(interaction, 'INVALID_PARAMETER', 'resolution must be genuine or apparent');
+          }
+          break;
+        case 'amplification':
+          if (typeof interaction.multiplier !== 'number' || interaction.multiplier < 1) {
+            fail(interaction, 'INVALID_PARAMETER', 'multiplier must be a number >= 1');
+          }
+          break;
+        case 'temporal_sequencing':
+          if (interaction.window_scenes !== undefined &&
+              (!Number.isInteger(interaction.window_scenes) || interaction.window_scenes < 1)) {
+            fail(interaction, 'INVALID_PARAMETER', 'window_scenes must be a positive integer');
+          }
+          break;
+        case 'contextual_drift':
+          if (!interaction.context && !interaction.text) {
+            fail(interaction, 'INVALID_PARAMETER', 'drift needs a context or a new text');
+          }
+          // falls through: drift and activation both need a condition
+        case 'conditional_activation': {
+          const conditionError = this.checkCondition(interaction.when);
+          if (conditionError) {
+            fail(interaction, 'INVALID_CONDITION', conditionError);
+          }
+          break;
+        }
+      }
+    }
+
+    // An ordering between two rules that exclude each other can never be satisfied
+    const exclusive = interactions.filter(i => i.type === 'mutual_exclusion');
+    for (const [from, to, source] of this.getOrderingEdges(interactions)) {
+      const blocking = exclusive.find(i => i.rules.includes(from) && i.rules.includes(to));
+      if (blocking && source.type !== 'conditional_activation') {
+        fail(source, 'IMPOSSIBLE_INTERACTION', `${from} -> ${to} is ordered, but ${blocking.id} makes them mutually exclusive`);
+      }
+    }
+
+    const cycle = RuleInteractionEngine.findCycle(this.getDependencyEdges(interactions));
+    if (cycle) {
+      errors.push({
+        code: 'RULE_DEPENDENCY_CYCLE',
+        interaction: null,
+        message: `dependency cycle: ${cycle.join(' -> ')}`,
+        cycle
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Problem with a `when` condition, or null
+   */
+  checkCondition(when) {
+    if (!when || typeof when !== 'object') {
+      return 'missing "when" condition';
+    }
+    const keys = ['violated', 'scene', 'act', 'flag', 'world_fact', 'capability'].filter(key => when[key] !== undefined);
+    if (keys.length !== 1) {
+      return 'condition needs exactly one of violated, scene, act, flag, world_fact, capability';
+    }
+    if (when.violated !== undefined && !this.stateManager.getRule(when.violated)) {
+      return `unknown rule "${when.violated}" in condition`;
+    }
+    return null;
+  }
+
+  /**
+   * Ordering edges from dependency, sequencing and violation-triggered activation
+   *
+   * @returns {Array<[from, to, interaction]>}
+   */
+  getOrderingEdges(interactions) {
+    const edges = [];
+    for (const interaction of interactions) {
+      if (interaction.type === 'dependency') {
+        edges.push([interaction.rules[0], interaction.rules[1], interaction]);
+      } else if (interaction.type === 'temporal_sequencing') {
+        for (let i = 1; i < interaction.rules.length; i++) {
+          edges.push([interaction.rules[i - 1], interaction.rules[i], interaction]);
+        }
+      } else if (interaction.type === 'conditional_activation' && interaction.when && interaction.when.violated) {
+        edges.push([interaction.when.violated, interaction.rules[0], interaction]);
+      }
+    }
+    return edges;
+  }
+
+  /**
+   * Directed rule graph: ordering edges plus the rules' own requires_rules
+   *
+   * @returns {Array<[from, to]>}
+   */
+  getDependencyEdges(interactions = this.getInteractions()) {
+    const edges = this.getOrderingEdges(interactions).map(([from, to]) => [from, to]);
+    const rules = this.stateManager.getState().canonical_state.rules;
+
+    for (const rule of rules) {
+      const required = (rule.dependencies && rule.dependencies.requires_rules) || [];
+      required.forEach(requiredId => edges.push([requiredId, rule.rule_id]));
+    }
+    return edges;
+  }
+
+  /**
+   * First cycle in a directed graph (depth-first search)
+   *
+   * @param {Array<[from, to]>} edges
+   * @returns {string[]|null} Nodes of the cycle, first node repeated at the end
+   */
+  static findCycle(edges) {
+    const graph = new Map();
+    for (const [from, to] of edges) {
+      if (!graph.has(from)) graph.set(from, []);
+      if (!graph.has(to)) graph.set(to, []);
+      graph.get(from).push(to);
+    }
+
+    const VISITING = 1;
+    const DONE = 2;
+    const marks = new Map();
+    const path = [];
+
+    const visit = (node) => {
+      marks.set(node, VISITING);
+      path.push(node);
+
+      for (const next of graph.get(node)) {
+        if (marks.get(next) === VISITING) {
+          return [...path.slice(path.indexOf(next)), next];
+        }
+        if (!marks.has(next)) {
+          const cycle = visit(next);
+          if (cycle) return cycle;
+        }
+      }
+
+      path.pop();
+      marks.set(node, DONE);
+      return null;
+    };
+
+    for (const node of graph.keys()) {
+      if (!marks.has(node)) {
+        const cycle = visit(node);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // STATE HOOKS (called by StateManager)
+  // ==========================================================================
+
+  /**
+   * Contamination multiplier for violating a rule now (amplification)
+   *
+   * @param {string} ruleId - Rule about to be violated
+   * @returns {number} Product of the multipliers of every active amplification
+   */
+  getViolationMultiplier(ruleId) {
+    return this.getInteractions()
+      .filter(i => i.type === 'amplification' && i.rules.includes(ruleId))
+      .filter(i => i.rules.every(other => other === ruleId || this.isViolated(other)))
+      .reduce((multiplier, i) => multiplier * i.multiplier, 1);
+  }
+
+  /**
+   * Throw if a rule may not be engaged (followed or activated)
+   *
+   * @throws {Error} code MUTUALLY_EXCLUSIVE
+   */
+  assertCanEngage(ruleId) {
+    const blocking = this.getInteractions().find(i =>
+      i.type === 'mutual_exclusion' && i.rules.includes(ruleId) &&
+      i.status.committed && i.status.committed !== ruleId
+    );
+
+    if (blocking) {
+      const error = new Error(`Rule ${ruleId} is locked out: ${blocking.status.committed} was chosen (${blocking.id})`);
+      error.code = 'MUTUALLY_EXCLUSIVE';
+      error.interaction = blocking.id;
+      throw error;
+    }
+  }
+
+  /**
+   * A rule was activated: commit mutual exclusions
+   *
+   * @returns {Array} Interaction events
+   */
+  onActivation(rule, sceneNumber = null) {
+    const events = this.commitExclusions(rule, sceneNumber);
+    this.log(sceneNumber, events);
+    return events;
+  }
+
+  /**
+   * A rule was followed
+   *
+   * @returns {Array} Interaction events
+   */
+  onCompliance(rule, sceneNumber = null) {
+    const events = [...this.commitExclusions(rule, sceneNumber)];
+
+    for (const interaction of this.getInteractions()) {
+      if (!interaction.rules.includes(rule.rule_id)) continue;
+
+      switch (interaction.type) {
+        case 'dependency': {
+          const [prerequisite, dependent] = interaction.rules;
+          if (dependent === rule.rule_id && !this.hasComplied(prerequisite)) {
+            events.push(this.event(interaction, sceneNumber,
+              `${dependent} followed without ${prerequisite} first: it does not protect`));
+            this.violate(dependent, sceneNumber, interaction);
+          }
+          break;
+        }
+
+        case 'conflict':
+          if (interaction.resolution === 'genuine') {
+            const other = interaction.rules.find(id => id !== rule.rule_id);
+            interaction.status.chosen = rule.rule_id;
+            events.push(this.event(interaction, sceneNumber, `following ${rule.rule_id} breaks ${other}`));
+            this.violate(other, sceneNumber, interaction);
+          }
+          break;
+
+        case 'temporal_sequencing': {
+          const position = interaction.rules.indexOf(rule.rule_id);
+          const expected = interaction.status.progress || 0;
+
+          if (position > expected) {
+            events.push(this.event(interaction, sceneNumber,
+              `${rule.rule_id} followed before ${interaction.rules[expected]}: sequence broken`));
+            this.violate(rule.rule_id, sceneNumber, interaction);
+          } else if (position === expected) {
+            interaction.status.progress = expected + 1;
+            interaction.status.last_scene = sceneNumber;
+            if (interaction.status.progress === interaction.rules.length) {
+              events.push(this.event(interaction, sceneNumber, 'sequence completed'));
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    this.log(sceneNumber, events);
+    return events;
+  }
+
+  /**
+   * A rule was violated (its own consequences already applied)
+   *
+   * @returns {Array} Interaction events
+   */
+  onViolation(rule, sceneNumber = null) {
+    const events = [];
+
+    for (const interaction of this.getInteractions()) {
+      switch (interaction.type) {
+        case 'dependency': {
+          const [prerequisite, dependent] = interaction.rules;
+          const dependentRule = this.stateManager.getRule(dependent);
+          if (prerequisite === rule.rule_id && dependentRule && !dependentRule.invalidated_by) {
+            dependentRule.invalidated_by = prerequisite;
+            interaction.status.invalidated = true;
+            events.push(this.event(interaction, sceneNumber, `${dependent} no longer protects (${prerequisite} violated)`));
+          }
+          break;
+        }
+
+        case 'threshold': {
+          if (interaction.status.triggered || !interaction.rules.includes(rule.rule_id)) break;
+          const total = interaction.rules.reduce((sum, id) => sum + this.stateManager.getRule(id).violation_count, 0);
+          if (total >= interaction.count) {
+            interaction.status.triggered = true;
+            interaction.status.triggered_at_scene = sceneNumber;
+            const applied = this.applyConsequences(interaction.consequences, { rule_id: rule.rule_id, scene: sceneNumber });
+            events.push(this.event(interaction, sceneNumber,
+              `threshold of ${interaction.count} violations crossed${applied.length ? `: ${applied.join(', ')}` : ''}`));
+          }
+          break;
+        }
+      }
+    }
+
+    events.push(...this.evaluateConditions(sceneNumber));
+    this.log(sceneNumber, events);
+    return events;
+  }
+
+  /**
+   * Re-check drift and activation conditions (after a scene or act change)
+   *
+   * @returns {Array} Interaction events
+   */
+  evaluate(sceneNumber = null) {
+    const events = [...this.checkWindows(sceneNumber), ...this.evaluateConditions(sceneNumber)];
+    this.log(sceneNumber, events);
+    return events;
+  }
+
+  // ==========================================================================
+  // INTERNALS
+  // ==========================================================================
+
+  /**
+   * Fire contextual drift and conditional activation whose condition now holds
+   */
+  evaluateConditions(sceneNumber) {
+    const events = [];
+
+    for (const interaction of this.getInteractions()) {
+      if (interaction.status.triggered) continue;
+      if (!['contextual_drift', 'conditional_activation'].includes(interaction.type)) continue;
+      if (!this.conditionHolds(interaction.when)) continue;
+
+      const rule = this.stateManager.getRule(interaction.rules[0]);
+      interaction.status.triggered = true;
+      interaction.status.triggered_at_scene = sceneNumber;
+
+      if (interaction.type === 'contextual_drift') {
+        if (interaction.text && interaction.text !== rule.text) {
+          rule.original_text = rule.original_text || rule.text;
+          rule.text = interaction.text;
+        }
+        if (interaction.context) {
+          rule.context = interaction.context;
+        }
+        events.push(this.event(interaction, sceneNumber,
+          `${rule.rule_id} drifted${interaction.context ? `: ${interaction.context}` : ''}`));
+      } else {
+        try {
+          this.assertCanEngage(rule.rule_id);
+        } catch (error) {
+          events.push(this.event(interaction, sceneNumber, `${rule.rule_id} stays dormant: ${error.message}`));
+          continue;
+        }
+        if (!rule.active || rule.dormant) {
+          rule.active = true;
+          delete rule.dormant;
+          events.push(...this.commitExclusions(rule, sceneNumber));
+        }
+        events.push(this.event(interaction, sceneNumber, `${rule.rule_id} activated (condition met)`));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Violate the next rule of a sequence whose window has run out
+   */
+  checkWindows(sceneNumber) {
+    const events = [];
+    if (typeof sceneNumber !== 'number') return events;
+
+    for (const interaction of this.getInteractions()) {
+      if (interaction.type !== 'temporal_sequencing' || !interaction.window_scenes) continue;
+
+      const progress = interaction.status.progress || 0;
+      if (progress === 0 || progress >= interaction.rules.length || interaction.status.window_missed === progress) continue;
+
+      if (sceneNumber - interaction.status.last_scene > interaction.window_scenes) {
+        const late = interaction.rules[progress];
+        interaction.status.window_missed = progress;
+        events.push(this.event(interaction, sceneNumber,
+          `${late} not followed within ${interaction.window_scenes} scene(s) of ${interaction.rules[progress - 1]}`));
+        this.violate(late, sceneNumber, interaction);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Engaging a rule of an uncommitted exclusion set locks the others out
+   */
+  commitExclusions(rule, sceneNumber) {
+    const events = [];
+
+    for (const interaction of this.getInteractions()) {
+      if (interaction.type !== 'mutual_exclusion' || !interaction.rules.includes(rule.rule_id)) continue;
+      if (interaction.status.committed) continue;
+
+      interaction.status.committed = rule.rule_id;
+      interaction.status.committed_at_scene = sceneNumber;
+
+      const lockedOut = interaction.rules.filter(id => id !== rule.rule_id);
+      lockedOut.forEach(id => {
+        const other = this.stateManager.getRule(id);
+        other.active = false;
+        other.excluded_by = rule.rule_id;
+      });
+      events.push(this.event(interaction, sceneNumber, `${rule.rule_id} chosen; ${lockedOut.join(', ')} locked out`));
+    }
+
+    return events;
+  }
+
+  /**
+   * Violate a rule on an interaction's behalf (logs its own events)
+   */
+  violate(ruleId, sceneNumber, interaction) {
+    const rule = this.stateManager.getRule(ruleId);
+    if (!rule || rule.violation_count >= rule.violation_threshold) {
+      return;
+    }
+
+    try {
+      this.stateManager.violateRule(ruleId, sceneNumber);
+    } catch (error) {
+      console.error(`Failed to apply ${interaction.id} violation of "${ruleId}":`, error.message);
+    }
+  }
+
+  applyConsequences(consequences, cause = null) {
+    return consequences.filter(consequence => {
+      try {
+        this.stateManager.applyConsequence(consequence, { cause });
+        return true;
+      } catch (error) {
+        console.error(`Failed to apply interaction consequence "${consequence}":`, error.message);
+        return false;
+      }
+    });
+  }
+
+  conditionHolds(when) {
+    const canonical = this.stateManager.getState().canonical_state;
+    const queue = this.stateManager.scheduler.getQueue();
+    const expected = when.equals !== undefined ? when.equals : true;
+
+    if (when.violated !== undefined) {
+      const rule = this.stateManager.getRule(when.violated);
+      return Boolean(rule) && rule.violation_count >= (when.count || 1);
+    }
+    if (when.scene !== undefined) {
+      return typeof queue.current_scene === 'number' && queue.current_scene >= when.scene;
+    }
+    if (when.act !== undefined) {
+      return queue.current_act === when.act;
+    }
+    if (when.flag !== undefined) {
+      return canonical.irreversible_flags[when.flag] === expected;
+    }
+    if (when.world_fact !== undefined) {
+      return canonical.world_facts[when.world_fact] === expected;
+    }
+    if (when.capability !== undefined) {
+      return Boolean(canonical.entity_capabilities[when.capability]);
+    }
+    return false;
+  }
+
+  isViolated(ruleId) {
+    const rule = this.stateManager.getRule(ruleId);
+    return Boolean(rule && rule.violated);
+  }
+
+  hasComplied(ruleId) {
+    const rule = this.stateManager.getRule(ruleId);
+    return Boolean(rule && rule.compliance_count > 0);
+  }
+
+  event(interaction, sceneNumber, effect) {
+    console.log(`   🔗 ${interaction.id} (${interaction.type}): ${effect}`);
+    return { interaction: interaction.id, type: interaction.type, scene: sceneNumber, effect };
+  }
+
+  log(sceneNumber, events) {
+    if (events.length > 0) {
+      this.stateManager.logDelta(sceneNumber, events.map(e => `Interaction ${e.interaction}: ${e.effect}`));
+    }
+  }
+
+  /**
+   * One-line description of an interaction for prompts
+   */
+  static describe(interaction) {
+    const [first, second] = interaction.rules;
+    switch (interaction.type) {
+      case 'dependency':
+        return `${second} only protects if ${first} was followed first`;
+      case 'threshold':
+        return `${interaction.count} total violations of ${interaction.rules.join(', ')} is a point of no return`;
+      case 'conflict':
+        return interaction.resolution === 'genuine'
+          ? `${first} and ${second} genuinely conflict: following one breaks the other`
+          : `${first} and ${second} only appear to conflict; the story must reveal how both can be followed`;
+      case 'contextual_drift':
+        return `what following ${first} means can shift`;
+      case 'mutual_exclusion':
+        return interaction.status.committed
+          ? `${interaction.status.committed} was chosen; ${interaction.rules.filter(id => id !== interaction.status.committed).join(', ')} can never be followed`
+          : `only one of ${interaction.rules.join(', ')} can be followed`;
+      case 'amplification':
+        return `breaking all of ${interaction.rules.join(', ')} multiplies the contamination of the last violation (x${interaction.multiplier})`;
+      case 'temporal_sequencing':
+        return `${interaction.rules.join(' then ')}, in that order` +
+          (interaction.window_scenes ? `, each within ${interaction.window_scenes} scene(s)` : '');
+      case 'conditional_activation':
+        return `${first} is dormant until its trigger`;
+      default:
+        return interaction.type;
+    }
+  }
+}
+
+module.exports = RuleInteractionEngine;
@@ -0,0 +1,441 @@
+/**
+ * Session Tree Service
+ * Fork a session at any chunk and track the variant tree it belongs to
+ *
+ * A fork is a new session that starts as a copy of its parent up to chunk N:
+ * the chunks, the state snapshots after chunks 0..N, and (staged) the story
+ * contract, chunk plan and gate audits. It then continues on its own, usually
+ * with changed parameters (a different endingType, violationResponse, ...),
+ * so editors can compare alternate endings of the same story.
+ *
+ * Lineage is kept in generated/<sessionId>/lineage.json on both sides:
+ *   { session_id, parent: { session_id, chunk, forked_at, overrides } | null,
+ *     children: [{ session_id, chunk, forked_at, overrides }] }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ChunkPersistence = require('../../generators/chunkPersistence');
+const ContractGenerator = require('./contractGenerator');
+const StagedWorkflow = require('./stagedWorkflow');
+const StateModel = require('../utils/stateModel');
+
+const LINEAGE_FILENAME = 'lineage.json';
+const CHUNK_FILE_PATTERN = /^chunk_(\d+)\.txt$/;
+const AUDIT_FILE_PATTERN = /^audit_chunk_(\d+)\.(?:json|md)$/;
+const STATE_FILES = ['state.json', 'session_state.json'];
+
+// Parameters a fork may change: they shape what happens next, not what already happened
+const FORK_FIELDS = ['endingType', 'violationResponse', 'wordCount'];
+
+// Fork parameters that must name a template option (getAvailableOptions() keys)
+const TEMPLATE_FIELDS = {
+  violationResponse: 'violationResponses',
+  endingType: 'exitConditions'
+};
+
+class SessionTree {
+  /**
+   * @param {Orchestrator} orchestrator - Provides session IDs, template options and validation
+   * @param {object} options - { baseDir }
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.baseDir = options.baseDir || process.env.SESSIONS_DIR || path.join(process.cwd(), 'generated');
+    this.chunkPersistence = new ChunkPersistence({ baseDir: this.baseDir });
+  }
+
+  getSessionDir(sessionId) {
+    return path.join(this.baseDir, sessionId);
+  }
+
+  /**
+   * Fork a session after a chunk
+   *
+   * @param {string} sessionId - Session to fork (either pipeline)
+   * @param {number} chunkNumber - Last chunk the fork inherits (0 inherits only the starting state)
+   * @param {object} overrides - Changed parameters (see FORK_FIELDS)
+   * @returns {Promise<object>} { sessionId, parentId, chunk, pipeline, state, contract, overrides, nextChunk }
+   *   plus { nextAction, nextInstructions, packPath } for staged sessions (contract is null for chunked ones)
+   * @throws {Error} code INVALID_INPUT / SESSION_NOT_FOUND / SNAPSHOT_NOT_FOUND
+   */
+  async fork(sessionId, chunkNumber, overrides = {}) {
+    if (!Number.isInteger(chunkNumber) || chunkNumber < 0) {
+      throw codedError('INVALID_INPUT', `Chunk to fork at must be a non-negative integer, got ${chunkNumber}`);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw codedError('INVALID_INPUT', 'overrides must be an object of generation parameters');
+    }
+
+    const sourceDir = this.getSessionDir(sessionId);
+    try {
+      await fs.access(sourceDir);
+    } catch {
+      throw codedError('SESSION_NOT_FOUND', `Session ${sessionId} not found`);
+    }
+
+    const snapshot = await this.chunkPersistence.loadStateSnapshot(sessionId, chunkNumber);
+    if (!snapshot) {
+      throw codedError('SNAPSHOT_NOT_FOUND', `Session ${sessionId} has no state snapshot after chunk ${chunkNumber}`);
+    }
+
+    const state = StateModel.migrate(snapshot.state);
+    const pipeline = state.metadata.pipeline;
+    const contract = pipeline === 'staged' ? await readJson(path.join(sourceDir, 'story_contract.json')) : null;
+    if (pipeline === 'staged' && !contract) {
+      throw codedError('SESSION_NOT_FOUND', `No story_contract.json for session ${sessionId}`);
+    }
+
+    const userParams = pipeline === 'staged' ? contractParameters(contract) : state.metadata.user_parameters;
+    await this.validateOverrides(overrides, userParams, state);
+
+    const forkId = this.orchestrator.generateSessionId();
+    const forkedAt = new Date().toISOString();
+    const forkDir = this.getSessionDir(forkId);
+    console.log(`🌿 Forking ${sessionId} after chunk ${chunkNumber} into ${forkId}`);
+
+    await fs.mkdir(path.join(forkDir, 'chunks'), { recursive: true });
+    try {
+      await this.copyChunks(sessionId, forkId, chunkNumber, pipeline);
+      await this.copySnapshots(sessionId, forkId, chunkNumber);
+
+      // The fork's own state: new session ID, changed parameters, where it came from
+      state.session_id = forkId;
+      state.metadata.updated_at = forkedAt;
+      state.metadata.forked_from = { session_id: sessionId, chunk: chunkNumber };
+      state.metadata.user_parameters = { ...state.metadata.user_parameters, ...(pipeline === 'chunked' ? overrides : {}) };
+      if (overrides.wordCount) {
+        state.canonical_state.narrative.target_words_remaining =
+          overrides.wordCount - state.canonical_state.narrative.total_words_generated;
+      }
+
+      let forkContract = null;
+      if (pipeline === 'staged') {
+        forkContract = await this.applyContractOverrides({ ...contract, session_id: forkId }, overrides);
+        await writeJson(path.join(forkDir, 'story_contract.json'), forkContract);
+        await copyIfExists(path.join(sourceDir, 'chunk_plan.json'), path.join(forkDir, 'chunk_plan.json'));
+
+        for (const filename of await listFiles(sourceDir)) {
+          const match = AUDIT_FILE_PATTERN.exec(filename);
+          if (match && parseInt(match[1], 10) <= chunkNumber) {
+            await fs.copyFile(path.join(sourceDir, filename), path.join(forkDir, filename));
+          }
+        }
+      }
+
+      await this.chunkPersistence.saveStateSnapshot(forkId, chunkNumber, state);
+      const sourceFiles = await listFiles(sourceDir);
+      const stateFiles = STATE_FILES.filter(f => sourceFiles.includes(f));
+      for (const filename of stateFiles.length > 0 ? stateFiles : [pipeline === 'staged' ? 'state.json' : 'session_state.json']) {
+        await writeJson(path.join(forkDir, filename), state);
+      }
+
+      const resume = pipeline === 'staged' ? await this.writeResumePack(sessionId, forkContract, state, chunkNumber) : {};
+
+      const link = { chunk: chunkNumber, forked_at: forkedAt, overrides };
+      await this.saveLineage(forkId, { session_id: forkId, parent: { session_id: sessionId, ...link }, children: [] });
+      const parentLineage = await this.loadLineage(sessionId);
+      parentLineage.children.push({ session_id: forkId, ...link });
+      await this.saveLineage(sessionId, parentLineage);
+
+      console.log(`✅ Fork ${forkId} created (${pipeline}, ${Object.keys(overrides).length} override(s))`);
+
+      return {
+        sessionId: forkId,
+        parentId: sessionId,
+        chunk: chunkNumber,
+        pipeline,
+        state,
+        contract: forkContract,
+        overrides,
+        nextChunk: chunkNumber + 1,
+        ...resume
+      };
+    } catch (error) {
+      await fs.rm(forkDir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject fork parameters that cannot apply to the rest of the story
+   *
+   * @throws {Error} code INVALID_INPUT, with .errors
+   */
+  async validateOverrides(overrides, userParams = {}, state) {
+    const errors = [];
+
+    for (const field of Object.keys(overrides)) {
+      if (!FORK_FIELDS.includes(field)) {
+        errors.push(`${field} cannot be changed in a fork (allowed: ${FORK_FIELDS.join(', ')})`);
+      }
+    }
+
+    const templateFields = Object.keys(TEMPLATE_FIELDS).filter(field => overrides[field] !== undefined);
+    if (templateFields.length > 0) {
+      const options = await this.orchestrator.getAvailableOptions(userParams.templatePack || null);
+      for (const field of templateFields) {
+        if (!options[TEMPLATE_FIELDS[field]].includes(overrides[field])) {
+          errors.push(`unknown ${field} "${overrides[field]}"`);
+        }
+      }
+    }
+
+    if (overrides.wordCount !== undefined) {
+      errors.push(...this.orchestrator.validateInput({ ...userParams, wordCount: overrides.wordCount }).errors);
+      const written = state.canonical_state.narrative.total_words_generated || 0;
+      if (overrides.wordCount <= written) {
+        errors.push(`wordCount must be more than the ${written} words the fork inherits`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = codedError('INVALID_INPUT', `Invalid fork: ${errors[0]}`);
+      error.errors = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Copy chunks 1..chunkNumber (chunked sessions get headers for the fork's session ID)
+   */
+  async copyChunks(sessionId, forkId, chunkNumber, pipeline) {
+    const loaded = await this.chunkPersistence.loadAllChunks(sessionId);
+    const chunks = (loaded.chunks || [])
+      .map(c => ({ ...c, number: parseInt(CHUNK_FILE_PATTERN.exec(c.filename)?.[1], 10) }))
+      .filter(c => c.number <= chunkNumber);
+
+    if (pipeline === 'staged') {
+      for (const chunk of chunks) {
+        await fs.writeFile(path.join(this.chunkPersistence.getChunksDir(forkId), chunk.filename), chunk.text, 'utf-8');
+      }
+      return;
+    }
+
+    const saved = [];
+    for (const chunk of chunks) {
+      const result = await this.chunkPersistence.saveChunkImmediately(forkId, chunk.number, chunk.text, chunk.wordCount);
+      if (!result.success) {
+        throw new Error(`Failed to copy chunk ${chunk.number} into fork: ${result.error}`);
+      }
+      saved.push({ ...result, savedAt: chunk.metadata.saved_at });
+    }
+
+    const manifest = await this.chunkPersistence.loadChunkManifest(sessionId);
+    if (manifest) {
+      await this.chunkPersistence.saveChunkManifest(forkId, saved, {
+        activeRules: manifest.state_summary?.rules_active,
+        violatedRules: manifest.state_summary?.rules_violated,
+        entityCapabilities: manifest.state_summary?.entity_capabilities,
+        seed: manifest.seed
+      });
+    }
+  }
+
+  /**
+   * Copy the per-chunk state snapshots 0..chunkNumber (re-labelled with the fork's session ID)
+   */
+  async copySnapshots(sessionId, forkId, chunkNumber) {
+    for (const { chunk } of await this.chunkPersistence.listStateSnapshots(sessionId)) {
+      if (chunk > chunkNumber) continue;
+
+      const snapshot = await this.chunkPersistence.loadStateSnapshot(sessionId, chunk);
+      const state = { ...snapshot.state, session_id: forkId };
+      await this.chunkPersistence.saveStateSnapshot(forkId, chunk, state);
+    }
+  }
+
+  /**
+   * Apply fork parameters to a staged contract (the contract drives every later chunk prompt)
+   */
+  async applyContractOverrides(contract, overrides) {
+    const forked = JSON.parse(JSON.stringify(contract));
+
+    if (overrides.endingType) {
+      forked.ending_contract.ending_type = overrides.endingType;
+    }
+    if (overrides.violationResponse) {
+      forked.rule_system.violation_response_type = overrides.violationResponse;
+    }
+    if (overrides.wordCount) {
+      forked.generation_parameters.target_word_count = overrides.wordCount;
+      forked.generation_parameters.chunk_count_estimate = Math.ceil(overrides.wordCount / (forked.generation_parameters.chunk_size || 2000));
+    }
+
+    // Outcomes and termination rules follow from the ending and violation response
+    if (overrides.endingType || overrides.violationResponse) {
+      const templateLoader = this.orchestrator.storyGenerator.getTemplateLoader();
+      const packName = contract.generation_parameters?.template_pack?.name || null;
+      const contractGenerator = new ContractGenerator(null, templateLoader);
+
+      await this.orchestrator.withTemplatePack(packName, async () => {
+        const exitCondition = await templateLoader.getInflectionPoint('exit', forked.ending_contract.ending_type);
+        const violationResponse = await templateLoader.getInflectionPoint('violation', forked.rule_system.violation_response_type);
+        forked.ending_contract.acceptable_outcomes = contractGenerator.inferAcceptableOutcomes(exitCondition, violationResponse);
+        forked.scope_constraints.termination_rules = contractGenerator.inferTerminationRules(exitCondition, violationResponse);
+      });
+    }
+
+    return forked;
+  }
+
+  /**
+   * Resume pack for a staged fork, so the client continues it like any staged session
+   */
+  async writeResumePack(sessionId, contract, state, chunkNumber) {
+    const forkDir = this.getSessionDir(contract.session_id);
+    const targetWords = contract.generation_parameters?.target_word_count || 10000;
+    const totalChunks = Math.ceil(targetWords / (contract.generation_parameters?.chunk_size || 2000));
+    const auditReport = await fs.readFile(path.join(forkDir, `audit_chunk_${chunkNumber}.md`), 'utf-8')
+      .catch(() => `Forked from ${sessionId} after chunk ${chunkNumber}; no gate audit for this chunk.`);
+
+    let nextAction = 'continue';
+    let nextInstructions = `Download the resume pack and POST to /api/staged/generate with chunkNumber: ${chunkNumber + 1}`;
+    if (chunkNumber >= totalChunks) {
+      nextAction = 'assemble';
+      nextInstructions = 'All chunks generated. POST to /api/staged/assemble to combine into final story.';
+    }
+
+    const stagedWorkflow = new StagedWorkflow(this.orchestrator, { baseDir: this.baseDir });
+    const packPath = await stagedWorkflow.writeResumePack(contract, state, {
+      chunkNumber,
+      totalChunks,
+      targetWords,
+      chunkPlan: await readJson(path.join(forkDir, 'chunk_plan.json')),
+      auditReport,
+      nextAction,
+      nextInstructions
+    });
+
+    return { nextAction, nextInstructions, packPath };
+  }
+
+  /**
+   * Lineage of a session (a root with no forks when none was recorded)
+   */
+  async loadLineage(sessionId) {
+    const lineage = await readJson(path.join(this.getSessionDir(sessionId), LINEAGE_FILENAME));
+    return lineage || { session_id: sessionId, parent: null, children: [] };
+  }
+
+  async saveLineage(sessionId, lineage) {
+    await writeJson(path.join(this.getSessionDir(sessionId), LINEAGE_FILENAME), lineage);
+  }
+
+  /**
+   * The variant tree a session belongs to, from its root
+   *
+   * @param {string} sessionId - Any session in the tree
+   * @returns {Promise<object>} { sessionId, rootId, path (root..sessionId), tree } - each tree node is
+   *   { session_id, fork: { chunk, forked_at, overrides } | null, pipeline, chunks, story_assembled, missing, children }
+   * @throws {Error} code SESSION_NOT_FOUND
+   */
+  async getTree(sessionId) {
+    try {
+      await fs.access(this.getSessionDir(sessionId));
+    } catch {
+      throw codedError('SESSION_NOT_FOUND', `Session ${sessionId} not found`);
+    }
+
+    // Walk up to the root (lineage files are written by fork(); guard against hand-edited loops)
+    const ancestry = [sessionId];
+    let lineage = await this.loadLineage(sessionId);
+    while (lineage.parent && !ancestry.includes(lineage.parent.session_id)) {
+      ancestry.unshift(lineage.parent.session_id);
+      lineage = await this.loadLineage(lineage.parent.session_id);
+    }
+
+    const visited = new Set();
+    const buildNode = async (id, fork) => {
+      visited.add(id);
+      const node = { session_id: id, fork, ...(await this.describeSession(id)), children: [] };
+      const { children } = await this.loadLineage(id);
+
+      for (const { session_id: childId, ...link } of children) {
+        if (!visited.has(childId)) {
+          node.children.push(await buildNode(childId, link));
+        }
+      }
+      return node;
+    };
+
+    return {
+      sessionId,
+      rootId: ancestry[0],
+      path: ancestry,
+      tree: await buildNode(ancestry[0], null)
+    };
+  }
+
+  /**
+   * Pipeline and progress of a session, for tree nodes
+   */
+  async describeSession(sessionId) {
+    const files = await listFiles(this.getSessionDir(sessionId));
+    if (files.length === 0) {
+      return { pipeline: null, chunks: 0, story_assembled: false, missing: true };
+    }
+
+    const snapshot = await this.chunkPersistence.loadStateSnapshot(sessionId);
+    const chunkFiles = (await listFiles(this.chunkPersistence.getChunksDir(sessionId))).filter(f => CHUNK_FILE_PATTERN.test(f));
+
+    return {
+      pipeline: snapshot ? StateModel.migrate(snapshot.state).metadata.pipeline : null,
+      chunks: chunkFiles.length,
+      story_assembled: files.includes('full_story.md'),
+      missing: false
+    };
+  }
+}
+
+SessionTree.FORK_FIELDS = FORK_FIELDS;
+
+/**
+ * Generation parameters recorded in a staged contract, in userInput terms
+ */
+function contractParameters(contract) {
+  return {
+    wordCount: contract.generation_parameters?.target_word_count,
+    templatePack: contract.generation_parameters?.template_pack?.name || null,
+    endingType: contract.ending_contract?.ending_type,
+    violationResponse: contract.rule_system?.violation_response_type
+  };
+}
+
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function readJson(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filepath}: ${error.message}`);
+  }
+}
+
+async function writeJson(filepath, data) {
+  await fs.writeFile(filepath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+async function copyIfExists(from, to) {
+  try {
+    await fs.copyFile(from, to);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+async function listFiles(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+module.exports = SessionTree;
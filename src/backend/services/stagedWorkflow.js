@@ -0,0 +1,1290 @@
+/**
+ * Staged Workflow Service
+ * Contract → plan → chunk-by-chunk generation → assembly, plus the
+ * stand-alone refine and polish passes
+ *
+ * Each stage reads and writes the session directory (generated/<sessionId>/)
+ * and produces a "resume pack" ZIP, so stages can be driven from the HTTP
+ * API or from the horror-gen CLI.
+ */
+
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const ContractGenerator = require('./contractGenerator');
+const StateTracker = require('./stateTracker');
+const PromiseLedger = require('./promiseLedger');
+const GateAudit = require('./gateAudit');
+const NarrativeFirewall = require('../../validators/narrativeFirewall');
+const Cassette = require('../api/cassette');
+const ChunkPersistence = require('../../generators/chunkPersistence');
+const StateDiff = require('../utils/stateDiff');
+const StateModel = require('../utils/stateModel');
+
+const CHUNK_FILE_PATTERN = /^chunk_(\d+)\.txt$/;
+
+class StagedWorkflow {
+  /**
+   * @param {Orchestrator} orchestrator - Provides the Claude client, auditor, refiner and templates
+   * @param {object} options - { baseDir }
+   */
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.claudeClient = orchestrator.claudeClient;
+    this.baseDir = options.baseDir || process.env.SESSIONS_DIR || path.join(process.cwd(), 'generated');
+    this.chunkPersistence = new ChunkPersistence({ baseDir: this.baseDir });
+  }
+
+  /**
+   * Thematic payoff requirements the final chunk is held to (thematic_elements.yaml)
+   *
+   * @returns {Promise<string[]>} Requirements, or none if the templates have none
+   */
+  async loadPayoffRequirements() {
+    try {
+      const themes = await this.orchestrator.storyGenerator.getTemplateLoader().loadThematicElements();
+      return Array.isArray(themes?.payoff_requirements) ? themes.payoff_requirements : [];
+    } catch (error) {
+      console.warn(`⚠️  Could not load payoff requirements: ${error.message}`);
+      return [];
+    }
+  }
+
+  getSessionDir(sessionId) {
+    return path.join(this.baseDir, sessionId);
+  }
+
+  /**
+   * Stage 1: Generate a story contract and its initial state
+   *
+   * @param {object} userInput - Generation parameters (wordCount required)
+   * @param {object} options - { cassette: { mode, sourceSessionId } }
+   * @returns {Promise<object>} { sessionId, contract, state, sessionDir, packPath }
+   */
+  async createContract(userInput, options = {}) {
+    // Validate basic input (word count, seed)
+    const validation = this.orchestrator.validateInput(userInput);
+    if (!validation.valid) {
+      const error = new Error(validation.errors.join('; '));
+      error.code = 'INVALID_INPUT';
+      throw error;
+    }
+
+    try {
+      await this.orchestrator.resolveTemplatePack(userInput.templatePack);
+    } catch (packError) {
+      if (packError.code !== 'INVALID_TEMPLATE_PACK') throw packError;
+      packError.code = 'INVALID_INPUT';
+      throw packError;
+    }
+
+    // Fill defaults for any null fields
+    const filledInput = await this.orchestrator.fillDefaults(userInput);
+
+    // Generate contract
+    const contractGenerator = new ContractGenerator(
+      this.claudeClient,
+      this.orchestrator.storyGenerator.getTemplateLoader()
+    );
+
+    // Session ID is assigned up front so the cassette can live in the session directory
+    const contractSessionId = this.orchestrator.generateSessionId();
+    const cassette = Cassette.fromOptions(contractSessionId, options.cassette);
+    const contract = await this.claudeClient.runWithCassette(cassette, () =>
+      this.orchestrator.withTemplatePack(filledInput.templatePack, () =>
+        contractGenerator.generateContract({ ...filledInput, sessionId: contractSessionId })
+      )
+    );
+
+    // Audit the contract
+    const contractAudit = await contractGenerator.auditContract(contract);
+    contract.contract_audit = contractAudit;
+
+    // Initialize state from contract
+    const stateTracker = new StateTracker();
+    const initialState = stateTracker.initializeFromContract(contract);
+
+    // Create session directory
+    const sessionId = contract.session_id;
+    const sessionDir = this.getSessionDir(sessionId);
+    await fs.mkdir(sessionDir, { recursive: true });
+
+    // Save contract and state
+    await fs.writeFile(
+      path.join(sessionDir, 'story_contract.json'),
+      JSON.stringify(contract, null, 2),
+      'utf-8'
+    );
+
+    await fs.writeFile(
+      path.join(sessionDir, 'state.json'),
+      JSON.stringify(initialState, null, 2),
+      'utf-8'
+    );
+    await this.saveSnapshot(sessionId, 0, initialState);
+
+    // Create contract pack ZIP
+    const zipPath = path.join(sessionDir, 'contract_pack.zip');
+    await this.createZipFromFiles(zipPath, [
+      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
+      { name: 'state.json', content: JSON.stringify(initialState, null, 2) },
+      { name: 'README.txt', content: `Story Contract Pack
+Session: ${sessionId}
+Created: ${new Date().toISOString()}
+
+This is a "resume pack" for Stage 1 (Contract).
+Upload this ZIP to continue to Stage 2 (Planning).
+
+Files included:
+- story_contract.json: The story's foundational constraints and rules
+- state.json: Initial state (to be updated after each chunk)
+` }
+    ]);
+
+    console.log(`✅ Contract pack created: ${sessionId}`);
+
+    return {
+      sessionId,
+      contract,
+      state: initialState,
+      sessionDir,
+      packPath: zipPath
+    };
+  }
+
+  /**
+   * Stage 2: Generate outline and chunk plan from a contract
+   *
+   * @param {object} contract - Story contract
+   * @param {object} state - Current state
+   * @param {object} options - { cassette }
+   * @returns {Promise<object>} { sessionId, outline, chunkPlan, sessionDir, packPath }
+   */
+  async createPlan(contract, state, options = {}) {
+    const sessionId = contract.session_id;
+    const sessionDir = this.getSessionDir(sessionId);
+    await fs.mkdir(sessionDir, { recursive: true });
+
+    // Generate outline using Claude
+    const cassette = Cassette.fromOptions(sessionId, options.cassette);
+    const outline = await this.claudeClient.runWithCassette(cassette, () =>
+      this.generateOutline(contract)
+    );
+
+    // Generate chunk plan
+    const chunkPlan = this.generateChunkPlan(contract, outline);
+
+    // Save planning artifacts
+    await fs.writeFile(
+      path.join(sessionDir, 'outline.json'),
+      JSON.stringify(outline, null, 2),
+      'utf-8'
+    );
+
+    await fs.writeFile(
+      path.join(sessionDir, 'chunk_plan.json'),
+      JSON.stringify(chunkPlan, null, 2),
+      'utf-8'
+    );
+
+    // Create planning pack ZIP (includes contract + state + plan)
+    const zipPath = path.join(sessionDir, 'planning_pack.zip');
+    await this.createZipFromFiles(zipPath, [
+      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
+      { name: 'state.json', content: JSON.stringify(state || {}, null, 2) },
+      { name: 'outline.json', content: JSON.stringify(outline, null, 2) },
+      { name: 'chunk_plan.json', content: JSON.stringify(chunkPlan, null, 2) },
+      { name: 'README.txt', content: `Story Planning Pack
+Session: ${sessionId}
+Created: ${new Date().toISOString()}
+
+This is a "resume pack" for Stage 2 (Planning).
+Upload this ZIP to continue to Stage 3 (Generate Chunks).
+
+Files included:
+- story_contract.json: The story's foundational constraints
+- state.json: Current state
+- outline.json: Story structure and beats
+- chunk_plan.json: What each chunk should accomplish
+
+Next: POST to /api/staged/generate with this pack to generate chunks.
+` }
+    ]);
+
+    console.log(`✅ Planning pack created: ${sessionId}`);
+
+    return {
+      sessionId,
+      outline,
+      chunkPlan,
+      sessionDir,
+      packPath: zipPath
+    };
+  }
+
+  /**
+   * Stage 3: Generate one chunk, update state and run its gate audit
+   *
+   * @param {object} contract - Story contract
+   * @param {object} state - State before this chunk
+   * @param {object} options - { chunkPlan, chunkNumber, cassette, corrections }
+   *   corrections: problems with a previous version of this chunk for the prompt to fix
+   * @returns {Promise<object>} Chunk text, updated state, audit result and next action
+   */
+  async generateChunk(contract, state, options = {}) {
+    const { chunkPlan, chunkNumber = 1, corrections = [] } = options;
+
+    const sessionId = contract.session_id;
+    const sessionDir = this.getSessionDir(sessionId);
+    const chunksDir = path.join(sessionDir, 'chunks');
+    await fs.mkdir(chunksDir, { recursive: true });
+
+    // Load state (resume packs from older versions are migrated)
+    const stateTracker = new StateTracker();
+    stateTracker.loadState(state);
+    const narrative = stateTracker.getState().canonical_state.narrative;
+
+    // Determine chunk parameters
+    const targetWords = contract.generation_parameters?.target_word_count || 10000;
+    const chunkSize = contract.generation_parameters?.chunk_size || 2000;
+    const totalChunks = Math.ceil(targetWords / chunkSize);
+    const isLastChunk = chunkNumber >= totalChunks;
+
+    // Calculate target for this chunk
+    const wordsGenerated = narrative.total_words_generated || 0;
+    const wordsRemaining = targetWords - wordsGenerated;
+    const thisChunkTarget = isLastChunk ? wordsRemaining : Math.min(chunkSize, wordsRemaining);
+
+    console.log(`   Target words: ${thisChunkTarget}`);
+    console.log(`   Total progress: ${wordsGenerated}/${targetWords}`);
+    console.log(`   Is final chunk: ${isLastChunk}`);
+
+    // Generate chunk
+    const payoffRequirements = isLastChunk ? await this.loadPayoffRequirements() : [];
+    const chunkPrompt = this.buildChunkPrompt(contract, stateTracker, chunkNumber, thisChunkTarget, isLastChunk, corrections, payoffRequirements);
+
+    const claudeClient = this.claudeClient;
+    const maxTokens = Math.ceil(thisChunkTarget * 1.6);
+
+    console.log(`   Calling Claude API (max_tokens: ${maxTokens})...`);
+
+    const cassette = Cassette.fromOptions(sessionId, options.cassette);
+    const response = await claudeClient.runWithCassette(cassette, () =>
+      claudeClient.client.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: maxTokens,
+        temperature: 0.7,
+        messages: [{ role: 'user', content: chunkPrompt }]
+      }, 'Chunk generation')
+    );
+
+    // Rewrite the sentences that leak meta-language before anything reads the chunk
+    const firewall = await this.createFirewall(contract);
+    const gated = await claudeClient.runWithCassette(cassette, () => firewall.gate(response.content[0].text));
+    logFirewall(gated.report);
+
+    const chunkText = gated.text;
+    const chunkWordCount = chunkText.split(/\s+/).length;
+
+    console.log(`   Chunk generated: ${chunkWordCount} words`);
+
+    // Save chunk
+    const chunkFilename = `chunk_${String(chunkNumber).padStart(3, '0')}.txt`;
+    await fs.writeFile(
+      path.join(chunksDir, chunkFilename),
+      chunkText,
+      'utf-8'
+    );
+
+    // Extract state updates from chunk
+    const updates = await claudeClient.runWithCassette(cassette, () =>
+      stateTracker.extractUpdatesFromChunk(claudeClient, chunkText, contract, chunkNumber)
+    );
+
+    // Update state
+    const previousState = JSON.parse(JSON.stringify(stateTracker.getState()));
+    const updatedState = stateTracker.updateAfterChunk(updates, chunkNumber, chunkWordCount, chunkText);
+
+    // Run gate audit
+    const gateAudit = new GateAudit(claudeClient);
+    const auditResult = await gateAudit.auditChunk(
+      contract,
+      previousState,
+      updatedState,
+      chunkText,
+      chunkNumber,
+      isLastChunk,
+      { firewall: gated.report }
+    );
+
+    // Save state and audit
+    await fs.writeFile(
+      path.join(sessionDir, 'state.json'),
+      JSON.stringify(updatedState, null, 2),
+      'utf-8'
+    );
+    await this.saveSnapshot(sessionId, chunkNumber, updatedState);
+
+    const auditReport = await this.saveAudit(sessionId, gateAudit, auditResult);
+
+    // Determine next step based on audit
+    let nextAction = 'continue';
+    let nextInstructions = `Download the resume pack and POST to /api/staged/generate with chunkNumber: ${chunkNumber + 1}`;
+
+    if (auditResult.status === 'FAIL') {
+      nextAction = 'stop';
+      nextInstructions = 'Gate audit FAILED. Review the audit report and fix issues before continuing.';
+    } else if (isLastChunk) {
+      nextAction = 'assemble';
+      nextInstructions = 'All chunks generated. POST to /api/staged/assemble to combine into final story.';
+    }
+
+    // Create resume pack ZIP
+    const resumePackPath = await this.writeResumePack(contract, updatedState, {
+      chunkNumber,
+      totalChunks,
+      targetWords,
+      chunkPlan,
+      auditReport,
+      nextAction,
+      nextInstructions
+    });
+
+    console.log(`✅ Resume pack created after chunk ${chunkNumber}`);
+
+    return {
+      sessionId,
+      chunkNumber,
+      chunkFilename,
+      chunkText,
+      chunkWordCount,
+      targetWords,
+      totalChunks,
+      isLastChunk,
+      state: updatedState,
+      auditResult,
+      auditReport,
+      firewall: gated.report,
+      nextAction,
+      nextInstructions,
+      packPath: resumePackPath
+    };
+  }
+
+  /**
+   * Regenerate one chunk, then re-validate the chunks after it against the new state
+   *
+   * The chunk is rewritten from the state after the chunk before it, with the
+   * failures of its last gate audit (plus any feedback) as corrections. The
+   * replaced chunk, its audit and the snapshots and story built on it are
+   * moved to regenerations/<name>/. Later chunks keep their text: each one's
+   * state delta is re-extracted on top of the new state and it is gate-audited
+   * again. A later chunk contradicts canon if that audit fails, or if it was
+   * written after a rule or name was established that the new chunks no
+   * longer establish before it; those are returned for regeneration in turn.
+   *
+   * If generating the chunk fails, the previous version is put back. If
+   * re-validating a later chunk fails, its text and the text of the chunks
+   * after it join the archive, state.json and the resume pack are written for
+   * the last chunk that was re-validated, and the error is rethrown with
+   * reconciledThrough (that chunk) and archiveDir.
+   *
+   * @param {string} sessionId - Staged session
+   * @param {number} chunkNumber - Chunk to regenerate
+   * @param {object} options - { feedback, chunkPlan, cassette }
+   * @returns {Promise<object>} generateChunk result for the chunk, plus { corrections,
+   *   downstream: [{ chunkNumber, auditStatus, consistent, contradictions }], contradicting,
+   *   archiveDir } - state, nextAction and packPath reflect the last chunk of the session
+   * @throws {Error} code INVALID_INPUT, SESSION_NOT_FOUND, CHUNK_NOT_FOUND or SNAPSHOT_NOT_FOUND
+   */
+  async regenerateChunk(sessionId, chunkNumber, options = {}) {
+    if (!Number.isInteger(chunkNumber) || chunkNumber < 1) {
+      throw codedError('INVALID_INPUT', `Chunk number must be a positive integer, got ${chunkNumber}`);
+    }
+
+    const sessionDir = this.getSessionDir(sessionId);
+    const contract = await readJson(path.join(sessionDir, 'story_contract.json'));
+    if (!contract) {
+      throw codedError('SESSION_NOT_FOUND', `No story_contract.json for session ${sessionId}`);
+    }
+
+    // Files for this chunk and everything after it
+    const affected = await this.chunkPersistence.listFilesAfterChunk(sessionId, chunkNumber - 1);
+    const chunkNumberOf = (file) => parseInt(CHUNK_FILE_PATTERN.exec(path.basename(file))[1], 10);
+    const chunkFiles = affected.filter(f => path.dirname(f) === 'chunks' && CHUNK_FILE_PATTERN.test(path.basename(f)));
+    if (!chunkFiles.some(f => chunkNumberOf(f) === chunkNumber)) {
+      throw codedError('CHUNK_NOT_FOUND', `Session ${sessionId} has no chunk ${chunkNumber} to regenerate`);
+    }
+    const laterChunks = chunkFiles.map(chunkNumberOf).filter(n => n > chunkNumber).sort((a, b) => a - b);
+
+    const prior = await this.chunkPersistence.loadStateSnapshot(sessionId, chunkNumber - 1);
+    if (!prior) {
+      throw codedError('SNAPSHOT_NOT_FOUND', `Session ${sessionId} has no state snapshot after chunk ${chunkNumber - 1}`);
+    }
+
+    // Canon each later chunk was written against (the old state after the chunk before it)
+    const writtenAgainst = {};
+    for (const number of laterChunks) {
+      const snapshot = await this.chunkPersistence.loadStateSnapshot(sessionId, number - 1);
+      writtenAgainst[number] = snapshot ? snapshot.state : null;
+    }
+
+    const audit = await readJson(path.join(sessionDir, `audit_chunk_${chunkNumber}.json`));
+    const corrections = [
+      ...(audit?.critical_failures || []).map(f => `${f.check}: ${f.reason}${f.evidence ? ` (${f.evidence})` : ''}`),
+      ...(audit?.warnings || []).filter(w => w.reason).map(w => `${w.check}: ${w.reason}`),
+      ...(options.feedback ? [options.feedback] : [])
+    ];
+
+    console.log(`🔁 Regenerating chunk ${chunkNumber} of ${sessionId} (${corrections.length} correction(s), ${laterChunks.length} later chunk(s))`);
+
+    // Later chunk texts stay; everything else built on the old chunk is set aside
+    const replaced = affected.filter(f => !chunkFiles.includes(f) || chunkNumberOf(f) === chunkNumber);
+    const archivePath = path.join('regenerations', ChunkPersistence.archiveName('chunk', chunkNumber));
+    const archiveDir = await this.chunkPersistence.archiveFiles(sessionId, archivePath, replaced);
+
+    const chunkPlan = options.chunkPlan || await readJson(path.join(sessionDir, 'chunk_plan.json'));
+    let result;
+    try {
+      result = await this.generateChunk(contract, prior.state, {
+        chunkPlan,
+        chunkNumber,
+        cassette: options.cassette,
+        corrections
+      });
+    } catch (error) {
+      // Put the previous version back so the session is unchanged
+      for (const relative of replaced) {
+        await fs.rename(path.join(archiveDir, relative), path.join(sessionDir, relative));
+      }
+      await fs.rm(archiveDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    // Re-validate later chunks against the regenerated canon
+    const claudeClient = this.claudeClient;
+    const gateAudit = new GateAudit(claudeClient);
+    const firewall = await this.createFirewall(contract);
+    const downstream = [];
+    let state = result.state;
+    let auditReport = result.auditReport;
+    let failure = null;
+
+    try {
+      for (const number of laterChunks) {
+        const { text } = await this.chunkPersistence.readChunk(sessionId, number);
+        const stateTracker = new StateTracker();
+        stateTracker.loadState(state);
+
+        const cassette = Cassette.fromOptions(sessionId, options.cassette);
+        const updates = await claudeClient.runWithCassette(cassette, () =>
+          stateTracker.extractUpdatesFromChunk(claudeClient, text, contract, number)
+        );
+        const previousState = JSON.parse(JSON.stringify(stateTracker.getState()));
+        const updatedState = stateTracker.updateAfterChunk(updates, number, text.split(/\s+/).length, text);
+
+        // Later chunks keep their text, so the firewall only counts what is in them
+        const { report } = await firewall.gate(text, { rewrite: false });
+        const auditResult = await gateAudit.auditChunk(contract, previousState, updatedState, text, number, number >= result.totalChunks, { firewall: report });
+        auditReport = await this.saveAudit(sessionId, gateAudit, auditResult);
+        await this.saveSnapshot(sessionId, number, updatedState);
+
+        const contradictions = [
+          ...auditResult.critical_failures.map(f => ({ type: 'gate_audit', detail: `${f.check}: ${f.reason}` })),
+          ...findCanonGaps(writtenAgainst[number], previousState, text)
+        ];
+        downstream.push({
+          chunkNumber: number,
+          auditStatus: auditResult.status,
+          consistent: contradictions.length === 0,
+          contradictions
+        });
+        state = updatedState;
+      }
+    } catch (error) {
+      // Re-extraction or the audit failed (model or provider error). The chunks
+      // not yet re-validated have no snapshot or audit on the new state, so their
+      // text joins the archive and the session ends at the last re-validated chunk.
+      failure = error;
+      const unreconciled = laterChunks.slice(downstream.length);
+      await this.chunkPersistence.archiveFiles(sessionId, archivePath,
+        chunkFiles.filter(f => unreconciled.includes(chunkNumberOf(f))));
+      for (const number of unreconciled) {
+        await fs.rm(path.join(sessionDir, `audit_chunk_${number}.json`), { force: true });
+        await fs.rm(path.join(sessionDir, `audit_chunk_${number}.md`), { force: true });
+        await fs.rm(path.join(this.chunkPersistence.getSnapshotsDir(sessionId), this.chunkPersistence.getSnapshotFilename(number)), { force: true });
+      }
+    }
+
+    const contradicting = downstream.filter(c => !c.consistent).map(c => c.chunkNumber);
+    let { nextAction, nextInstructions, packPath } = result;
+
+    if (laterChunks.length > 0) {
+      const lastChunk = downstream.length > 0 ? downstream[downstream.length - 1].chunkNumber : chunkNumber;
+
+      if (nextAction === 'stop') {
+        // The regenerated chunk failed its own audit; that comes first
+      } else if (contradicting.length > 0) {
+        nextAction = 'regenerate';
+        nextInstructions = `Chunk(s) ${contradicting.join(', ')} contradict the regenerated canon. POST to /api/staged/regenerate with chunkNumber: ${contradicting[0]} (the chunks after it are re-validated again).`;
+      } else if (lastChunk >= result.totalChunks) {
+        nextAction = 'assemble';
+        nextInstructions = 'All chunks generated. POST to /api/staged/assemble to combine into final story.';
+      } else {
+        nextAction = 'continue';
+        nextInstructions = `Download the resume pack and POST to /api/staged/generate with chunkNumber: ${lastChunk + 1}`;
+      }
+
+      await fs.writeFile(path.join(sessionDir, 'state.json'), JSON.stringify(state, null, 2), 'utf-8');
+      packPath = await this.writeResumePack(contract, state, {
+        chunkNumber: lastChunk,
+        totalChunks: result.totalChunks,
+        targetWords: result.targetWords,
+        chunkPlan,
+        auditReport,
+        nextAction,
+        nextInstructions
+      });
+
+      console.log(`✅ ${downstream.length} later chunk(s) re-validated, ${contradicting.length} contradict canon`);
+    }
+
+    if (failure) {
+      console.error(`❌ Re-validation stopped after chunk ${state.canonical_state.narrative.current_chunk}: ${failure.message}`);
+      failure.reconciledThrough = state.canonical_state.narrative.current_chunk;
+      failure.archiveDir = archiveDir;
+      throw failure;
+    }
+
+    return {
+      ...result,
+      state,
+      corrections,
+      downstream,
+      contradicting,
+      nextAction,
+      nextInstructions,
+      packPath,
+      archiveDir
+    };
+  }
+
+  /**
+   * Narrative firewall for a session: its pack's lexicon and its location's allowlist
+   */
+  async createFirewall(contract) {
+    const templateLoader = this.orchestrator.storyGenerator.getTemplateLoader();
+    const packName = contract.generation_parameters?.template_pack?.name || null;
+    const lexicon = await this.orchestrator.withTemplatePack(packName, () => templateLoader.loadFirewallLexicon());
+
+    return new NarrativeFirewall(this.claudeClient, {
+      lexicon,
+      location: contract.identity_anchors?.setting?.location_id
+    });
+  }
+
+  /**
+   * Write a chunk's gate audit (JSON and markdown report)
+   *
+   * @returns {Promise<string>} The markdown report
+   */
+  async saveAudit(sessionId, gateAudit, auditResult) {
+    const sessionDir = this.getSessionDir(sessionId);
+    const chunkNumber = auditResult.chunk_number;
+
+    await fs.writeFile(
+      path.join(sessionDir, `audit_chunk_${chunkNumber}.json`),
+      JSON.stringify(auditResult, null, 2),
+      'utf-8'
+    );
+
+    const auditReport = gateAudit.generateReport(auditResult);
+    await fs.writeFile(
+      path.join(sessionDir, `audit_chunk_${chunkNumber}.md`),
+      auditReport,
+      'utf-8'
+    );
+
+    return auditReport;
+  }
+
+  /**
+   * Write resume_pack.zip: contract, state, the latest gate audit and every chunk so far
+   *
+   * @param {object} contract - Story contract
+   * @param {object} state - State after details.chunkNumber
+   * @param {object} details - { chunkNumber, totalChunks, targetWords, chunkPlan, auditReport, nextAction, nextInstructions }
+   * @returns {Promise<string>} Path of the resume pack
+   */
+  async writeResumePack(contract, state, details) {
+    const { chunkNumber, totalChunks, targetWords, chunkPlan, auditReport, nextAction, nextInstructions } = details;
+    const sessionId = contract.session_id;
+    const sessionDir = this.getSessionDir(sessionId);
+    const chunksDir = path.join(sessionDir, 'chunks');
+
+    const resumePackPath = path.join(sessionDir, 'resume_pack.zip');
+    const zipFiles = [
+      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
+      { name: 'state.json', content: JSON.stringify(state, null, 2) },
+      { name: `audit_chunk_${chunkNumber}.md`, content: auditReport }
+    ];
+
+    // Include outline/chunk_plan if they exist
+    if (chunkPlan) {
+      zipFiles.push({ name: 'chunk_plan.json', content: JSON.stringify(chunkPlan, null, 2) });
+    }
+
+    // Include all chunks generated so far
+    const chunkFiles = await fs.readdir(chunksDir);
+    for (const cf of chunkFiles.filter(f => f.startsWith('chunk_'))) {
+      const chunkContent = await fs.readFile(path.join(chunksDir, cf), 'utf-8');
+      zipFiles.push({ name: `chunks/${cf}`, content: chunkContent });
+    }
+
+    zipFiles.push({
+      name: 'README.txt',
+      content: `Story Resume Pack
+Session: ${sessionId}
+Created: ${new Date().toISOString()}
+Chunks completed: ${chunkNumber}/${totalChunks}
+Words generated: ${state.canonical_state.narrative.total_words_generated}/${targetWords}
+
+Next action: ${nextAction}
+${nextInstructions}
+
+Files included:
+- story_contract.json: The story's foundational constraints
+- state.json: Current state (updated after chunk ${chunkNumber})
+- audit_chunk_${chunkNumber}.md: Gate audit report for this chunk
+- chunks/: All generated chunks so far
+`
+    });
+
+    await this.createZipFromFiles(resumePackPath, zipFiles);
+    return resumePackPath;
+  }
+
+  /**
+   * Keep the state after a chunk for rollback (see ChunkPersistence.rollbackToChunk)
+   */
+  async saveSnapshot(sessionId, chunkNumber, state) {
+    const result = await this.chunkPersistence.saveStateSnapshot(sessionId, chunkNumber, state);
+    if (!result.success) {
+      console.warn(`⚠️  State snapshot after chunk ${chunkNumber} failed (rollback unavailable): ${result.error}`);
+    }
+  }
+
+  /**
+   * Stage 4: Assemble all chunks into the final story
+   * A payoff report of the story's promises is written first; a story that
+   * ends with a critical promise unpaid is not assembled unless allowed.
+   *
+   * @param {object} contract - Story contract
+   * @param {object} state - Final state
+   * @param {object} options - { allowUnpaidPromises }
+   * @returns {Promise<object>} { sessionId, story, totalChunks, totalWords, storyPath, packPath, payoffReport, payoffReportPath }
+   * @throws {Error} code UNPAID_PROMISES (with payoffReport) if a critical promise is unpaid
+   */
+  async assemble(contract, state, options = {}) {
+    const sessionId = contract.session_id;
+    const sessionDir = this.getSessionDir(sessionId);
+    const chunksDir = path.join(sessionDir, 'chunks');
+
+    // Load all chunks
+    let chunkFiles = [];
+    try {
+      chunkFiles = await fs.readdir(chunksDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const chunks = [];
+    for (const cf of chunkFiles.filter(f => f.startsWith('chunk_')).sort()) {
+      const content = await fs.readFile(path.join(chunksDir, cf), 'utf-8');
+      chunks.push(content);
+    }
+
+    if (chunks.length === 0) {
+      const error = new Error('No chunks found to assemble.');
+      error.code = 'INVALID_INPUT';
+      throw error;
+    }
+
+    // Payoff report: every setup and whether the story paid it off (none without a state)
+    const canonical = StateModel.detectFormat(state) ? StateModel.migrate(state).canonical_state : StateModel.create(sessionId).canonical_state;
+    const payoffReport = PromiseLedger.report(canonical, await this.loadPayoffRequirements());
+    const payoffMarkdown = PromiseLedger.formatReport(payoffReport, sessionId);
+    const payoffReportPath = path.join(sessionDir, 'payoff_report.md');
+    await fs.writeFile(payoffReportPath, payoffMarkdown, 'utf-8');
+
+    if (!payoffReport.passed) {
+      const unpaid = payoffReport.critical_unpaid.map(p => `${p.promise_id} (${p.setup})`).join(', ');
+      if (!options.allowUnpaidPromises) {
+        const error = codedError('UNPAID_PROMISES', `Story ends with ${payoffReport.critical_unpaid.length} critical promise(s) unpaid: ${unpaid}`);
+        error.payoffReport = payoffReport;
+        throw error;
+      }
+      console.warn(`⚠️  Assembling with critical promise(s) unpaid: ${unpaid}`);
+    }
+
+    console.log(`   Assembling ${chunks.length} chunks...`);
+
+    // Simple assembly: join with scene breaks
+    const assembledStory = chunks.join('\n\n---\n\n');
+    const totalWords = assembledStory.split(/\s+/).length;
+
+    // Save assembled story
+    const storyPath = path.join(sessionDir, 'full_story.md');
+    await fs.writeFile(storyPath, assembledStory, 'utf-8');
+
+    // Create final pack ZIP
+    const finalPackPath = path.join(sessionDir, 'final_pack.zip');
+    const zipFiles = [
+      { name: 'story_contract.json', content: JSON.stringify(contract, null, 2) },
+      { name: 'state.json', content: JSON.stringify(state, null, 2) },
+      { name: 'full_story.md', content: assembledStory },
+      { name: 'payoff_report.md', content: payoffMarkdown },
+      { name: 'README.txt', content: `Story Final Pack
+Session: ${sessionId}
+Created: ${new Date().toISOString()}
+Total words: ${totalWords}
+Total chunks: ${chunks.length}
+
+Files included:
+- story_contract.json: The story's foundational constraints
+- state.json: Final state
+- full_story.md: The complete assembled story
+- payoff_report.md: Setups the story made and whether each was paid off
+
+Optional next steps:
+- POST to /api/refine with sessionId to run structural audit and refinement
+- POST to /api/polish with sessionId to enhance prose quality
+` }
+    ];
+
+    await this.createZipFromFiles(finalPackPath, zipFiles);
+
+    console.log(`✅ Assembly complete: ${totalWords} words`);
+
+    return {
+      sessionId,
+      story: assembledStory,
+      totalChunks: chunks.length,
+      totalWords,
+      storyPath,
+      packPath: finalPackPath,
+      payoffReport,
+      payoffReportPath
+    };
+  }
+
+  /**
+   * Load a session's story text from the first file that exists
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {string[]} filenames - Candidate filenames, in order of preference
+   * @returns {Promise<string|null>} Story text, or null if none exist
+   */
+  async loadSessionStory(sessionId, filenames = ['full_story.md', 'final_story.txt']) {
+    for (const filename of filenames) {
+      try {
+        return await fs.readFile(path.join(this.getSessionDir(sessionId), filename), 'utf-8');
+      } catch (e) {
+        // Try the next candidate
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Audit a story and refine it if the audit calls for it
+   *
+   * @param {string} storyText - Story to refine
+   * @param {object} options - { sourceSessionId, maxRounds, cassette }
+   * @returns {Promise<object>} { sessionId, refined, auditResult, refinementResult, storyPath }
+   */
+  async refine(storyText, options = {}) {
+    const sourceSessionId = options.sourceSessionId;
+    const { revisionAuditor, storyRefiner } = this.orchestrator;
+
+    // Create new session for refined version
+    const refinedSessionId = sourceSessionId
+      ? `${sourceSessionId}-refined`
+      : this.orchestrator.generateSessionId() + '-refined';
+
+    console.log(`Refined Session ID: ${refinedSessionId}`);
+
+    // Perform audit first
+    console.log('🔍 Running audit...');
+    const cassette = Cassette.fromOptions(refinedSessionId, options.cassette);
+    const auditResult = await this.claudeClient.runWithCassette(cassette, () =>
+      revisionAuditor.auditStory(storyText, {})
+    );
+
+    console.log(`   Audit Score: ${auditResult.scores.overallScore}/100`);
+    console.log(`   Grade: ${auditResult.scores.grade}`);
+
+    if (!revisionAuditor.needsRefinement(auditResult.scores)) {
+      console.log('✅ No refinement needed');
+      return {
+        sessionId: sourceSessionId,
+        refined: false,
+        auditResult,
+        refinementResult: null,
+        storyPath: null
+      };
+    }
+
+    // Refine based on audit
+    console.log('🔧 Applying refinement...');
+    const refinementResult = await this.claudeClient.runWithCassette(cassette, () =>
+      storyRefiner.refineStory(storyText, auditResult.rawReport, { maxRounds: options.maxRounds || 2 })
+    );
+
+    // Save refined story
+    const refinedDir = this.getSessionDir(refinedSessionId);
+    const storyPath = path.join(refinedDir, 'refined_story.txt');
+    await fs.mkdir(refinedDir, { recursive: true });
+    await fs.writeFile(storyPath, refinementResult.refinedStory, 'utf-8');
+    await fs.writeFile(
+      path.join(refinedDir, 'refinement_changelog.json'),
+      JSON.stringify(refinementResult.changeLog, null, 2),
+      'utf-8'
+    );
+
+    console.log(`✅ Refinement complete - ${refinementResult.rounds} rounds`);
+
+    return {
+      sessionId: refinedSessionId,
+      refined: true,
+      auditResult,
+      refinementResult,
+      storyPath
+    };
+  }
+
+  /**
+   * Polish a story for sensory detail, dialogue and prose quality
+   *
+   * @param {string} storyText - Story to polish
+   * @param {object} options - { sourceSessionId, polishOptions, cassette }
+   * @returns {Promise<object>} { sessionId, polishedStory, inputWords, outputWords, storyPath }
+   */
+  async polish(storyText, options = {}) {
+    const sourceSessionId = options.sourceSessionId;
+    const polishOptions = options.polishOptions || {};
+
+    // Create new session for polished version
+    const polishedSessionId = sourceSessionId
+      ? `${sourceSessionId}-polished`
+      : this.orchestrator.generateSessionId() + '-polished';
+
+    console.log(`Polished Session ID: ${polishedSessionId}`);
+
+    // Build polish prompt based on options
+    const polishFocus = [];
+    if (polishOptions.sensoryDetail !== false) {
+      polishFocus.push('SENSORY DETAIL: Add specific sounds, textures, temperatures, smells. Use physical sensations (breath, heartbeat, skin crawling). Include onomatopoeia sparingly but effectively.');
+    }
+    if (polishOptions.dialoguePolish !== false) {
+      polishFocus.push('DIALOGUE: Make dialogue feel natural and character-specific. Use minimal tags. Ensure voices are distinct.');
+    }
+    if (polishOptions.emotionalInteriority !== false) {
+      polishFocus.push('EMOTIONAL INTERIORITY: Deepen the narrator\'s fear responses, doubt, mounting dread. Show physical manifestations of emotion.');
+    }
+    if (polishOptions.atmosphericDread !== false) {
+      polishFocus.push('ATMOSPHERE: Build dread through accumulation of detail. Use subtle foreshadowing. Maintain tension through pacing.');
+    }
+
+    const polishPrompt = `You are a prose polish pass for a horror story. Enhance the literary quality while preserving ALL events, plot points, and structural elements exactly.
+
+POLISH FOCUS:
+${polishFocus.join('\n\n')}
+
+CRITICAL RULES:
+1. DO NOT change any events, actions, or plot points
+2. DO NOT add new information or lore
+3. DO NOT change POV or tense
+4. DO NOT use meta-language (avoid: threshold, mechanism, system, protocol)
+5. Preserve the exact sequence of events
+6. Only enhance the prose quality within each scene
+
+Return ONLY the polished story, no commentary.
+
+STORY TO POLISH:
+${storyText}`;
+
+    console.log('✨ Running polish pass...');
+
+    const cassette = Cassette.fromOptions(polishedSessionId, options.cassette);
+    const response = await this.claudeClient.runWithCassette(cassette, () =>
+      this.claudeClient.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: Math.min(storyText.length * 2, 64000),
+        temperature: 0.4,
+        messages: [{
+          role: 'user',
+          content: polishPrompt
+        }]
+      }, 'Polish')
+    );
+
+    const polishedStory = response.content[0].text;
+
+    // Save polished story
+    const polishedDir = this.getSessionDir(polishedSessionId);
+    const storyPath = path.join(polishedDir, 'polished_story.txt');
+    await fs.mkdir(polishedDir, { recursive: true });
+    await fs.writeFile(storyPath, polishedStory, 'utf-8');
+    await fs.writeFile(
+      path.join(polishedDir, 'polish_options.json'),
+      JSON.stringify(polishOptions, null, 2),
+      'utf-8'
+    );
+
+    const inputWords = storyText.split(/\s+/).length;
+    const outputWords = polishedStory.split(/\s+/).length;
+
+    console.log(`✅ Polish complete`);
+    console.log(`   Input words: ${inputWords}`);
+    console.log(`   Output words: ${outputWords}`);
+
+    return {
+      sessionId: polishedSessionId,
+      polishedStory,
+      inputWords,
+      outputWords,
+      storyPath
+    };
+  }
+
+  /**
+   * Create a ZIP from an in-memory file array
+   *
+   * @param {string} zipPath - Output path
+   * @param {Array<{name: string, content: string}>} files - Files to add
+   * @returns {Promise<string>} zipPath
+   */
+  async createZipFromFiles(zipPath, files) {
+    return new Promise((resolve, reject) => {
+      const output = createWriteStream(zipPath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve(zipPath));
+      archive.on('error', reject);
+
+      archive.pipe(output);
+
+      for (const file of files) {
+        archive.append(file.content, { name: file.name });
+      }
+
+      archive.finalize();
+    });
+  }
+
+  /**
+   * Generate an outline from a contract (falls back to a default outline)
+   *
+   * @param {object} contract - Story contract
+   * @returns {Promise<object>} Outline
+   */
+  async generateOutline(contract) {
+    const rules = contract.rule_system?.rules || [];
+    const targetWords = contract.generation_parameters?.target_word_count || 10000;
+    const chunkSize = contract.generation_parameters?.chunk_size || 2000;
+    const totalChunks = Math.ceil(targetWords / chunkSize);
+
+    const prompt = `Create a story outline for a rule-based horror story.
+
+CONTRACT SUMMARY:
+- Location: ${contract.identity_anchors?.setting?.location_name}
+- Protagonist: ${contract.identity_anchors?.protagonist?.role}
+- Rules: ${rules.length} total
+- Theme: ${contract.thematic_contract?.primary_theme}
+- Ending type: ${contract.ending_contract?.ending_type}
+- Target: ${targetWords} words in ${totalChunks} chunks
+
+RULES:
+${rules.map(r => `${r.rule_number}. ${r.rule_text}`).join('\n')}
+
+Create an outline with:
+1. Act structure (setup, confrontation, crisis, resolution)
+2. Key beats for each act
+3. Which rules are discovered/violated when
+4. Escalation progression
+
+Return as JSON:
+{
+  "acts": [
+    {
+      "name": "setup",
+      "chunks": [1, 2, 3],
+      "beats": ["arrival", "first hints", "rule discovery"],
+      "escalation_range": [1, 2]
+    }
+  ],
+  "rule_reveals": [
+    {"rule_number": 1, "chunk": 1, "method": "told by character"},
+    {"rule_number": 2, "chunk": 2, "method": "discovered through observation"}
+  ],
+  "key_moments": [
+    {"chunk": 5, "event": "First violation", "consequence": "..."}
+  ]
+}`;
+
+    try {
+      const response = await this.claudeClient.client.messages.create({
+        model: 'claude-sonnet-4-20250514',
+        max_tokens: 2000,
+        temperature: 0.3,
+        messages: [{ role: 'user', content: prompt }]
+      }, 'Outline generation');
+
+      const content = response.content[0].text;
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      if (jsonMatch) {
+        return JSON.parse(jsonMatch[0]);
+      }
+    } catch (error) {
+      console.warn('Outline generation failed, using default:', error.message);
+    }
+
+    // Default outline
+    return {
+      acts: [
+        { name: 'setup', chunks: [1, 2], beats: ['arrival', 'orientation', 'first rule'], escalation_range: [1, 1] },
+        { name: 'confrontation', chunks: [3, 4, 5, 6], beats: ['more rules', 'first test', 'violation', 'consequence'], escalation_range: [2, 3] },
+        { name: 'crisis', chunks: [7, 8], beats: ['point of no return', 'desperate action'], escalation_range: [3, 4] },
+        { name: 'resolution', chunks: [9, 10], beats: ['climax', 'ending'], escalation_range: [4, 5] }
+      ],
+      rule_reveals: rules.map((r, i) => ({
+        rule_number: r.rule_number,
+        chunk: Math.ceil((i + 1) / 2),
+        method: r.is_hidden ? 'discovered through consequence' : 'revealed early'
+      })),
+      key_moments: []
+    };
+  }
+
+  /**
+   * Generate a chunk plan from contract and outline
+   *
+   * @param {object} contract - Story contract
+   * @param {object} outline - Story outline
+   * @returns {object} Chunk plan
+   */
+  generateChunkPlan(contract, outline) {
+    const targetWords = contract.generation_parameters?.target_word_count || 10000;
+    const chunkSize = contract.generation_parameters?.chunk_size || 2000;
+    const totalChunks = Math.ceil(targetWords / chunkSize);
+
+    const chunks = [];
+
+    for (let i = 1; i <= totalChunks; i++) {
+      const isFirst = i === 1;
+      const isLast = i === totalChunks;
+
+      // Find which act this chunk is in
+      const act = outline.acts?.find(a => a.chunks?.includes(i)) || outline.acts?.[0];
+
+      // Find rules to reveal in this chunk
+      const rulesToReveal = outline.rule_reveals
+        ?.filter(r => r.chunk === i)
+        ?.map(r => r.rule_number) || [];
+
+      // Find key moments
+      const keyMoments = outline.key_moments
+        ?.filter(m => m.chunk === i) || [];
+
+      chunks.push({
+        chunk_number: i,
+        target_words: isLast ? (targetWords - (totalChunks - 1) * chunkSize) : chunkSize,
+        is_first: isFirst,
+        is_last: isLast,
+        act: act?.name || 'unknown',
+        beats: act?.beats?.slice(0, 2) || [],
+        rules_to_reveal: rulesToReveal,
+        key_moments: keyMoments,
+        escalation_target: act?.escalation_range?.[1] || 1,
+        goals: isFirst
+          ? ['Establish setting', 'Introduce protagonist', 'Create atmosphere']
+          : isLast
+            ? ['Resolve conflict', 'Deliver ending', 'Ensure permanence']
+            : ['Continue narrative', 'Build tension', 'Progress escalation']
+      });
+    }
+
+    return {
+      total_chunks: totalChunks,
+      target_words: targetWords,
+      chunk_size: chunkSize,
+      chunks
+    };
+  }
+
+  /**
+   * Build the prompt for one staged chunk
+   *
+   * @returns {string} Prompt text
+   */
+  buildChunkPrompt(contract, stateTracker, chunkNumber, targetWords, isLastChunk, corrections = [], payoffRequirements = []) {
+    const rules = contract.rule_system?.rules || [];
+    const setting = contract.identity_anchors?.setting;
+    const protagonist = contract.identity_anchors?.protagonist;
+    const pov = contract.identity_anchors?.point_of_view;
+    const theme = contract.thematic_contract?.primary_theme;
+    const stateContext = stateTracker.getPromptContext();
+
+    const isFirstChunk = chunkNumber === 1;
+
+    let prompt = `Write a ${targetWords}-word chunk of a rule-based horror story.
+
+# CONTRACT CONSTRAINTS (DO NOT VIOLATE)
+## Setting
+- Location: ${setting?.location_name}
+- Atmosphere: ${setting?.atmosphere_keywords?.join(', ')}
+
+## Protagonist
+- Role: ${protagonist?.role}
+- Starting state: ${protagonist?.starting_state}
+
+## Point of View
+- POV: ${pov?.pov_type}
+- Tense: ${pov?.tense}
+
+## Rules
+${rules.map(r => `${r.rule_number}. ${r.rule_text}${r.is_hidden ? ' [HIDDEN - do not reveal yet unless appropriate]' : ''}`).join('\n')}
+
+## Theme
+${theme}
+
+${stateContext}
+
+# CHUNK REQUIREMENTS
+- Target: **EXACTLY ${targetWords} WORDS** (±10%)
+- This is chunk ${chunkNumber}${isFirstChunk ? ' (FIRST CHUNK - establish everything)' : ''}${isLastChunk ? ' (FINAL CHUNK - conclude the story)' : ''}
+`;
+
+    if (isFirstChunk) {
+      prompt += `
+# FIRST CHUNK INSTRUCTIONS
+- Establish the setting vividly
+- Introduce the protagonist and their reason for being here
+- Create immediate atmosphere of wrongness
+- Begin rule discovery naturally
+- DO NOT conclude the story - more chunks will follow
+`;
+    } else if (isLastChunk) {
+      prompt += `
+# FINAL CHUNK INSTRUCTIONS
+- Bring the narrative to a conclusion
+- Resolve the protagonist's situation (escape/transformation/death)
+- Ensure permanent consequences
+- Match the contracted ending type: ${contract.ending_contract?.ending_type}
+`;
+      const unpaid = PromiseLedger.describe(stateTracker.getState().canonical_state, ['critical', 'major']);
+      if (unpaid.length > 0) {
+        prompt += `
+# PROMISES TO PAY OFF
+The story set these up and has not paid them off. Resolve every one in this chunk (a critical promise left open fails assembly):
+${unpaid.map(line => `- ${line}`).join('\n')}
+`;
+      }
+      if (payoffRequirements.length > 0) {
+        prompt += `
+# THEMATIC PAYOFF
+${payoffRequirements.map(requirement => `- ${requirement}`).join('\n')}
+`;
+      }
+    } else {
+      prompt += `
+# CONTINUATION INSTRUCTIONS
+- Continue seamlessly from the previous chunk
+- Maintain all established facts
+- Progress the escalation
+- DO NOT conclude the story - more chunks will follow
+- DO NOT reset tension or danger
+`;
+    }
+
+    if (corrections.length > 0) {
+      prompt += `
+# CORRECTIONS (a previous version of this chunk was rejected)
+${corrections.map(c => `- ${c}`).join('\n')}
+Write a new version of this chunk that fixes every problem above.
+`;
+    }
+
+    prompt += `
+
+Write the chunk now. Return ONLY the story text, no commentary.`;
+
+    return prompt;
+  }
+}
+
+function logFirewall(report) {
+  if (report.status === 'clean') {
+    console.log('   Firewall: no meta-language');
+    return;
+  }
+
+  console.log(`   Firewall: ${report.violations_found} violation(s), ${report.rewrites.length} span(s) rewritten, ${report.violations_remaining} remaining`);
+  report.rewrites.forEach(r => {
+    console.log(`     - before: ${r.before}`);
+    console.log(`       after:  ${r.after}`);
+  });
+}
+
+function codedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function readJson(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Canon a chunk was written against that the state before it no longer has:
+ * rules already discovered or violated, and names it mentions that were established
+ *
+ * @param {object|null} writtenAgainst - State the chunk was originally generated from
+ * @param {object} current - State before the chunk now
+ * @param {string} chunkText - Chunk prose
+ * @returns {Array<{type: string, detail: string}>}
+ */
+function findCanonGaps(writtenAgainst, current, chunkText) {
+  if (!writtenAgainst) return [];
+
+  const lost = StateDiff.diff(current, writtenAgainst);
+  const text = chunkText.toLowerCase();
+  const label = (rule) => `rule ${rule.rule_number ?? rule.rule_id}`;
+
+  return [
+    ...lost.rules.discovered.map(rule => ({
+      type: 'rule',
+      detail: `Written after ${label(rule)} was discovered, which no longer happens before this chunk`
+    })),
+    ...lost.rules.violated.map(rule => ({
+      type: 'rule',
+      detail: `Written after ${label(rule)} was violated, which no longer happens before this chunk`
+    })),
+    ...Object.values(lost.named_elements).flat()
+      .filter(name => text.includes(name.toLowerCase()))
+      .map(name => ({
+        type: 'name',
+        detail: `Mentions "${name}", which is no longer established before this chunk`
+      }))
+  ];
+}
+
+module.exports = StagedWorkflow;
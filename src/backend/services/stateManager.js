@@ -8,11 +8,32 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const ConsequenceCatalog = require('../utils/consequenceCatalog');
+const StateModel = require('../utils/stateModel');
+const ConsequenceScheduler = require('./consequenceScheduler');
+const EntityRegistry = require('./entityRegistry');
+const Inventory = require('./inventory');
+const NameContinuity = require('./nameContinuity');
+const PromiseLedger = require('./promiseLedger');
+const RuleInteractionEngine = require('./ruleInteractionEngine');
+const Timeline = require('./timeline');
 
 class StateManager {
-  constructor(sessionId = null) {
+  /**
+   * @param {string} sessionId - Session identifier
+   * @param {object} options - { consequences: ConsequenceCatalog (defaults to the built-in pack's) }
+   */
+  constructor(sessionId = null, options = {}) {
     this.sessionId = sessionId;
     this.state = null;
+    this.consequences = options.consequences || ConsequenceCatalog.loadDefault();
+    this.scheduler = new ConsequenceScheduler(this);
+    this.interactions = new RuleInteractionEngine(this);
+    this.entities = new EntityRegistry(this);
+    this.inventory = new Inventory(this);
+    this.timeline = new Timeline(this);
+    this.promises = new PromiseLedger(this);
+    this.names = new NameContinuity(this);
   }
 
   /**
@@ -25,34 +46,9 @@ class StateManager {
   initializeState(sessionId, userParams = {}) {
     this.sessionId = sessionId;
 
-    // Create initial state structure
-    this.state = {
-      session_id: sessionId,
-      canonical_state: {
-        rules: this.initializeRules(userParams.ruleCount || 7),
-        entity_capabilities: {},
-        world_facts: {
-          location: userParams.location || null,
-          custom_location: userParams.customLocation || null,
-          time_anchor: null,
-          timeline_commitments: []
-        },
-        irreversible_flags: {
-          bound_to_system: false,
-          contamination_level: 0,
-          violations: []
-        },
-        thematic_focus: userParams.thematicFocus || null,
-        entry_condition: userParams.entryCondition || null,
-        discovery_method: userParams.discoveryMethod || null
-      },
-      narrative_delta_log: [],
-      metadata: {
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        user_parameters: userParams
-      }
-    };
+    // Create initial state structure (shared with the staged pipeline, see stateModel.js)
+    this.state = StateModel.create(sessionId, { pipeline: 'chunked', userParameters: userParams });
+    this.state.canonical_state.rules = this.initializeRules(userParams.ruleCount || 7);
 
     // Log initialization
     this.logDelta(0, ['State tracking initialized', `Rule slots created: ${userParams.ruleCount || 7}`]);
@@ -70,33 +66,7 @@ class StateManager {
   initializeRules(ruleCount) {
     const rules = [];
     for (let i = 1; i <= ruleCount; i++) {
-      rules.push({
-        rule_id: `rule_${i}`,
-        text: null,
-        type: null, // boundary|temporal|behavioral|object_interaction|procedural
-        active: false,
-        violated: false,
-        violation_count: 0,
-        established_at_scene: null,
-        notes: '',
-
-        // Structured rule fields (Phase 3)
-        violation_threshold: 1,
-        consequences: {
-          immediate: [],
-          delayed: [],
-          permanent: []
-        },
-        reversibility: {
-          reversible: false,
-          reversal_conditions: null
-        },
-        dependencies: {
-          requires_rules: [],
-          enables_rules: [],
-          conflicts_with: []
-        }
-      });
+      rules.push(StateModel.createRule({ rule_id: `rule_${i}` }));
     }
     return rules;
   }
@@ -112,7 +82,31 @@ class StateManager {
     }
 
     this.state.canonical_state.rules = structuredRules;
+
+    // Rules whose violation grants the entity a capability are what bind it
+    const bound = this.entities.bindRulesByConsequences(structuredRules, this.consequences);
+    if (bound.length > 0) {
+      this.logDelta(null, [`Entity bound by ${bound.join(', ')}`]);
+    }
+    this.updateTimestamp();
+  }
+
+  /**
+   * Replace the interactions between rules (see ruleInteractionEngine.js)
+   *
+   * @param {array} interactions - Interaction definitions
+   * @returns {array} Stored interactions
+   * @throws {Error} code INVALID_RULE_INTERACTION (e.g. unknown rules, dependency cycle)
+   */
+  setRuleInteractions(interactions) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const stored = this.interactions.setInteractions(interactions);
+    this.logDelta(null, [`Rule interactions set: ${stored.map(i => i.id).join(', ') || 'none'}`]);
     this.updateTimestamp();
+    return stored;
   }
 
   /**
@@ -274,6 +268,7 @@ class StateManager {
    *
    * @param {string} ruleId - Rule identifier
    * @returns {object} Updated rule
+   * @throws {Error} code MUTUALLY_EXCLUSIVE if another rule of its exclusion set was chosen
    */
   activateRule(ruleId) {
     const rule = this.getRule(ruleId);
@@ -281,7 +276,9 @@ class StateManager {
       throw new Error(`Rule not found: ${ruleId}`);
     }
 
+    this.interactions.assertCanEngage(ruleId);
     rule.active = true;
+    this.interactions.onActivation(rule);
     this.updateTimestamp();
 
     console.log(`✅ Rule activated: ${ruleId}`);
@@ -307,12 +304,41 @@ class StateManager {
     return rule;
   }
 
+  /**
+   * Record that the narrator followed a rule
+   * Drives interactions that depend on compliance (dependency, conflict,
+   * mutual exclusion, sequencing).
+   *
+   * @param {string} ruleId - Rule identifier
+   * @param {number} sceneNumber - Scene where the rule was followed
+   * @returns {object} { rule, interactions: events }
+   * @throws {Error} code MUTUALLY_EXCLUSIVE if another rule of its exclusion set was chosen
+   */
+  complyWithRule(ruleId, sceneNumber = null) {
+    const rule = this.getRule(ruleId);
+    if (!rule) {
+      throw new Error(`Rule not found: ${ruleId}`);
+    }
+
+    this.interactions.assertCanEngage(ruleId);
+    rule.compliance_count = (rule.compliance_count || 0) + 1;
+    rule.last_complied_scene = sceneNumber;
+
+    this.logDelta(sceneNumber, [`Rule ${ruleId} followed (${rule.compliance_count}x)`]);
+    const events = this.interactions.onCompliance(rule, sceneNumber);
+    this.updateTimestamp();
+
+    return { rule, interactions: events };
+  }
+
   /**
    * Violate rule with automatic consequence application (Phase 3)
    *
    * @param {string} ruleId - Rule identifier
    * @param {number} sceneNumber - Scene where violation occurred
    * @returns {object} Violation result with applied consequences
+   *   (appliedConsequences.delayed: earlier delayed consequences this violation fired;
+   *   scheduledConsequences: this rule's delayed consequences, now queued)
    */
   violateRule(ruleId, sceneNumber = null) {
     const rule = this.getRule(ruleId);
@@ -343,11 +369,16 @@ class StateManager {
       permanent: []
     };
 
+    // Amplification: breaking every rule of a linked set multiplies the contamination
+    // (flags, capabilities and world facts are set either way)
+    const multiplier = this.interactions.getViolationMultiplier(ruleId);
+
     // Apply immediate consequences
+    const cause = { rule_id: ruleId, scene: sceneNumber };
     if (rule.consequences.immediate) {
       rule.consequences.immediate.forEach(consequence => {
         try {
-          this.applyConsequence(consequence);
+          this.applyConsequence(consequence, { multiplier, cause });
           appliedConsequences.immediate.push(consequence);
         } catch (error) {
           console.error(`Failed to apply immediate consequence "${consequence}":`, error.message);
@@ -359,7 +390,7 @@ class StateManager {
     if (rule.consequences.permanent) {
       rule.consequences.permanent.forEach(consequence => {
         try {
-          this.applyConsequence(consequence);
+          this.applyConsequence(consequence, { multiplier, cause });
           appliedConsequences.permanent.push(consequence);
         } catch (error) {
           console.error(`Failed to apply permanent consequence "${consequence}":`, error.message);
@@ -367,6 +398,10 @@ class StateManager {
       });
     }
 
+    // Fire consequences waiting for a violation, then queue this rule's delayed ones
+    const { fired, scheduled, failed } = this.scheduler.onViolation(rule, sceneNumber);
+    appliedConsequences.delayed = fired.map(entry => entry.consequence);
+
     // Check and activate dependent rules
     if (rule.dependencies.enables_rules && rule.dependencies.enables_rules.length > 0) {
       rule.dependencies.enables_rules.forEach(enabledRuleId => {
@@ -391,7 +426,22 @@ class StateManager {
       deltaChanges.push(`Permanent consequences: ${appliedConsequences.permanent.join(', ')}`);
     }
 
+    if (scheduled.length > 0) {
+      deltaChanges.push(`Delayed consequences scheduled: ${scheduled.map(e => `${e.consequence} (${ConsequenceScheduler.describeTrigger(e)})`).join(', ')}`);
+    }
+
+    if (failed.length > 0) {
+      deltaChanges.push(`Delayed consequences not scheduled: ${failed.map(f => `${f.consequence} (${f.error})`).join(', ')}`);
+    }
+
+    if (multiplier > 1) {
+      deltaChanges.push(`Contamination amplified x${multiplier}`);
+    }
+
     this.logDelta(sceneNumber, deltaChanges);
+
+    // Interactions react after the violation is on record
+    const interactionEvents = this.interactions.onViolation(rule, sceneNumber);
     this.updateTimestamp();
 
     console.log(`🚨 Rule violated: ${ruleId} (count: ${rule.violation_count}/${rule.violation_threshold})`);
@@ -400,6 +450,9 @@ class StateManager {
     return {
       rule,
       appliedConsequences,
+      scheduledConsequences: scheduled,
+      multiplier,
+      interactions: interactionEvents,
       violation_count: rule.violation_count,
       at_threshold: rule.violation_count >= rule.violation_threshold
     };
@@ -407,96 +460,40 @@ class StateManager {
 
   /**
    * Apply a consequence to state
+   * Effects come from the consequence catalog (consequences.yaml).
    *
    * @param {string} consequence - Consequence identifier
+   * @param {object} options - { multiplier: contamination multiplier (amplification, default 1;
+   *   flags, capabilities and world facts are not amounts and are set as they are),
+   *   cause: { rule_id, scene } of the violation behind it (recorded on granted capabilities) }
    * @returns {boolean} True if applied successfully
+   * @throws {Error} code UNKNOWN_CONSEQUENCE if the id is not in the catalog
    */
-  applyConsequence(consequence) {
-    // Consequence type mapping
-    const consequenceHandlers = {
-      // Protection/Safety
-      'protection_void': () => {
-        this.setIrreversibleFlag('protected', false);
-        console.log('   → Protection voided');
-      },
-      'boundary_breached': () => {
-        this.setIrreversibleFlag('boundary_intact', false);
-        console.log('   → Boundary breached');
-      },
-
-      // Entity capabilities
-      'entity_can_reach_vehicle': () => {
-        this.addEntityCapability('can_enter_vehicle', true);
-        console.log('   → Entity can now enter vehicle');
-      },
-      'entity_can_imitate_narrator': () => {
-        this.addEntityCapability('can_imitate_narrator', true);
-        console.log('   → Entity can imitate narrator');
-      },
-      'entity_knows_name': () => {
-        this.addEntityCapability('knows_narrator_name', true);
-        console.log('   → Entity knows narrator name');
-      },
-      'attention_drawn': () => {
-        this.addEntityCapability('aware_of_narrator', true);
-        console.log('   → Entity attention drawn');
-      },
-
-      // Contamination/Marking
-      'marked_for_collection': () => {
-        this.setIrreversibleFlag('marked', true);
-        this.state.canonical_state.irreversible_flags.contamination_level += 1;
-        console.log('   → Narrator marked for collection');
-      },
-      'marked_for_observation': () => {
-        this.setIrreversibleFlag('under_observation', true);
-        this.state.canonical_state.irreversible_flags.contamination_level += 1;
-        console.log('   → Narrator under observation');
-      },
-      'contamination_spread': () => {
-        this.state.canonical_state.irreversible_flags.contamination_level += 2;
-        console.log('   → Contamination spread');
-      },
-
-      // Temporal/Reality
-      'temporal_slip': () => {
-        this.addWorldFact('temporal_stability', 'unstable');
-        console.log('   → Temporal stability compromised');
-      },
-      'reality_degradation': () => {
-        this.setIrreversibleFlag('reality_stable', false);
-        console.log('   → Reality degrading');
-      },
-
-      // Procedural
-      'procedure_disrupted': () => {
-        this.addWorldFact('procedure_intact', false);
-        console.log('   → Procedure disrupted');
-      },
-      'system_instability': () => {
-        this.setIrreversibleFlag('system_stable', false);
-        console.log('   → System unstable');
-      },
-
-      // Object state
-      'object_state_changed': () => {
-        this.addWorldFact('object_pristine', false);
-        console.log('   → Object state changed');
-      },
-      'interaction_irreversible': () => {
-        this.setIrreversibleFlag('can_undo_interaction', false);
-        console.log('   → Interaction irreversible');
-      }
-    };
+  applyConsequence(consequence, options = {}) {
+    const { multiplier = 1, cause = null } = options;
+    const definition = this.consequences.get(consequence);
+    if (!definition) {
+      const error = new Error(`Unknown consequence: ${consequence}`);
+      error.code = 'UNKNOWN_CONSEQUENCE';
+      throw error;
+    }
 
-    const handler = consequenceHandlers[consequence];
-    if (handler) {
-      handler();
-      return true;
-    } else {
-      console.warn(`⚠️  Unknown consequence: ${consequence}`);
-      return false;
+    const { flags = {}, capabilities = {}, world_facts: worldFacts = {}, contamination = 0 } = definition.effects;
+
+    Object.entries(flags).forEach(([flag, value]) => this.setIrreversibleFlag(flag, value));
+    Object.entries(capabilities).forEach(([capability, value]) => this.addEntityCapability(capability, value, {
+      ...(cause || {}),
+      source: consequence
+    }));
+    Object.entries(worldFacts).forEach(([key, value]) => this.addWorldFact(key, value));
+
+    if (contamination) {
+      const flagsState = this.state.canonical_state.irreversible_flags;
+      flagsState.contamination_level = Math.max(0, flagsState.contamination_level + contamination * multiplier);
     }
+
+    console.log(`   → ${definition.description}${contamination && multiplier > 1 ? ` (contamination x${multiplier})` : ''}`);
+    return true;
   }
 
   /**
@@ -531,22 +528,91 @@ class StateManager {
   }
 
   /**
-   * Add or update entity capability
+   * Add or update entity capability (see EntityRegistry.addCapability)
    *
    * @param {string} capability - Capability name
    * @param {any} value - Capability value (boolean, string, object)
-   * @returns {object} Updated capabilities object
+   * @param {object} options - { entity: id or name (default: primary entity), scene, rule_id, source }
+   * @returns {object} Updated capabilities object (union of every entity's)
    */
-  addEntityCapability(capability, value) {
+  addEntityCapability(capability, value, options = {}) {
     if (!this.state) {
       throw new Error('State not initialized. Call initializeState() first.');
     }
 
-    this.state.canonical_state.entity_capabilities[capability] = value;
+    const { entity = null, ...cause } = options;
+    this.entities.addCapability(entity, capability, value, cause);
     this.updateTimestamp();
     return this.state.canonical_state.entity_capabilities;
   }
 
+  /**
+   * Record that an entity appeared in a scene (registered on first appearance)
+   *
+   * @param {string|null} entity - Entity id or name (null for the primary entity)
+   * @param {object} details - { scene, action, entity_type, status, threat_level }
+   * @returns {object} Entity record
+   */
+  recordEntityAppearance(entity, details = {}) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const { entity: record, created } = this.entities.recordAppearance(entity, details);
+    if (created) {
+      this.logDelta(details.scene ?? null, [`Entity registered: ${EntityRegistry.label(record)} (${record.entity_id})`]);
+    }
+    this.updateTimestamp();
+    return record;
+  }
+
+  /**
+   * Record the protagonist gaining, using, losing or destroying items
+   *
+   * @param {object} changes - { gained: [], used: [], lost: [], destroyed: [] } item names
+   * @param {number|null} sceneNumber - Scene number
+   * @returns {Array<{event: string, item: string}>} Events recorded
+   */
+  updatePossessions(changes, sceneNumber = null) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const applied = this.inventory.apply(changes, { scene: sceneNumber });
+    if (applied.length > 0) {
+      this.logDelta(sceneNumber, applied.map(({ event, item }) => `Possession ${event}: ${item}`));
+    }
+    this.updateTimestamp();
+    return applied;
+  }
+
+  /**
+   * Record setups the story made and the ones it paid off
+   *
+   * @param {object} changes - { made: [{ setup, kind, importance, payoff_by }], paid: [promise_id or setup text] }
+   * @param {number|null} sceneNumber - Scene number
+   * @returns {{made: Array, paid: Array}} Promises recorded and paid
+   */
+  updatePromises(changes, sceneNumber = null) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const at = { scene: sceneNumber };
+    const made = (changes.made || []).map(promise => this.promises.open(promise, at)).filter(Boolean);
+    const paid = (changes.paid || []).map(reference => this.promises.pay(reference, at)).filter(Boolean);
+
+    const entries = [
+      ...made.map(p => `Promise made: ${p.promise_id} (${p.importance}) ${p.setup}`),
+      ...paid.map(p => `Promise paid: ${p.promise_id} ${p.setup}`)
+    ];
+    if (entries.length > 0) {
+      this.logDelta(sceneNumber, entries);
+    }
+    this.updateTimestamp();
+    return { made, paid };
+  }
+
   /**
    * Add or update world fact
    *
@@ -584,6 +650,57 @@ class StateManager {
     return this.state.canonical_state.world_facts.timeline_commitments;
   }
 
+  /**
+   * Move the story clock by a scene's time references and settle timing-rule deadlines
+   * Call after the scene's violations and compliance are recorded.
+   *
+   * @param {string} prose - Scene prose (may be empty)
+   * @param {number|null} sceneNumber - Scene number
+   * @param {string[]} reportedTimes - Times reported for the end of the scene (e.g. "2:40 AM")
+   * @returns {{markers: Array, issues: Array, deadlines: Array}} What the scene added
+   */
+  observeTime(prose, sceneNumber = null, reportedTimes = []) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const observed = this.timeline.observe(prose, { scene: sceneNumber }, reportedTimes);
+    const entries = [
+      ...observed.deadlines.map(d => `Deadline ${d.status}: ${d.rule_id} (${d.text})`),
+      ...observed.issues.filter(i => i.type !== 'deadline_unresolved').map(i => `Timeline ${i.type}: ${i.description}`)
+    ];
+    if (entries.length > 0) {
+      this.logDelta(sceneNumber, entries);
+    }
+    this.updateTimestamp();
+    return observed;
+  }
+
+  /**
+   * Read the names of a scene's prose: record new ones and suspected drifts
+   * Call after the scene's entities are recorded.
+   *
+   * @param {string} prose - Scene prose (may be empty)
+   * @param {number|null} sceneNumber - Scene number
+   * @returns {{names: string[], drifts: Array}} Names the scene established and drifts it made
+   */
+  observeNames(prose, sceneNumber = null) {
+    if (!this.state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    const observed = this.names.observe(prose, { scene: sceneNumber });
+    const entries = [
+      ...(observed.names.length > 0 ? [`Names: ${observed.names.join(', ')}`] : []),
+      ...observed.drifts.map(d => `Name drift: ${d.description}`)
+    ];
+    if (entries.length > 0) {
+      this.logDelta(sceneNumber, entries);
+    }
+    this.updateTimestamp();
+    return observed;
+  }
+
   /**
    * Set irreversible flag
    *
@@ -671,6 +788,15 @@ class StateManager {
     return this.state ? this.state.canonical_state.entity_capabilities : {};
   }
 
+  /**
+   * Get the entity registry records
+   *
+   * @returns {array} Entities (see EntityRegistry.createEntity)
+   */
+  getEntities() {
+    return this.state ? this.state.canonical_state.entities.entities : [];
+  }
+
   /**
    * Get world facts
    *
@@ -719,6 +845,11 @@ class StateManager {
       active_rules: activeRules.length,
       violated_rules: violatedRules.length,
       entity_capabilities_count: Object.keys(this.state.canonical_state.entity_capabilities).length,
+      entities_count: this.getEntities().length,
+      possessions_count: this.state.canonical_state.protagonist.physical_condition.possessions.length,
+      story_time: this.state.canonical_state.narrative.timeline.current_time,
+      open_promises: this.promises.getOpen().length,
+      name_drifts: this.state.canonical_state.continuity.name_drifts.length,
       contamination_level: this.state.canonical_state.irreversible_flags.contamination_level,
       bound_to_system: this.state.canonical_state.irreversible_flags.bound_to_system,
       delta_log_entries: this.state.narrative_delta_log.length
@@ -769,7 +900,7 @@ class StateManager {
   async loadState(filepath) {
     try {
       const data = await fs.readFile(filepath, 'utf8');
-      this.state = JSON.parse(data);
+      this.state = StateModel.migrate(JSON.parse(data));
       this.sessionId = this.state.session_id;
       console.log(`✅ State loaded from: ${filepath}`);
       return this.state;
@@ -778,6 +909,26 @@ class StateManager {
     }
   }
 
+  /**
+   * Restore state from an in-memory state object (e.g. a checkpoint snapshot)
+   * Older formats (either pipeline) are migrated to the current schema_version.
+   *
+   * @param {object} state - Previously saved state object
+   * @returns {object} Restored state object
+   * @throws {Error} code INVALID_STATE / UNSUPPORTED_STATE_VERSION (see StateModel.migrate)
+   */
+  restoreState(state) {
+    try {
+      this.state = StateModel.migrate(state);
+    } catch (error) {
+      error.message = `Cannot restore state: ${error.message}`;
+      throw error;
+    }
+
+    this.sessionId = this.state.session_id;
+    return this.state;
+  }
+
   /**
    * Export state as formatted string for logging
    *
@@ -851,6 +1002,12 @@ class StateManager {
       ...delta.changes.map(c => `${c.type}: ${JSON.stringify(c).substring(0, 60)}`)
     ]);
 
+    // The next scene is written against this state
+    if (typeof sceneNumber === 'number') {
+      results.delayedFired = this.scheduler.advanceToScene(sceneNumber + 1).map(e => e.consequence);
+      results.interactions = this.interactions.evaluate(sceneNumber + 1);
+    }
+
     console.log(`✅ Delta applied: ${results.applied} successful, ${results.failed} failed\n`);
 
     return results;
@@ -874,6 +1031,14 @@ class StateManager {
       case 'entity_capability':
         return this.processEntityCapability(change);
 
+      case 'entity_appearance':
+        this.recordEntityAppearance(change.entity || null, { scene: change.scene_number ?? null, action: change.action || null });
+        return true;
+
+      case 'possession':
+        this.updatePossessions({ [change.event]: [change.item] }, change.scene_number ?? null);
+        return true;
+
       case 'irreversible_flag':
         return this.processIrreversibleFlag(change);
 
@@ -883,6 +1048,22 @@ class StateManager {
       case 'timeline_commitment':
         return this.processTimelineCommitment(change);
 
+      case 'story_time':
+        this.observeTime('', change.scene_number ?? null, [change.time]);
+        return true;
+
+      case 'promise':
+        this.updatePromises(change.event === 'paid' ? { paid: [change.reference] } : { made: [change] }, change.scene_number ?? null);
+        return true;
+
+      case 'act_transition':
+        this.scheduler.onActTransition(change.act, change.scene_number);
+        this.interactions.evaluate(change.scene_number);
+        return true;
+
+      case 'rule_compliance':
+        return this.processRuleCompliance(change);
+
       default:
         console.warn(`⚠️  Unknown change type: ${change.type}`);
         return false;
@@ -921,6 +1102,30 @@ class StateManager {
     return true;
   }
 
+  /**
+   * Process rule compliance change
+   *
+   * @param {object} change - Change object
+   * @returns {boolean} True if processed successfully
+   */
+  processRuleCompliance(change) {
+    const { rule_id, scene_number } = change;
+
+    if (!rule_id) {
+      throw new Error('Rule compliance change missing rule_id');
+    }
+
+    if (!this.getRule(rule_id)) {
+      console.warn(`⚠️  Rule not found: ${rule_id} - skipping compliance`);
+      return false;
+    }
+
+    this.complyWithRule(rule_id, scene_number);
+    console.log(`   ✅ Rule compliance applied: ${rule_id}`);
+
+    return true;
+  }
+
   /**
    * Process entity capability change
    *
@@ -928,20 +1133,20 @@ class StateManager {
    * @returns {boolean} True if processed successfully
    */
   processEntityCapability(change) {
-    const { capability, value } = change;
+    const { capability, value, entity = null } = change;
 
     if (!capability) {
       throw new Error('Entity capability change missing capability name');
     }
 
-    // Check if capability already exists with same value
-    const currentValue = this.state.canonical_state.entity_capabilities[capability];
-    if (currentValue === value) {
+    // Check if the entity already has the capability with same value
+    const holder = entity ? this.entities.getEntity(entity) : this.getEntities()[0];
+    if (holder && holder.capabilities[capability] && holder.capabilities[capability].value === value) {
       console.log(`   ℹ️  Capability ${capability} already set to ${value} - skipping`);
       return true;
     }
 
-    this.addEntityCapability(capability, value);
+    this.addEntityCapability(capability, value, { entity, scene: change.scene_number ?? null });
     console.log(`   ✅ Entity capability applied: ${capability} = ${value}`);
 
     return true;
@@ -1,16 +1,30 @@
 /**
  * State Tracker Service
- * Manages state between chunks according to state_schema.yaml
+ * Updates the session state between chunks of the staged pipeline
  *
- * Three categories of state:
+ * The state is the same versioned document StateManager keeps for the chunked
+ * pipeline (see utils/stateModel.js); this service fills it from the contract
+ * and applies the per-chunk updates extracted from the prose:
  * 1. IMMUTABLE FACTS - Set at start from contract, never change
  * 2. EVOLVING FACTS - Change as story progresses
  * 3. COUNTERS - Numerical tracking of escalation/progression
  */
 
+const StateModel = require('../utils/stateModel');
+const EntityRegistry = require('./entityRegistry');
+const Inventory = require('./inventory');
+const NameContinuity = require('./nameContinuity');
+const PromiseLedger = require('./promiseLedger');
+const Timeline = require('./timeline');
+
 class StateTracker {
   constructor() {
     this.state = null;
+    this.entities = new EntityRegistry(this);
+    this.inventory = new Inventory(this);
+    this.timeline = new Timeline(this);
+    this.promises = new PromiseLedger(this);
+    this.names = new NameContinuity(this);
   }
 
   /**
@@ -20,124 +34,45 @@ class StateTracker {
    */
   initializeFromContract(contract) {
     const rules = contract.rule_system?.rules || [];
-
-    this.state = {
-      version: '1.0',
-      session_id: contract.session_id,
-      last_updated: new Date().toISOString(),
-      chunk_number: 0,
-
-      // Section 1: Immutable Facts (from contract)
-      immutable_facts: {
-        setting_location: contract.identity_anchors?.setting?.location_name,
-        protagonist_name: contract.identity_anchors?.protagonist?.name,
-        protagonist_role: contract.identity_anchors?.protagonist?.role,
-        pov_type: contract.identity_anchors?.point_of_view?.pov_type,
-        tense: contract.identity_anchors?.point_of_view?.tense,
-        total_rule_count: rules.length,
-        ending_type: contract.ending_contract?.ending_type,
-        primary_theme: contract.thematic_contract?.primary_theme
-      },
-
-      // Section 2: Rule State
-      rule_state: {
-        rules: rules.map(r => ({
-          rule_number: r.rule_number,
-          rule_text: r.rule_text,
-          status: r.is_hidden ? 'unknown' : 'discovered',
-          discovered_in_chunk: r.is_hidden ? null : 0,
-          violated_in_chunk: null,
-          violation_count: 0,
-          consequence_applied: false,
-          consequence_description: null
-        })),
-        rules_discovered: rules.filter(r => !r.is_hidden).length,
-        rules_violated: 0,
-        rules_remaining_unknown: rules.filter(r => r.is_hidden).length
-      },
-
-      // Section 3: Protagonist State
-      protagonist_state: {
-        physical_condition: {
-          health: 'healthy',
-          injuries: [],
-          location_in_setting: 'entry_point',
-          possessions: [],
-          lost_possessions: []
-        },
-        mental_condition: {
-          awareness: 'unaware',
-          sanity: 'stable',
-          primary_emotion: 'neutral',
-          motivations: [contract.identity_anchors?.protagonist?.primary_motivation]
-        },
-        knowledge: {
-          knows_rules: rules.filter(r => !r.is_hidden).map(r => r.rule_number),
-          knows_entities: [],
-          knows_escape_method: false,
-          false_beliefs: [],
-          recent_discoveries: []
-        }
-      },
-
-      // Section 4: Entity State
-      entity_state: {
-        entities: [],
-        active_entity_count: 0,
-        total_entity_appearances: 0
-      },
-
-      // Section 5: Escalation State
-      escalation_state: {
-        escalation_tier: 1,
-        escalation_events: [],
-        contamination_level: 0,
-        point_of_no_return_reached: false,
-        can_still_escape_cleanly: true
-      },
-
-      // Section 6: Narrative State
-      narrative_state: {
-        current_chunk: 0,
-        total_words_generated: 0,
-        target_words_remaining: contract.generation_parameters?.target_word_count,
-        act_structure: {
-          current_act: 'setup',
-          act_started_chunk: 1,
-          beats_completed: [],
-          beats_remaining: ['introduction', 'rule_discovery', 'first_test', 'escalation', 'crisis', 'resolution']
-        },
-        scene_state: {
-          current_scene_number: 0,
-          current_scene_goal: 'Establish setting and protagonist',
-          scene_tension_level: 'low'
-        },
-        timeline: {
-          story_start_time: null,
-          current_time: null,
-          elapsed_in_story: '0'
-        }
-      },
-
-      // Section 7: Continuity Tracking
-      continuity: {
-        established_facts: [],
-        named_elements: {
-          character_names: contract.identity_anchors?.protagonist?.name
-            ? [contract.identity_anchors.protagonist.name]
-            : [],
-          location_names: [contract.identity_anchors?.setting?.location_name].filter(Boolean),
-          object_names: [],
-          entity_names: []
-        },
-        promises: []
-      },
-
-      // State delta (for debugging)
-      state_delta: {
-        changes: []
-      }
+    const protagonist = contract.identity_anchors?.protagonist;
+
+    this.state = StateModel.create(contract.session_id, { pipeline: 'staged' });
+    const canonical = this.state.canonical_state;
+
+    // Immutable facts (from contract)
+    canonical.immutable_facts = {
+      setting_location: contract.identity_anchors?.setting?.location_name,
+      protagonist_name: protagonist?.name,
+      protagonist_role: protagonist?.role,
+      pov_type: contract.identity_anchors?.point_of_view?.pov_type,
+      tense: contract.identity_anchors?.point_of_view?.tense,
+      total_rule_count: rules.length,
+      ending_type: contract.ending_contract?.ending_type,
+      primary_theme: contract.thematic_contract?.primary_theme
     };
+    canonical.world_facts.location = canonical.immutable_facts.setting_location || null;
+    canonical.thematic_focus = canonical.immutable_facts.primary_theme || null;
+
+    // Rules: hidden ones stay inactive until discovered
+    canonical.rules = rules.map(r => StateModel.createRule({
+      rule_id: `rule_${r.rule_number}`,
+      rule_number: r.rule_number,
+      text: r.rule_text,
+      active: !r.is_hidden,
+      hidden: Boolean(r.is_hidden),
+      discovered_in_chunk: r.is_hidden ? null : 0
+    }));
+
+    canonical.protagonist.mental_condition.motivations = [protagonist?.primary_motivation];
+    canonical.protagonist.knowledge.knows_rules = rules.filter(r => !r.is_hidden).map(r => r.rule_number);
+
+    canonical.narrative.target_words_remaining = contract.generation_parameters?.target_word_count;
+    canonical.narrative.act_structure.beats_remaining =
+      ['introduction', 'rule_discovery', 'first_test', 'escalation', 'crisis', 'resolution'];
+    canonical.narrative.scene_state.current_scene_goal = 'Establish setting and protagonist';
+
+    canonical.continuity.named_elements.character_names = protagonist?.name ? [protagonist.name] : [];
+    canonical.continuity.named_elements.location_names = [canonical.immutable_facts.setting_location].filter(Boolean);
 
     return this.state;
   }
@@ -154,37 +89,37 @@ class StateTracker {
    * @param {Object} updates - Changes to apply
    * @param {number} chunkNumber - Which chunk just completed
    * @param {number} chunkWordCount - Words in the chunk
+   * @param {string} chunkText - Prose of the chunk, to read the story clock and names from (optional)
    * @returns {Object} - Updated state
    */
-  updateAfterChunk(updates, chunkNumber, chunkWordCount) {
+  updateAfterChunk(updates, chunkNumber, chunkWordCount, chunkText = '') {
     if (!this.state) {
       throw new Error('State not initialized');
     }
 
     const changes = [];
-    const previousState = JSON.parse(JSON.stringify(this.state));
+    const canonical = this.state.canonical_state;
+    const { narrative, escalation, protagonist, continuity } = canonical;
+    const flags = canonical.irreversible_flags;
 
     // Always update chunk tracking
-    this.state.chunk_number = chunkNumber;
-    this.state.last_updated = new Date().toISOString();
-    this.state.narrative_state.current_chunk = chunkNumber;
+    this.state.metadata.updated_at = new Date().toISOString();
+    narrative.current_chunk = chunkNumber;
 
     // Update word counts
-    const prevWords = this.state.narrative_state.total_words_generated;
-    this.state.narrative_state.total_words_generated += chunkWordCount;
-    this.state.narrative_state.target_words_remaining -= chunkWordCount;
-    changes.push(`words: ${prevWords} -> ${this.state.narrative_state.total_words_generated}`);
+    const prevWords = narrative.total_words_generated;
+    narrative.total_words_generated += chunkWordCount;
+    narrative.target_words_remaining -= chunkWordCount;
+    changes.push(`words: ${prevWords} -> ${narrative.total_words_generated}`);
 
     // Apply provided updates
     if (updates.rules_discovered) {
       updates.rules_discovered.forEach(ruleNum => {
-        const rule = this.state.rule_state.rules.find(r => r.rule_number === ruleNum);
-        if (rule && rule.status === 'unknown') {
-          rule.status = 'discovered';
+        const rule = canonical.rules.find(r => r.rule_number === ruleNum);
+        if (rule && StateModel.ruleStatus(rule) === 'unknown') {
+          rule.active = true;
           rule.discovered_in_chunk = chunkNumber;
-          this.state.rule_state.rules_discovered++;
-          this.state.rule_state.rules_remaining_unknown--;
-          this.state.protagonist_state.knowledge.knows_rules.push(ruleNum);
+          protagonist.knowledge.knows_rules.push(ruleNum);
           changes.push(`rule ${ruleNum} discovered`);
         }
       });
@@ -192,24 +127,40 @@ class StateTracker {
 
     if (updates.rules_violated) {
       updates.rules_violated.forEach(ruleNum => {
-        const rule = this.state.rule_state.rules.find(r => r.rule_number === ruleNum);
+        const rule = canonical.rules.find(r => r.rule_number === ruleNum);
         if (rule) {
           if (rule.violated_in_chunk === null) {
             rule.violated_in_chunk = chunkNumber;
-            this.state.rule_state.rules_violated++;
           }
+          rule.violated = true;
           rule.violation_count++;
-          rule.status = 'violated';
+          flags.violations.push({
+            rule_id: rule.rule_id,
+            scene: null,
+            chunk: chunkNumber,
+            timestamp: this.state.metadata.updated_at,
+            violation_number: rule.violation_count
+          });
           changes.push(`rule ${ruleNum} violated (count: ${rule.violation_count})`);
         }
       });
     }
 
+    if (updates.rules_followed) {
+      updates.rules_followed.forEach(ruleNum => {
+        const rule = canonical.rules.find(r => r.rule_number === ruleNum);
+        if (rule && !rule.violated) {
+          rule.compliance_count = (rule.compliance_count || 0) + 1;
+          changes.push(`rule ${ruleNum} followed`);
+        }
+      });
+    }
+
     if (updates.escalation_tier !== undefined) {
-      const prevTier = this.state.escalation_state.escalation_tier;
+      const prevTier = escalation.escalation_tier;
       if (updates.escalation_tier > prevTier) {
-        this.state.escalation_state.escalation_tier = updates.escalation_tier;
-        this.state.escalation_state.escalation_events.push({
+        escalation.escalation_tier = updates.escalation_tier;
+        escalation.escalation_events.push({
           chunk: chunkNumber,
           event: updates.escalation_event || 'Escalation increased',
           tier_before: prevTier,
@@ -220,65 +171,85 @@ class StateTracker {
     }
 
     if (updates.contamination_level !== undefined) {
-      const prevLevel = this.state.escalation_state.contamination_level;
+      const prevLevel = flags.contamination_level;
       if (updates.contamination_level > prevLevel) {
-        this.state.escalation_state.contamination_level = updates.contamination_level;
+        flags.contamination_level = updates.contamination_level;
         changes.push(`contamination: ${prevLevel}% -> ${updates.contamination_level}%`);
       }
     }
 
     if (updates.protagonist_health) {
-      const prev = this.state.protagonist_state.physical_condition.health;
-      this.state.protagonist_state.physical_condition.health = updates.protagonist_health;
+      const prev = protagonist.physical_condition.health;
+      protagonist.physical_condition.health = updates.protagonist_health;
       changes.push(`health: ${prev} -> ${updates.protagonist_health}`);
     }
 
     if (updates.protagonist_location) {
-      const prev = this.state.protagonist_state.physical_condition.location_in_setting;
-      this.state.protagonist_state.physical_condition.location_in_setting = updates.protagonist_location;
+      const prev = protagonist.physical_condition.location_in_setting;
+      protagonist.physical_condition.location_in_setting = updates.protagonist_location;
       changes.push(`location: ${prev} -> ${updates.protagonist_location}`);
     }
 
     if (updates.protagonist_awareness) {
-      const prev = this.state.protagonist_state.mental_condition.awareness;
-      this.state.protagonist_state.mental_condition.awareness = updates.protagonist_awareness;
+      const prev = protagonist.mental_condition.awareness;
+      protagonist.mental_condition.awareness = updates.protagonist_awareness;
       changes.push(`awareness: ${prev} -> ${updates.protagonist_awareness}`);
     }
 
     if (updates.injuries) {
       updates.injuries.forEach(injury => {
-        if (!this.state.protagonist_state.physical_condition.injuries.includes(injury)) {
-          this.state.protagonist_state.physical_condition.injuries.push(injury);
+        if (!protagonist.physical_condition.injuries.includes(injury)) {
+          protagonist.physical_condition.injuries.push(injury);
           changes.push(`injury: ${injury}`);
         }
       });
     }
 
+    this.inventory.apply({
+      gained: updates.items_gained,
+      used: updates.items_used,
+      lost: updates.items_lost,
+      destroyed: updates.items_destroyed
+    }, { chunk: chunkNumber }).forEach(({ event, item }) => changes.push(`item ${event}: ${item}`));
+
     if (updates.entities_appeared) {
       updates.entities_appeared.forEach(entity => {
-        const existing = this.state.entity_state.entities.find(e => e.entity_name === entity.name);
-        if (!existing) {
-          this.state.entity_state.entities.push({
-            entity_name: entity.name,
-            entity_type: entity.type || 'unknown',
-            first_appeared_chunk: chunkNumber,
-            current_status: entity.status || 'observing',
-            threat_level: entity.threat_level || 'ambient',
-            last_action: entity.action || 'Appeared',
-            triggered_by: entity.triggers || [],
-            capabilities_revealed: entity.capabilities || []
-          });
-          this.state.entity_state.active_entity_count++;
-          this.state.continuity.named_elements.entity_names.push(entity.name);
+        const { entity: record } = this.entities.recordAppearance(entity.name || null, {
+          chunk: chunkNumber,
+          action: entity.action || 'Appeared',
+          entity_type: entity.type,
+          status: entity.status,
+          threat_level: entity.threat_level,
+          triggers: entity.triggers
+        });
+        const label = EntityRegistry.label(record);
+
+        if (entity.name && !continuity.named_elements.entity_names.includes(entity.name)) {
+          continuity.named_elements.entity_names.push(entity.name);
           changes.push(`entity appeared: ${entity.name}`);
         }
-        this.state.entity_state.total_entity_appearances++;
+
+        // Capabilities shown in a chunk are traced to the rule violated in it
+        (entity.capabilities || [])
+          .filter(capability => !record.capabilities[capability]?.value)
+          .forEach(capability => {
+            const gained = this.entities.addCapability(record.entity_id, capability, true, { chunk: chunkNumber, source: 'chunk_extraction' });
+            changes.push(`${label} gained ${capability}${gained.caused_by_rule ? ` (${gained.caused_by_rule} violated)` : ''}`);
+          });
+
+        (entity.bound_by_rules || [])
+          .map(ruleNum => canonical.rules.find(r => r.rule_number === ruleNum))
+          .filter(rule => rule && !record.bound_by_rules.includes(rule.rule_id))
+          .forEach(rule => {
+            this.entities.bindRule(record.entity_id, rule.rule_id);
+            changes.push(`${label} bound by rule ${rule.rule_number}`);
+          });
       });
     }
 
     if (updates.established_facts) {
       updates.established_facts.forEach(fact => {
-        this.state.continuity.established_facts.push({
+        continuity.established_facts.push({
           fact: fact.text,
           established_chunk: chunkNumber,
           category: fact.category || 'general'
@@ -288,52 +259,65 @@ class StateTracker {
     }
 
     if (updates.promises) {
-      updates.promises.forEach(promise => {
-        this.state.continuity.promises.push({
-          setup: promise.setup,
-          established_chunk: chunkNumber,
-          requires_payoff_by: promise.payoff_by || null,
-          paid_off: false,
-          payoff_chunk: null
+      updates.promises
+        .filter(promise => promise && typeof promise.setup === 'string' && promise.setup.trim())
+        .forEach(promise => {
+          const record = this.promises.open(promise, { chunk: chunkNumber });
+          if (record) {
+            changes.push(`promise ${record.promise_id} (${record.importance}): ${record.setup.slice(0, 50)}...`);
+          }
         });
-        changes.push(`promise: ${promise.setup.slice(0, 50)}...`);
-      });
     }
 
     if (updates.promises_paid) {
-      updates.promises_paid.forEach(setup => {
-        const promise = this.state.continuity.promises.find(p => p.setup === setup && !p.paid_off);
+      updates.promises_paid.forEach(reference => {
+        const promise = this.promises.pay(reference, { chunk: chunkNumber });
         if (promise) {
-          promise.paid_off = true;
-          promise.payoff_chunk = chunkNumber;
-          changes.push(`promise paid: ${setup.slice(0, 50)}...`);
+          changes.push(`promise paid: ${promise.promise_id} ${promise.setup.slice(0, 50)}...`);
         }
       });
     }
 
     if (updates.act_transition) {
-      const prev = this.state.narrative_state.act_structure.current_act;
-      this.state.narrative_state.act_structure.current_act = updates.act_transition;
-      this.state.narrative_state.act_structure.act_started_chunk = chunkNumber;
+      const prev = narrative.act_structure.current_act;
+      narrative.act_structure.current_act = updates.act_transition;
+      narrative.act_structure.act_started_chunk = chunkNumber;
       changes.push(`act: ${prev} -> ${updates.act_transition}`);
     }
 
     if (updates.scene_tension) {
-      this.state.narrative_state.scene_state.scene_tension_level = updates.scene_tension;
+      narrative.scene_state.scene_tension_level = updates.scene_tension;
     }
 
     if (updates.point_of_no_return) {
-      this.state.escalation_state.point_of_no_return_reached = true;
-      this.state.escalation_state.can_still_escape_cleanly = false;
+      escalation.point_of_no_return_reached = true;
+      escalation.can_still_escape_cleanly = false;
       changes.push('point of no return reached');
     }
 
+    // Story clock last: deadlines are settled against this chunk's violations and compliance
+    const previousTime = narrative.timeline.current_time;
+    const observed = this.timeline.observe(chunkText || '', { chunk: chunkNumber }, updates.story_time ? [updates.story_time] : []);
+    if (narrative.timeline.current_time !== previousTime) {
+      changes.push(`time: ${previousTime || 'unknown'} -> ${narrative.timeline.current_time}`);
+    }
+    observed.deadlines.forEach(d => changes.push(`deadline ${d.status}: ${d.rule_id} (${d.text})`));
+    observed.issues.filter(i => i.type !== 'deadline_unresolved').forEach(i => changes.push(`timeline ${i.type}: ${i.description}`));
+
+    // Names after the entities, so names the extractor reported count as established
+    const named = this.names.observe(chunkText || '', { chunk: chunkNumber });
+    if (named.names.length > 0) {
+      changes.push(`names: ${named.names.join(', ')}`);
+    }
+    named.drifts.forEach(d => changes.push(`name drift: ${d.description}`));
+
     // Record state delta
-    this.state.state_delta = {
+    this.state.narrative_delta_log.push({
+      scene: null,
       chunk: chunkNumber,
-      timestamp: new Date().toISOString(),
+      timestamp: this.state.metadata.updated_at,
       changes: changes
-    };
+    });
 
     return this.state;
   }
@@ -349,12 +333,16 @@ class StateTracker {
   async extractUpdatesFromChunk(claudeClient, chunkText, contract, chunkNumber) {
     const rules = contract.rule_system?.rules || [];
     const ruleDescriptions = rules.map(r => `Rule ${r.rule_number}: ${r.rule_text}`).join('\n');
+    const openPromises = this.state ? PromiseLedger.describe(this.state.canonical_state).map(line => `- ${line}`).join('\n') : '';
 
     const prompt = `Analyze this story chunk and extract state changes.
 
 RULES IN CONTRACT:
 ${ruleDescriptions}
 
+OPEN PROMISES:
+${openPromises || '(none)'}
+
 CHUNK TEXT:
 ${chunkText}
 
@@ -362,6 +350,7 @@ Extract the following (return JSON):
 {
   "rules_discovered": [array of rule numbers newly revealed to protagonist],
   "rules_violated": [array of rule numbers that were broken],
+  "rules_followed": [array of rule numbers the protagonist deliberately obeyed],
   "escalation_tier": number 1-5 (1=observation, 2=pressure, 3=threshold, 4=crisis, 5=resolution),
   "escalation_event": "description if escalation changed",
   "contamination_level": number 0-100,
@@ -369,15 +358,22 @@ Extract the following (return JSON):
   "protagonist_location": "where in the setting",
   "protagonist_awareness": "unaware|suspicious|aware|terrified|resigned|compliant",
   "injuries": ["list of new injuries"],
-  "entities_appeared": [{"name": "entity name", "type": "creature|force|presence|system", "status": "dormant|observing|active|pursuing|manifesting|sated", "threat_level": "ambient|present|immediate|imminent|engaged", "action": "what it did"}],
+  "story_time": "clock time at the end of this chunk, e.g. 2:40 AM (only if the prose makes it clear)",
+  "items_gained": ["objects the protagonist picks up, or is first shown carrying (short names)"],
+  "items_used": ["objects the protagonist uses"],
+  "items_lost": ["objects the protagonist loses, drops or gives away"],
+  "items_destroyed": ["objects that are broken or destroyed"],
+  "entities_appeared": [{"name": "entity name", "type": "creature|force|presence|system", "status": "dormant|observing|active|pursuing|manifesting|sated", "threat_level": "ambient|present|immediate|imminent|engaged", "action": "what it did", "capabilities": ["abilities it newly showed, e.g. can_imitate_narrator"], "bound_by_rules": [rule numbers that restrain it]}],
   "established_facts": [{"text": "fact that was established", "category": "setting|character|rule|entity|timeline|object"}],
-  "promises": [{"setup": "something that needs payoff later", "payoff_by": chunk number or null}],
-  "promises_paid": ["setups that were paid off in this chunk"],
+  "promises": [{"setup": "something that needs payoff later", "kind": "object|foreshadowing|rule_hint", "importance": "critical|major|minor", "payoff_by": chunk number or null}],
+  "promises_paid": ["promise_id of each open promise paid off in this chunk"],
   "act_transition": "setup|confrontation|crisis|resolution" (only if act changed),
   "scene_tension": "low|building|high|peak|aftermath",
   "point_of_no_return": true/false (did protagonist cross point of no return?)
 }
 
+List every entity that appears in this chunk in entities_appeared, including ones seen before.
+A promise is a setup the reader will expect to see again: an object the story draws attention to, a foreshadowed event, or a hinted rule. It is critical if the ending is broken without its payoff.
 Only include fields that changed. Return valid JSON only.`;
 
     try {
@@ -386,7 +382,7 @@ Only include fields that changed. Return valid JSON only.`;
         max_tokens: 1500,
         temperature: 0.1,
         messages: [{ role: 'user', content: prompt }]
-      });
+      }, 'State extraction');
 
       const content = response.content[0].text;
       const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -399,15 +395,15 @@ Only include fields that changed. Return valid JSON only.`;
 
     // Return minimal updates if extraction fails
     return {
-      escalation_tier: this.state?.escalation_state?.escalation_tier || 1
+      escalation_tier: this.state?.canonical_state?.escalation?.escalation_tier || 1
     };
   }
 
   /**
-   * Load state from JSON
+   * Load state from JSON (older state.json formats are migrated)
    */
   loadState(stateJson) {
-    this.state = typeof stateJson === 'string' ? JSON.parse(stateJson) : stateJson;
+    this.state = StateModel.migrate(typeof stateJson === 'string' ? JSON.parse(stateJson) : stateJson);
     return this.state;
   }
 
@@ -424,19 +420,20 @@ Only include fields that changed. Return valid JSON only.`;
   getCompactSummary() {
     if (!this.state) return null;
 
+    const canonical = this.state.canonical_state;
     return {
-      chunk: this.state.narrative_state?.current_chunk,
-      words_so_far: this.state.narrative_state?.total_words_generated,
-      words_remaining: this.state.narrative_state?.target_words_remaining,
-      escalation_tier: this.state.escalation_state?.escalation_tier,
-      contamination: this.state.escalation_state?.contamination_level,
-      rules_known: this.state.rule_state?.rules_discovered,
-      rules_violated: this.state.rule_state?.rules_violated,
-      protagonist_health: this.state.protagonist_state?.physical_condition?.health,
-      protagonist_awareness: this.state.protagonist_state?.mental_condition?.awareness,
-      current_act: this.state.narrative_state?.act_structure?.current_act,
-      point_of_no_return: this.state.escalation_state?.point_of_no_return_reached,
-      active_entities: this.state.entity_state?.active_entity_count
+      chunk: canonical.narrative.current_chunk,
+      words_so_far: canonical.narrative.total_words_generated,
+      words_remaining: canonical.narrative.target_words_remaining,
+      escalation_tier: canonical.escalation.escalation_tier,
+      contamination: canonical.irreversible_flags.contamination_level,
+      rules_known: canonical.rules.filter(r => StateModel.ruleStatus(r) !== 'unknown').length,
+      rules_violated: canonical.rules.filter(r => r.violated).length,
+      protagonist_health: canonical.protagonist.physical_condition.health,
+      protagonist_awareness: canonical.protagonist.mental_condition.awareness,
+      current_act: canonical.narrative.act_structure.current_act,
+      point_of_no_return: canonical.escalation.point_of_no_return_reached,
+      active_entities: canonical.entities.active_entity_count
     };
   }
 
@@ -447,17 +444,37 @@ Only include fields that changed. Return valid JSON only.`;
     if (!this.state) return '';
 
     const summary = this.getCompactSummary();
-    const knownRules = this.state.rule_state?.rules
-      .filter(r => r.status !== 'unknown')
-      .map(r => `- Rule ${r.rule_number}: ${r.rule_text} ${r.status === 'violated' ? '(VIOLATED)' : ''}`)
+    const canonical = this.state.canonical_state;
+    const knownRules = canonical.rules
+      .filter(r => StateModel.ruleStatus(r) !== 'unknown')
+      .map(r => `- Rule ${r.rule_number}: ${r.text} ${r.violated ? '(VIOLATED)' : ''}`)
       .join('\n');
 
-    const activeEntities = this.state.entity_state?.entities
+    const activeEntities = canonical.entities.entities
       .filter(e => e.current_status !== 'dormant' && e.current_status !== 'sated')
-      .map(e => `- ${e.entity_name}: ${e.current_status}, threat: ${e.threat_level}`)
+      .map(e => [
+        `- ${EntityRegistry.label(e)} (${e.entity_id}): ${e.current_status}, threat: ${e.threat_level}` +
+          (e.appearances.length > 0 ? `; seen in chunks ${[...new Set(e.appearances.map(a => a.chunk))].join(', ')}` : ''),
+        ...EntityRegistry.describeCapabilities(e).map(line => `  - ${line}`),
+        ...(e.bound_by_rules.length > 0 ? [`  - Bound by: ${e.bound_by_rules.join(', ')}`] : [])
+      ].join('\n'))
       .join('\n');
 
-    const recentFacts = this.state.continuity?.established_facts
+    const inventory = Inventory.describe(canonical).map(line => `- ${line}`);
+    if (canonical.protagonist.physical_condition.lost_possessions.length > 0) {
+      inventory.push('- Lost items are GONE: the protagonist cannot use them unless they find them again');
+    }
+
+    const clock = Timeline.describe(canonical).map(line => `- ${line}`);
+    if (clock.length > 0) {
+      clock.push('- Time only moves forward: no earlier clock times, and show any large jump passing');
+    }
+
+    const promises = PromiseLedger.describe(canonical).map(line => `- ${line}`).join('\n');
+
+    const names = NameContinuity.describe(canonical).map(line => `- ${line}`).join('\n');
+
+    const recentFacts = canonical.continuity.established_facts
       .slice(-5)
       .map(f => `- ${f.fact}`)
       .join('\n');
@@ -475,14 +492,23 @@ ${summary.point_of_no_return ? '- POINT OF NO RETURN CROSSED' : ''}
 ### Protagonist
 - Health: ${summary.protagonist_health}
 - Awareness: ${summary.protagonist_awareness}
-- Location: ${this.state.protagonist_state?.physical_condition?.location_in_setting}
+- Location: ${canonical.protagonist.physical_condition.location_in_setting}${inventory.map(line => `\n${line}`).join('')}
+
+### Story Clock
+${clock.join('\n') || '(no time established yet)'}
 
-### Rules Known (${summary.rules_known}/${this.state.immutable_facts?.total_rule_count})
+### Rules Known (${summary.rules_known}/${canonical.immutable_facts.total_rule_count})
 ${knownRules || '(none yet)'}
 
 ### Active Entities (${summary.active_entities})
 ${activeEntities || '(none active)'}
 
+### Names
+${names || '(none yet)'}
+
+### Open Promises
+${promises || '(none)'}
+
 ### Recent Facts
 ${recentFacts || '(establishing setting)'}
 `.trim();
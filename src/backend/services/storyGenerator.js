@@ -6,6 +6,13 @@
 const ClaudeClient = require('../api/claudeClient');
 const TemplateLoader = require('../utils/templateLoader');
 const RuleBuilder = require('./ruleBuilder');
+const ConsequenceScheduler = require('./consequenceScheduler');
+const EntityRegistry = require('./entityRegistry');
+const Inventory = require('./inventory');
+const NameContinuity = require('./nameContinuity');
+const PromiseLedger = require('./promiseLedger');
+const Timeline = require('./timeline');
+const RuleInteractionEngine = require('./ruleInteractionEngine');
 const path = require('path');
 
 class StoryGenerator {
@@ -63,8 +70,12 @@ class StoryGenerator {
 
     console.log(`🔧 Building structured rules (${ruleCount} rules)...`);
 
-    // Build structured rule set with theme-specific customizations
-    const structuredRules = this.ruleBuilder.buildRuleSet(ruleCount, {
+    // Build structured rule set with theme-specific customizations,
+    // against the same consequence catalog the state manager applies
+    const ruleBuilder = stateManager.consequences === this.ruleBuilder.consequences
+      ? this.ruleBuilder
+      : new RuleBuilder({ consequences: stateManager.consequences });
+    const structuredRules = ruleBuilder.buildRuleSet(ruleCount, {
       thematicFocus: parameters.thematicFocus,
       location: parameters.location,
       violationResponse: parameters.violationResponse
@@ -78,8 +89,12 @@ class StoryGenerator {
       rule7.violation_threshold = 1; // Single violation triggers end
     }
 
+    // Interactions for the selected patterns (marks dormant rules before they are stored)
+    const interactions = ruleBuilder.buildInteractions(structuredRules, parameters.interactionPatterns);
+
     // Replace basic rules with structured rules
     stateManager.setStructuredRules(structuredRules);
+    stateManager.setRuleInteractions(interactions);
 
     console.log(`✅ Structured rules initialized:`);
     console.log(`   Total rules: ${structuredRules.length}`);
@@ -90,6 +105,9 @@ class StoryGenerator {
     });
 
     console.log(`   Type distribution:`, typeCount);
+    if (interactions.length > 0) {
+      console.log(`   Interactions:`, interactions.map(i => i.id).join(', '));
+    }
   }
 
   /**
@@ -181,7 +199,8 @@ class StoryGenerator {
 
     // Consequences already applied
     const violations = canonicalState.rules.filter(r => r.violated);
-    if (violations.length > 0) {
+    const scheduled = canonicalState.scheduled_consequences || ConsequenceScheduler.createQueue();
+    if (violations.length > 0 || scheduled.fired.length > 0) {
       constraints.push('## Rule Consequences Already Applied:');
       constraints.push('');
       constraints.push('These effects are PERMANENT and CANNOT be reversed:');
@@ -198,23 +217,97 @@ class StoryGenerator {
           });
         }
       });
+      scheduled.fired.forEach(entry => {
+        constraints.push(`- ${entry.consequence} (delayed, from ${entry.rule_id} violation)`);
+      });
+      constraints.push('');
+    }
+
+    // Delayed consequences: due in the scene being written, and still waiting
+    const due = scheduled.fired.filter(entry =>
+      entry.payoff_scene !== null && entry.payoff_scene === scheduled.current_scene
+    );
+    if (due.length > 0) {
+      constraints.push('## Delayed Consequences Due NOW:');
+      constraints.push('');
+      constraints.push('These were set in motion by earlier violations and MUST land in this scene:');
+      constraints.push('');
+      due.forEach(entry => {
+        constraints.push(`- ${entry.description} (${entry.consequence}, from ${entry.rule_id} violation; triggered by ${entry.fired_by})`);
+      });
       constraints.push('');
     }
 
-    // Entity capabilities
-    const capabilities = Object.keys(canonicalState.entity_capabilities);
-    if (capabilities.length > 0) {
+    if (scheduled.pending.length > 0) {
+      constraints.push('## Pending Consequences (not yet happened):');
+      constraints.push('');
+      constraints.push('Foreshadow these, but do NOT show them before their trigger:');
+      constraints.push('');
+      scheduled.pending.forEach(entry => {
+        constraints.push(`- ${entry.description} (${entry.consequence}, from ${entry.rule_id} violation) - ${ConsequenceScheduler.describeTrigger(entry)}`);
+      });
+      constraints.push('');
+    }
+
+    // Rule interactions
+    const interactions = canonicalState.rule_interactions || [];
+    if (interactions.length > 0) {
+      constraints.push('## Rule Interactions:');
+      constraints.push('');
+      constraints.push('The rules are connected; the story MUST respect these links:');
+      constraints.push('');
+      interactions.forEach(interaction => {
+        constraints.push(`- ${RuleInteractionEngine.describe(interaction)}`);
+      });
+      canonicalState.rules.filter(r => r.context).forEach(rule => {
+        constraints.push(`- ${rule.rule_id} has drifted: ${rule.context}`);
+      });
+      canonicalState.rules.filter(r => r.invalidated_by).forEach(rule => {
+        constraints.push(`- ${rule.rule_id} no longer protects (${rule.invalidated_by} was broken)`);
+      });
+      constraints.push('');
+    }
+
+    // Entity registry: each entity's capabilities and the rules binding it
+    const entities = (canonicalState.entities?.entities || []).filter(e =>
+      Object.keys(e.capabilities).length > 0 || e.bound_by_rules.length > 0
+    );
+    if (entities.length > 0) {
       constraints.push('## Entity Current Capabilities:');
       constraints.push('');
-      constraints.push('The entity has GAINED these abilities and MUST demonstrate them:');
+      constraints.push('Each entity has GAINED these abilities and MUST demonstrate them:');
       constraints.push('');
-      Object.entries(canonicalState.entity_capabilities).forEach(([capability, value]) => {
-        const status = value ? '✅ CAN' : '❌ CANNOT';
-        const capabilityDisplay = capability.replace(/_/g, ' ');
-        constraints.push(`- ${status} ${capabilityDisplay}`);
+      entities.forEach(entity => {
+        constraints.push(`### ${EntityRegistry.label(entity)} (${entity.entity_id})`);
+        EntityRegistry.describeCapabilities(entity).forEach(line => {
+          constraints.push(`- ${line.startsWith('CAN ') ? '✅' : '❌'} ${line}`);
+        });
+        const holding = entity.bound_by_rules.filter(id => !canonicalState.rules.find(r => r.rule_id === id)?.violated);
+        const broken = entity.bound_by_rules.filter(id => !holding.includes(id));
+        if (holding.length > 0) {
+          constraints.push(`- Held back by ${holding.join(', ')} (unbroken: it may NOT act against these)`);
+        }
+        if (broken.length > 0) {
+          constraints.push(`- No longer held back by ${broken.join(', ')} (violated)`);
+        }
+        constraints.push('');
       });
+      constraints.push('YOU MAY NOT show an entity lacking abilities it has gained.');
+      if (entities.length > 1) {
+        constraints.push('YOU MAY NOT give one entity the abilities another has gained.');
+      }
       constraints.push('');
-      constraints.push('YOU MAY NOT show the entity lacking abilities it has gained.');
+    }
+
+    // Protagonist inventory
+    const condition = canonicalState.protagonist?.physical_condition || {};
+    const inventory = Inventory.describe(canonicalState);
+    if (inventory.length > 0) {
+      constraints.push('## Protagonist Inventory:');
+      constraints.push('');
+      inventory.forEach(line => constraints.push(`- ${line}`));
+      constraints.push('');
+      constraints.push('The narrator may only use items they are carrying. Lost items stay lost until the story has them found again.');
       constraints.push('');
     }
 
@@ -254,6 +347,38 @@ class StoryGenerator {
       constraints.push('');
     }
 
+    // Setups awaiting payoff
+    const promises = PromiseLedger.describe(canonicalState);
+    if (promises.length > 0) {
+      constraints.push('## Open Promises:');
+      constraints.push('');
+      constraints.push('The story has set these up. Pay them off before it ends; a critical one left open fails assembly:');
+      constraints.push('');
+      promises.forEach(line => constraints.push(`- ${line}`));
+      constraints.push('');
+    }
+
+    // Established names and their spellings
+    const names = NameContinuity.describe(canonicalState);
+    if (names.length > 0) {
+      constraints.push('## Names:');
+      constraints.push('');
+      names.forEach(line => constraints.push(`- ${line}`));
+      constraints.push('');
+    }
+
+    // Story clock and timing-rule deadlines
+    const timeline = canonicalState.narrative?.timeline || {};
+    const clock = Timeline.describe(canonicalState);
+    if (clock.length > 0) {
+      constraints.push('## Story Clock:');
+      constraints.push('');
+      clock.forEach(line => constraints.push(`- ${line}`));
+      constraints.push('');
+      constraints.push('Time only moves forward. Show any jump of more than a few hours passing. A deadline that comes due must be kept or broken on the page.');
+      constraints.push('');
+    }
+
     // Explicit prohibitions based on state
     constraints.push('## EXPLICIT PROHIBITIONS Based on Current State:');
     constraints.push('');
@@ -264,11 +389,19 @@ class StoryGenerator {
       constraints.push('- Reset any violation status or count');
     }
 
-    if (capabilities.length > 0) {
+    if (scheduled.pending.length > 0) {
+      constraints.push('- Show pending consequences before their trigger');
+    }
+
+    if (Object.keys(canonicalState.entity_capabilities).length > 0) {
       constraints.push('- Remove or ignore entity capabilities already gained');
       constraints.push('- Show entity without abilities it has acquired');
     }
 
+    if ((condition.lost_possessions || []).length > 0) {
+      constraints.push(`- Have the narrator use lost items (${condition.lost_possessions.join(', ')})`);
+    }
+
     if (flagsSet.length > 0) {
       constraints.push('- Reverse any irreversible flags or states');
     }
@@ -278,6 +411,10 @@ class StoryGenerator {
       constraints.push('- Contradict established timeline commitments');
     }
 
+    if (timeline.current_time) {
+      constraints.push(`- Set the story clock earlier than ${timeline.current_time}`);
+    }
+
     constraints.push('- Introduce new entity behaviors without state support');
     constraints.push('- Restore normalcy or safety that has been compromised');
     constraints.push('');
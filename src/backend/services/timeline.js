@@ -0,0 +1,442 @@
+/**
+ * Timeline Service
+ * The in-story clock, and the checks that keep story time consistent
+ *
+ * narrative.timeline holds the clock of both pipelines:
+ *   story_start_time / current_time / elapsed_in_story  readable clock
+ *   start_minute / current_minute  minutes since midnight of the story's first day
+ *   current_bell   highest bell rung so far (for stories that count bells)
+ *   markers        each time reference observed, normalized, with its chunk or scene
+ *   deadlines      timing rules (rule_grammar.yaml timing_rule: "before dawn", "exactly at
+ *                  midnight", "between 2 and 3 AM", "before the third bell") with their
+ *                  status: pending|active|kept|violated|unresolved. Interval rules
+ *                  ("every 30 minutes") set no deadline.
+ *   issues         regressions, impossible jumps and deadlines passed unresolved
+ *
+ * observe() reads the time references of a chunk's prose in order, plus any
+ * time the extractor reported for the end of the chunk. A clock time without
+ * AM/PM is put on whichever half of the day is nearest the current time.
+ */
+
+const NAMED_TIMES = { midnight: 0, noon: 720, dawn: 360, sunrise: 360, dusk: 1140, sunset: 1140, dark: 1140 };
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, 'half an': 0.5
+};
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth', 'eleventh', 'twelfth'];
+
+// A reference this far before the current time is a regression, not rounding
+const REGRESSION_TOLERANCE = 15;
+// Furthest the clock may move between two references without the prose skipping time
+const MAX_JUMP = 240;
+
+const TIME_SKIP = /\b(?:hours\s+later|the\s+next\s+(?:morning|night|day)|must\s+have\s+(?:slept|dozed|passed\s+out|blacked\s+out)|when\s+I\s+(?:woke|came\s+to)|lost\s+track\s+of\s+time)\b/i;
+
+const CLOCK = "(\\d{1,2}(?::\\d{2})?\\s*[ap]\\.?m\\.?|\\d{1,2}:\\d{2}|\\d{1,2}\\s+o'clock|midnight|noon|dawn|sunrise|dusk|sunset)";
+const BARE_HOUR = "(\\d{1,2}(?::\\d{2})?(?:\\s*[ap]\\.?m\\.?)?|midnight|noon)";
+const ORDINAL = `(${ORDINALS.join('|')}|\\d{1,2}(?:st|nd|rd|th))`;
+const AMOUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Time references that say what time it is now (not rule text or plans)
+const REFERENCE_PATTERNS = [
+  { kind: 'clock', pattern: `\\b(?:it\\s+was|it's|it\\s+is|was\\s+now|by\\s+then\\s+it\\s+was)\\s+(?:(?:almost|nearly|just|exactly|already|about|around|only|past|after|well)\\s+)*${CLOCK}` },
+  { kind: 'clock', pattern: `\\b(?:clock|watch|phone|display|screen|dashboard|readout)\\s+(?:read|said|showed|hit|struck|blinked|flashed|glowed|changed\\s+to|ticked\\s+over\\s+to)\\s+${CLOCK}` },
+  { kind: 'clock', pattern: `(?:^|[.!?]["']?\\s+)At\\s+(?:exactly\\s+|precisely\\s+)?${CLOCK}` },
+  { kind: 'clock', pattern: `\\b${CLOCK}\\s+(?:came|arrived|passed|crept\\s+up|rolled\\s+around)\\b` },
+  { kind: 'bell', pattern: `\\bthe\\s+${ORDINAL}\\s+bell\\s+(?:rang|tolled|sounded|struck|chimed|came)` },
+  { kind: 'bell', pattern: `\\bbell\\s+(?:rang|tolled|sounded|struck|chimed)\\s+(?:for\\s+)?(?:the\\s+)?${ORDINAL}\\s+time` },
+  { kind: 'relative', pattern: `\\b${AMOUNT}\\s+(minutes?|hours?)\\s+(?:later|passed|went\\s+by|crawled\\s+by)\\b` }
+];
+
+class Timeline {
+  /**
+   * @param {object} owner - StateManager or StateTracker (anything with getState())
+   */
+  constructor(owner) {
+    this.owner = owner;
+  }
+
+  /**
+   * The timeline section of the owner's state
+   */
+  getTimeline() {
+    const state = this.owner.getState();
+    if (!state || !state.canonical_state) {
+      throw new Error('State not initialized. Call initializeState() first.');
+    }
+
+    return state.canonical_state.narrative.timeline;
+  }
+
+  /**
+   * Read the time references of a chunk (or scene) and move the clock
+   * Deadlines are re-evaluated afterwards, so call this after the chunk's
+   * violations and compliance have been recorded.
+   *
+   * @param {string} text - Prose of the chunk (may be empty)
+   * @param {object} at - { chunk, scene }
+   * @param {string[]} reported - Times reported by the extractor for the end of the chunk (e.g. "2:40 AM")
+   * @returns {{markers: Array, issues: Array, deadlines: Array}} What this chunk added (deadlines whose status changed)
+   */
+  observe(text, at = {}, reported = []) {
+    const timeline = this.getTimeline();
+    const where = { chunk: at.chunk ?? null, scene: at.scene ?? null };
+    const skipped = TIME_SKIP.test(text || '');
+    const added = { markers: [], issues: [], deadlines: [] };
+
+    const references = [
+      ...Timeline.extractReferences(text || ''),
+      ...reported.filter(time => typeof time === 'string').map(time => ({ kind: 'clock', text: time, clock: parseClock(time) }))
+    ].filter(ref => ref.kind !== 'clock' || ref.clock);
+
+    references.forEach(ref => {
+      const marker = { ...where, text: ref.text.trim(), kind: ref.kind, minute: null, bell: null };
+
+      if (ref.kind === 'bell') {
+        marker.bell = ref.bell;
+        if (timeline.current_bell !== null && ref.bell < timeline.current_bell) {
+          added.issues.push({ ...where, type: 'regression', text: marker.text, description: `The ${ordinal(ref.bell)} bell rings after the ${ordinal(timeline.current_bell)}` });
+        } else {
+          timeline.current_bell = ref.bell;
+        }
+      } else {
+        const previous = timeline.current_minute;
+        if (ref.kind === 'relative') {
+          if (previous === null) return;
+          marker.minute = previous + ref.minutes;
+        } else {
+          marker.minute = place(ref.clock, previous);
+        }
+
+        if (previous !== null && marker.minute < previous - REGRESSION_TOLERANCE) {
+          added.issues.push({ ...where, type: 'regression', text: marker.text, description: `Time goes back to ${formatMinute(marker.minute)} after ${formatMinute(previous)}` });
+        } else {
+          if (previous !== null && ref.kind === 'clock' && marker.minute - previous > MAX_JUMP && !skipped) {
+            added.issues.push({
+              ...where,
+              type: 'impossible_jump',
+              text: marker.text,
+              description: `Time jumps ${formatDuration(marker.minute - previous)} (${formatMinute(previous)} to ${formatMinute(marker.minute)}) without the prose showing it pass`
+            });
+          }
+          timeline.current_minute = previous === null ? marker.minute : Math.max(previous, marker.minute);
+          if (timeline.start_minute === null) {
+            timeline.start_minute = marker.minute;
+          }
+        }
+      }
+
+      timeline.markers.push(marker);
+      added.markers.push(marker);
+    });
+
+    if (timeline.start_minute !== null) {
+      timeline.story_start_time = formatMinute(timeline.start_minute);
+      timeline.current_time = formatMinute(timeline.current_minute);
+      timeline.elapsed_in_story = formatDuration(timeline.current_minute - timeline.start_minute);
+    }
+
+    const { changed, issues } = this.evaluateDeadlines(where);
+    added.deadlines = changed;
+    added.issues.push(...issues);
+    timeline.issues.push(...added.issues);
+
+    return added;
+  }
+
+  /**
+   * Track the deadlines of timing rules and settle the ones the story has reached
+   * A rule broken at any point is violated; a deadline the clock has passed is
+   * kept when the rule forbids something (or was followed), and unresolved when
+   * nothing records the narrator doing what it demanded.
+   *
+   * @param {object} at - { chunk, scene } the evaluation happens in
+   * @returns {{changed: Array, issues: Array}} Deadlines whose status changed, and new issues
+   */
+  evaluateDeadlines(at = {}) {
+    const state = this.owner.getState();
+    const timeline = this.getTimeline();
+    const changed = [];
+    const issues = [];
+
+    state.canonical_state.rules
+      .filter(rule => rule.text && !timeline.deadlines.some(d => d.rule_id === rule.rule_id))
+      .forEach(rule => {
+        const deadline = Timeline.parseDeadline(rule.text);
+        if (deadline) timeline.deadlines.push({ rule_id: rule.rule_id, ...deadline });
+      });
+
+    timeline.deadlines.forEach(deadline => {
+      if (['kept', 'violated', 'unresolved'].includes(deadline.status)) return;
+      const rule = state.canonical_state.rules.find(r => r.rule_id === deadline.rule_id);
+      if (!rule) return;
+
+      if (deadline.unit === 'minute' && deadline.end_minute === null && deadline.start_minute === null && timeline.start_minute !== null) {
+        anchor(deadline, timeline.start_minute);
+      }
+
+      const now = deadline.unit === 'bell' ? timeline.current_bell : timeline.current_minute;
+      const start = deadline.unit === 'bell' ? deadline.start_bell : deadline.start_minute;
+      const end = deadline.unit === 'bell' ? deadline.end_bell : deadline.end_minute;
+      const slack = deadline.kind === 'at' && deadline.unit === 'minute' ? REGRESSION_TOLERANCE : 0;
+      let status = deadline.status;
+
+      if (rule.violated) {
+        status = 'violated';
+      } else if (now === null || now === undefined) {
+        return;
+      } else if (end !== null && (deadline.unit === 'bell' ? now >= end + (deadline.kind === 'at' ? 1 : 0) : now >= end + slack)) {
+        status = deadline.prohibition || (rule.compliance_count || 0) > 0 ? 'kept' : 'unresolved';
+      } else if (start !== null && now >= start) {
+        status = 'active';
+      }
+
+      if (status !== deadline.status) {
+        deadline.status = status;
+        if (status !== 'active') {
+          deadline.resolved_in_chunk = at.chunk ?? null;
+          deadline.resolved_at_scene = at.scene ?? null;
+        }
+        changed.push(deadline);
+        if (status === 'unresolved') {
+          issues.push({
+            chunk: at.chunk ?? null,
+            scene: at.scene ?? null,
+            type: 'deadline_unresolved',
+            rule_id: deadline.rule_id,
+            text: deadline.text,
+            description: `${deadline.rule_id} deadline (${deadline.text}) passed with no sign it was kept or broken`
+          });
+        }
+      }
+    });
+
+    return { changed, issues };
+  }
+
+  /**
+   * Time references in prose, in order
+   *
+   * @param {string} text - Prose
+   * @returns {Array<{index, text, kind: clock|bell|relative, clock?, bell?, minutes?}>}
+   */
+  static extractReferences(text) {
+    const references = [];
+
+    REFERENCE_PATTERNS.forEach(({ kind, pattern }) => {
+      for (const match of text.matchAll(new RegExp(pattern, 'gi'))) {
+        const ref = { index: match.index, text: match[0].replace(/^[.!?"'\s]+/, ''), kind };
+        if (kind === 'clock') ref.clock = parseClock(match[1]);
+        if (kind === 'bell') ref.bell = parseOrdinal(match[1]);
+        if (kind === 'relative') ref.minutes = Math.round(parseAmount(match[1]) * (/^hour/i.test(match[2]) ? 60 : 1));
+        references.push(ref);
+      }
+    });
+
+    return references.sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Deadline of a timing rule, or null if its text sets no time
+   *
+   * @param {string} text - Rule text
+   * @returns {object|null} { kind: by|at|window|after, unit: minute|bell, prohibition, text, status, ... }
+   */
+  static parseDeadline(text) {
+    const prohibition = /\b(?:never|do\s+not|don't|must\s+not|may\s+not|cannot|can't|no\s+one)\b/i.test(text);
+    const base = {
+      prohibition,
+      status: 'pending',
+      start_clock: null, end_clock: null, start_minute: null, end_minute: null, start_bell: null, end_bell: null,
+      resolved_in_chunk: null, resolved_at_scene: null
+    };
+
+    const window = new RegExp(`\\bbetween\\s+${BARE_HOUR}\\s+and\\s+${CLOCK}`, 'i').exec(text);
+    if (window) {
+      const end = parseClock(window[2]);
+      const start = parseClock(window[1]) || parseClock(`${window[1]} ${window[2].replace(/^[\d:\s]+/, '')}`);
+      if (start && end) {
+        return { ...base, kind: 'window', unit: 'minute', text: window[0], start_clock: start, end_clock: end };
+      }
+    }
+
+    const bell = new RegExp(`\\b(before|by|until|at|after)\\s+the\\s+${ORDINAL}\\s+bell`, 'i').exec(text);
+    if (bell) {
+      const kind = { before: 'by', by: 'by', until: 'by', at: 'at', after: 'after' }[bell[1].toLowerCase()];
+      const number = parseOrdinal(bell[2]);
+      return { ...base, kind, unit: 'bell', text: bell[0], [kind === 'after' ? 'start_bell' : 'end_bell']: number, ...(kind === 'at' ? { start_bell: number } : {}) };
+    }
+
+    const after = new RegExp(`\\b(?:after|past)\\s+(${CLOCK.slice(1, -1)}|dark)`, 'i').exec(text);
+    if (after) {
+      return { ...base, kind: 'after', unit: 'minute', text: after[0], start_clock: parseClock(after[1]) };
+    }
+
+    const by = new RegExp(`\\b(?:before|by|until|no\\s+later\\s+than)\\s+${CLOCK}`, 'i').exec(text);
+    if (by) {
+      return { ...base, kind: 'by', unit: 'minute', text: by[0], end_clock: parseClock(by[1]) };
+    }
+
+    const at = new RegExp(`\\bat\\s+(?:exactly\\s+|precisely\\s+)?${CLOCK}`, 'i').exec(text);
+    if (at) {
+      const clock = parseClock(at[1]);
+      return { ...base, kind: 'at', unit: 'minute', text: at[0], start_clock: clock, end_clock: clock };
+    }
+
+    return null;
+  }
+
+  /**
+   * Lines describing the clock and timing-rule deadlines for chunk prompts
+   *
+   * @param {object} canonical - canonical_state
+   * @returns {string[]}
+   */
+  static describe(canonical) {
+    const timeline = canonical.narrative?.timeline || {};
+    const lines = [];
+
+    if (timeline.current_minute !== null && timeline.current_minute !== undefined) {
+      lines.push(`Story time: ${timeline.current_time} (began ${timeline.story_start_time}; ${timeline.elapsed_in_story} in)`);
+    }
+    if (timeline.current_bell) {
+      lines.push(`Bells rung: ${timeline.current_bell}`);
+    }
+
+    (timeline.deadlines || []).forEach(deadline => {
+      lines.push(`${deadline.rule_id} "${deadline.text}": ${describeDeadline(deadline, timeline)}`);
+    });
+
+    (timeline.issues || []).slice(-3).forEach(issue => {
+      lines.push(`Earlier problem (${issue.chunk !== null ? `chunk ${issue.chunk}` : `scene ${issue.scene}`}): ${issue.description}`);
+    });
+
+    return lines;
+  }
+
+  static formatMinute(minute) {
+    return formatMinute(minute);
+  }
+}
+
+Timeline.REGRESSION_TOLERANCE = REGRESSION_TOLERANCE;
+Timeline.MAX_JUMP = MAX_JUMP;
+
+/**
+ * Clock time of a reference: { minute (of the day), period (1440, or 720 without AM/PM) }
+ */
+function parseClock(text) {
+  const value = String(text).trim().toLowerCase();
+  if (NAMED_TIMES[value] !== undefined) {
+    return { minute: NAMED_TIMES[value], period: 1440 };
+  }
+
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m\.?|o'clock)?$/.exec(value);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  if (hour > 23 || minutes > 59) return null;
+
+  if (match[3]) {
+    if (hour === 0 || hour > 12) return null;
+    hour = (hour % 12) + (match[3] === 'p' ? 12 : 0);
+    return { minute: hour * 60 + minutes, period: 1440 };
+  }
+  if (hour > 12) {
+    return { minute: hour * 60 + minutes, period: 1440 };
+  }
+  return { minute: (hour % 12) * 60 + minutes, period: 720 };
+}
+
+/**
+ * Story minute of a clock time: the occurrence nearest a reference minute (later on a tie)
+ */
+function place(clock, reference) {
+  if (reference === null || reference === undefined) {
+    return clock.minute;
+  }
+
+  const k = Math.floor((reference - clock.minute) / clock.period);
+  const candidates = [k - 1, k, k + 1, k + 2].map(n => clock.minute + n * clock.period);
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - reference) <= Math.abs(best - reference) ? candidate : best
+  );
+}
+
+/**
+ * Put a deadline's clock times on the story's timeline (relative to when it began)
+ */
+function anchor(deadline, startMinute) {
+  if (deadline.kind === 'window') {
+    deadline.end_minute = place(deadline.end_clock, startMinute);
+    const length = ((deadline.end_clock.minute - deadline.start_clock.minute) % 720 + 720) % 720;
+    deadline.start_minute = deadline.end_minute - length;
+    return;
+  }
+  if (deadline.start_clock) deadline.start_minute = place(deadline.start_clock, startMinute);
+  if (deadline.end_clock) deadline.end_minute = place(deadline.end_clock, startMinute);
+}
+
+function describeDeadline(deadline, timeline) {
+  const at = deadline.resolved_in_chunk !== null ? ` in chunk ${deadline.resolved_in_chunk}`
+    : deadline.resolved_at_scene !== null ? ` in scene ${deadline.resolved_at_scene}` : '';
+
+  switch (deadline.status) {
+    case 'kept': return `kept${at}`;
+    case 'violated': return `broken${at} (the story must live with it)`;
+    case 'unresolved': return `deadline PASSED${at} with no sign it was kept or broken - resolve it now`;
+    case 'active':
+      return deadline.kind === 'window' ? `window OPEN now (until ${formatMinute(deadline.end_minute)})` : 'in force now';
+  }
+
+  if (deadline.unit === 'bell') {
+    const target = deadline.end_bell ?? deadline.start_bell;
+    return `pending (${target - (timeline.current_bell || 0)} bell(s) to go)`;
+  }
+  const next = deadline.start_minute ?? deadline.end_minute;
+  if (next === null || timeline.current_minute === null) {
+    return 'pending (no story time established yet)';
+  }
+  return `pending (${formatMinute(next)}, ${formatDuration(next - timeline.current_minute)} from now)`;
+}
+
+function parseOrdinal(text) {
+  const value = text.toLowerCase();
+  const index = ORDINALS.indexOf(value);
+  return index !== -1 ? index + 1 : parseInt(value, 10);
+}
+
+function parseAmount(text) {
+  const value = text.toLowerCase();
+  return NUMBER_WORDS[value] !== undefined ? NUMBER_WORDS[value] : parseInt(value, 10);
+}
+
+function ordinal(number) {
+  return ORDINALS[number - 1] || `${number}th`;
+}
+
+/**
+ * "2:40 AM", with the day once the story is past its first midnight ("2:40 AM, day 2")
+ */
+function formatMinute(minute) {
+  if (minute === null || minute === undefined) return null;
+  const day = Math.floor(minute / 1440);
+  const ofDay = ((minute % 1440) + 1440) % 1440;
+  const hour = Math.floor(ofDay / 60);
+  const time = `${hour % 12 === 0 ? 12 : hour % 12}:${String(ofDay % 60).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+  return day === 0 ? time : `${time}, day ${day + 1}`;
+}
+
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (rest > 0 || hours === 0) parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
+
+module.exports = Timeline;
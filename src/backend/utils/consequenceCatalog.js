@@ -0,0 +1,92 @@
+/**
+ * Consequence Catalog
+ * Consequence definitions read from a template pack's consequences.yaml
+ *
+ * RuleBuilder lists consequence ids on rules and StateManager applies them;
+ * both look the ids up here, so a new consequence is one YAML entry.
+ * Packs get their catalog from TemplateLoader.loadConsequenceCatalog() (merged
+ * along the extends chain); loadDefault() reads the built-in pack synchronously
+ * for callers constructed without one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const TemplateValidator = require('./templateValidator');
+
+const CONSEQUENCES_FILE = 'consequences.yaml';
+const ROOT_DIR = path.join(__dirname, '../../..');
+
+let defaultCatalog = null;
+
+class ConsequenceCatalog {
+  /**
+   * @param {object} definitions - id -> { category, description, effects }
+   */
+  constructor(definitions = {}) {
+    this.definitions = definitions;
+  }
+
+  /**
+   * Catalog of the default template pack (read once, then shared)
+   */
+  static loadDefault() {
+    if (defaultCatalog) {
+      return defaultCatalog;
+    }
+
+    let templates = {};
+    try {
+      templates = require(path.join(ROOT_DIR, 'config/config.json')).templates || {};
+    } catch (error) {
+      // Fall back to the built-in pack
+    }
+
+    const packName = templates.version || 'v1';
+    const filepath = path.resolve(ROOT_DIR, templates.base_path || 'templates', packName, CONSEQUENCES_FILE);
+    const parsed = yaml.load(fs.readFileSync(filepath, 'utf8'));
+
+    const errors = new TemplateValidator().validate(CONSEQUENCES_FILE, parsed, `${packName}/${CONSEQUENCES_FILE}`);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid consequence catalog: ${TemplateValidator.formatError(errors[0])}`);
+      error.code = 'INVALID_TEMPLATE';
+      error.errors = errors.map(TemplateValidator.formatError);
+      throw error;
+    }
+
+    defaultCatalog = new ConsequenceCatalog(parsed.consequences);
+    return defaultCatalog;
+  }
+
+  has(id) {
+    return Object.prototype.hasOwnProperty.call(this.definitions, id);
+  }
+
+  /**
+   * @returns {object|null} { category, description, effects }
+   */
+  get(id) {
+    return this.has(id) ? this.definitions[id] : null;
+  }
+
+  ids() {
+    return Object.keys(this.definitions);
+  }
+
+  /**
+   * Ids not defined in the catalog
+   *
+   * @param {string[]} ids - Consequence ids
+   */
+  findUnknown(ids) {
+    return ids.filter(id => !this.has(id));
+  }
+
+  toJSON() {
+    return this.definitions;
+  }
+}
+
+ConsequenceCatalog.FILENAME = CONSEQUENCES_FILE;
+
+module.exports = ConsequenceCatalog;
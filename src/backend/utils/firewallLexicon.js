@@ -0,0 +1,166 @@
+/**
+ * Firewall Lexicon
+ * The meta-language NarrativeFirewall flags, read from a template pack's firewall.yaml
+ *
+ * Terms carry a severity and the phrases in which they are literal (or always
+ * flagged); locations can allow terms and phrases that are literal in that
+ * setting (an airport's "security protocol", a parking structure's "level").
+ * Packs get their lexicon from TemplateLoader.loadFirewallLexicon() (merged
+ * along the extends chain); loadDefault() reads the built-in pack synchronously
+ * for callers constructed without one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const TemplateValidator = require('./templateValidator');
+
+const FIREWALL_FILE = 'firewall.yaml';
+const ROOT_DIR = path.join(__dirname, '../../..');
+
+let defaultLexicon = null;
+
+class FirewallLexicon {
+  /**
+   * @param {object} definitions - { lexemes: [{ term, severity, allowed_contexts, banned_contexts }],
+   *   patterns: [{ pattern, severity }], location_allowlists: { location_id: { allowed_lexemes, allowed_contexts } } }
+   */
+  constructor(definitions = {}) {
+    this.definitions = {
+      lexemes: definitions.lexemes || [],
+      patterns: definitions.patterns || [],
+      location_allowlists: definitions.location_allowlists || {}
+    };
+  }
+
+  /**
+   * Lexicon of the default template pack (read once, then shared)
+   */
+  static loadDefault() {
+    if (defaultLexicon) {
+      return defaultLexicon;
+    }
+
+    let templates = {};
+    try {
+      templates = require(path.join(ROOT_DIR, 'config/config.json')).templates || {};
+    } catch (error) {
+      // Fall back to the built-in pack
+    }
+
+    const packName = templates.version || 'v1';
+    const filepath = path.resolve(ROOT_DIR, templates.base_path || 'templates', packName, FIREWALL_FILE);
+    const parsed = yaml.load(fs.readFileSync(filepath, 'utf8'));
+
+    const errors = new TemplateValidator().validate(FIREWALL_FILE, parsed, `${packName}/${FIREWALL_FILE}`);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid firewall lexicon: ${TemplateValidator.formatError(errors[0])}`);
+      error.code = 'INVALID_TEMPLATE';
+      error.errors = errors.map(TemplateValidator.formatError);
+      throw error;
+    }
+
+    defaultLexicon = new FirewallLexicon(parsed);
+    return defaultLexicon;
+  }
+
+  /**
+   * Merge firewall.yaml files along an extends chain (root pack first)
+   * A lexeme (by term) or pattern (by pattern) in a later file is added or
+   * replaces the earlier one; a location's allowlist replaces the earlier one.
+   *
+   * @param {object[]} files - Parsed firewall.yaml files, root pack first
+   * @returns {FirewallLexicon}
+   */
+  static merge(files) {
+    const lexemes = new Map();
+    const patterns = new Map();
+    const allowlists = {};
+
+    for (const file of files) {
+      (file.lexemes || []).forEach(lexeme => lexemes.set(lexeme.term.toLowerCase(), lexeme));
+      (file.patterns || []).forEach(pattern => patterns.set(pattern.pattern, pattern));
+      Object.assign(allowlists, file.location_allowlists || {});
+    }
+
+    return new FirewallLexicon({
+      lexemes: [...lexemes.values()],
+      patterns: [...patterns.values()],
+      location_allowlists: allowlists
+    });
+  }
+
+  /**
+   * Terms that are flagged (severity not off)
+   *
+   * @returns {Array<{term, severity, allowed_contexts, banned_contexts}>}
+   */
+  lexemes() {
+    return this.definitions.lexemes.filter(lexeme => lexeme.severity !== 'off');
+  }
+
+  /**
+   * Patterns with their severity (high unless set)
+   *
+   * @returns {Array<{pattern: string, severity: string}>}
+   */
+  patterns() {
+    return this.definitions.patterns.map(pattern => ({ pattern: pattern.pattern, severity: pattern.severity || 'high' }));
+  }
+
+  /**
+   * @returns {object|null} { term, severity, allowed_contexts, banned_contexts }
+   */
+  getLexeme(term) {
+    const lower = String(term).toLowerCase();
+    return this.definitions.lexemes.find(lexeme => lexeme.term.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * Whether a location lets a term through everywhere in its prose
+   */
+  isAllowedAt(term, locationId) {
+    const allowlist = locationId ? this.definitions.location_allowlists[locationId] : null;
+    return Boolean(allowlist && (allowlist.allowed_lexemes || []).some(allowed => allowed.toLowerCase() === String(term).toLowerCase()));
+  }
+
+  /**
+   * Phrases in which a term is literal: its own, plus the location's that contain it
+   */
+  allowedContexts(term, locationId = null) {
+    const lexeme = this.getLexeme(term);
+    const allowlist = locationId ? this.definitions.location_allowlists[locationId] : null;
+    const termPattern = new RegExp(`\\b${escapeRegex(String(term))}\\b`, 'i');
+
+    return [
+      ...(lexeme?.allowed_contexts || []),
+      ...(allowlist?.allowed_contexts || []).filter(phrase => termPattern.test(phrase))
+    ];
+  }
+
+  /**
+   * Phrases in which a term is always flagged
+   */
+  bannedContexts(term) {
+    return this.getLexeme(term)?.banned_contexts || [];
+  }
+
+  /**
+   * Location ids with an allowlist
+   */
+  locations() {
+    return Object.keys(this.definitions.location_allowlists);
+  }
+
+  toJSON() {
+    return this.definitions;
+  }
+}
+
+function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+FirewallLexicon.FILENAME = FIREWALL_FILE;
+
+module.exports = FirewallLexicon;
@@ -0,0 +1,213 @@
+/**
+ * Job Store
+ * Durable, file-based store for async generation jobs
+ *
+ * Purpose: Keep /api/status and /api/download working across server
+ * restarts. Each job is a JSON record at generated/jobs/<jobId>.json
+ * (written atomically), with its progress events appended to
+ * generated/jobs/<jobId>.events.jsonl. Records are cached in memory for
+ * fast reads; the files are the source of truth on boot.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const ACTIVE_STATUSES = ['running'];
+
+class JobStore {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || process.env.SESSIONS_DIR || path.join(process.cwd(), 'generated');
+    this.jobsDir = path.join(this.baseDir, 'jobs');
+    this.jobs = new Map(); // jobId -> job record (cache)
+    this.writeQueues = new Map(); // jobId -> pending write promise
+  }
+
+  /**
+   * Load persisted jobs and mark interrupted ones as resumable
+   *
+   * @returns {Promise<{loaded: number, interrupted: string[]}>}
+   */
+  async initialize() {
+    await fs.mkdir(this.jobsDir, { recursive: true });
+
+    const files = (await fs.readdir(this.jobsDir))
+      .filter(f => f.endsWith('.json'));
+
+    const interrupted = [];
+
+    for (const file of files) {
+      try {
+        const job = JSON.parse(await fs.readFile(path.join(this.jobsDir, file), 'utf-8'));
+        this.jobs.set(job.jobId, job);
+
+        // Anything still "running" was cut off by the restart
+        if (ACTIVE_STATUSES.includes(job.status)) {
+          await this.update(job.jobId, {
+            status: 'interrupted',
+            resumable: Boolean(job.sessionId),
+            interruptedAt: new Date().toISOString(),
+            error: 'Server restarted before the job finished'
+          });
+          await this.addEvent(job.jobId, { type: 'interrupted', stage: job.progress?.stage || null });
+          interrupted.push(job.jobId);
+        }
+      } catch (error) {
+        console.warn(`[JobStore] Skipping unreadable job file ${file}: ${error.message}`);
+      }
+    }
+
+    console.log(`✅ Job store loaded: ${this.jobs.size} job(s), ${interrupted.length} marked interrupted`);
+    return { loaded: this.jobs.size, interrupted };
+  }
+
+  /**
+   * Get a job record
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {object|undefined} Job record
+   */
+  get(jobId) {
+    return this.jobs.get(jobId);
+  }
+
+  /**
+   * Create or replace a job record
+   *
+   * @param {string} jobId - Job identifier
+   * @param {object} job - Job record
+   * @returns {Promise<object>} Stored record
+   */
+  async set(jobId, job) {
+    const existing = this.jobs.get(jobId) || {};
+    const record = {
+      jobId,
+      // Progress and artifacts accumulate across status changes
+      progress: existing.progress || null,
+      artifacts: existing.artifacts || [],
+      ...job,
+      updatedAt: job.updatedAt || new Date().toISOString()
+    };
+
+    this.jobs.set(jobId, record);
+    await this.persist(jobId);
+    return record;
+  }
+
+  /**
+   * Merge fields into an existing job record
+   *
+   * @param {string} jobId - Job identifier
+   * @param {object} patch - Fields to merge
+   * @returns {Promise<object|null>} Updated record, or null if unknown
+   */
+  async update(jobId, patch) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+
+    return this.set(jobId, { ...job, ...patch, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Append a progress event and record it as the job's latest progress
+   *
+   * @param {string} jobId - Job identifier
+   * @param {object} event - Progress event ({ type, stage, ... })
+   */
+  async addEvent(jobId, event) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    const entry = { timestamp: new Date().toISOString(), ...event };
+    job.progress = {
+      type: entry.type,
+      stage: entry.stage || entry.currentStage || job.progress?.stage || null,
+      percentComplete: entry.percentComplete ?? job.progress?.percentComplete ?? null,
+      timestamp: entry.timestamp
+    };
+
+    await this.enqueue(jobId, () =>
+      fs.appendFile(this.getEventsPath(jobId), JSON.stringify(entry) + '\n', 'utf-8')
+    );
+    await this.persist(jobId);
+  }
+
+  /**
+   * Record a (partial) artifact produced by the job
+   *
+   * @param {string} jobId - Job identifier
+   * @param {object} artifact - { name, path?, url? }
+   */
+  async addArtifact(jobId, artifact) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    job.artifacts = (job.artifacts || []).filter(a => a.name !== artifact.name);
+    job.artifacts.push({ ...artifact, recordedAt: new Date().toISOString() });
+    await this.persist(jobId);
+  }
+
+  /**
+   * Read all progress events for a job
+   *
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Array>} Events in order
+   */
+  async getEvents(jobId) {
+    try {
+      const raw = await fs.readFile(this.getEventsPath(jobId), 'utf-8');
+      return raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Find the most recent job for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {object|undefined} Job record
+   */
+  findBySession(sessionId) {
+    return [...this.jobs.values()]
+      .filter(job => job.sessionId === sessionId || job.result?.sessionId === sessionId)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))[0];
+  }
+
+  getJobPath(jobId) {
+    return path.join(this.jobsDir, `${jobId}.json`);
+  }
+
+  getEventsPath(jobId) {
+    return path.join(this.jobsDir, `${jobId}.events.jsonl`);
+  }
+
+  /**
+   * Write the cached record to disk atomically (temp file + rename)
+   */
+  async persist(jobId) {
+    await this.enqueue(jobId, async () => {
+      const job = this.jobs.get(jobId);
+      const filepath = this.getJobPath(jobId);
+      const tempPath = `${filepath}.${process.pid}.tmp`;
+
+      await fs.mkdir(this.jobsDir, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(job, null, 2), 'utf-8');
+      await fs.rename(tempPath, filepath);
+    });
+  }
+
+  /**
+   * Serialize file operations per job so writes never race
+   */
+  enqueue(jobId, operation) {
+    const previous = this.writeQueues.get(jobId) || Promise.resolve();
+    const next = previous.then(operation).catch(error => {
+      console.error(`[JobStore] Write failed for ${jobId}: ${error.message}`);
+    });
+    this.writeQueues.set(jobId, next);
+    return next;
+  }
+}
+
+module.exports = JobStore;
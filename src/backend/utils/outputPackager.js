@@ -10,7 +10,7 @@ const { createWriteStream, createReadStream } = require('fs');
 
 class OutputPackager {
   constructor(outputDir = 'generated') {
-    this.outputDir = path.join(process.cwd(), outputDir);
+    this.outputDir = path.resolve(process.cwd(), outputDir);
 
     // Copyright protection: Define allowed and forbidden paths
     this.ALLOWED_OUTPUT_PATHS = [
@@ -256,6 +256,11 @@ class OutputPackager {
       console.log(`   Added chunk manifest`);
     }
 
+    // 0.8. Payoff Report (MD) - written by PostProcessor
+    if (sessionData.payoffReportPath) {
+      files.push({ name: 'payoff_report.md', path: sessionData.payoffReportPath });
+    }
+
     // 1. User Input Log (JSON)
     if (userInput) {
       const userInputPath = path.join(sessionDir, '00_user_input_log.json');
@@ -482,6 +487,23 @@ class OutputPackager {
         output += `No untraced escalations detected.\n\n`;
       }
 
+      // Possession Continuity (not in error logs written before it existed)
+      if (cv.details.possessions) {
+        output += `### Possession Continuity: ${cv.details.possessions.passed ? 'PASS' : 'FAIL'}\n\n`;
+        if (cv.details.possessions.issues.length > 0) {
+          output += `**Issues Detected:** ${cv.details.possessions.issues.length}\n\n`;
+          for (const issue of cv.details.possessions.issues) {
+            output += `- **Type:** ${issue.type}\n`;
+            output += `  - **Severity:** ${issue.severity}\n`;
+            output += `  - **Description:** ${issue.description}\n`;
+            output += `  - **Detected:** "${issue.detected_text}"\n`;
+            output += `\n`;
+          }
+        } else {
+          output += `No issues detected.\n\n`;
+        }
+      }
+
       output += `---\n\n`;
     }
 
@@ -490,8 +512,9 @@ class OutputPackager {
       for (const call of errorLog.apiCalls) {
         output += `### ${call.type}\n\n`;
         output += `- Model: ${call.model}\n`;
-        output += `- Input Tokens: ${call.usage.inputTokens}\n`;
-        output += `- Output Tokens: ${call.usage.outputTokens}\n`;
+        // Chunked generation does not report usage per chunk
+        output += `- Input Tokens: ${call.usage?.inputTokens ?? 'n/a'}\n`;
+        output += `- Output Tokens: ${call.usage?.outputTokens ?? 'n/a'}\n`;
         output += `- Timestamp: ${call.timestamp}\n\n`;
       }
     }
@@ -521,7 +544,8 @@ class OutputPackager {
       checkpoints,
       status,
       currentStage,
-      errorLog
+      errorLog,
+      templatePack
     } = sessionData;
 
     // Get state summary if available
@@ -536,7 +560,8 @@ class OutputPackager {
       checks: {
         no_retcon: constraintCheck.results.noRetcon.passed,
         knowledge_consistency: constraintCheck.results.knowledge.passed,
-        escalation_traceability: constraintCheck.results.escalation.passed
+        escalation_traceability: constraintCheck.results.escalation.passed,
+        possession_continuity: constraintCheck.results.possessions.passed
       }
     } : null;
 
@@ -546,6 +571,8 @@ class OutputPackager {
       generation_date: new Date().toISOString(),
       word_count: (revisedStory || initialStory) ? (revisedStory || initialStory).split(/\s+/).length : 0,
       parameters_used: userInput || {},
+      seed: userInput?.seed ?? null,
+      template_pack: templatePack ? { name: templatePack.name, version: templatePack.version } : null,
       inflection_points_selected: userInput ? {
         entry_condition: userInput.entryCondition,
         discovery_method: userInput.discoveryMethod,
@@ -572,7 +599,7 @@ class OutputPackager {
         enabled: false
       },
       version: {
-        templates: 'v1',
+        templates: templatePack?.name || 'v1',
         system: '1.5.0' // Phase 2: Checkpoint Protocol
       }
     };
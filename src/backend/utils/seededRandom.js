@@ -0,0 +1,75 @@
+/**
+ * Seeded Random
+ * Reproducible pseudo-random choices for engine-side parameter selection
+ *
+ * A seed (integer or string) plus a namespace is hashed into the state of a
+ * mulberry32 generator, so each caller gets its own stream: adding a random
+ * choice in one place never shifts the choices made in another.
+ */
+
+const crypto = require('crypto');
+
+const MAX_SEED_LENGTH = 128;
+
+class SeededRandom {
+  /**
+   * @param {number|string} seed - User-supplied or generated seed
+   * @param {string} namespace - Stream name (e.g. 'fillDefaults')
+   */
+  constructor(seed, namespace = '') {
+    if (!SeededRandom.isValidSeed(seed)) {
+      throw new Error(`Invalid seed: ${JSON.stringify(seed)}`);
+    }
+
+    this.seed = seed;
+    this.namespace = namespace;
+    this.state = crypto.createHash('sha256')
+      .update(`${seed}:${namespace}`)
+      .digest()
+      .readUInt32LE(0);
+  }
+
+  /**
+   * Next float in [0, 1) (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Pick one element of an array
+   */
+  pick(arr) {
+    return arr[Math.floor(this.next() * arr.length)];
+  }
+
+  /**
+   * Seeds are non-negative safe integers or short non-empty strings
+   */
+  static isValidSeed(seed) {
+    if (typeof seed === 'number') {
+      return Number.isSafeInteger(seed) && seed >= 0;
+    }
+    return typeof seed === 'string' && seed.trim().length > 0 && seed.length <= MAX_SEED_LENGTH;
+  }
+
+  /**
+   * Fresh seed for runs that did not supply one (recorded so they can be replayed)
+   */
+  static generateSeed() {
+    return crypto.randomInt(0, 2 ** 31);
+  }
+}
+
+module.exports = SeededRandom;
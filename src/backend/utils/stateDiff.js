@@ -0,0 +1,179 @@
+/**
+ * State Diff
+ * Structured comparison of two session states (e.g. the snapshots after two chunks)
+ *
+ * Covers what explains a story's trajectory: rules discovered, violated or
+ * deactivated, entity capability changes, irreversible flag flips, escalation
+ * tier, contamination and newly named elements. Delta log entries recorded
+ * between the two states (StateManager.applyDelta / StateTracker.updateAfterChunk)
+ * are included as the "why".
+ *
+ * Both states are read in the current model (see stateModel.js); older
+ * formats are migrated first.
+ */
+
+const StateModel = require('./stateModel');
+
+// Irreversible flags reported elsewhere in the diff
+const FLAG_EXCLUDES = ['contamination_level', 'violations'];
+const ESCALATION_FLAGS = ['point_of_no_return_reached', 'can_still_escape_cleanly'];
+const NAMED_ELEMENT_KINDS = ['character_names', 'location_names', 'object_names', 'entity_names', 'prose_names'];
+
+class StateDiff {
+  /**
+   * Compare two states
+   *
+   * @param {object} fromState - Earlier state (any supported format)
+   * @param {object} toState - Later state (any supported format)
+   * @returns {object} { rules, entity_capabilities, flags, escalation, contamination,
+   *   named_elements, log, changes } - changes is a readable list of { category, text }
+   */
+  static diff(fromState, toState) {
+    const from = StateModel.isCurrent(fromState) ? fromState : StateModel.migrate(fromState);
+    const to = StateModel.isCurrent(toState) ? toState : StateModel.migrate(toState);
+    const before = from.canonical_state;
+    const after = to.canonical_state;
+
+    const diff = {
+      rules: diffRules(before.rules, after.rules),
+      entity_capabilities: diffMaps(before.entity_capabilities, after.entity_capabilities),
+      flags: diffFlags(before.irreversible_flags, after.irreversible_flags, FLAG_EXCLUDES),
+      escalation: {
+        tier: changed(before.escalation.escalation_tier, after.escalation.escalation_tier),
+        flags: diffFlags(pick(before.escalation, ESCALATION_FLAGS), pick(after.escalation, ESCALATION_FLAGS)),
+        events: added(before.escalation.escalation_events, after.escalation.escalation_events)
+      },
+      contamination: changed(before.irreversible_flags.contamination_level || 0, after.irreversible_flags.contamination_level || 0),
+      named_elements: diffNamedElements(before.continuity.named_elements, after.continuity.named_elements),
+      // The log is append-only, so entries past the earlier state's length are new
+      log: to.narrative_delta_log.slice(from.narrative_delta_log.length)
+    };
+
+    diff.changes = StateDiff.describe(diff);
+    return diff;
+  }
+
+  /**
+   * Readable change list for a diff
+   *
+   * @param {object} diff - Result of diff() (without changes)
+   * @returns {Array<{category: string, text: string}>}
+   */
+  static describe(diff) {
+    const changes = [];
+    const add = (category, text) => changes.push({ category, text });
+    const label = (rule) => `Rule ${rule.rule_number ?? rule.rule_id}${rule.text ? ` ("${rule.text}")` : ''}`;
+
+    diff.rules.discovered.forEach(rule => add('rules', `${label(rule)} discovered`));
+    diff.rules.violated.forEach(rule => add('rules',
+      `${label(rule)} violated (${rule.violations.from} -> ${rule.violations.to} violation${rule.violations.to === 1 ? '' : 's'})`));
+    diff.rules.deactivated.forEach(rule => add('rules', `${label(rule)} no longer active`));
+
+    diff.entity_capabilities.added.forEach(c => add('entity', `Entity gained ${c.key}: ${format(c.value)}`));
+    diff.entity_capabilities.changed.forEach(c => add('entity', `Entity ${c.key}: ${format(c.from)} -> ${format(c.to)}`));
+    diff.entity_capabilities.removed.forEach(c => add('entity', `Entity lost ${c.key}`));
+
+    diff.flags.forEach(f => add('flags', `${f.key}: ${format(f.from)} -> ${format(f.to)}`));
+
+    if (diff.escalation.tier) {
+      add('escalation', `Escalation tier ${diff.escalation.tier.from} -> ${diff.escalation.tier.to}`);
+    }
+    diff.escalation.flags.forEach(f => add('escalation', `${f.key}: ${format(f.from)} -> ${format(f.to)}`));
+    diff.escalation.events.forEach(e => add('escalation', `Escalation event: ${format(e)}`));
+
+    if (diff.contamination) {
+      add('contamination', `Contamination ${diff.contamination.from} -> ${diff.contamination.to}`);
+    }
+
+    for (const [kind, names] of Object.entries(diff.named_elements)) {
+      add('names', `New ${kind.replace(/_names$/, '').replace(/_/g, ' ')} name${names.length === 1 ? '' : 's'}: ${names.join(', ')}`);
+    }
+
+    return changes;
+  }
+}
+
+function diffRules(beforeRules, afterRules) {
+  const previous = new Map(beforeRules.map(rule => [rule.rule_id, rule]));
+  const result = { discovered: [], violated: [], deactivated: [] };
+
+  for (const rule of afterRules) {
+    const old = previous.get(rule.rule_id) || StateModel.createRule({ rule_id: rule.rule_id });
+    const summary = { rule_id: rule.rule_id, rule_number: rule.rule_number, text: rule.text };
+
+    if (rule.active && !old.active && !old.violated) {
+      result.discovered.push(summary);
+    }
+    if ((rule.violation_count || 0) > (old.violation_count || 0)) {
+      result.violated.push({ ...summary, violations: { from: old.violation_count || 0, to: rule.violation_count } });
+    }
+    if (old.active && !rule.active) {
+      result.deactivated.push(summary);
+    }
+  }
+
+  return result;
+}
+
+function diffMaps(before = {}, after = {}) {
+  const result = { added: [], changed: [], removed: [] };
+
+  for (const [key, value] of Object.entries(after)) {
+    if (!(key in before)) {
+      result.added.push({ key, value });
+    } else if (!isEqual(before[key], value)) {
+      result.changed.push({ key, from: before[key], to: value });
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      result.removed.push({ key, value: before[key] });
+    }
+  }
+
+  return result;
+}
+
+function diffFlags(before = {}, after = {}, excludes = []) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  return [...keys]
+    .filter(key => !excludes.includes(key) && !isEqual(before[key], after[key]))
+    .map(key => ({ key, from: before[key] ?? null, to: after[key] ?? null }));
+}
+
+function diffNamedElements(before = {}, after = {}) {
+  const result = {};
+
+  for (const kind of NAMED_ELEMENT_KINDS) {
+    const names = added(before[kind], after[kind]);
+    if (names.length > 0) {
+      result[kind] = names;
+    }
+  }
+
+  return result;
+}
+
+function changed(from, to) {
+  return isEqual(from, to) ? null : { from, to };
+}
+
+function added(before = [], after = []) {
+  const seen = new Set(before.map(item => JSON.stringify(item)));
+  return after.filter(item => !seen.has(JSON.stringify(item)));
+}
+
+function pick(object = {}, keys) {
+  return Object.fromEntries(keys.filter(key => key in object).map(key => [key, object[key]]));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function format(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+module.exports = StateDiff;
@@ -0,0 +1,384 @@
+/**
+ * State Model
+ * The single, versioned session state shared by the chunked and staged pipelines
+ *
+ * Both pipelines store the same document (schema_version 2, described in
+ * templates/v1/schemas/state_schema.yaml): StateManager's canonical_state
+ * (rules, entity capabilities, world facts, irreversible flags, scheduled
+ * consequences, rule interactions) plus the sections the staged pipeline
+ * tracks (immutable facts, protagonist, entities, escalation, narrative,
+ * continuity). Rules carry the fields of both: rule_id/active/violated for
+ * the chunked pipeline, rule_number/hidden/discovered_in_chunk for the staged
+ * one. Contamination lives in irreversible_flags.contamination_level only.
+ * Entities are EntityRegistry records; entity_capabilities is their union.
+ * The protagonist's possessions are kept by the Inventory service, the
+ * in-story clock (narrative.timeline) by the Timeline service, the
+ * setups awaiting payoff (continuity.promises) by the PromiseLedger and the
+ * names used in prose (sightings and suspected drifts) by NameContinuity.
+ *
+ * Older state.json / session_state.json files are upgraded by migrate():
+ *   chunked_v1  StateManager state without schema_version
+ *   staged_v1   StateTracker state (rule_state, protagonist_state, ...)
+ * Each migration moves a state one format forward until it is current.
+ */
+
+const ConsequenceScheduler = require('../services/consequenceScheduler');
+const EntityRegistry = require('../services/entityRegistry');
+const PromiseLedger = require('../services/promiseLedger');
+
+const SCHEMA_VERSION = 2;
+const PIPELINES = ['chunked', 'staged'];
+
+// Format -> upgrade to the next format (ends at the current schema_version)
+const MIGRATIONS = {
+  chunked_v1: migrateChunkedV1,
+  staged_v1: migrateStagedV1
+};
+
+class StateModel {
+  /**
+   * Empty state for a new session
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {object} options - { pipeline: 'chunked'|'staged', userParameters }
+   * @returns {object} State with every section present and no rules
+   */
+  static create(sessionId, options = {}) {
+    const { pipeline = 'chunked', userParameters = {} } = options;
+    if (!PIPELINES.includes(pipeline)) {
+      throw new Error(`Unknown pipeline: ${pipeline}`);
+    }
+
+    const now = new Date().toISOString();
+    return {
+      schema_version: SCHEMA_VERSION,
+      session_id: sessionId,
+      canonical_state: {
+        rules: [],
+        entity_capabilities: {},
+        world_facts: {
+          location: userParameters.location || null,
+          custom_location: userParameters.customLocation || null,
+          time_anchor: null,
+          timeline_commitments: []
+        },
+        irreversible_flags: {
+          bound_to_system: false,
+          contamination_level: 0,
+          violations: []
+        },
+        scheduled_consequences: ConsequenceScheduler.createQueue(),
+        rule_interactions: [],
+        thematic_focus: userParameters.thematicFocus || null,
+        entry_condition: userParameters.entryCondition || null,
+        discovery_method: userParameters.discoveryMethod || null,
+        ...StateModel.createStorySections()
+      },
+      narrative_delta_log: [],
+      metadata: {
+        created_at: now,
+        updated_at: now,
+        pipeline,
+        user_parameters: userParameters,
+        migrations: []
+      }
+    };
+  }
+
+  /**
+   * Default protagonist / entity / escalation / narrative / continuity sections
+   */
+  static createStorySections() {
+    return {
+      immutable_facts: {},
+      protagonist: {
+        physical_condition: {
+          health: 'healthy',
+          injuries: [],
+          location_in_setting: 'entry_point',
+          possessions: [],
+          lost_possessions: [],
+          possession_log: []
+        },
+        mental_condition: {
+          awareness: 'unaware',
+          sanity: 'stable',
+          primary_emotion: 'neutral',
+          motivations: []
+        },
+        knowledge: {
+          knows_rules: [],
+          knows_entities: [],
+          knows_escape_method: false,
+          false_beliefs: [],
+          recent_discoveries: []
+        }
+      },
+      entities: {
+        entities: [],
+        active_entity_count: 0,
+        total_entity_appearances: 0
+      },
+      escalation: {
+        escalation_tier: 1,
+        escalation_events: [],
+        point_of_no_return_reached: false,
+        can_still_escape_cleanly: true
+      },
+      narrative: {
+        current_chunk: 0,
+        total_words_generated: 0,
+        target_words_remaining: null,
+        act_structure: {
+          current_act: 'setup',
+          act_started_chunk: 1,
+          beats_completed: [],
+          beats_remaining: []
+        },
+        scene_state: {
+          current_scene_number: 0,
+          current_scene_goal: '',
+          scene_tension_level: 'low'
+        },
+        timeline: {
+          story_start_time: null,
+          current_time: null,
+          elapsed_in_story: '0',
+          start_minute: null,
+          current_minute: null,
+          current_bell: null,
+          markers: [],
+          deadlines: [],
+          issues: []
+        }
+      },
+      continuity: {
+        established_facts: [],
+        named_elements: {
+          character_names: [],
+          location_names: [],
+          object_names: [],
+          entity_names: [],
+          prose_names: []
+        },
+        name_sightings: [],
+        name_drifts: [],
+        promises: []
+      }
+    };
+  }
+
+  /**
+   * Rule with every field of the model (unset fields at their defaults)
+   *
+   * @param {object} fields - Fields to set (rule_id required)
+   * @returns {object} Rule object
+   */
+  static createRule(fields) {
+    const match = /^rule_(\d+)$/.exec(fields.rule_id || '');
+
+    return {
+      rule_id: fields.rule_id,
+      rule_number: match ? parseInt(match[1], 10) : null,
+      text: null,
+      type: null, // boundary|temporal|behavioral|object_interaction|procedural
+      active: false,
+      hidden: false,
+      violated: false,
+      violation_count: 0,
+      established_at_scene: null,
+      discovered_in_chunk: null,
+      violated_in_chunk: null,
+      consequence_description: null,
+      notes: '',
+
+      violation_threshold: 1,
+      consequences: {
+        immediate: [],
+        delayed: [],
+        permanent: []
+      },
+      reversibility: {
+        reversible: false,
+        reversal_conditions: null
+      },
+      dependencies: {
+        requires_rules: [],
+        enables_rules: [],
+        conflicts_with: []
+      },
+      ...fields
+    };
+  }
+
+  /**
+   * Discovery status of a rule, as the staged pipeline reports it
+   *
+   * @returns {string} unknown|discovered|violated
+   */
+  static ruleStatus(rule) {
+    if (rule.violated) return 'violated';
+    return rule.active ? 'discovered' : 'unknown';
+  }
+
+  /**
+   * Which format a state document is in
+   *
+   * @param {object} state - Parsed state
+   * @returns {string|null} 'v2' (current), 'chunked_v1', 'staged_v1', or null if unrecognized
+   */
+  static detectFormat(state) {
+    if (!state || typeof state !== 'object') return null;
+    if (state.schema_version !== undefined) return `v${state.schema_version}`;
+    if (state.canonical_state) return 'chunked_v1';
+    if (state.rule_state) return 'staged_v1';
+    return null;
+  }
+
+  static isCurrent(state) {
+    return StateModel.detectFormat(state) === `v${SCHEMA_VERSION}`;
+  }
+
+  /**
+   * Upgrade a state of any known format to the current schema_version
+   * The input is not modified; a current state comes back as a copy.
+   *
+   * @param {object} state - Parsed state (either pipeline, any version)
+   * @returns {object} Current-version state (metadata.migrations lists the steps applied)
+   * @throws {Error} code INVALID_STATE if the format is not recognized,
+   *   UNSUPPORTED_STATE_VERSION if it is newer than this code
+   */
+  static migrate(state) {
+    let migrated = JSON.parse(JSON.stringify(state || null));
+    let format = StateModel.detectFormat(migrated);
+    const steps = [];
+
+    while (format !== `v${SCHEMA_VERSION}`) {
+      if (format === null) {
+        const error = new Error('Unrecognized state format: expected canonical_state, rule_state or schema_version');
+        error.code = 'INVALID_STATE';
+        throw error;
+      }
+
+      const migration = MIGRATIONS[format];
+      if (!migration) {
+        const error = new Error(`Unsupported state version: ${format} (this version reads up to v${SCHEMA_VERSION})`);
+        error.code = 'UNSUPPORTED_STATE_VERSION';
+        throw error;
+      }
+
+      migrated = migration(migrated);
+      steps.push(format);
+      format = StateModel.detectFormat(migrated);
+    }
+
+    fillMissing(migrated, StateModel.create(migrated.session_id, { pipeline: migrated.metadata?.pipeline || 'chunked' }));
+    migrated.canonical_state.rules = migrated.canonical_state.rules.map(rule => StateModel.createRule(rule));
+    EntityRegistry.normalize(migrated.canonical_state);
+    PromiseLedger.normalize(migrated.canonical_state);
+
+    if (steps.length > 0) {
+      const at = new Date().toISOString();
+      migrated.metadata.migrations.push(...steps.map(from => ({ from, to: `v${SCHEMA_VERSION}`, at })));
+      console.log(`🔄 State ${migrated.session_id} migrated: ${steps.join(' -> ')} -> v${SCHEMA_VERSION}`);
+    }
+
+    return migrated;
+  }
+}
+
+StateModel.SCHEMA_VERSION = SCHEMA_VERSION;
+
+/**
+ * Add every key of defaults missing from target (recursing into plain objects)
+ */
+function fillMissing(target, defaults) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (value === undefined) continue;
+
+    if (target[key] === undefined || (target[key] === null && isPlainObject(value))) {
+      target[key] = JSON.parse(JSON.stringify(value));
+    } else if (isPlainObject(value) && isPlainObject(target[key])) {
+      fillMissing(target[key], value);
+    }
+  }
+  return target;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * StateManager state before schema_version: same shape, missing the staged sections
+ */
+function migrateChunkedV1(state) {
+  const migrated = {
+    schema_version: SCHEMA_VERSION,
+    ...state
+  };
+  migrated.metadata = { pipeline: 'chunked', ...(state.metadata || {}) };
+  return migrated;
+}
+
+/**
+ * StateTracker state: rule_state / protagonist_state / entity_state /
+ * escalation_state / narrative_state / continuity sections
+ */
+function migrateStagedV1(state) {
+  const migrated = StateModel.create(state.session_id, { pipeline: 'staged' });
+  const canonical = migrated.canonical_state;
+  const facts = state.immutable_facts || {};
+
+  canonical.immutable_facts = facts;
+  canonical.world_facts.location = facts.setting_location || null;
+  canonical.thematic_focus = facts.primary_theme || null;
+
+  canonical.rules = (state.rule_state?.rules || []).map(rule => StateModel.createRule({
+    rule_id: `rule_${rule.rule_number}`,
+    rule_number: rule.rule_number,
+    text: rule.rule_text,
+    active: rule.status !== 'unknown',
+    // Rules known from the start were discovered "in chunk 0"
+    hidden: rule.discovered_in_chunk !== 0,
+    violated: rule.status === 'violated' || rule.violation_count > 0,
+    violation_count: rule.violation_count || 0,
+    discovered_in_chunk: rule.discovered_in_chunk,
+    violated_in_chunk: rule.violated_in_chunk,
+    consequence_description: rule.consequence_description || null
+  }));
+
+  if (state.protagonist_state) canonical.protagonist = state.protagonist_state;
+  if (state.entity_state) canonical.entities = state.entity_state;
+  if (state.narrative_state) canonical.narrative = state.narrative_state;
+  if (state.continuity) canonical.continuity = state.continuity;
+
+  const { contamination_level: contamination = 0, ...escalation } = state.escalation_state || {};
+  canonical.escalation = { ...canonical.escalation, ...escalation };
+  canonical.irreversible_flags.contamination_level = contamination;
+  canonical.irreversible_flags.violations = canonical.rules
+    .filter(rule => rule.violated)
+    .map(rule => ({
+      rule_id: rule.rule_id,
+      scene: null,
+      chunk: rule.violated_in_chunk,
+      timestamp: state.last_updated || null,
+      violation_number: rule.violation_count
+    }));
+
+  if (state.state_delta && state.state_delta.changes && state.state_delta.changes.length > 0) {
+    migrated.narrative_delta_log.push({
+      scene: null,
+      chunk: state.state_delta.chunk ?? state.chunk_number ?? null,
+      timestamp: state.state_delta.timestamp || state.last_updated || null,
+      changes: state.state_delta.changes
+    });
+  }
+
+  if (state.last_updated) {
+    migrated.metadata.updated_at = state.last_updated;
+  }
+  return migrated;
+}
+
+module.exports = StateModel;
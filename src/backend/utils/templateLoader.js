@@ -1,49 +1,465 @@
 /**
  * Template Loader Utility
- * Loads and parses YAML template files with version support
+ * Loads and parses YAML template files from template packs
+ *
+ * A template pack is a directory under the templates base path with a
+ * pack.yaml manifest (name, version, compatibility, optional extends).
+ * Files missing from a pack are read from the pack it extends, so a custom
+ * pack can ship only its own locations.yaml / thematic_elements.yaml.
+ * The active pack is bound per async flow (runWithPack), so concurrent
+ * requests can use different packs through one loader.
+ *
+ * Every template with a JSON Schema (see templateValidator.js) is validated
+ * when it is loaded; a file that fails is never cached and the load throws
+ * with code INVALID_TEMPLATE.
+ *
+ * Pack validation results are cached per pack, keyed by the modification
+ * times of the manifests and template files along its extends chain, so a
+ * request only stats the files; editing a file (or clearCache()) makes the
+ * next request validate the pack again.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
+const { AsyncLocalStorage } = require('async_hooks');
+const TemplateValidator = require('./templateValidator');
+const ConsequenceCatalog = require('./consequenceCatalog');
+const FirewallLexicon = require('./firewallLexicon');
+
+const MANIFEST_FILENAME = 'pack.yaml';
+
+// Template layout versions this engine can read
+const SUPPORTED_TEMPLATE_SCHEMAS = [1];
+
+
+/**
+ * Read the templates section of config/config.json (empty object if unavailable)
+ */
+function loadTemplateConfig() {
+  try {
+    return require(path.join(__dirname, '../../../config/config.json')).templates || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * INVALID_TEMPLATE error for a file that failed schema validation
+ */
+function schemaError(label, errors) {
+  const error = new Error(
+    `Failed to load template ${label}: ${errors.length} schema error(s), first: ` +
+    TemplateValidator.formatError(errors[0])
+  );
+  error.code = 'INVALID_TEMPLATE';
+  error.errors = errors.map(TemplateValidator.formatError);
+  error.details = errors;
+  return error;
+}
+
+/**
+ * Modification time and size of a file, or null if it does not exist
+ */
+async function fileStamp(filepath) {
+  try {
+    const stats = await fs.stat(filepath);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
 
 class TemplateLoader {
-  constructor(basePath = 'templates', version = 'v1') {
-    this.basePath = basePath;
-    this.version = version;
+  /**
+   * @param {string} basePath - Directory holding the packs (relative to cwd, or absolute)
+   * @param {string} version - Default pack name
+   */
+  constructor(basePath, version) {
+    const config = loadTemplateConfig();
+    this.basePath = basePath || config.base_path || 'templates';
+    this.version = version || config.version || 'v1';
     this.templateCache = new Map();
+    this.manifestCache = new Map();
+    // packName -> { fingerprint, result } of the last validatePack()
+    this.packCache = new Map();
+
+    // Pack selected for the current async flow (falls back to this.version)
+    this.packContext = new AsyncLocalStorage();
+  }
+
+  /**
+   * Name of the pack used by the current async flow
+   */
+  getActivePack() {
+    return this.packContext.getStore() || this.version;
   }
 
   /**
-   * Get the full path to a template file
+   * Run fn with a template pack active for every template it loads
+   *
+   * @param {string|null} packName - Pack to use (null/undefined keeps the default)
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<*>} fn's result
+   * @throws {Error} code INVALID_TEMPLATE_PACK if the pack is unknown or invalid
+   */
+  async runWithPack(packName, fn) {
+    if (!packName) {
+      return fn();
+    }
+
+    await this.resolvePack(packName);
+    return this.packContext.run(packName, fn);
+  }
+
+  getPacksRoot() {
+    return path.resolve(process.cwd(), this.basePath);
+  }
+
+  getPackDir(packName) {
+    return path.join(this.getPacksRoot(), packName);
+  }
+
+  /**
+   * Get the full path to a template file in the active pack (ignores extends)
    */
   getTemplatePath(category, filename) {
-    return path.join(process.cwd(), this.basePath, this.version, category, filename);
+    return path.join(this.getPackDir(this.getActivePack()), category, filename);
   }
 
   /**
    * Load and parse a YAML template file
+   * Looks in the active pack first, then along its extends chain.
    */
   async loadTemplate(category, filename) {
-    const cacheKey = `${category}/${filename}`;
+    const packName = this.getActivePack();
+    const cacheKey = `${packName}:${category}/${filename}`;
 
     // Check cache first
     if (this.templateCache.has(cacheKey)) {
       return this.templateCache.get(cacheKey);
     }
 
+    let template;
     try {
-      const templatePath = this.getTemplatePath(category, filename);
-      const fileContent = await fs.readFile(templatePath, 'utf8');
-      const parsed = yaml.load(fileContent);
+      template = await this.readTemplateFile(packName, category, filename);
+    } catch (error) {
+      throw new Error(`Failed to load template ${category}/${filename}: ${error.message}`);
+    }
+
+    const errors = this.getValidator().validate(template.relativePath, template.parsed, template.file);
+    if (errors.length > 0) {
+      throw schemaError(`${category}/${filename}`, errors);
+    }
+
+    // Cache the parsed template
+    this.templateCache.set(cacheKey, template.parsed);
+
+    return template.parsed;
+  }
 
-      // Cache the parsed template
-      this.templateCache.set(cacheKey, parsed);
+  /**
+   * Read and parse a template file from a pack or the first pack up its extends chain
+   *
+   * @returns {Promise<{relativePath, file, parsed}>} file is the path the content came from,
+   *   relative to the templates base path (e.g. 'v1/locations.yaml')
+   */
+  async readTemplateFile(packName, category, filename) {
+    const relativePath = path.posix.join(category, filename);
+    const chain = await this.getPackChain(packName);
+
+    for (const pack of chain) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this.getPackDir(pack), category, filename), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
 
-      return parsed;
+      const file = path.posix.join(pack, relativePath);
+      try {
+        return { relativePath, file, parsed: yaml.load(content) };
+      } catch (error) {
+        throw new Error(`${file}: invalid YAML: ${error.message}`);
+      }
+    }
+
+    throw new Error(`not found in pack ${chain.join(' -> ')}`);
+  }
+
+  getValidator() {
+    if (!this.validator) {
+      this.validator = new TemplateValidator();
+    }
+    return this.validator;
+  }
+
+  /**
+   * Check every schema-covered template file a pack resolves to
+   * Reads from disk (bypasses the cache) and collects errors instead of throwing.
+   *
+   * @param {string} packName - Pack name (defaults to the active pack)
+   * @returns {Promise<{pack, valid, errors, files: Array<{file, valid, errors}>}>} errors holds
+   *   pack-level problems (broken extends chain); file errors are per file
+   */
+  async validateTemplates(packName = this.getActivePack()) {
+    const files = [];
+
+    try {
+      await this.getPackChain(packName);
     } catch (error) {
-      throw new Error(`Failed to load template ${category}/${filename}: ${error.message}`);
+      return { pack: packName, valid: false, errors: [error.message], files };
+    }
+
+    for (const relativePath of TemplateValidator.getSchemaFiles()) {
+      const category = path.posix.dirname(relativePath) === '.' ? '' : path.posix.dirname(relativePath);
+      const filename = path.posix.basename(relativePath);
+
+      try {
+        const template = await this.readTemplateFile(packName, category, filename);
+        const errors = this.getValidator().validate(relativePath, template.parsed, template.file);
+        files.push({ file: template.file, valid: errors.length === 0, errors });
+      } catch (error) {
+        files.push({
+          file: path.posix.join(packName, relativePath),
+          valid: false,
+          errors: [{ file: path.posix.join(packName, relativePath), path: '', message: error.message, expected: 'a readable YAML file' }]
+        });
+      }
+    }
+
+    return { pack: packName, valid: files.every(f => f.valid), errors: [], files };
+  }
+
+  /**
+   * Read a pack's manifest
+   *
+   * @param {string} packName - Pack directory name
+   * @returns {Promise<object|null>} Manifest, or null if the pack has none
+   */
+  async loadPackManifest(packName) {
+    const manifestPath = path.join(this.getPackDir(packName), MANIFEST_FILENAME);
+
+    // Not cached while missing, so packs added while the server runs are picked up
+    const stamp = await fileStamp(manifestPath);
+    if (!stamp) {
+      this.manifestCache.delete(packName);
+      return null;
+    }
+
+    const cached = this.manifestCache.get(packName);
+    if (cached && cached.stamp === stamp) {
+      return cached.manifest;
+    }
+
+    let manifest;
+    try {
+      const content = await fs.readFile(manifestPath, 'utf8');
+      manifest = yaml.load(content) || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Failed to read ${packName}/${MANIFEST_FILENAME}: ${error.message}`);
+    }
+
+    this.manifestCache.set(packName, { stamp, manifest });
+    return manifest;
+  }
+
+  /**
+   * Pack names from the requested pack down its extends chain
+   */
+  async getPackChain(packName) {
+    const chain = [];
+    let current = packName;
+
+    while (current) {
+      if (chain.includes(current)) {
+        throw new Error(`Template pack extends cycle: ${[...chain, current].join(' -> ')}`);
+      }
+      chain.push(current);
+
+      const manifest = await this.loadPackManifest(current);
+      if (!manifest) {
+        throw new Error(`Template pack "${current}" not found (no ${MANIFEST_FILENAME})`);
+      }
+      current = manifest.extends || null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Fingerprint of every file a pack's validation depends on: the manifests
+   * and schema-covered template files along its extends chain
+   *
+   * @returns {Promise<string|null>} null if the chain cannot be resolved
+   */
+  async getPackFingerprint(packName) {
+    let chain;
+    try {
+      chain = await this.getPackChain(packName);
+    } catch (error) {
+      return null;
+    }
+
+    const stamps = [];
+    for (const pack of chain) {
+      for (const relativePath of [MANIFEST_FILENAME, ...TemplateValidator.getSchemaFiles()]) {
+        const stamp = await fileStamp(path.join(this.getPackDir(pack), relativePath));
+        stamps.push(`${pack}/${relativePath}=${stamp || 'missing'}`);
+      }
+    }
+    return stamps.join('|');
+  }
+
+  /**
+   * Check a pack's manifest, compatibility and required files
+   * The result is cached until a file along the pack's extends chain changes
+   * (or clearCache() is called); a pack whose files changed also has its
+   * parsed templates dropped from the template cache.
+   *
+   * @param {string} packName - Pack directory name
+   * @returns {Promise<{name, version, description, compatibility, extends, valid, errors}>}
+   */
+  async validatePack(packName) {
+    const fingerprint = await this.getPackFingerprint(packName);
+    const cached = this.packCache.get(packName);
+    if (fingerprint && cached && cached.fingerprint === fingerprint) {
+      return cached.result;
+    }
+
+    if (cached) {
+      for (const key of this.templateCache.keys()) {
+        if (key.startsWith(`${packName}:`)) this.templateCache.delete(key);
+      }
+    }
+
+    const result = await this.checkPack(packName);
+    if (fingerprint) {
+      this.packCache.set(packName, { fingerprint, result });
+    } else {
+      this.packCache.delete(packName);
+    }
+    return result;
+  }
+
+  /**
+   * validatePack() without the cache
+   */
+  async checkPack(packName) {
+    const errors = [];
+    let manifest = null;
+
+    try {
+      manifest = await this.loadPackManifest(packName);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (!manifest) {
+      if (errors.length === 0) errors.push(`Missing ${MANIFEST_FILENAME}`);
+      return { name: packName, version: null, valid: false, errors };
+    }
+
+    if (manifest.name !== packName) {
+      errors.push(`Manifest name "${manifest.name}" must match the directory name "${packName}"`);
+    }
+    if (!manifest.version) {
+      errors.push('Manifest is missing version');
+    }
+
+    const schema = manifest.compatibility?.template_schema;
+    if (!SUPPORTED_TEMPLATE_SCHEMAS.includes(schema)) {
+      errors.push(`Unsupported compatibility.template_schema ${JSON.stringify(schema)} (supported: ${SUPPORTED_TEMPLATE_SCHEMAS.join(', ')})`);
+    }
+
+    let chain = null;
+    try {
+      chain = await this.getPackChain(packName);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    if (chain) {
+      // Parent packs must be valid for the files they provide to be trusted
+      for (const parent of chain.slice(1)) {
+        const parentResult = await this.validatePack(parent);
+        if (!parentResult.valid) {
+          errors.push(`Extended pack "${parent}" is invalid`);
+          break;
+        }
+      }
+
+      // Every pack must provide (directly or via extends) a valid copy of each template file
+      const templates = await this.validateTemplates(packName);
+      for (const file of templates.files) {
+        errors.push(...file.errors.map(TemplateValidator.formatError));
+      }
+    }
+
+    return {
+      name: packName,
+      version: manifest.version || null,
+      description: manifest.description || '',
+      compatibility: manifest.compatibility || null,
+      extends: manifest.extends || null,
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * List every pack under the templates base path
+   *
+   * @returns {Promise<Array>} validatePack() results, default pack first
+   */
+  async listPacks() {
+    const entries = await fs.readdir(this.getPacksRoot(), { withFileTypes: true });
+    const packs = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      if (!(await this.loadPackManifest(entry.name))) continue;
+
+      const result = await this.validatePack(entry.name);
+      packs.push({ ...result, default: entry.name === this.version });
     }
+
+    return packs.sort((a, b) => (b.default - a.default) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Validate a pack for use in a request
+   *
+   * @param {string} packName - Pack name
+   * @returns {Promise<object>} validatePack() result
+   * @throws {Error} code INVALID_TEMPLATE_PACK
+   */
+  async resolvePack(packName) {
+    const fail = (message) => {
+      const error = new Error(message);
+      error.code = 'INVALID_TEMPLATE_PACK';
+      return error;
+    };
+
+    if (typeof packName !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(packName)) {
+      throw fail(`Invalid template pack name: ${JSON.stringify(packName)}`);
+    }
+
+    if (!(await this.loadPackManifest(packName))) {
+      throw fail(`Unknown template pack "${packName}"`);
+    }
+
+    const result = await this.validatePack(packName);
+    if (!result.valid) {
+      const error = fail(`Template pack "${packName}" is invalid: ${result.errors[0]}`);
+      error.errors = result.errors;
+      throw error;
+    }
+
+    return result;
   }
 
   /**
@@ -90,6 +506,93 @@ class TemplateLoader {
     return await this.loadTemplate('schemas', 'revision_checklist.yaml');
   }
 
+  /**
+   * Load the consequence catalog
+   * Unlike other templates, consequences.yaml is merged along the extends chain
+   * (root pack first), so a child pack adds ids or redefines the parent's.
+   *
+   * @returns {Promise<ConsequenceCatalog>}
+   */
+  async loadConsequenceCatalog() {
+    const packName = this.getActivePack();
+    const cacheKey = `${packName}:${ConsequenceCatalog.FILENAME}#merged`;
+
+    if (this.templateCache.has(cacheKey)) {
+      return this.templateCache.get(cacheKey);
+    }
+
+    const definitions = {};
+    for (const parsed of await this.readPackChain(ConsequenceCatalog.FILENAME)) {
+      Object.assign(definitions, parsed.consequences);
+    }
+
+    const catalog = new ConsequenceCatalog(definitions);
+    this.templateCache.set(cacheKey, catalog);
+    return catalog;
+  }
+
+  /**
+   * Load the narrative firewall lexicon
+   * Merged along the extends chain like consequences.yaml: a child pack adds
+   * or replaces lexemes, patterns and location allowlists (see FirewallLexicon.merge).
+   *
+   * @returns {Promise<FirewallLexicon>}
+   */
+  async loadFirewallLexicon() {
+    const packName = this.getActivePack();
+    const cacheKey = `${packName}:${FirewallLexicon.FILENAME}#merged`;
+
+    if (this.templateCache.has(cacheKey)) {
+      return this.templateCache.get(cacheKey);
+    }
+
+    const lexicon = FirewallLexicon.merge(await this.readPackChain(FirewallLexicon.FILENAME));
+    this.templateCache.set(cacheKey, lexicon);
+    return lexicon;
+  }
+
+  /**
+   * Read and validate every copy of a file along the active pack's extends chain
+   *
+   * @param {string} filename - Template filename
+   * @returns {Promise<object[]>} Parsed files, root pack first
+   */
+  async readPackChain(filename) {
+    const chain = await this.getPackChain(this.getActivePack());
+    const files = [];
+
+    for (const pack of [...chain].reverse()) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(this.getPackDir(pack), filename), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const file = path.posix.join(pack, filename);
+      let parsed;
+      try {
+        parsed = yaml.load(content);
+      } catch (error) {
+        throw new Error(`Failed to load template ${filename}: ${file}: invalid YAML: ${error.message}`);
+      }
+
+      const errors = this.getValidator().validate(filename, parsed, file);
+      if (errors.length > 0) {
+        throw schemaError(file, errors);
+      }
+
+      files.push(parsed);
+    }
+
+    if (files.length === 0) {
+      throw new Error(`Failed to load template ${filename}: not found in pack ${chain.join(' -> ')}`);
+    }
+
+    return files;
+  }
+
   /**
    * Get specific inflection point by type and key
    */
@@ -145,10 +648,12 @@ class TemplateLoader {
   }
 
   /**
-   * Clear template cache (useful for development/hot reload)
+   * Clear the template, manifest and pack validation caches (useful for development/hot reload)
    */
   clearCache() {
     this.templateCache.clear();
+    this.manifestCache.clear();
+    this.packCache.clear();
   }
 
   /**
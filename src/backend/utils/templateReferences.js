@@ -0,0 +1,218 @@
+/**
+ * Template Reference Checker
+ * Resolves the ids one template catalog uses to point at another
+ *
+ * Schema validation (templateValidator.js) checks each file on its own; this
+ * checks them together. A reference is dangling when its id does not exist in
+ * the target catalog, and a catalog entry is orphaned when nothing references
+ * it even though other entries of that catalog are referenced.
+ * Descriptive fields (thematic_fit, best_for_themes, best_used_for) are free
+ * text and are not resolved. Options keep every entry; what check() refuses
+ * is a pairing (theme + location, location + entry condition, ...) whose id
+ * is missing.
+ */
+
+const TemplateValidator = require('./templateValidator');
+
+// Catalog name -> where its entries live and the getAvailableOptions() key offering them
+const CATALOGS = {
+  location: { category: '', filename: 'locations.yaml', key: 'locations', option: 'locations', label: 'location' },
+  theme: { category: '', filename: 'thematic_elements.yaml', key: 'themes', option: 'themes', label: 'theme' },
+  entry: { category: 'inflection_points', filename: 'entry_conditions.yaml', key: 'entry_conditions', option: 'entryConditions', label: 'entry condition' },
+  discovery: { category: 'inflection_points', filename: 'rule_discovery.yaml', key: 'discovery_methods', option: 'discoveryMethods', label: 'discovery method' },
+  completeness: { category: 'inflection_points', filename: 'rule_completeness.yaml', key: 'completeness_patterns', option: 'completenessPatterns', label: 'completeness pattern' },
+  interaction: { category: 'inflection_points', filename: 'rule_interactions.yaml', key: 'interaction_types', option: null, label: 'interaction type' },
+  violation: { category: 'inflection_points', filename: 'violation_responses.yaml', key: 'response_models', option: 'violationResponses', label: 'violation response' },
+  exit: { category: 'inflection_points', filename: 'exit_conditions.yaml', key: 'exit_structures', option: 'exitConditions', label: 'exit condition' },
+  firewall: { category: '', filename: 'firewall.yaml', key: 'location_allowlists', option: null, label: 'firewall allowlist' }
+};
+
+/**
+ * Reference fields
+ * - from/field: id list on each entry of a catalog (dotted path inside the entry)
+ * - from/section: top-level map of the catalog's file whose keys are ids
+ * - to: catalogs the ids may resolve to ('location_category' = a locations[].category value)
+ */
+const REFERENCES = [
+  { from: 'location', field: 'entry_conditions', to: ['entry'] },
+  { from: 'theme', field: 'best_paired_with.entry', to: ['entry'] },
+  { from: 'theme', field: 'best_paired_with.location', to: ['location', 'location_category'] },
+  { from: 'theme', field: 'best_paired_with.exit', to: ['exit'] },
+  { from: 'theme', field: 'best_paired_with.discovery', to: ['discovery'] },
+  { from: 'theme', field: 'best_paired_with.completeness', to: ['completeness'] },
+  { from: 'theme', field: 'best_paired_with.interaction', to: ['interaction'] },
+  { from: 'theme', field: 'best_paired_with.violation', to: ['violation'] },
+  { from: 'exit', section: 'thematic_guidance', to: ['theme'] },
+  { from: 'firewall', section: 'location_allowlists', to: ['location'] }
+];
+
+class TemplateReferenceChecker {
+  /**
+   * @param {TemplateLoader} templateLoader - Loader whose active pack is checked
+   */
+  constructor(templateLoader) {
+    this.templateLoader = templateLoader;
+  }
+
+  /**
+   * Check every reference in the active pack
+   *
+   * @returns {Promise<{valid, dangling, orphaned, pairings, refused}>}
+   *   dangling: [{ file, path, from, id, value, message }] (errors)
+   *   orphaned: [{ file, path, catalog, id, message }] (warnings)
+   *   pairings: { <options key>: { <id>: { <options key>: [ids] } } } combinations
+   *     an entry names that resolve (a location category becomes its locations)
+   *   refused: [{ option, id, field, value }] combinations naming a missing id
+   */
+  async check() {
+    const files = {};
+    const ids = {};
+
+    for (const [name, catalog] of Object.entries(CATALOGS)) {
+      files[name] = await this.templateLoader.loadTemplate(catalog.category, catalog.filename);
+      ids[name] = new Set(Object.keys(files[name][catalog.key] || {}));
+    }
+    ids.location_category = new Set(Object.values(files.location.locations).map(l => l.category));
+
+    const dangling = [];
+    const pairings = {};
+    const referenced = {};
+    const markReferenced = (target, value) => {
+      if (target === 'location_category') {
+        for (const [id, location] of Object.entries(files.location.locations)) {
+          if (location.category === value) markReferenced('location', id);
+        }
+        return;
+      }
+      (referenced[target] = referenced[target] || new Set()).add(value);
+    };
+
+    for (const reference of REFERENCES) {
+      for (const ref of this.collect(reference, files)) {
+        const target = reference.to.find(name => ids[name].has(ref.value));
+        if (target) {
+          markReferenced(target, ref.value);
+          if (ref.id) addPairing(pairings, reference, ref, resolve(target, ref.value, files));
+          continue;
+        }
+
+        const candidates = reference.to.flatMap(name => [...ids[name]]);
+        const suggestion = TemplateValidator.suggest(ref.value, candidates);
+        dangling.push({
+          ...ref,
+          message: `unknown ${reference.to.map(describeTarget).join(' or ')} "${ref.value}"` +
+            (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+        });
+      }
+    }
+
+    // Only catalogs something points at can have orphans
+    const orphaned = [];
+    for (const [name, used] of Object.entries(referenced)) {
+      const catalog = CATALOGS[name];
+      for (const id of ids[name]) {
+        if (used.has(id)) continue;
+        orphaned.push({
+          file: pathOf(catalog),
+          path: `${catalog.key}.${id}`,
+          catalog: name,
+          id,
+          message: `${catalog.label} "${id}" is not referenced by ${describeReferrers(name)}`
+        });
+      }
+    }
+
+    // An entry with a dangling id stays on offer; only that pairing is refused
+    const refused = dangling
+      .filter(ref => ref.id && CATALOGS[ref.from].option)
+      .map(ref => ({ option: CATALOGS[ref.from].option, id: ref.id, field: ref.field, value: ref.value }));
+
+    return { valid: dangling.length === 0, dangling, orphaned, pairings, refused };
+  }
+
+  /**
+   * Every id a reference field holds, with where it was found
+   */
+  collect(reference, files) {
+    const catalog = CATALOGS[reference.from];
+    const data = files[reference.from];
+    const refs = [];
+
+    if (reference.section) {
+      for (const value of Object.keys(data[reference.section] || {})) {
+        refs.push({ file: pathOf(catalog), path: `${reference.section}.${value}`, from: reference.from, id: null, value });
+      }
+      return refs;
+    }
+
+    for (const [id, entry] of Object.entries(data[catalog.key] || {})) {
+      const values = reference.field.split('.').reduce((node, key) => (node ? node[key] : undefined), entry) || [];
+      values.forEach((value, index) => {
+        refs.push({
+          file: pathOf(catalog),
+          path: `${catalog.key}.${id}.${reference.field}[${index}]`,
+          from: reference.from,
+          id,
+          field: reference.field,
+          value
+        });
+      });
+    }
+    return refs;
+  }
+
+  /**
+   * One-line form of a refused combination
+   */
+  static formatRefused(item) {
+    return `${item.option}.${item.id} + ${item.field} "${item.value}"`;
+  }
+
+  /**
+   * One-line form of a dangling or orphan report
+   */
+  static format(item) {
+    return `${item.file}: ${item.path}: ${item.message}`;
+  }
+}
+
+function pathOf(catalog) {
+  return catalog.category ? `${catalog.category}/${catalog.filename}` : catalog.filename;
+}
+
+/**
+ * Option ids a resolved reference stands for (a location category -> its locations)
+ */
+function resolve(target, value, files) {
+  if (target === 'location_category') {
+    return Object.entries(files.location.locations)
+      .filter(([, location]) => location.category === value)
+      .map(([id]) => id);
+  }
+  return [value];
+}
+
+function addPairing(pairings, reference, ref, values) {
+  const from = CATALOGS[reference.from];
+  if (!from.option) return;
+
+  const target = CATALOGS[reference.to[0]];
+  const key = target.option || target.key;
+  const entry = ((pairings[from.option] = pairings[from.option] || {})[ref.id] =
+    pairings[from.option][ref.id] || {});
+  entry[key] = entry[key] || [];
+  values.filter(value => !entry[key].includes(value)).forEach(value => entry[key].push(value));
+}
+
+function describeTarget(name) {
+  return name === 'location_category' ? 'location category' : CATALOGS[name].label;
+}
+
+function describeReferrers(name) {
+  return REFERENCES
+    .filter(reference => reference.to.includes(name))
+    .map(reference => `${pathOf(CATALOGS[reference.from])} ${reference.field || reference.section}`)
+    .join(', ');
+}
+
+module.exports = TemplateReferenceChecker;
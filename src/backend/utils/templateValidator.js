@@ -0,0 +1,260 @@
+/**
+ * Template Validator
+ * Checks parsed YAML template files against the JSON Schemas in
+ * src/backend/schemas/templates (template_schema 1)
+ *
+ * Errors are reported as { file, path, message, expected } so a writer can
+ * find the offending key without reading the schema: path is a dotted key
+ * path into the YAML document and expected describes the shape the schema
+ * wants at that key.
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas/templates');
+
+// Pack-relative template file -> schema file
+const SCHEMA_FILES = {
+  'locations.yaml': 'locations.schema.json',
+  'thematic_elements.yaml': 'thematic_elements.schema.json',
+  'inflection_points/entry_conditions.yaml': 'entry_conditions.schema.json',
+  'inflection_points/rule_discovery.yaml': 'rule_discovery.schema.json',
+  'inflection_points/rule_completeness.yaml': 'rule_completeness.schema.json',
+  'inflection_points/rule_interactions.yaml': 'rule_interactions.schema.json',
+  'inflection_points/violation_responses.yaml': 'violation_responses.schema.json',
+  'inflection_points/exit_conditions.yaml': 'exit_conditions.schema.json',
+  'schemas/rule_grammar.yaml': 'rule_grammar.schema.json',
+  'schemas/revision_checklist.yaml': 'revision_checklist.schema.json',
+  'schemas/state_schema.yaml': 'state_schema.schema.json',
+  'schemas/story_contract.yaml': 'story_contract.schema.json',
+  'schemas/gate_audit.yaml': 'gate_audit.schema.json',
+  'consequences.yaml': 'consequences.schema.json',
+  'firewall.yaml': 'firewall.schema.json'
+};
+
+const COMMON_SCHEMA = 'common.schema.json';
+
+class TemplateValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, verbose: true, jsonPointers: true });
+    this.ajv.addSchema(require(path.join(SCHEMA_DIR, COMMON_SCHEMA)));
+    for (const schemaFile of Object.values(SCHEMA_FILES)) {
+      this.ajv.addSchema(require(path.join(SCHEMA_DIR, schemaFile)));
+    }
+  }
+
+  /**
+   * Template files that have a schema (pack-relative paths)
+   */
+  static getSchemaFiles() {
+    return Object.keys(SCHEMA_FILES);
+  }
+
+  /**
+   * Validate a parsed template
+   *
+   * @param {string} relativePath - Pack-relative path (e.g. 'inflection_points/exit_conditions.yaml')
+   * @param {*} data - Parsed YAML
+   * @param {string} fileLabel - File name to report (defaults to relativePath)
+   * @returns {Array<{file, path, message, expected}>} Empty if valid or no schema applies
+   */
+  validate(relativePath, data, fileLabel = relativePath) {
+    const schemaId = SCHEMA_FILES[relativePath];
+    if (!schemaId) {
+      return [];
+    }
+
+    if (this.ajv.validate(schemaId, data)) {
+      return [];
+    }
+
+    return this.collapseErrors(this.ajv.errors)
+      .map(error => ({ file: fileLabel, ...this.describeError(error, schemaId) }));
+  }
+
+  /**
+   * Drop errors that only restate another one
+   * (branch failures under anyOf, the inner check of propertyNames)
+   */
+  collapseErrors(errors) {
+    const anyOfPaths = errors.filter(e => e.keyword === 'anyOf').map(e => e.dataPath);
+    const keyPaths = errors.filter(e => e.keyword === 'propertyNames').map(e => e.dataPath);
+
+    return errors.filter(error => {
+      if (error.keyword === 'anyOf' || error.keyword === 'propertyNames') return true;
+      if (anyOfPaths.some(p => error.dataPath === p || error.dataPath.startsWith(`${p}/`))) return false;
+      if (keyPaths.includes(error.dataPath) && error.schemaPath.includes('#/definitions/id')) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Turn an Ajv error into { path, message, expected }
+   */
+  describeError(error, schemaId) {
+    const base = toKeyPath(error.dataPath);
+    const at = (key) => (base ? `${base}.${key}` : key);
+    const parent = error.parentSchema || {};
+
+    switch (error.keyword) {
+      case 'required': {
+        const key = error.params.missingProperty;
+        return {
+          path: at(key),
+          message: `missing required key "${key}"`,
+          expected: this.describeShape((parent.properties || {})[key], schemaId)
+        };
+      }
+      case 'additionalProperties': {
+        const key = error.params.additionalProperty;
+        const known = Object.keys(parent.properties || {});
+        const suggestion = closestKey(key, known);
+        const patterns = Object.keys(parent.patternProperties || {}).map(p => `keys matching /${p}/`);
+        return {
+          path: at(key),
+          message: `unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          expected: `one of ${[...known, ...patterns].join(', ')}`
+        };
+      }
+      case 'propertyNames':
+        return {
+          path: base,
+          message: `invalid key "${error.params.propertyName}"`,
+          expected: this.describeShape(error.schema, schemaId)
+        };
+      case 'anyOf':
+        return {
+          path: base,
+          message: 'does not match any allowed shape',
+          expected: this.describeShape(parent, schemaId)
+        };
+      default:
+        return {
+          path: base,
+          message: error.message,
+          expected: this.describeShape(parent, schemaId)
+        };
+    }
+  }
+
+  /**
+   * Short human description of a schema ("non-empty list of non-empty strings")
+   *
+   * @param {object} schema - Schema node
+   * @param {string} baseId - Schema file the node belongs to (for resolving $ref)
+   * @param {number} depth - Nesting depth (objects are summarized below the top level)
+   */
+  describeShape(schema, baseId, depth = 0) {
+    if (!schema) return 'nothing (key is not allowed here)';
+
+    if (schema.$ref) {
+      const [file, pointer] = schema.$ref.split('#');
+      const refId = file || baseId;
+      const resolved = this.ajv.getSchema(`${refId}#${pointer}`);
+      return resolved ? this.describeShape(resolved.schema, refId, depth) : schema.$ref;
+    }
+    if (schema.description) return schema.description;
+    if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+    if (schema.anyOf) return schema.anyOf.map(s => this.describeShape(s, baseId, depth)).join(' or ');
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 1) return types.join(' or ');
+
+    switch (types[0]) {
+      case 'array': {
+        const items = this.describeShape(schema.items, baseId, depth + 1);
+        return `${schema.minItems ? 'non-empty ' : ''}list of ${pluralize(items)}`;
+      }
+      case 'object': {
+        if (schema.properties && depth === 0) {
+          const required = schema.required || [];
+          const optional = Object.keys(schema.properties).filter(k => !required.includes(k));
+          const parts = [];
+          if (required.length) parts.push(`required keys ${required.join(', ')}`);
+          if (optional.length) parts.push(`optional keys ${optional.join(', ')}`);
+          return parts.length ? `object with ${parts.join('; ')}` : 'object';
+        }
+        if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+          const keys = schema.propertyNames ? this.describeShape(schema.propertyNames, baseId, depth + 1) : 'key';
+          return `map of ${keys} -> ${this.describeShape(schema.additionalProperties, baseId, depth + 1)}`;
+        }
+        return 'object';
+      }
+      case 'string':
+        return schema.minLength ? 'non-empty string' : 'string';
+      default:
+        return types[0] || 'any value';
+    }
+  }
+
+  /**
+   * Closest candidate to a misspelled key or id (null if nothing is close)
+   */
+  static suggest(value, candidates) {
+    return closestKey(value, candidates);
+  }
+
+  /**
+   * One-line form of a validation error
+   */
+  static formatError(error) {
+    return `${error.file}: ${error.path || '(root)'}: ${error.message}; expected ${error.expected}`;
+  }
+}
+
+/**
+ * JSON pointer ("/locations/ferry_terminal/natural_rhythms/0")
+ * -> key path ("locations.ferry_terminal.natural_rhythms[0]")
+ */
+function toKeyPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, part) => (/^\d+$/.test(part) ? `${acc}[${part}]` : acc ? `${acc}.${part}` : part), '');
+}
+
+function pluralize(description) {
+  return /[(>]| or | of | with /.test(description) ? description : `${description}s`;
+}
+
+/**
+ * Closest known key by edit distance (catches misspellings and
+ * shortened forms such as exit_with_cost for true_exit_with_cost)
+ */
+function closestKey(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  if (best && key.length >= 4 && (best.includes(key) || key.includes(best))) return best;
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+module.exports = TemplateValidator;
@@ -47,7 +47,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('Initializing Rule-Based Horror Story Generator...');
 
     try {
-        await loadFormOptions();
+        await loadTemplatePacks();
+        await loadFormOptions(getSelectedTemplatePack());
         setupEventListeners();
         setupCostEstimator();
         console.log('App initialized successfully');
@@ -57,12 +58,53 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+/**
+ * Load installed template packs into the pack selector
+ * The selector stays hidden when only one pack is installed
+ */
+async function loadTemplatePacks() {
+    const select = document.getElementById('templatePack');
+    if (!select) return;
+
+    try {
+        const response = await fetch('/api/template-packs');
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to fetch template packs');
+        }
+
+        const packs = data.packs.filter(pack => pack.valid);
+        select.innerHTML = packs.map(pack =>
+            `<option value="${pack.name}" ${pack.default ? 'selected' : ''}>${pack.name} (v${pack.version})</option>`
+        ).join('');
+
+        const group = document.getElementById('templatePackGroup');
+        if (group) {
+            group.style.display = packs.length > 1 ? '' : 'none';
+        }
+    } catch (error) {
+        // Fall back to the server's default pack
+        console.error('Error loading template packs:', error);
+    }
+}
+
+/**
+ * Currently selected template pack (null = server default)
+ */
+function getSelectedTemplatePack() {
+    const select = document.getElementById('templatePack');
+    return select && select.value ? select.value : null;
+}
+
 /**
  * Load options for all form select fields
+ *
+ * @param {string|null} templatePack - Pack to read options from (null = server default)
  */
-async function loadFormOptions() {
+async function loadFormOptions(templatePack = null) {
     try {
-        const response = await fetch('/api/options');
+        const query = templatePack ? `?templatePack=${encodeURIComponent(templatePack)}` : '';
+        const response = await fetch(`/api/options${query}`);
         const data = await response.json();
 
         if (!data.success) {
@@ -176,6 +218,14 @@ function setupEventListeners() {
         viewLogsBtn.addEventListener('click', handleViewLogs);
     }
 
+    // Template pack - reload the catalogs from the selected pack
+    const templatePackSelect = document.getElementById('templatePack');
+    if (templatePackSelect) {
+        templatePackSelect.addEventListener('change', () => {
+            loadFormOptions(getSelectedTemplatePack());
+        });
+    }
+
     // Location dropdown - show/hide custom location field
     const locationSelect = document.getElementById('location');
     const customLocationGroup = document.getElementById('customLocation')?.closest('.form-group');
@@ -361,6 +411,8 @@ async function handleFormSubmit(event) {
         escalationStyle: escalationStyle,
         escalationMode: escalationMode,
         ambiguityLevel: getValue('ambiguityLevel'),
+        seed: getValue('seed'),
+        templatePack: getSelectedTemplatePack(),
         // Generation options
         skipAudit: formData.get('skipAudit') === 'on',
         skipRefinement: formData.get('skipAudit') === 'on' // Skip refinement if skipping audit
@@ -816,6 +868,9 @@ function displayResults(data) {
     document.getElementById('result-revisions').textContent = summary.revisionsApplied;
     document.getElementById('result-duration').textContent = summary.duration;
 
+    // State changes between chunks (chunked generations keep a snapshot per chunk)
+    StateDiffViewer.mount(document.getElementById('state-diff'), sessionId);
+
     // Show results section
     showSection('results-section');
 }
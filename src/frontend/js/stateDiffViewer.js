@@ -0,0 +1,144 @@
+/**
+ * State Diff Viewer
+ * Shows what changed in a session's state between two chunks
+ *
+ * Reads /api/session/:id/state/snapshots and /api/session/:id/state/diff and
+ * renders the diff's change list (plus the delta log entries behind it).
+ * Used by the generator results page and the staged workflow page.
+ */
+
+const StateDiffViewer = {
+  CATEGORY_LABELS: {
+    rules: 'Rules',
+    entity: 'Entity',
+    flags: 'Flags',
+    escalation: 'Escalation',
+    contamination: 'Contamination',
+    names: 'Names'
+  },
+
+  /**
+   * Build the chunk pickers and result area inside a container
+   *
+   * @param {HTMLElement} container - Element to fill
+   * @param {string} sessionId - Session to inspect
+   */
+  async mount(container, sessionId) {
+    container.innerHTML = '';
+    const status = this.element('p', 'state-diff-status', 'Loading snapshots...');
+    container.appendChild(status);
+
+    let snapshots;
+    try {
+      const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}/state/snapshots`);
+      const data = await response.json();
+      if (!data.success) {
+        status.textContent = data.error || 'No state snapshots for this session';
+        return;
+      }
+      snapshots = data.snapshots;
+    } catch (error) {
+      status.textContent = 'Failed to load snapshots: ' + error.message;
+      return;
+    }
+
+    const chunks = snapshots.map(s => s.chunk);
+    const fromSelect = this.chunkSelect(chunks, chunks[Math.max(0, chunks.length - 2)]);
+    const toSelect = this.chunkSelect(chunks, chunks[chunks.length - 1]);
+    const button = this.element('button', 'btn btn-secondary', 'Show Changes');
+    const output = this.element('div', 'state-diff-output');
+
+    const controls = this.element('div', 'state-diff-controls');
+    controls.style.cssText = 'display: flex; gap: 10px; align-items: center; flex-wrap: wrap;';
+    controls.append('After chunk', fromSelect, 'to after chunk', toSelect, button);
+
+    button.addEventListener('click', () => this.show(output, sessionId, fromSelect.value, toSelect.value));
+
+    status.remove();
+    container.append(controls, output);
+    if (chunks.length > 1) {
+      this.show(output, sessionId, fromSelect.value, toSelect.value);
+    }
+  },
+
+  /**
+   * Fetch and render the diff between two chunks
+   */
+  async show(output, sessionId, from, to) {
+    output.textContent = 'Loading changes...';
+
+    try {
+      const response = await fetch(`/api/session/${encodeURIComponent(sessionId)}/state/diff?from=${from}&to=${to}`);
+      const data = await response.json();
+      output.innerHTML = '';
+      if (!data.success) {
+        output.textContent = data.error || 'Could not compare these chunks';
+        return;
+      }
+      this.render(output, data);
+    } catch (error) {
+      output.textContent = 'Failed to load changes: ' + error.message;
+    }
+  },
+
+  /**
+   * Render a diff response as a change list
+   *
+   * @param {HTMLElement} output - Element to fill
+   * @param {object} data - /state/diff response ({ from, to, chunks, diff })
+   */
+  render(output, data) {
+    const { diff } = data;
+    const words = data.chunks.reduce((sum, c) => sum + (c.word_count || 0), 0);
+    const heading = `Chunk ${data.from} → ${data.to}` +
+      (data.chunks.length > 0 ? ` (${data.chunks.length} chunk(s), ${words.toLocaleString()} words)` : '');
+    output.appendChild(this.element('h4', null, heading));
+
+    if (diff.changes.length === 0) {
+      output.appendChild(this.element('p', null, 'No tracked state changed.'));
+    } else {
+      const list = this.element('ul', 'state-diff-list');
+      list.style.cssText = 'list-style: none; padding-left: 0;';
+      for (const change of diff.changes) {
+        const item = this.element('li');
+        const badge = this.element('span', `state-diff-category ${change.category}`,
+          this.CATEGORY_LABELS[change.category] || change.category);
+        badge.style.cssText = 'display: inline-block; min-width: 110px; font-weight: bold; opacity: 0.8;';
+        item.append(badge, change.text);
+        list.appendChild(item);
+      }
+      output.appendChild(list);
+    }
+
+    if (diff.log.length > 0) {
+      const details = this.element('details');
+      details.appendChild(this.element('summary', null, `Delta log (${diff.log.length} entries)`));
+      const log = this.element('ul');
+      for (const entry of diff.log) {
+        const where = entry.chunk !== undefined && entry.chunk !== null ? `Chunk ${entry.chunk}` : `Scene ${entry.scene ?? '-'}`;
+        log.appendChild(this.element('li', null, `${where}: ${(entry.changes || []).join('; ')}`));
+      }
+      details.appendChild(log);
+      output.appendChild(details);
+    }
+  },
+
+  chunkSelect(chunks, selected) {
+    const select = this.element('select');
+    for (const chunk of chunks) {
+      const option = this.element('option', null, chunk === 0 ? '0 (start)' : String(chunk));
+      option.value = chunk;
+      option.selected = chunk === selected;
+      select.appendChild(option);
+    }
+    return select;
+  },
+
+  // Text is set with textContent: state holds model-written prose
+  element(tag, className = null, text = null) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== null) el.textContent = text;
+    return el;
+  }
+};
@@ -8,10 +8,19 @@
  * Extracts:
  * - rulesIntroduced: array of rule texts mentioned in chunk
  * - rulesViolated: array of rule IDs that were broken
+ * - rulesFollowed: array of rule IDs the narrator obeyed (drives rule interactions)
  * - entityCapabilities: new behaviors manifested
+ * - entitiesAppeared: entities that showed up (EntityRegistry appearance history)
+ * - itemsGained / itemsUsed / itemsLost / itemsDestroyed: the protagonist's inventory (Inventory)
  * - timelineCommitments: concrete time markers or deadlines established
+ * - storyTime: in-story clock time at the end of the chunk, if the prose makes it clear (Timeline)
+ * - promisesMade / promisesPaid: setups awaiting payoff, and the ones paid off (PromiseLedger)
+ * - actTransition: act the story moved into (fires act-triggered delayed consequences)
  */
 
+// Act names shared with the staged workflow outline
+const ACTS = ['setup', 'confrontation', 'crisis', 'resolution'];
+
 class CanonDeltaExtractor {
   constructor(claudeClient, options = {}) {
     this.claudeClient = claudeClient;
@@ -82,25 +91,49 @@ class CanonDeltaExtractor {
       .map(r => `${r.rule_id}: ${r.text?.substring(0, 50)}...`)
       .slice(0, 7) // Max 7 rules
       .join('\n');
+    const openPromises = (currentState.canonical_state?.continuity?.promises || [])
+      .filter(p => !p.paid_off)
+      .map(p => `${p.promise_id}: ${p.setup}`)
+      .join('\n');
 
     return `Extract state changes from this horror story chunk. Be precise and literal.
 
 ACTIVE RULES:
 ${activeRules || 'None established yet'}
 
+OPEN PROMISES:
+${openPromises || 'None'}
+
 OUTPUT FORMAT (JSON):
 {
   "rulesIntroduced": ["exact rule text if new rule stated"],
   "rulesViolated": ["rule_1", "rule_2"],
+  "rulesFollowed": ["rule_3"],
   "entityCapabilities": {"capability_name": true},
-  "timelineCommitments": ["specific event with time marker"]
+  "entitiesAppeared": [{"name": "entity name or null if unnamed", "action": "what it did"}],
+  "itemsGained": ["short item name"],
+  "itemsUsed": [],
+  "itemsLost": [],
+  "itemsDestroyed": [],
+  "timelineCommitments": ["specific event with time marker"],
+  "storyTime": null,
+  "promisesMade": [{"setup": "what the reader now expects to see again", "kind": "object|foreshadowing|rule_hint", "importance": "critical|major|minor"}],
+  "promisesPaid": ["promise_1"],
+  "actTransition": null
 }
 
 INSTRUCTIONS:
 - Only include changes EXPLICITLY shown in prose
 - rulesViolated: use rule_id (rule_1, rule_2, etc.) if character breaks a rule
+- rulesFollowed: rule_id of each rule the character deliberately obeys in this chunk
 - entityCapabilities: new entity abilities (e.g., knows_name, can_enter, has_seen)
+- entitiesAppeared: each entity that appears or acts in this chunk, by the name the prose uses
+- itemsGained/itemsUsed/itemsLost/itemsDestroyed: objects the narrator picks up (or is first shown carrying), uses, loses or has destroyed, by short name
 - timelineCommitments: concrete time-bound events (e.g., "arrived at 10pm", "deadline is midnight")
+- storyTime: the clock time at the end of this chunk (e.g., "2:40 AM") only if the prose makes it clear, otherwise null
+- promisesMade: setups the reader will expect to see again (an object the story draws attention to, a foreshadowed event, a hinted rule); critical if the ending is broken without the payoff
+- promisesPaid: promise_id of each open promise this chunk pays off
+- actTransition: "${ACTS.join('|')}" if the story clearly moves into that act in this chunk, otherwise null
 - Return empty arrays/objects if no changes
 
 CHUNK:
@@ -128,7 +161,7 @@ JSON:`;
           role: 'user',
           content: prompt
         }]
-      });
+      }, 'Delta extraction');
 
       clearTimeout(timeoutId);
       return response;
@@ -173,6 +206,12 @@ JSON:`;
           .map(r => r.toLowerCase().replace(/\s+/g, '_'));
       }
 
+      if (Array.isArray(parsed.rulesFollowed)) {
+        delta.rulesFollowed = parsed.rulesFollowed
+          .filter(r => typeof r === 'string')
+          .map(r => r.toLowerCase().replace(/\s+/g, '_'));
+      }
+
       if (parsed.entityCapabilities && typeof parsed.entityCapabilities === 'object') {
         delta.entityCapabilities = {};
         for (const [key, value] of Object.entries(parsed.entityCapabilities)) {
@@ -182,10 +221,45 @@ JSON:`;
         }
       }
 
+      if (Array.isArray(parsed.entitiesAppeared)) {
+        delta.entitiesAppeared = parsed.entitiesAppeared
+          .filter(e => e && typeof e === 'object')
+          .map(e => ({
+            name: typeof e.name === 'string' && e.name.trim() ? e.name.trim() : null,
+            action: typeof e.action === 'string' ? e.action : null
+          }));
+      }
+
+      for (const field of ['itemsGained', 'itemsUsed', 'itemsLost', 'itemsDestroyed']) {
+        if (Array.isArray(parsed[field])) {
+          delta[field] = parsed[field]
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim());
+        }
+      }
+
       if (Array.isArray(parsed.timelineCommitments)) {
         delta.timelineCommitments = parsed.timelineCommitments.filter(t => typeof t === 'string');
       }
 
+      if (Array.isArray(parsed.promisesMade)) {
+        delta.promisesMade = parsed.promisesMade
+          .filter(p => p && typeof p.setup === 'string' && p.setup.trim())
+          .map(p => ({ setup: p.setup.trim(), kind: p.kind || null, importance: p.importance || null }));
+      }
+
+      if (Array.isArray(parsed.promisesPaid)) {
+        delta.promisesPaid = parsed.promisesPaid.filter(p => typeof p === 'string' && p.trim());
+      }
+
+      if (typeof parsed.storyTime === 'string' && parsed.storyTime.trim()) {
+        delta.storyTime = parsed.storyTime.trim();
+      }
+
+      if (typeof parsed.actTransition === 'string' && ACTS.includes(parsed.actTransition.toLowerCase())) {
+        delta.actTransition = parsed.actTransition.toLowerCase();
+      }
+
     } catch (parseError) {
       console.warn('[DeltaExtractor] Failed to parse JSON:', parseError.message);
       // Fall back to regex parsing
@@ -261,8 +335,18 @@ JSON:`;
       timestamp: new Date().toISOString(),
       rulesIntroduced: [],
       rulesViolated: [],
+      rulesFollowed: [],
       entityCapabilities: {},
+      entitiesAppeared: [],
+      itemsGained: [],
+      itemsUsed: [],
+      itemsLost: [],
+      itemsDestroyed: [],
       timelineCommitments: [],
+      storyTime: null,
+      promisesMade: [],
+      promisesPaid: [],
+      actTransition: null,
       changes: [] // For compatibility with existing stateManager.applyDelta
     };
   }
@@ -289,6 +373,15 @@ JSON:`;
       });
     }
 
+    // Convert rule compliance
+    for (const ruleId of extractedDelta.rulesFollowed || []) {
+      delta.changes.push({
+        type: 'rule_compliance',
+        rule_id: ruleId,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+
     // Convert entity capabilities
     for (const [capability, value] of Object.entries(extractedDelta.entityCapabilities)) {
       delta.changes.push({
@@ -298,6 +391,34 @@ JSON:`;
       });
     }
 
+    // Convert entity appearances
+    for (const appearance of extractedDelta.entitiesAppeared || []) {
+      delta.changes.push({
+        type: 'entity_appearance',
+        entity: appearance.name,
+        action: appearance.action,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+
+    // Convert inventory changes (gained before used before lost, as Inventory applies them)
+    const possessions = {
+      gained: extractedDelta.itemsGained,
+      used: extractedDelta.itemsUsed,
+      lost: extractedDelta.itemsLost,
+      destroyed: extractedDelta.itemsDestroyed
+    };
+    for (const [event, items] of Object.entries(possessions)) {
+      for (const item of items || []) {
+        delta.changes.push({
+          type: 'possession',
+          event: event,
+          item: item,
+          scene_number: extractedDelta.sceneNumber
+        });
+      }
+    }
+
     // Convert timeline commitments
     for (const commitment of extractedDelta.timelineCommitments) {
       delta.changes.push({
@@ -306,6 +427,40 @@ JSON:`;
       });
     }
 
+    // Convert promises (made before paid, so a setup can be paid in its own chunk)
+    for (const promise of extractedDelta.promisesMade || []) {
+      delta.changes.push({
+        type: 'promise',
+        event: 'made',
+        ...promise,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+    for (const reference of extractedDelta.promisesPaid || []) {
+      delta.changes.push({
+        type: 'promise',
+        event: 'paid',
+        reference: reference,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+
+    if (extractedDelta.storyTime) {
+      delta.changes.push({
+        type: 'story_time',
+        time: extractedDelta.storyTime,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+
+    if (extractedDelta.actTransition) {
+      delta.changes.push({
+        type: 'act_transition',
+        act: extractedDelta.actTransition,
+        scene_number: extractedDelta.sceneNumber
+      });
+    }
+
     return delta;
   }
 }
@@ -9,6 +9,25 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+
+const STATE_SNAPSHOT_FILENAME = 'state_snapshot.json';
+
+// Per-chunk snapshots (snapshots/state_after_chunk_NNN.json) are kept for rollback
+const SNAPSHOT_FILE_PATTERN = /^state_after_chunk_(\d+)\.json$/;
+
+// Session files that describe the chunks after a rollback point
+const CHUNK_FILE_PATTERN = /^chunk_(\d+)\.txt$/;
+const AUDIT_FILE_PATTERN = /^audit_chunk_(\d+)\.(?:json|md)$/;
+// Built from every chunk, so stale once any chunk is discarded: the assembled
+// story, its payoff/processing reports, the final pack and the packaged files
+const ASSEMBLED_FILES = [
+  'full_story.md', '00_combined_draft.txt', 'final_story.txt',
+  'payoff_report.md', 'processing_report.json', 'final_pack.zip',
+  'README.txt', '01_initial_generation.txt', '02_revision_audit_report.md', '03_revised_story.txt',
+  '04_change_implementation_log.md', '05_error_identification_log.md', '06_story_metadata.json'
+];
+const STATE_FILES = ['state.json', 'session_state.json'];
 
 class ChunkPersistence {
   constructor(options = {}) {
@@ -37,6 +56,20 @@ class ChunkPersistence {
     return path.join(this.getSessionDir(sessionId), 'chunks');
   }
 
+  /**
+   * Get the per-chunk state snapshots directory for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Full path to snapshots directory
+   */
+  getSnapshotsDir(sessionId) {
+    return path.join(this.getSessionDir(sessionId), 'snapshots');
+  }
+
+  getSnapshotFilename(chunkNumber) {
+    return `state_after_chunk_${chunkNumber.toString().padStart(3, '0')}.json`;
+  }
+
   /**
    * Save a chunk immediately with atomic write
    *
@@ -68,7 +101,8 @@ class ChunkPersistence {
         chunk_number: chunkNumber,
         word_count: wordCount,
         saved_at: new Date().toISOString(),
-        session_id: sessionId
+        session_id: sessionId,
+        sha256: this.hashText(chunkText)
       };
 
       const content = [
@@ -118,7 +152,7 @@ class ChunkPersistence {
    *
    * @param {string} sessionId - Session identifier
    * @param {Array} chunks - Array of chunk metadata objects
-   * @param {object} state - Current generation state
+   * @param {object} state - Current generation state ({ activeRules, violatedRules, entityCapabilities, seed })
    * @returns {Promise<{success: boolean, filepath: string, error?: string}>}
    */
   async saveChunkManifest(sessionId, chunks, state = {}) {
@@ -129,6 +163,7 @@ class ChunkPersistence {
     const manifest = {
       version: '2.1.0',
       session_id: sessionId,
+      seed: state.seed ?? null,
       generated_at: new Date().toISOString(),
       total_chunks: chunks.length,
       total_words: chunks.reduce((sum, c) => sum + (c.wordCount || 0), 0),
@@ -136,7 +171,8 @@ class ChunkPersistence {
         number: c.chunkNumber || i + 1,
         filename: c.filename || `chunk_${(c.chunkNumber || i + 1).toString().padStart(3, '0')}.txt`,
         word_count: c.wordCount || 0,
-        saved_at: c.savedAt || new Date().toISOString()
+        saved_at: c.savedAt || new Date().toISOString(),
+        ...(c.firewall ? { firewall: ChunkPersistence.firewallCounts(c.firewall) } : {})
       })),
       state_summary: {
         rules_active: state.activeRules || 0,
@@ -170,6 +206,356 @@ class ChunkPersistence {
     }
   }
 
+  /**
+   * Save a snapshot of the canonical state after a chunk (atomic write)
+   *
+   * Written after every chunk so an interrupted generation can be resumed
+   * with the state exactly as it was when that chunk finished. Besides the
+   * latest snapshot, a copy is kept per chunk (snapshots/) so the session can
+   * later be rolled back to any chunk; chunk 0 is the state before the first
+   * chunk. A per-chunk snapshot is only replaced when that chunk is
+   * regenerated.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number} lastChunk - Last chunk reflected in the state
+   * @param {object} state - Session state object (either pipeline)
+   * @returns {Promise<{success: boolean, filepath: string, error?: string}>}
+   */
+  async saveStateSnapshot(sessionId, lastChunk, state) {
+    const filepath = path.join(this.getSessionDir(sessionId), STATE_SNAPSHOT_FILENAME);
+
+    const snapshot = {
+      session_id: sessionId,
+      last_chunk: lastChunk,
+      saved_at: new Date().toISOString(),
+      state: state
+    };
+
+    try {
+      await writeJsonAtomic(path.join(this.getSnapshotsDir(sessionId), this.getSnapshotFilename(lastChunk)), snapshot);
+      await writeJsonAtomic(filepath, snapshot);
+
+      return {
+        success: true,
+        filepath: filepath
+      };
+    } catch (error) {
+      return {
+        success: false,
+        filepath: filepath,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Load a state snapshot for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number|null} chunkNumber - Chunk the snapshot was taken after (null for the latest)
+   * @returns {Promise<object|null>} Snapshot, or null if none was saved
+   */
+  async loadStateSnapshot(sessionId, chunkNumber = null) {
+    if (chunkNumber !== null) {
+      const snapshot = await readJsonFile(path.join(this.getSnapshotsDir(sessionId), this.getSnapshotFilename(chunkNumber)));
+      if (snapshot) return snapshot;
+
+      // Sessions from before per-chunk snapshots only have the latest one
+      const latest = await this.loadStateSnapshot(sessionId);
+      return latest && latest.last_chunk === chunkNumber ? latest : null;
+    }
+
+    return readJsonFile(path.join(this.getSessionDir(sessionId), STATE_SNAPSHOT_FILENAME));
+  }
+
+  /**
+   * List the per-chunk state snapshots of a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<Array<{chunk: number, filename: string, saved_at: string}>>} Sorted by chunk
+   */
+  async listStateSnapshots(sessionId) {
+    let files;
+    try {
+      files = await fs.readdir(this.getSnapshotsDir(sessionId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const filename of files.filter(f => SNAPSHOT_FILE_PATTERN.test(f))) {
+      const snapshot = await readJsonFile(path.join(this.getSnapshotsDir(sessionId), filename));
+      snapshots.push({
+        chunk: parseInt(SNAPSHOT_FILE_PATTERN.exec(filename)[1], 10),
+        filename: filename,
+        saved_at: snapshot ? snapshot.saved_at : null
+      });
+    }
+
+    return snapshots.sort((a, b) => a.chunk - b.chunk);
+  }
+
+  /**
+   * Session files that describe the chunks after chunkNumber
+   *
+   * Chunk files, their snapshots and gate audits, plus the assembled story
+   * and everything built from it (ASSEMBLED_FILES).
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number} chunkNumber - Last chunk to leave out
+   * @returns {Promise<string[]>} Paths relative to the session directory
+   */
+  async listFilesAfterChunk(sessionId, chunkNumber) {
+    const isAfter = (pattern) => (f) => pattern.test(f) && parseInt(pattern.exec(f)[1], 10) > chunkNumber;
+
+    return [
+      ...(await listFiles(this.getChunksDir(sessionId))).filter(isAfter(CHUNK_FILE_PATTERN)).map(f => path.join('chunks', f)),
+      ...(await listFiles(this.getSnapshotsDir(sessionId))).filter(isAfter(SNAPSHOT_FILE_PATTERN)).map(f => path.join('snapshots', f)),
+      ...(await listFiles(this.getSessionDir(sessionId))).filter(f => isAfter(AUDIT_FILE_PATTERN)(f) || ASSEMBLED_FILES.includes(f))
+    ];
+  }
+
+  /**
+   * Manifest form of a NarrativeFirewall.gate() report: counts only (the
+   * before/after text of each rewrite is in the debug log)
+   */
+  static firewallCounts(report) {
+    return {
+      status: report.status,
+      violations_found: report.violations_found,
+      violations_remaining: report.violations_remaining,
+      spans_rewritten: Array.isArray(report.rewrites) ? report.rewrites.length : report.spans_rewritten
+    };
+  }
+
+  /**
+   * Archive directory name for an operation on a chunk (e.g. to_chunk_003_<timestamp>)
+   */
+  static archiveName(prefix, chunkNumber) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${prefix}_${chunkNumber.toString().padStart(3, '0')}_${stamp}`;
+  }
+
+  /**
+   * Move session files into an archive directory, keeping their relative paths
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {string} archivePath - Archive directory, relative to the session directory
+   * @param {string[]} relativePaths - Files to move (relative to the session directory)
+   * @returns {Promise<string|null>} Archive directory, or null if there was nothing to move
+   */
+  async archiveFiles(sessionId, archivePath, relativePaths) {
+    if (relativePaths.length === 0) return null;
+
+    const sessionDir = this.getSessionDir(sessionId);
+    const archiveDir = path.join(sessionDir, archivePath);
+
+    for (const relative of relativePaths) {
+      const target = path.join(archiveDir, relative);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.rename(path.join(sessionDir, relative), target);
+    }
+
+    return archiveDir;
+  }
+
+  /**
+   * Roll a session back to the state after a chunk
+   *
+   * Chunks after chunkNumber (with their snapshots, gate audits, the
+   * assembled story and its reports and packs, including the <sessionId>.zip
+   * package next to the session directory) are moved to rollbacks/<name>/
+   * rather than deleted.
+   * The latest snapshot, the chunk manifest and the session's state file
+   * (state.json or session_state.json) are rewritten to match chunkNumber,
+   * so the next chunk generated or resumed is chunkNumber + 1.
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number} chunkNumber - Last chunk to keep (0 keeps none)
+   * @returns {Promise<object>} { sessionId, chunk, state, archiveDir, archived }
+   * @throws {Error} code SNAPSHOT_NOT_FOUND if no snapshot was saved after chunkNumber
+   */
+  async rollbackToChunk(sessionId, chunkNumber) {
+    const snapshot = await this.loadStateSnapshot(sessionId, chunkNumber);
+    if (!snapshot) {
+      const error = new Error(`Session ${sessionId} has no state snapshot after chunk ${chunkNumber}`);
+      error.code = 'SNAPSHOT_NOT_FOUND';
+      throw error;
+    }
+
+    const sessionDir = this.getSessionDir(sessionId);
+    const archivePath = path.join('rollbacks', ChunkPersistence.archiveName('to_chunk', chunkNumber));
+    const discarded = await this.listFilesAfterChunk(sessionId, chunkNumber);
+    let archiveDir = await this.archiveFiles(sessionId, archivePath, discarded);
+
+    // The download package (<sessionId>.zip) sits beside the session directory
+    const packagePath = `${sessionDir}.zip`;
+    if (await fileExists(packagePath)) {
+      archiveDir = path.join(sessionDir, archivePath);
+      await fs.mkdir(archiveDir, { recursive: true });
+      await fs.rename(packagePath, path.join(archiveDir, path.basename(packagePath)));
+      discarded.push(path.join('..', path.basename(packagePath)));
+    }
+
+    // Bring the latest snapshot, manifest and state file back to chunkNumber
+    await writeJsonAtomic(path.join(sessionDir, STATE_SNAPSHOT_FILENAME), snapshot);
+
+    const manifest = await this.loadChunkManifest(sessionId);
+    if (manifest) {
+      const { status, ...rest } = manifest;
+      const chunks = (manifest.chunks || []).filter(c => (c.number || c.scene) <= chunkNumber);
+      await writeJsonAtomic(path.join(sessionDir, 'chunk_manifest.json'), {
+        ...rest,
+        generated_at: new Date().toISOString(),
+        total_chunks: chunks.length,
+        total_words: chunks.reduce((sum, c) => sum + (c.word_count || 0), 0),
+        chunks: chunks
+      });
+    }
+
+    const sessionFiles = await listFiles(sessionDir);
+    for (const filename of STATE_FILES.filter(f => sessionFiles.includes(f))) {
+      await writeJsonAtomic(path.join(sessionDir, filename), snapshot.state);
+    }
+
+    console.log(`⏪ Session ${sessionId} rolled back to chunk ${chunkNumber} (${discarded.length} file(s) archived)`);
+
+    return {
+      sessionId: sessionId,
+      chunk: chunkNumber,
+      state: snapshot.state,
+      snapshotSavedAt: snapshot.saved_at,
+      archiveDir: archiveDir,
+      archived: discarded
+    };
+  }
+
+  /**
+   * Load the chunk manifest for a session
+   *
+   * @param {string} sessionId - Session identifier
+   * @returns {Promise<object|null>} Manifest, or null if none was saved
+   */
+  async loadChunkManifest(sessionId) {
+    return readJsonFile(path.join(this.getSessionDir(sessionId), 'chunk_manifest.json'));
+  }
+
+  /**
+   * Read a single chunk file, separating the metadata header from the prose
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number} chunkNumber - Chunk sequence number (1-indexed)
+   * @returns {Promise<{filename: string, filepath: string, metadata: object|null, text: string}>}
+   */
+  async readChunk(sessionId, chunkNumber) {
+    const filename = `chunk_${chunkNumber.toString().padStart(3, '0')}.txt`;
+    const filepath = path.join(this.getChunksDir(sessionId), filename);
+    const content = await fs.readFile(filepath, 'utf-8');
+
+    let metadata = null;
+    let text = content;
+
+    // Header is written as "<!-- CHUNK METADATA\n{json}\n-->\n\n<prose>"
+    const metadataMatch = content.match(/^<!-- CHUNK METADATA\n([\s\S]*?)\n-->\n\n?/);
+    if (metadataMatch) {
+      try {
+        metadata = JSON.parse(metadataMatch[1]);
+        text = content.slice(metadataMatch[0].length);
+      } catch (e) {
+        metadata = null;
+      }
+    }
+
+    return { filename, filepath, metadata, text };
+  }
+
+  /**
+   * Verify chunks 1..chunkCount before resuming a session
+   *
+   * Checks that every chunk file exists, carries a readable metadata header
+   * for this session and position, and that its prose still matches the
+   * recorded hash and word count (and the manifest entry, when one exists).
+   *
+   * @param {string} sessionId - Session identifier
+   * @param {number} chunkCount - Number of chunks that should be intact
+   * @param {object|null} manifest - Chunk manifest to cross-check against
+   * @returns {Promise<{valid: boolean, chunks: Array, issues: Array, orphaned: Array}>}
+   */
+  async verifyChunks(sessionId, chunkCount, manifest = null) {
+    const chunks = [];
+    const issues = [];
+    const manifestEntries = new Map(
+      ((manifest && manifest.chunks) || []).map(c => [c.number || c.scene, c])
+    );
+
+    for (let number = 1; number <= chunkCount; number++) {
+      let chunk;
+      try {
+        chunk = await this.readChunk(sessionId, number);
+      } catch (error) {
+        issues.push({ chunk: number, issue: error.code === 'ENOENT' ? 'missing' : error.message });
+        continue;
+      }
+
+      const { metadata, text } = chunk;
+      const wordCount = this.countWords(text);
+      const chunkIssues = [];
+
+      if (!metadata) {
+        chunkIssues.push('metadata header missing or unreadable');
+      } else {
+        if (metadata.chunk_number !== number) {
+          chunkIssues.push(`header says chunk ${metadata.chunk_number}`);
+        }
+        if (metadata.session_id && metadata.session_id !== sessionId) {
+          chunkIssues.push(`header belongs to session ${metadata.session_id}`);
+        }
+        if (metadata.sha256 && metadata.sha256 !== this.hashText(text)) {
+          chunkIssues.push('content hash mismatch');
+        }
+        if (metadata.word_count !== undefined && metadata.word_count !== wordCount) {
+          chunkIssues.push(`word count ${wordCount} does not match header (${metadata.word_count})`);
+        }
+      }
+
+      const entry = manifestEntries.get(number);
+      if (entry && entry.word_count !== undefined && entry.word_count !== wordCount) {
+        chunkIssues.push(`word count ${wordCount} does not match manifest (${entry.word_count})`);
+      }
+
+      chunkIssues.forEach(issue => issues.push({ chunk: number, issue }));
+
+      chunks.push({
+        number: number,
+        filename: chunk.filename,
+        filepath: chunk.filepath,
+        text: text,
+        wordCount: wordCount,
+        savedAt: metadata ? metadata.saved_at : null,
+        firewall: entry && entry.firewall ? entry.firewall : null
+      });
+    }
+
+    // Chunks written after the last snapshot will be regenerated
+    let orphaned = [];
+    try {
+      orphaned = (await fs.readdir(this.getChunksDir(sessionId)))
+        .filter(f => /^chunk_\d+\.txt$/.test(f))
+        .filter(f => parseInt(f.slice(6, -4), 10) > chunkCount)
+        .sort();
+    } catch (error) {
+      // No chunks directory - reported as missing chunks above
+    }
+
+    return {
+      valid: issues.length === 0,
+      chunks: chunks,
+      issues: issues,
+      orphaned: orphaned
+    };
+  }
+
   /**
    * Load all chunks for a session
    *
@@ -274,6 +660,16 @@ class ChunkPersistence {
     return text.trim().split(/\s+/).filter(w => w.length > 0).length;
   }
 
+  /**
+   * SHA-256 of chunk prose, stored in the chunk header for integrity checks
+   *
+   * @param {string} text - Chunk text
+   * @returns {string} Hex digest
+   */
+  hashText(text) {
+    return crypto.createHash('sha256').update(text || '', 'utf-8').digest('hex');
+  }
+
   /**
    * Combine all chunks into a single story
    *
@@ -316,4 +712,49 @@ class ChunkPersistence {
   }
 }
 
+/**
+ * Write JSON via a temp file + rename so readers never see a partial file
+ */
+async function writeJsonAtomic(filepath, data) {
+  const tempPath = path.join(path.dirname(filepath), `.${path.basename(filepath, '.json')}_${Date.now()}.tmp`);
+
+  try {
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await fs.rename(tempPath, filepath);
+  } catch (error) {
+    try {
+      await fs.unlink(tempPath);
+    } catch (cleanupError) {
+      // Ignore
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse a JSON file, or null if it does not exist
+ */
+async function readJsonFile(filepath) {
+  try {
+    return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${filepath}: ${error.message}`);
+  }
+}
+
+async function listFiles(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function fileExists(filepath) {
+  return fs.access(filepath).then(() => true, () => false);
+}
+
 module.exports = ChunkPersistence;
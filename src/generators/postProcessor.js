@@ -8,7 +8,9 @@
  * Steps:
  * 1. Load all chunks from chunks/ directory
  * 2. Concatenate in order -> create 00_combined_draft.txt
- * 3. Load final session_state.json
+ * 3. Load final state (state.json for staged sessions, session_state.json for
+ *    chunked ones) and write the payoff report (a critical promise left
+ *    unpaid, or no state to check, stops processing)
  * 4. Run audit (existing code)
  * 5. Run refinement IF requested (existing code)
  * 6. Run hard constraint validation
@@ -18,6 +20,11 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ChunkPersistence = require('./chunkPersistence');
+const StateModel = require('../backend/utils/stateModel');
+const PromiseLedger = require('../backend/services/promiseLedger');
+
+// Staged sessions write state.json, chunked ones session_state.json
+const STATE_FILES = ['state.json', 'session_state.json'];
 
 class PostProcessor {
   constructor(options = {}) {
@@ -29,6 +36,7 @@ class PostProcessor {
     this.storyRefiner = options.storyRefiner || null;
     this.constraintEnforcer = options.constraintEnforcer || null;
     this.outputPackager = options.outputPackager || null;
+    this.templateLoader = options.templateLoader || null; // For thematic payoff requirements
 
     // Processing options
     this.autoRefine = options.autoRefine !== false;
@@ -78,11 +86,23 @@ class PostProcessor {
       console.log('[PostProcessor] Stage 3: Loading session state...');
       result.stages.loadState = await this.loadStateStage(sessionId);
 
-      // State loading is optional - continue even if it fails
-      if (result.stages.loadState.success) {
-        result.outputs.sessionState = result.stages.loadState.filepath;
-      } else {
-        console.warn('[PostProcessor] Warning: Could not load session state');
+      // Promise payoffs can only be checked against the final state
+      if (!result.stages.loadState.success) {
+        throw new Error('Failed to load session state for the payoff report: ' + result.stages.loadState.error);
+      }
+      result.outputs.sessionState = result.stages.loadState.filepath;
+
+      console.log('[PostProcessor] Stage 3: Writing payoff report...');
+      result.stages.payoff = await this.payoffStage(sessionId, result.stages.loadState.state);
+
+      if (!result.stages.payoff.success) {
+        throw new Error('Failed to write payoff report: ' + result.stages.payoff.error);
+      }
+      result.outputs.payoffReport = result.stages.payoff.filepath;
+
+      if (!result.stages.payoff.passed && !options.allowUnpaidPromises) {
+        const unpaid = result.stages.payoff.report.critical_unpaid.map(p => `${p.promise_id} (${p.setup})`).join(', ');
+        throw new Error(`Story ends with critical promise(s) unpaid: ${unpaid}`);
       }
 
       // Stage 4: Run audit (if auditor available)
@@ -232,19 +252,60 @@ class PostProcessor {
   }
 
   /**
-   * Stage 3: Load session state
+   * Stage 3: Load session state (the first of STATE_FILES the session has)
    */
   async loadStateStage(sessionId) {
     const sessionDir = path.join(this.baseDir, sessionId);
-    const filepath = path.join(sessionDir, 'session_state.json');
+
+    for (const filename of STATE_FILES) {
+      const filepath = path.join(sessionDir, filename);
+
+      try {
+        const content = await fs.readFile(filepath, 'utf-8');
+        const state = StateModel.migrate(JSON.parse(content));
+
+        return {
+          success: true,
+          state: state,
+          filepath: filepath
+        };
+
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        return {
+          success: false,
+          error: `${filename}: ${error.message}`
+        };
+      }
+    }
+
+    return {
+      success: false,
+      error: `no ${STATE_FILES.join(' or ')} in ${sessionId}`
+    };
+  }
+
+  /**
+   * Stage 3: Write the payoff report of the story's promises
+   */
+  async payoffStage(sessionId, state) {
+    const sessionDir = path.join(this.baseDir, sessionId);
+    const filepath = path.join(sessionDir, 'payoff_report.md');
 
     try {
-      const content = await fs.readFile(filepath, 'utf-8');
-      const state = JSON.parse(content);
+      let requirements = [];
+      if (this.templateLoader) {
+        const themes = await this.templateLoader.loadThematicElements();
+        requirements = Array.isArray(themes?.payoff_requirements) ? themes.payoff_requirements : [];
+      }
+
+      const report = PromiseLedger.report(state.canonical_state, requirements);
+      await fs.writeFile(filepath, PromiseLedger.formatReport(report, sessionId), 'utf-8');
 
       return {
         success: true,
-        state: state,
+        passed: report.passed,
+        report: report,
         filepath: filepath
       };
 
@@ -382,6 +443,7 @@ class PostProcessor {
         changeLog: processingResult.stages.refinement?.changeLog || [],
         constraintCheck: processingResult.stages.constraints?.report,
         chunks: processingResult.stages.loadChunks?.chunks,
+        payoffReportPath: processingResult.outputs.payoffReport,
         metadata: {
           startTime: processingResult.timestamp,
           endTime: new Date().toISOString(),
@@ -401,7 +401,7 @@ class StageOrchestrator {
 
         if (extractResult.success) {
           const stateDelta = deltaExtractor.toStateManagerFormat(extractResult.delta);
-          stateUpdater.updateCanonicalState(stateDelta);
+          stateUpdater.updateCanonicalState(stateDelta, { prose: chunk.prose });
         }
       } catch (deltaError) {
         await this.debugLogger.warn('generation', 'Delta extraction failed', {
@@ -440,7 +440,8 @@ class StageOrchestrator {
       // Save manifest after each chunk (for recovery)
       await this.chunkPersistence.saveChunkManifest(this.sessionId, chunks, {
         activeRules: this.stateManager.getActiveRules?.()?.length || 0,
-        violatedRules: this.stateManager.getViolatedRules?.()?.length || 0
+        violatedRules: this.stateManager.getViolatedRules?.()?.length || 0,
+        seed: config.userParams?.seed
       });
 
       sceneNumber++;
@@ -583,7 +584,7 @@ Return ONLY valid JSON, no commentary.`;
         role: 'user',
         content: extractionPrompt
       }]
-    });
+    }, 'Story context extraction');
 
     const responseText = response.content[0].text;
 
@@ -7,8 +7,16 @@
  *
  * Updates:
  * - Increments counters (violation_count, escalation_level)
- * - Adds new capabilities to entity.capabilities array
+ * - Adds new capabilities and appearances to the entity registry
+ * - Records items the protagonist gained, used, lost or destroyed (Inventory)
+ * - Moves the story clock and settles timing-rule deadlines (Timeline)
+ * - Records setups made and paid off (PromiseLedger)
+ * - Records the names used in prose and flags suspected drifts (NameContinuity)
  * - Marks rules as active if introduced
+ * - Queues delayed consequences and fires the ones that come due
+ *   (ConsequenceScheduler: on violation, act transition, next scene)
+ * - Runs rule interactions on violations and compliance
+ *   (RuleInteractionEngine: dependency, conflict, threshold, sequencing...)
  * - Does NOT run validation checks (deferred to post-processing)
  */
 
@@ -23,7 +31,7 @@ class StateUpdater {
    * Update canonical state with delta (minimal update, no validation)
    *
    * @param {object} delta - Delta object with changes
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options ({ prose } to read the story clock and names from)
    * @returns {object} Update result
    */
   updateCanonicalState(delta, options = {}) {
@@ -45,23 +53,69 @@ class StateUpdater {
         this.processRuleViolations(delta.rulesViolated, sceneNumber, result);
       }
 
+      if (delta.rulesFollowed && delta.rulesFollowed.length > 0) {
+        this.processRulesFollowed(delta.rulesFollowed, sceneNumber, result);
+      }
+
       if (delta.rulesIntroduced && delta.rulesIntroduced.length > 0) {
         this.processRulesIntroduced(delta.rulesIntroduced, sceneNumber, result);
       }
 
+      if (delta.entitiesAppeared && delta.entitiesAppeared.length > 0) {
+        this.processEntityAppearances(delta.entitiesAppeared, sceneNumber, result);
+      }
+
       if (delta.entityCapabilities && Object.keys(delta.entityCapabilities).length > 0) {
-        this.processEntityCapabilities(delta.entityCapabilities, result);
+        // With a single entity on stage, what it gained is its own (otherwise the primary entity's)
+        const actor = delta.entitiesAppeared && delta.entitiesAppeared.length === 1 ? delta.entitiesAppeared[0].name : null;
+        this.processEntityCapabilities(delta.entityCapabilities, sceneNumber, result, actor);
+      }
+
+      const possessions = {
+        gained: delta.itemsGained,
+        used: delta.itemsUsed,
+        lost: delta.itemsLost,
+        destroyed: delta.itemsDestroyed
+      };
+      if (Object.values(possessions).some(items => items && items.length > 0)) {
+        this.processPossessions(possessions, sceneNumber, result);
+      }
+
+      if ((delta.promisesMade && delta.promisesMade.length > 0) || (delta.promisesPaid && delta.promisesPaid.length > 0)) {
+        this.processPromises({ made: delta.promisesMade, paid: delta.promisesPaid }, sceneNumber, result);
       }
 
       if (delta.timelineCommitments && delta.timelineCommitments.length > 0) {
         this.processTimelineCommitments(delta.timelineCommitments, result);
       }
 
+      if (delta.actTransition) {
+        this.processActTransition(delta.actTransition, sceneNumber, result);
+      }
+
       // Also handle the generic changes array format (for compatibility)
       if (delta.changes && Array.isArray(delta.changes)) {
         this.processGenericChanges(delta.changes, sceneNumber, result);
       }
 
+      // Read the clock once the scene's violations and compliance are in
+      const storyTimes = [
+        delta.storyTime,
+        ...(Array.isArray(delta.changes) ? delta.changes.filter(c => c.type === 'story_time').map(c => c.time) : [])
+      ].filter(Boolean);
+      this.processStoryTime(options.prose || '', storyTimes, sceneNumber, result);
+
+      if (options.prose) {
+        this.processNames(options.prose, sceneNumber, result);
+      }
+
+      // The next scene is written against this state: fire what is due by then
+      if (typeof sceneNumber === 'number') {
+        this.stateManager.scheduler.advanceToScene(sceneNumber + 1)
+          .forEach(entry => this.recordFired(entry, result));
+        this.recordInteractions(this.stateManager.interactions.evaluate(sceneNumber + 1), result);
+      }
+
       // Update escalation level based on violations
       this.updateEscalationLevel(result);
 
@@ -142,6 +196,27 @@ class StateUpdater {
           threshold: rule.violation_threshold
         });
 
+        const { fired, scheduled, failed } = this.stateManager.scheduler.onViolation(rule, sceneNumber);
+        fired.forEach(entry => this.recordFired(entry, result));
+        failed.forEach(({ consequence, error }) => {
+          result.errors.push({
+            type: 'consequence_scheduled',
+            ruleId: ruleId,
+            consequence: consequence,
+            message: error
+          });
+        });
+        scheduled.forEach(entry => {
+          result.appliedChanges.push({
+            type: 'consequence_scheduled',
+            ruleId: ruleId,
+            consequence: entry.consequence,
+            trigger: entry.trigger.trigger,
+            dueScene: entry.due_scene
+          });
+        });
+        this.recordInteractions(this.stateManager.interactions.onViolation(rule, sceneNumber), result);
+
       } catch (error) {
         result.errors.push({
           type: 'rule_violation',
@@ -152,6 +227,44 @@ class StateUpdater {
     }
   }
 
+  /**
+   * Process rules the narrator followed (drives rule interactions)
+   *
+   * @param {Array} ruleIds - Array of rule IDs
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processRulesFollowed(ruleIds, sceneNumber, result) {
+    for (const ruleId of ruleIds) {
+      try {
+        if (!this.stateManager.getRule(ruleId)) {
+          result.skippedChanges.push({
+            type: 'rule_compliance',
+            ruleId: ruleId,
+            reason: 'Rule not found'
+          });
+          continue;
+        }
+
+        const { rule, interactions } = this.stateManager.complyWithRule(ruleId, sceneNumber);
+        result.appliedChanges.push({
+          type: 'rule_compliance',
+          ruleId: ruleId,
+          count: rule.compliance_count
+        });
+        this.recordInteractions(interactions, result);
+
+      } catch (error) {
+        result.errors.push({
+          type: 'rule_compliance',
+          ruleId: ruleId,
+          code: error.code,
+          message: error.message
+        });
+      }
+    }
+  }
+
   /**
    * Process rules introduced (mark as active)
    *
@@ -169,8 +282,8 @@ class StateUpdater {
 
     for (const ruleText of rules) {
       try {
-        // Find an inactive rule slot to use
-        const emptySlot = stateRules.find(r => !r.active && !r.text);
+        // Find an unused rule slot (dormant and locked-out rules wait for the interaction engine)
+        const emptySlot = stateRules.find(r => !r.text && !r.dormant && !r.excluded_by);
 
         if (emptySlot) {
           emptySlot.text = ruleText;
@@ -199,16 +312,49 @@ class StateUpdater {
     }
   }
 
+  /**
+   * Process entity appearances
+   *
+   * @param {Array} appearances - Array of { name, action } (name null for the unnamed entity)
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processEntityAppearances(appearances, sceneNumber, result) {
+    for (const appearance of appearances) {
+      try {
+        const entity = this.stateManager.recordEntityAppearance(appearance.name, {
+          scene: sceneNumber ?? null,
+          action: appearance.action
+        });
+
+        result.appliedChanges.push({
+          type: 'entity_appearance',
+          entity: entity.entity_id
+        });
+
+      } catch (error) {
+        result.errors.push({
+          type: 'entity_appearance',
+          entity: appearance.name,
+          message: error.message
+        });
+      }
+    }
+  }
+
   /**
    * Process entity capabilities
+   * Capabilities gained in a scene are traced to the rule violated in it (EntityRegistry)
    *
    * @param {object} capabilities - Capability key-value pairs
+   * @param {number} sceneNumber - Scene number
    * @param {object} result - Result object to update
+   * @param {string|null} entity - Entity that gained them (null for the primary entity)
    */
-  processEntityCapabilities(capabilities, result) {
+  processEntityCapabilities(capabilities, sceneNumber, result, entity = null) {
     for (const [capability, value] of Object.entries(capabilities)) {
       try {
-        this.stateManager.addEntityCapability(capability, value);
+        this.stateManager.addEntityCapability(capability, value, { entity, scene: sceneNumber ?? null });
 
         result.appliedChanges.push({
           type: 'entity_capability',
@@ -226,6 +372,127 @@ class StateUpdater {
     }
   }
 
+  /**
+   * Process items the protagonist gained, used, lost or destroyed
+   *
+   * @param {object} possessions - { gained: [], used: [], lost: [], destroyed: [] } item names
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processPossessions(possessions, sceneNumber, result) {
+    try {
+      this.stateManager.updatePossessions(possessions, sceneNumber ?? null).forEach(({ event, item }) => {
+        result.appliedChanges.push({
+          type: 'possession',
+          event: event,
+          item: item
+        });
+      });
+
+    } catch (error) {
+      result.errors.push({
+        type: 'possession',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Process setups made and paid off
+   *
+   * @param {object} promises - { made: [{ setup, kind, importance }], paid: [promise_id] }
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processPromises(promises, sceneNumber, result) {
+    try {
+      const { made, paid } = this.stateManager.updatePromises(promises, sceneNumber ?? null);
+      made.forEach(promise => {
+        result.appliedChanges.push({
+          type: 'promise',
+          event: 'made',
+          promise_id: promise.promise_id,
+          setup: promise.setup
+        });
+      });
+      paid.forEach(promise => {
+        result.appliedChanges.push({
+          type: 'promise',
+          event: 'paid',
+          promise_id: promise.promise_id,
+          setup: promise.setup
+        });
+      });
+
+    } catch (error) {
+      result.errors.push({
+        type: 'promise',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Move the story clock and settle timing-rule deadlines
+   *
+   * @param {string} prose - Scene prose
+   * @param {Array} storyTimes - Times reported for the end of the scene
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processStoryTime(prose, storyTimes, sceneNumber, result) {
+    try {
+      const observed = this.stateManager.observeTime(prose, sceneNumber ?? null, storyTimes);
+      observed.deadlines.forEach(deadline => {
+        result.appliedChanges.push({
+          type: 'deadline',
+          rule_id: deadline.rule_id,
+          status: deadline.status
+        });
+      });
+      observed.issues.forEach(issue => {
+        result.appliedChanges.push({
+          type: 'timeline_issue',
+          issue: issue.type,
+          description: issue.description
+        });
+      });
+
+    } catch (error) {
+      result.errors.push({
+        type: 'story_time',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Record the names of the scene's prose and flag suspected drifts
+   *
+   * @param {string} prose - Scene prose
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processNames(prose, sceneNumber, result) {
+    try {
+      const observed = this.stateManager.observeNames(prose, sceneNumber ?? null);
+      observed.drifts.forEach(drift => {
+        result.appliedChanges.push({
+          type: 'name_drift',
+          found: drift.found,
+          known: drift.known,
+          description: drift.description
+        });
+      });
+
+    } catch (error) {
+      result.errors.push({
+        type: 'names',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Process timeline commitments
    *
@@ -251,6 +518,59 @@ class StateUpdater {
     }
   }
 
+  /**
+   * Process an act transition (fires consequences waiting for it)
+   *
+   * @param {string} act - New act name
+   * @param {number} sceneNumber - Scene number
+   * @param {object} result - Result object to update
+   */
+  processActTransition(act, sceneNumber, result) {
+    try {
+      this.stateManager.scheduler.onActTransition(act, sceneNumber)
+        .forEach(entry => this.recordFired(entry, result));
+      this.recordInteractions(this.stateManager.interactions.evaluate(sceneNumber), result);
+    } catch (error) {
+      result.errors.push({
+        type: 'act_transition',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a fired delayed consequence in the update result
+   *
+   * @param {object} entry - Fired scheduler entry
+   * @param {object} result - Result object to update
+   */
+  recordFired(entry, result) {
+    result.appliedChanges.push({
+      type: 'delayed_consequence',
+      ruleId: entry.rule_id,
+      consequence: entry.consequence,
+      firedBy: entry.fired_by,
+      payoffScene: entry.payoff_scene
+    });
+  }
+
+  /**
+   * Record rule interaction events in the update result
+   *
+   * @param {Array} events - RuleInteractionEngine events
+   * @param {object} result - Result object to update
+   */
+  recordInteractions(events, result) {
+    events.forEach(event => {
+      result.appliedChanges.push({
+        type: 'rule_interaction',
+        interaction: event.interaction,
+        interactionType: event.type,
+        effect: event.effect
+      });
+    });
+  }
+
   /**
    * Process generic changes array (for compatibility with existing format)
    *
@@ -266,14 +586,38 @@ class StateUpdater {
             this.processRuleViolations([change.rule_id], sceneNumber, result);
             break;
 
+          case 'rule_compliance':
+            this.processRulesFollowed([change.rule_id], sceneNumber, result);
+            break;
+
           case 'entity_capability':
-            this.processEntityCapabilities({ [change.capability]: change.value }, result);
+            this.processEntityCapabilities({ [change.capability]: change.value }, sceneNumber, result);
+            break;
+
+          case 'entity_appearance':
+            this.processEntityAppearances([{ name: change.entity || null, action: change.action || null }], sceneNumber, result);
+            break;
+
+          case 'possession':
+            this.processPossessions({ [change.event]: [change.item] }, sceneNumber, result);
             break;
 
           case 'timeline_commitment':
             this.processTimelineCommitments([change.commitment], result);
             break;
 
+          case 'promise':
+            this.processPromises(change.event === 'paid' ? { paid: [change.reference] } : { made: [change] }, sceneNumber, result);
+            break;
+
+          case 'story_time':
+            // Read with the scene's prose once all changes are in (processStoryTime)
+            break;
+
+          case 'act_transition':
+            this.processActTransition(change.act, sceneNumber, result);
+            break;
+
           case 'irreversible_flag':
             this.stateManager.setIrreversibleFlag(change.flag, change.value);
             result.appliedChanges.push({
@@ -37,6 +37,7 @@ class DebugLogger {
     this.baseDir = options.baseDir || process.env.SESSIONS_DIR || path.join(process.cwd(), 'generated');
     this.logBuffer = []; // Buffer for batched writes
     this.writeInterval = options.writeInterval || 1000; // Write buffer every 1s
+    this.append = options.append === true; // Keep existing logs (resumed sessions)
     this.isInitialized = false;
     this.startTime = Date.now();
 
@@ -58,13 +59,21 @@ class DebugLogger {
     try {
       await fs.mkdir(this.sessionDir, { recursive: true });
 
-      // Create initial log files with headers
-      const header = `=== Debug Log for Session: ${this.sessionId} ===\n`;
-      const started = `Started: ${new Date().toISOString()}\n`;
       const separator = '='.repeat(60) + '\n\n';
 
-      await fs.writeFile(this.txtPath, header + started + separator, 'utf-8');
-      await fs.writeFile(this.jsonlPath, '', 'utf-8'); // Empty JSONL file
+      if (this.append) {
+        // Continue the existing log files
+        const resumed = `\nResumed: ${new Date().toISOString()}\n`;
+        await fs.appendFile(this.txtPath, resumed + separator, 'utf-8');
+        await fs.appendFile(this.jsonlPath, '', 'utf-8');
+      } else {
+        // Create initial log files with headers
+        const header = `=== Debug Log for Session: ${this.sessionId} ===\n`;
+        const started = `Started: ${new Date().toISOString()}\n`;
+
+        await fs.writeFile(this.txtPath, header + started + separator, 'utf-8');
+        await fs.writeFile(this.jsonlPath, '', 'utf-8'); // Empty JSONL file
+      }
 
       this.isInitialized = true;
 
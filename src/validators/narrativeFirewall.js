@@ -3,168 +3,83 @@
  * Prevents meta-language from leaking into prose
  *
  * Purpose: Scan generated text for forbidden terminology that reveals
- * the procedural nature of the story, and optionally rewrite to remove it.
+ * the procedural nature of the story, and rewrite the sentences that hold it.
+ * Both generation paths run gate() on each chunk as soon as it is generated.
+ * The terms, patterns and per-location allowlists come from the template
+ * pack's firewall.yaml (see FirewallLexicon).
  */
 
-// Banned lexemes - terms that break immersion by revealing structure
-const BANNED_LEXEMES = [
-  // Structural terms
-  'threshold',
-  'failure state',
-  'accumulation',
-  'mechanic',
-  'mechanism',
-  'system',
-  'protocol',
-  'parameter',
-  'variable',
-  'trigger',
-  'condition',
-  'ruleset',
-  'algorithm',
-  'procedural',
-
-  // Game-like terms
-  'checkpoint',
-  'save point',
-  'level',
-  'stage',
-  'phase',
-  'progression',
-  'unlock',
-  'achievement',
-
-  // Meta-awareness terms
-  'narrative',
-  'story beat',
-  'arc',
-  'pacing',
-  'climax',
-  'resolution',
-  'denouement',
-  'foreshadowing',
-  'callback',
-
-  // Rule-system terms (when used structurally)
-  'rule violation',
-  'rule enforcement',
-  'consequence trigger',
-  'state change',
-  'flag',
-  'counter',
-  'increment',
-  'escalation level'
-];
-
-// Patterns that indicate meta-awareness
-const BANNED_PATTERNS = [
-  // Direct rule references
-  /I realized the rules were (interacting|connected|linked)/i,
-  /the rules (seemed|appeared) to (work|function|operate)/i,
-  /I understood (the|this) system/i,
-  /the mechanism behind/i,
-  /how (the|this) (system|place|thing) (worked|functioned|operated)/i,
-
-  // Game-like awareness
-  /it was like a (game|puzzle|test|trial)/i,
-  /I had (failed|passed|completed|beaten)/i,
-  /this was (the|my) (punishment|reward|consequence)/i,
-  /as if following (a|some) (script|program|pattern)/i,
-
-  // Structural awareness
-  /I (noticed|observed|saw) a pattern/i,
-  /the (entity|thing|it) (was|seemed) (bound|limited|constrained) by/i,
-  /there (were|must be) rules governing/i,
-  /I (began|started) to understand the (rules|logic|pattern)/i,
-
-  // Meta-narrative
-  /this (story|tale|account|narrative)/i,
-  /if (I|you|one) were (reading|writing|telling)/i,
-  /like (a|some) (horror|scary) (story|movie|film)/i,
-
-  // Direct consequence awareness
-  /because I (broke|violated|disobeyed) the rule/i,
-  /the consequence (for|of) (my|the) (action|violation)/i,
-  /I had (triggered|activated|caused) (the|a)/i,
-
-  // Procedural language
-  /step (one|two|three|1|2|3)/i,
-  /in (order|sequence)/i,
-  /the (first|second|third|next|final) (rule|step|phase)/i
-];
-
-// Context-sensitive terms (allowed in some contexts, banned in others)
-const CONTEXT_SENSITIVE = {
-  'rule': {
-    allowed: ['rule of thumb', 'golden rule', 'unspoken rule', 'house rules'],
-    banned: ['rule violation', 'rule system', 'this rule', 'the rule states']
-  },
-  'system': {
-    allowed: ['nervous system', 'sound system', 'solar system', 'immune system'],
-    banned: ['the system works', 'understand the system', 'system of rules']
-  },
-  'trigger': {
-    allowed: ['trigger finger', 'hair trigger', 'emotional trigger'],
-    banned: ['trigger the', 'triggered by', 'trigger mechanism']
-  }
-};
+const FirewallLexicon = require('../backend/utils/firewallLexicon');
 
 class NarrativeFirewall {
-  constructor(claudeClient = null) {
+  /**
+   * @param {object} claudeClient - Client for rewriteToRemoveMeta and gate rewrites (optional)
+   * @param {object} options
+   * @param {FirewallLexicon} options.lexicon - Pack lexicon (TemplateLoader.loadFirewallLexicon());
+   *   defaults to the built-in pack's
+   * @param {string} options.location - locations.yaml id whose allowlist applies
+   */
+  constructor(claudeClient = null, options = {}) {
     this.claudeClient = claudeClient;
+    this.lexicon = options.lexicon || FirewallLexicon.loadDefault();
+    this.location = options.location || null;
     this.violations = [];
   }
 
   /**
    * Scan text for meta-language violations
+   * A term is let through when the location allows it or the match sits inside
+   * one of its allowed contexts, unless it sits inside a banned context.
    *
    * @param {string} text - Text to scan
-   * @returns {object} Scan result with violations
+   * @param {object} options
+   * @param {string} options.location - Overrides the constructor's location
+   * @returns {object} Scan result with violations, and the matches let through (allowed)
    */
-  scanForMetaLanguage(text) {
+  scanForMetaLanguage(text, options = {}) {
+    const location = options.location !== undefined ? options.location : this.location;
     this.violations = [];
-    const lines = text.split('\n');
+    const allowed = [];
 
     // Check banned lexemes
-    for (const lexeme of BANNED_LEXEMES) {
-      const regex = new RegExp(`\\b${this.escapeRegex(lexeme)}\\b`, 'gi');
+    for (const lexeme of this.lexicon.lexemes()) {
+      const regex = new RegExp(`\\b${this.escapeRegex(lexeme.term)}\\b`, 'gi');
       let match;
 
       while ((match = regex.exec(text)) !== null) {
-        // Find line number
-        const lineNum = this.getLineNumber(text, match.index);
-
-        // Check if it's a context-sensitive term
-        if (!this.isAllowedContext(lexeme, text, match.index)) {
-          this.violations.push({
-            type: 'banned_lexeme',
-            term: lexeme,
-            match: match[0],
-            position: match.index,
-            lineNumber: lineNum,
-            context: this.getContext(text, match.index),
-            severity: this.getSeverity(lexeme)
-          });
+        const reason = this.isAllowedContext(lexeme.term, text, match.index, location);
+
+        if (reason) {
+          allowed.push({ term: lexeme.term, match: match[0], position: match.index, reason });
+          continue;
         }
+
+        this.violations.push({
+          type: 'banned_lexeme',
+          term: lexeme.term,
+          match: match[0],
+          position: match.index,
+          lineNumber: this.getLineNumber(text, match.index),
+          context: this.getContext(text, match.index),
+          severity: lexeme.severity
+        });
       }
     }
 
     // Check banned patterns
-    for (const pattern of BANNED_PATTERNS) {
+    for (const { pattern, severity } of this.lexicon.patterns()) {
+      const globalPattern = new RegExp(pattern, 'gi');
       let match;
-      const globalPattern = new RegExp(pattern.source, pattern.flags + (pattern.flags.includes('g') ? '' : 'g'));
 
       while ((match = globalPattern.exec(text)) !== null) {
-        const lineNum = this.getLineNumber(text, match.index);
-
         this.violations.push({
           type: 'banned_pattern',
-          pattern: pattern.source,
+          pattern,
           match: match[0],
           position: match.index,
-          lineNumber: lineNum,
+          lineNumber: this.getLineNumber(text, match.index),
           context: this.getContext(text, match.index),
-          severity: 'high'
+          severity
         });
       }
     }
@@ -176,28 +91,41 @@ class NarrativeFirewall {
       clean: this.violations.length === 0,
       violationCount: this.violations.length,
       violations: this.violations,
+      allowed,
       summary: this.getSummary()
     };
   }
 
   /**
-   * Check if term is used in an allowed context
+   * Why a term at a position is allowed, or null if it is a violation
+   *
+   * @returns {string|null} 'location' (allowed everywhere there) or the allowed context phrase
    */
-  isAllowedContext(term, text, position) {
-    const lowerTerm = term.toLowerCase();
-    const contextInfo = CONTEXT_SENSITIVE[lowerTerm];
+  isAllowedContext(term, text, position, location = this.location) {
+    const end = position + term.length;
 
-    if (!contextInfo) return false;
+    if (this.lexicon.bannedContexts(term).some(phrase => this.phraseCovers(text, phrase, position, end))) {
+      return null;
+    }
+    if (this.lexicon.isAllowedAt(term, location)) {
+      return 'location';
+    }
 
-    const context = this.getContext(text, position, 50).toLowerCase();
+    return this.lexicon.allowedContexts(term, location).find(phrase => this.phraseCovers(text, phrase, position, end)) || null;
+  }
 
-    // Check if any allowed patterns match
-    for (const allowed of contextInfo.allowed) {
-      if (context.includes(allowed.toLowerCase())) {
+  /**
+   * Whether an occurrence of a phrase overlaps the span [start, end)
+   */
+  phraseCovers(text, phrase, start, end) {
+    const regex = new RegExp(`\\b${this.escapeRegex(phrase).replace(/\s+/g, '\\s+')}\\b`, 'gi');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      if (match.index < end && match.index + match[0].length > start) {
         return true;
       }
     }
-
     return false;
   }
 
@@ -228,16 +156,8 @@ class NarrativeFirewall {
    * Get severity level for a term
    */
   getSeverity(term) {
-    const highSeverity = ['system', 'mechanism', 'procedural', 'rule violation', 'failure state'];
-    const mediumSeverity = ['threshold', 'trigger', 'condition', 'parameter'];
-
-    if (highSeverity.some(t => term.toLowerCase().includes(t))) {
-      return 'high';
-    }
-    if (mediumSeverity.some(t => term.toLowerCase().includes(t))) {
-      return 'medium';
-    }
-    return 'low';
+    const lexeme = this.lexicon.getLexeme(term);
+    return lexeme ? lexeme.severity : 'low';
   }
 
   /**
@@ -256,99 +176,249 @@ class NarrativeFirewall {
   }
 
   /**
-   * Rewrite text to remove meta-language violations
-   * Uses Claude API for intelligent rewriting
+   * Rewrite the spans of text that hold meta-language violations
+   * Only the offending sentences (or paragraphs) go to the model; each rewrite
+   * is spliced back in place and the rest of the text is left untouched.
    *
    * @param {string} text - Text to rewrite
-   * @param {Array} violations - Violations to fix
-   * @returns {Promise<object>} Rewrite result
+   * @param {Array} violations - Violations to fix (scanned if not given)
+   * @param {object} options
+   * @param {string} options.span - 'sentence' (default) or 'paragraph'
+   * @param {string} options.location - Location whose allowlist applies
+   * @returns {Promise<object>} { success, text, changesApplied, remainingViolations, clean,
+   *   rewrites: [{ start, end, terms, before, after, error }], usage }
    */
-  async rewriteToRemoveMeta(text, violations = null) {
+  async rewriteToRemoveMeta(text, violations = null, options = {}) {
     if (!this.claudeClient) {
       throw new Error('Claude client required for rewriting');
     }
 
+    const location = options.location !== undefined ? options.location : this.location;
+
     // Use provided violations or scan for them
-    const violationsToFix = violations || this.scanForMetaLanguage(text).violations;
+    const violationsToFix = violations || this.scanForMetaLanguage(text, { location }).violations;
 
     if (violationsToFix.length === 0) {
       return {
         success: true,
         text: text,
         changesApplied: 0,
+        remainingViolations: 0,
+        clean: true,
+        rewrites: [],
         message: 'No violations to fix'
       };
     }
 
-    // Build rewrite prompt
-    const violationList = violationsToFix.map(v =>
-      `- Line ${v.lineNumber}: "${v.match}" (${v.type})`
-    ).join('\n');
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    const rewrites = [];
+
+    for (const span of this.getViolationSpans(text, violationsToFix, options.span)) {
+      const before = text.slice(span.start, span.end);
+      const rewrite = {
+        start: span.start,
+        end: span.end,
+        terms: [...new Set(span.violations.map(v => v.term || v.match))],
+        before,
+        after: before
+      };
 
-    const prompt = `Rewrite the following text to remove meta-language that reveals the procedural/structural nature of the story.
+      try {
+        const response = await this.claudeClient.messages.create({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: Math.max(256, Math.min(before.length * 2, 4000)),
+          temperature: 0.3,
+          messages: [{
+            role: 'user',
+            content: this.buildSpanRewritePrompt(before, span.violations)
+          }]
+        }, 'Meta-language rewrite');
+
+        const rewritten = response.content[0].text.trim();
+        if (rewritten) {
+          rewrite.after = rewritten;
+        }
+        usage.input_tokens += response.usage?.input_tokens || 0;
+        usage.output_tokens += response.usage?.output_tokens || 0;
+      } catch (error) {
+        rewrite.error = error.message;
+      }
 
-VIOLATIONS TO FIX:
-${violationList}
+      rewrites.push(rewrite);
+    }
 
-RULES:
-1. Keep ALL events, actions, and plot points EXACTLY the same
-2. ONLY change the language/phrasing that reveals structure
-3. Replace with natural, immersive alternatives
-4. Maintain the character's voice and POV
-5. Do not add explanations or commentary
+    // Splice the rewrites back in, last first so earlier offsets stay valid
+    let rewrittenText = text;
+    for (const rewrite of [...rewrites].reverse()) {
+      rewrittenText = rewrittenText.slice(0, rewrite.start) + rewrite.after + rewrittenText.slice(rewrite.end);
+    }
+
+    // Verify the rewrite
+    const verifyResult = this.scanForMetaLanguage(rewrittenText, { location });
+
+    return {
+      success: rewrites.every(r => !r.error),
+      text: rewrittenText,
+      changesApplied: rewrites.filter(r => r.after !== r.before).length,
+      remainingViolations: verifyResult.violations.length,
+      clean: verifyResult.clean,
+      rewrites,
+      usage
+    };
+  }
+
+  /**
+   * Inline gate for a freshly generated chunk: scan it, rewrite the offending
+   * spans (when a client is available and rewrite is not false) and report
+   *
+   * @param {string} text - Chunk text
+   * @param {object} options - { location, span, rewrite }
+   * @returns {Promise<object>} { text, report } - report is stored with the chunk's audit:
+   *   { status: 'clean'|'rewritten'|'violations_remaining', location, violations_found,
+   *     violations_remaining, by_severity, rewrites, remaining: [{ match, severity, context }] }
+   */
+  async gate(text, options = {}) {
+    const location = options.location !== undefined ? options.location : this.location;
+    const scan = this.scanForMetaLanguage(text, { location });
+
+    let gatedText = text;
+    let rewrites = [];
+    let remaining = scan.violations;
+
+    if (!scan.clean && this.claudeClient && options.rewrite !== false) {
+      const result = await this.rewriteToRemoveMeta(text, scan.violations, { location, span: options.span });
+      gatedText = result.text;
+      rewrites = result.rewrites;
+      remaining = this.scanForMetaLanguage(gatedText, { location }).violations;
+      this.violations = remaining;
+    }
 
-TEXT TO REWRITE:
-${text}
+    const bySeverity = { high: 0, medium: 0, low: 0 };
+    scan.violations.forEach(v => { bySeverity[v.severity] = (bySeverity[v.severity] || 0) + 1; });
 
-Return ONLY the rewritten text, no explanations.`;
+    let status = 'clean';
+    if (remaining.length > 0) {
+      status = 'violations_remaining';
+    } else if (!scan.clean) {
+      status = 'rewritten';
+    }
 
-    try {
-      const response = await this.claudeClient.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: Math.min(text.length * 2, 16000),
-        temperature: 0.3,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
+    return {
+      text: gatedText,
+      report: {
+        status,
+        location: location || null,
+        violations_found: scan.violationCount,
+        violations_remaining: remaining.length,
+        by_severity: bySeverity,
+        rewrites,
+        remaining: remaining.map(v => ({ match: v.match, severity: v.severity, context: v.context }))
+      }
+    };
+  }
 
-      const rewrittenText = response.content[0].text;
+  /**
+   * Sentences (or paragraphs) that hold violations, as [start, end) offsets
+   * A violation that crosses a boundary joins the spans it touches.
+   *
+   * @returns {Array<{start, end, violations}>}
+   */
+  getViolationSpans(text, violations, unit = 'sentence') {
+    const units = this.splitSpans(text, unit);
+    const spans = [];
+
+    for (const violation of [...violations].sort((a, b) => a.position - b.position)) {
+      const end = violation.position + violation.match.length;
+      const touched = units.filter(u => u.start < end && u.end > violation.position);
+      const start = touched.length > 0 ? touched[0].start : violation.position;
+      const spanEnd = touched.length > 0 ? touched[touched.length - 1].end : end;
+
+      const last = spans[spans.length - 1];
+      if (last && start < last.end) {
+        last.end = Math.max(last.end, spanEnd);
+        last.violations.push(violation);
+      } else {
+        spans.push({ start, end: spanEnd, violations: [violation] });
+      }
+    }
 
-      // Verify the rewrite
-      const verifyResult = this.scanForMetaLanguage(rewrittenText);
+    return spans;
+  }
 
-      return {
-        success: true,
-        text: rewrittenText,
-        changesApplied: violationsToFix.length,
-        remainingViolations: verifyResult.violations.length,
-        clean: verifyResult.clean,
-        usage: response.usage
-      };
+  /**
+   * Split text into paragraphs, or sentences within paragraphs
+   *
+   * @returns {Array<{start, end}>}
+   */
+  splitSpans(text, unit = 'sentence') {
+    const spans = [];
+    const paragraphs = /[^\n]*\S[^\n]*(?:\n[^\n]*\S[^\n]*)*/g;
+    let paragraph;
+
+    while ((paragraph = paragraphs.exec(text)) !== null) {
+      const offset = paragraph.index + paragraph[0].search(/\S/);
+      const body = paragraph[0].trim();
+
+      if (unit === 'paragraph') {
+        spans.push({ start: offset, end: offset + body.length });
+        continue;
+      }
 
-    } catch (error) {
-      return {
-        success: false,
-        text: text,
-        error: error.message,
-        changesApplied: 0
-      };
+      // A period after a title (Mr. Hale) does not end the sentence
+      const sentences = /\S(?:[^.!?]|(?<=\b(?:Mr|Mrs|Ms|Dr|St|Jr|Sr))\.)*(?:[.!?]+["'\u201d\u2019)\]]*|$)/g;
+      let sentence;
+      while ((sentence = sentences.exec(body)) !== null) {
+        const trimmed = sentence[0].trimEnd();
+        spans.push({ start: offset + sentence.index, end: offset + sentence.index + trimmed.length });
+      }
     }
+
+    return spans;
+  }
+
+  /**
+   * Prompt asking for one passage to be rewritten without its meta-language
+   */
+  buildSpanRewritePrompt(passage, violations) {
+    const flagged = violations.map(v => `- "${v.match}" (${v.type})`).join('\n');
+
+    return `Rewrite this passage from a horror story to remove meta-language that reveals the procedural/structural nature of the story.
+
+FLAGGED LANGUAGE:
+${flagged}
+
+RULES:
+1. Keep ALL events, actions, and details EXACTLY the same
+2. ONLY change the flagged phrasing; replace it with natural, immersive alternatives
+3. Maintain the character's voice, POV and tense
+4. Keep roughly the same length, so the passage still reads on from the text around it
+5. Do not add explanations or commentary
+
+PASSAGE TO REWRITE:
+${passage}
+
+Return ONLY the rewritten passage, no explanations.`;
   }
 
   /**
    * Get forbidden words list for prompts
+   *
+   * @param {FirewallLexicon} lexicon - Defaults to the built-in pack's
+   * @param {string} location - Leave out terms this location allows
    */
-  static getForbiddenWordsList() {
-    return BANNED_LEXEMES.slice();
+  static getForbiddenWordsList(lexicon = FirewallLexicon.loadDefault(), location = null) {
+    return lexicon.lexemes()
+      .map(lexeme => lexeme.term)
+      .filter(term => !lexicon.isAllowedAt(term, location));
   }
 
   /**
    * Get forbidden patterns for validation
+   *
+   * @param {FirewallLexicon} lexicon - Defaults to the built-in pack's
    */
-  static getForbiddenPatterns() {
-    return BANNED_PATTERNS.map(p => p.source);
+  static getForbiddenPatterns(lexicon = FirewallLexicon.loadDefault()) {
+    return lexicon.patterns().map(p => p.pattern);
   }
 }
 
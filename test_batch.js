@@ -0,0 +1,120 @@
+/**
+ * Test script for batch generation
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const Orchestrator = require('./src/backend/services/orchestrator');
+const BatchRunner = require('./src/backend/services/batchRunner');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testBatch() {
+  console.log('=== Testing Batch Generation ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-batch-'));
+
+  try {
+    const orchestrator = new Orchestrator(null, { provider: 'mock', outputDir: baseDir });
+    const batchRunner = new BatchRunner(orchestrator, { baseDir });
+    const options = await orchestrator.getAvailableOptions();
+
+    // Test 1: Matrix expansion and validation
+    console.log('Test 1: Expand a parameter matrix');
+    const manifest = await batchRunner.prepare({
+      base: { wordCount: 5000, skipAudit: true },
+      matrix: { location: options.locations.slice(0, 2), endingType: '*' },
+      limit: 3,
+      concurrency: 2
+    });
+    assert(manifest.items.length === 3, 'limit should cap the matrix');
+    assert(manifest.items.every(i => i.params.location === options.locations[0]), 'first matrix field varies slowest');
+    assert(manifest.items[1].params.endingType === options.exitConditions[1], '"*" should expand to every exit condition');
+    assert(manifest.items.every(i => i.params.thematicFocus), 'defaults should be filled at queue time');
+    console.log(`✅ Queued ${manifest.items.length} items\n`);
+
+    let invalid = null;
+    try {
+      await batchRunner.prepare({ items: [{ wordCount: 100, location: 'nowhere' }] });
+    } catch (error) {
+      invalid = error;
+    }
+    assert(invalid && invalid.code === 'INVALID_INPUT', 'INVALID_INPUT error expected');
+    assert(invalid.errors.length === 2, 'word count and location should both be reported');
+
+    // Test 2: Run with concurrency and write the manifest
+    console.log('Test 2: Run the batch');
+    const finished = await batchRunner.run(manifest);
+    assert(finished.status === 'complete', 'batch should complete');
+    assert(finished.totals.complete === 3, 'every item should complete');
+    assert(finished.items.every(i => i.usage.calls > 0 && i.costUsd > 0), 'each item should report token cost');
+
+    const onDisk = await batchRunner.loadManifest(manifest.batchId);
+    assert(onDisk.totals.inputTokens === finished.totals.inputTokens, 'manifest on disk should match');
+    for (const item of onDisk.items) {
+      await fs.access(path.join(baseDir, `${item.sessionId}.zip`));
+    }
+    console.log(`✅ ${finished.totals.complete} stories, ${finished.totals.inputTokens + finished.totals.outputTokens} tokens, $${finished.totals.costUsd}\n`);
+
+    // Test 3: Token budget stops new items
+    console.log('Test 3: Token budget');
+    const budgeted = await batchRunner.run(await batchRunner.prepare({
+      items: [{ wordCount: 5000, skipAudit: true }, { wordCount: 5000, skipAudit: true }],
+      concurrency: 1,
+      tokenBudget: 1
+    }));
+    assert(budgeted.budgetExhausted, 'budget should be exhausted');
+    assert(budgeted.totals.complete === 1 && budgeted.totals.skipped === 1, 'second item should be skipped');
+    console.log('✅ Remaining items skipped once the budget was spent\n');
+
+    // Test 4: Tokens spent by running items count against the budget
+    console.log('Test 4: Token budget counts running items');
+    const inFlight = await batchRunner.prepare({
+      items: [{ wordCount: 5000 }, { wordCount: 5000 }, { wordCount: 5000 }],
+      concurrency: 2,
+      tokenBudget: 1000
+    });
+    const slow = inFlight.items[0].sessionId;
+    const executeWorkflow = orchestrator.executeWorkflow;
+    orchestrator.executeWorkflow = async (params, { sessionId }) => {
+      if (sessionId === slow) {
+        orchestrator.claudeClient.recordUsage({ model: 'mock', usage: { input_tokens: 1200, output_tokens: 300 } });
+      }
+      await new Promise(resolve => setTimeout(resolve, sessionId === slow ? 200 : 20));
+      return { success: true, summary: { grade: 'B', qualityScore: 80, wordCount: 5000 } };
+    };
+    const overrun = await batchRunner.run(inFlight).finally(() => {
+      orchestrator.executeWorkflow = executeWorkflow;
+    });
+    assert(overrun.items.map(i => i.status).join() === 'complete,complete,skipped',
+      'the third item should be skipped while the first is still running');
+    assert(overrun.items[0].usage.inputTokens === 1200 && overrun.items[1].usage.calls === 0, 'usage should stay per item');
+    assert(batchRunner.activeMeters.size === 0, 'meters of finished items should be released');
+    console.log('✅ Budget spent by a running item stops new items\n');
+
+    console.log('=== All batch tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testBatch()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,108 @@
+/**
+ * Test script for session cassettes (record and replay of model calls)
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const ClaudeClient = require('./src/backend/api/claudeClient');
+const Cassette = require('./src/backend/api/cassette');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testCassette() {
+  console.log('=== Testing Session Cassettes ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cassette-test-'));
+  const sessionId = 'test-cassette-' + Date.now();
+
+  try {
+    const client = new ClaudeClient(null, { provider: 'mock' });
+
+    // Test 1: Record
+    console.log('Test 1: Record two calls');
+    const recorder = new Cassette(sessionId, { mode: 'record', baseDir });
+    const recorded = await client.runWithCassette(recorder, async () => {
+      const story = await client.generateStory('System prompt', 'Write EXACTLY 300 WORDS.');
+      const outline = await client.client.messages.create({
+        model: 'test',
+        max_tokens: 500,
+        messages: [{ role: 'user', content: 'Create an outline with:\n- Target: 4000 words in 2 chunks' }]
+      }, 'Outline generation');
+      return { story: story.content, outline: outline.content[0].text };
+    });
+
+    const lines = (await fs.readFile(recorder.getFilePath(), 'utf-8')).trim().split('\n');
+    assert(lines.length === 2, `expected 2 cassette lines, got ${lines.length}`);
+    assert(JSON.parse(lines[1]).operation === 'Outline generation', 'operation label should be recorded');
+    console.log(`✅ Recorded to ${recorder.getFilePath()}\n`);
+
+    // Test 2: Replay without touching the provider
+    console.log('Test 2: Replay serves recorded responses');
+    client.provider.createMessage = async () => {
+      throw new Error('provider must not be called during replay');
+    };
+    const player = new Cassette('test-replay-' + Date.now(), { mode: 'replay', sourceSessionId: sessionId, baseDir });
+    const replayed = await client.runWithCassette(player, async () => {
+      const story = await client.generateStory('System prompt', 'Write EXACTLY 300 WORDS.');
+      return story.content;
+    });
+    assert(replayed === recorded.story, 'replayed story should match the recording');
+    console.log('✅ Replay matched\n');
+
+    // Test 3: Mismatch diff
+    console.log('Test 3: Diverged prompt reports a diff');
+    const mismatchPlayer = new Cassette('test-mismatch', { mode: 'replay', sourceSessionId: sessionId, baseDir });
+    let mismatch = null;
+    try {
+      await client.runWithCassette(mismatchPlayer, () =>
+        client.generateStory('System prompt', 'Write EXACTLY 350 WORDS.')
+      );
+    } catch (error) {
+      mismatch = error;
+    }
+    assert(mismatch && mismatch.code === 'CASSETTE_MISMATCH', 'mismatch error expected');
+    assert(mismatch.diff.includes('- Write EXACTLY 300 WORDS.'), 'diff should show recorded line');
+    assert(mismatch.diff.includes('+ Write EXACTLY 350 WORDS.'), 'diff should show actual line');
+    console.log(mismatch.diff);
+    console.log('✅ Mismatch reported\n');
+
+    // Test 4: A later request continues the session's numbering
+    console.log('Test 4: Sequence numbers continue across requests');
+    const recordingClient = new ClaudeClient(null, { provider: 'mock' });
+    const nextRequest = new Cassette(sessionId, { mode: 'record', baseDir });
+    await recordingClient.runWithCassette(nextRequest, () => Promise.all([
+      recordingClient.generateStory('System prompt', 'Write EXACTLY 200 WORDS.'),
+      recordingClient.generateStory('System prompt', 'Write EXACTLY 250 WORDS.')
+    ]));
+    await nextRequest.flush();
+
+    const seqs = (await fs.readFile(recorder.getFilePath(), 'utf-8')).trim().split('\n').map(line => JSON.parse(line).seq);
+    assert(seqs.join() === '1,2,3,4', `sequence numbers should be unique and in order, got ${seqs}`);
+    console.log(`✅ Sequence ${seqs.join(', ')}\n`);
+
+    console.log('=== All cassette tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testCassette()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
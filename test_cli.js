@@ -0,0 +1,122 @@
+/**
+ * Test script for the horror-gen CLI
+ * Runs the staged workflow end to end with the mock provider
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+const CLI = path.join(__dirname, 'bin', 'horror-gen.js');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function runCli(args, options = {}) {
+  return new Promise((resolve) => {
+    execFile('node', [CLI, ...args], { timeout: 120000, ...options }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+async function runJson(outDir, args) {
+  const { code, stdout, stderr } = await runCli([...args, '--provider', 'mock', '--out', outDir, '--json']);
+  assert(code === 0, `horror-gen ${args[0]} exited with ${code}: ${stderr.slice(-500)}`);
+  return JSON.parse(stdout);
+}
+
+async function testCli() {
+  console.log('=== Testing horror-gen CLI ===\n');
+
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-gen-'));
+
+  try {
+    // Test 1: Template options
+    console.log('Test 1: List template options');
+    const options = await runJson(outDir, ['options']);
+    assert(Array.isArray(options.locations) && options.locations.length > 0, 'locations should be listed');
+    console.log(`✅ ${options.locations.length} locations available\n`);
+
+    // Test 2: Contract from a YAML parameter file
+    console.log('Test 2: Create a contract from YAML parameters');
+    const paramsPath = path.join(outDir, 'params.yaml');
+    await fs.writeFile(paramsPath, 'wordCount: 5000\n', 'utf-8');
+    const contract = await runJson(outDir, ['contract', '--params', paramsPath]);
+    const sessionId = contract.sessionId;
+    assert(sessionId, 'contract should return a session id');
+    await fs.access(path.join(contract.sessionDir, 'story_contract.json'));
+    console.log(`✅ Contract written for ${sessionId}\n`);
+
+    // Test 3: Plan, generate and assemble
+    console.log('Test 3: Plan, generate all chunks and assemble');
+    const plan = await runJson(outDir, ['plan', sessionId]);
+    assert(plan.totalChunks > 0, 'plan should contain chunks');
+
+    const generated = await runJson(outDir, ['generate-chunk', sessionId, '--all']);
+    assert(generated.chunks.length === plan.totalChunks, 'every planned chunk should be generated');
+
+    const assembled = await runJson(outDir, ['assemble', sessionId]);
+    assert(assembled.totalWords > 0, 'assembled story should have words');
+    await fs.access(assembled.story);
+    console.log(`✅ Assembled ${assembled.totalChunks} chunks, ${assembled.totalWords} words\n`);
+
+    // Test 4: Package the session
+    console.log('Test 4: Package the session');
+    const packaged = await runJson(outDir, ['package', sessionId]);
+    await fs.access(path.join(outDir, `${sessionId}.zip`));
+    assert(packaged.payoffReport === path.join(outDir, sessionId, 'payoff_report.md'), 'package should report on the staged session\'s promises');
+    await fs.access(packaged.payoffReport);
+    console.log(`✅ Packaged ${packaged.chunks} chunks\n`);
+
+    // Test 5: Usage errors
+    console.log('Test 5: Unknown command is a usage error');
+    const unknown = await runCli(['bogus', '--out', outDir]);
+    assert(unknown.code === 2, `unknown command should exit with 2, got ${unknown.code}`);
+    console.log('✅ Exit code 2\n');
+
+    // Test 6: Template validation
+    console.log('Test 6: validate-templates reports the outcome');
+    const validated = await runCli(['validate-templates', '--template-pack', 'v1', '--out', outDir]);
+    assert(validated.code === 0, `built-in pack should validate, got exit ${validated.code}: ${validated.stdout.slice(-500)}`);
+    assert(validated.stdout.includes('✅ horror-gen validate-templates complete'), 'a valid run should report completion');
+
+    // Preloaded stub so the run sees a broken pack without touching templates/
+    const stubPath = path.join(outDir, 'broken-pack.js');
+    await fs.writeFile(stubPath, `
+      const Orchestrator = require(${JSON.stringify(path.join(__dirname, 'src', 'backend', 'services', 'orchestrator'))});
+      Orchestrator.prototype.validateTemplates = async () => [
+        { pack: 'broken', errors: ['pack.yaml: missing name'], files: [], references: { dangling: [], orphaned: [] } }
+      ];
+    `, 'utf-8');
+    const failed = await runCli(['validate-templates', '--out', outDir], {
+      env: { ...process.env, NODE_OPTIONS: `--require ${stubPath}` }
+    });
+    assert(failed.code === 1, `a broken pack should exit with 1, got ${failed.code}`);
+    assert(failed.stdout.includes('❌ horror-gen validate-templates failed') && !failed.stdout.includes('complete'),
+      'a failed validation should not report completion');
+    console.log('✅ Valid pack completes, broken pack fails\n');
+
+    console.log('=== All CLI tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(outDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testCli()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
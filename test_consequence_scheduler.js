@@ -0,0 +1,170 @@
+/**
+ * Test script for delayed consequence scheduling
+ * Runs violations through StateManager and StateUpdater (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const StateUpdater = require('./src/generators/stateUpdater');
+const CanonDeltaExtractor = require('./src/generators/canonDeltaExtractor');
+const ConsequenceCatalog = require('./src/backend/utils/consequenceCatalog');
+const TemplateValidator = require('./src/backend/utils/templateValidator');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function createState() {
+  const ruleBuilder = new RuleBuilder();
+  const stateManager = new StateManager();
+  stateManager.initializeState('test-scheduler', { ruleCount: 4 });
+  stateManager.setStructuredRules([
+    ruleBuilder.buildRule({ rule_id: 'rule_1', text: 'Do not look at the clock after midnight', type: 'temporal' }),
+    ruleBuilder.buildRule({ rule_id: 'rule_2', text: 'Answer every call by the third ring', type: 'behavioral' }),
+    ruleBuilder.buildRule({ rule_id: 'rule_3', text: 'Log every delivery before opening it', type: 'procedural' }),
+    ruleBuilder.buildRule({ rule_id: 'rule_4', text: 'Never open the back door', type: 'boundary' })
+  ]);
+  return stateManager;
+}
+
+async function testConsequenceScheduler() {
+  console.log('=== Testing Consequence Scheduler ===\n');
+
+  try {
+    const storyGenerator = new StoryGenerator('test-key');
+
+    // Test 1: "N scenes later"
+    console.log('Test 1: Scene-delayed consequence');
+    const stateManager = createState();
+    const updater = new StateUpdater(stateManager);
+    const flags = stateManager.getState().canonical_state.irreversible_flags;
+
+    const violation = stateManager.violateRule('rule_1', 2);
+    assert(violation.scheduledConsequences.length === 1, 'temporal rule should schedule its delayed consequence');
+    assert(violation.scheduledConsequences[0].due_scene === 4, 'reality_degradation fires two scenes later');
+    assert(flags.reality_stable === undefined, 'delayed consequence should not apply immediately');
+
+    updater.updateCanonicalState({ scene_number: 2, changes: [] });
+    let constraints = storyGenerator.buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Pending Consequences') && constraints.includes('due in scene 4'), 'pending consequence should be surfaced');
+
+    const scene3 = updater.updateCanonicalState({ scene_number: 3, changes: [] });
+    assert(flags.reality_stable === false, 'consequence should fire before scene 4 is written');
+    assert(scene3.appliedChanges.some(c => c.type === 'delayed_consequence' && c.payoffScene === 4), 'update result should report it');
+
+    constraints = storyGenerator.buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Delayed Consequences Due NOW') && constraints.includes('Reality begins to break down'), 'due consequence should be surfaced');
+    assert(!constraints.includes('## Pending Consequences'), 'fired consequence should leave the pending list');
+
+    updater.updateCanonicalState({ scene_number: 4, changes: [] });
+    constraints = storyGenerator.buildStateConstraintsSection(stateManager.getState());
+    assert(!constraints.includes('Due NOW') && constraints.includes('reality_degradation (delayed, from rule_1 violation)'), 'paid-off consequence should stay applied');
+    console.log('✅ Fired in scene 4 and surfaced for that scene only\n');
+
+    // Test 2: "on next violation"
+    console.log('Test 2: Next-violation consequence');
+    const violationTracker = createState();
+    violationTracker.violateRule('rule_2', 1);
+    assert(violationTracker.scheduler.getPending()[0].consequence === 'marked_for_observation', 'behavioral rule should queue its consequence');
+
+    const nextViolation = violationTracker.violateRule('rule_4', 2);
+    const trackerFlags = violationTracker.getState().canonical_state.irreversible_flags;
+    assert(JSON.stringify(nextViolation.appliedConsequences.delayed) === '["marked_for_observation"]', 'next violation should fire it');
+    assert(trackerFlags.under_observation === true && trackerFlags.contamination_level === 1, 'effects should be applied');
+
+    const secondUpdater = new StateUpdater(violationTracker);
+    violationTracker.violateRule('rule_2', 2);
+    const viaUpdater = secondUpdater.updateCanonicalState({ scene_number: 3, rulesViolated: ['rule_1'] });
+    assert(viaUpdater.appliedChanges.some(c => c.type === 'rule_violation'), 'rule_1 should be violated through the updater');
+    assert(viaUpdater.appliedChanges.some(c => c.type === 'delayed_consequence' && c.consequence === 'marked_for_observation'), 'updater violations should fire it too');
+    console.log('✅ Fired by the next violation (StateManager and StateUpdater)\n');
+
+    // Test 3: "at act transition"
+    console.log('Test 3: Act-transition consequence');
+    const actTracker = createState();
+    actTracker.violateRule('rule_3', 1);
+    const actUpdater = new StateUpdater(actTracker);
+    const actFlags = actTracker.getState().canonical_state.irreversible_flags;
+
+    actUpdater.updateCanonicalState({ scene_number: 1, changes: [{ type: 'act_transition', act: 'setup' }] });
+    actUpdater.updateCanonicalState({ scene_number: 2, changes: [] });
+    assert(actFlags.system_stable === undefined, 'should wait for the act to change');
+    constraints = storyGenerator.buildStateConstraintsSection(actTracker.getState());
+    assert(constraints.includes('at the next act transition'), 'trigger should be described');
+
+    actUpdater.updateCanonicalState({ scene_number: 3, changes: [{ type: 'act_transition', act: 'confrontation' }] });
+    assert(actFlags.system_stable === false, 'act transition should fire it');
+    assert(actTracker.scheduler.getQueue().current_act === 'confrontation', 'current act should be tracked');
+
+    const extractor = new CanonDeltaExtractor(null);
+    const extracted = extractor.parseDeltaResponse('{"rulesViolated": [], "actTransition": "Crisis"}', 5);
+    const converted = extractor.toStateManagerFormat(extracted);
+    assert(converted.changes.some(c => c.type === 'act_transition' && c.act === 'crisis'), 'extracted act transitions should reach the updater');
+    console.log('✅ Fired at the act transition\n');
+
+    // Test 4: Queue survives snapshot / resume
+    console.log('Test 4: Resume keeps the queue');
+    const original = createState();
+    original.violateRule('rule_1', 5);
+    const restored = new StateManager();
+    restored.restoreState(original.getState());
+    const restoredUpdater = new StateUpdater(restored);
+    restoredUpdater.updateCanonicalState({ scene_number: 6, changes: [] });
+    assert(restored.getState().canonical_state.irreversible_flags.reality_stable === false, 'restored queue should fire on schedule');
+
+    const legacy = createState();
+    delete legacy.getState().canonical_state.scheduled_consequences;
+    legacy.violateRule('rule_1', 1);
+    assert(legacy.scheduler.getPending().length === 1, 'states without a queue should get one');
+    console.log('✅ Pending consequences restored with state\n');
+
+    // Test 5: Delay settings are schema-checked
+    console.log('Test 5: Catalog delay validation');
+    const definitions = JSON.parse(JSON.stringify(ConsequenceCatalog.loadDefault().toJSON()));
+    definitions.reality_degradation.delay = { trigger: 'scenes', scenes: 0 };
+    definitions.system_instability.delay = { trigger: 'eventually' };
+    const errors = new TemplateValidator().validate('consequences.yaml', { version: '1.0', consequences: definitions }, 'test/consequences.yaml');
+    errors.forEach(e => console.log(`   ${TemplateValidator.formatError(e)}`));
+    assert(errors.some(e => e.path.startsWith('consequences.reality_degradation.delay')), 'scene counts below 1 should be rejected');
+    assert(errors.some(e => e.path.startsWith('consequences.system_instability.delay')), 'unknown trigger should be rejected');
+    console.log('✅ Invalid delays rejected\n');
+
+    // Test 6: Unknown delayed ids
+    console.log('Test 6: Unknown delayed consequence');
+    const unknown = createState();
+    const rule1 = unknown.getState().canonical_state.rules.find(r => r.rule_id === 'rule_1');
+    rule1.consequences.delayed = ['bogus_later', 'reality_degradation'];
+    const logged = unknown.violateRule('rule_1', 2);
+    assert(rule1.violated && rule1.violation_count === 1, 'the violation should be recorded');
+    assert(logged.scheduledConsequences.map(e => e.consequence).join() === 'reality_degradation', 'known delayed ids should still be queued');
+    const lastDelta = unknown.getState().narrative_delta_log.slice(-1)[0];
+    assert(lastDelta.changes.some(c => c === 'Delayed consequences not scheduled: bogus_later (Unknown consequence: bogus_later)'),
+      'the delta log should record the unknown id');
+
+    const viaUpdaterUnknown = new StateUpdater(unknown).updateCanonicalState({ scene_number: 3, rulesViolated: ['rule_1'], changes: [] });
+    assert(viaUpdaterUnknown.errors.some(e => e.type === 'consequence_scheduled' && e.consequence === 'bogus_later'),
+      'the updater should report the unknown id as an error');
+    assert(rule1.violation_count === 2, 'the updater should still record the violation');
+    console.log('✅ Unknown delayed id logged, violation kept\n');
+
+    console.log('=== All consequence scheduler tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testConsequenceScheduler()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+/**
+ * Test script for the consequence catalog
+ * Checks the built-in consequences.yaml and a pack that adds its own
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const TemplateLoader = require('./src/backend/utils/templateLoader');
+const ConsequenceCatalog = require('./src/backend/utils/consequenceCatalog');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const StateManager = require('./src/backend/services/stateManager');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function expectCode(fn, code) {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code === code ? error : null;
+  }
+  return null;
+}
+
+async function testConsequences() {
+  console.log('=== Testing Consequence Catalog ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-consequences-'));
+  const packsRoot = path.join(baseDir, 'templates');
+
+  try {
+    // Test 1: Built-in catalog
+    console.log('Test 1: Built-in catalog');
+    const builtIn = ConsequenceCatalog.loadDefault();
+    const loader = new TemplateLoader(path.join(__dirname, 'templates'), 'v1');
+    const v1 = await loader.loadConsequenceCatalog();
+    assert(JSON.stringify(v1.ids()) === JSON.stringify(builtIn.ids()), 'loader and default catalog should agree');
+
+    const ruleBuilder = new RuleBuilder();
+    for (const type of ['boundary', 'temporal', 'behavioral', 'object_interaction', 'procedural']) {
+      const defaults = ruleBuilder.getRuleTypeDefaults(type).default_consequences;
+      const ids = [...defaults.immediate, ...defaults.delayed, ...defaults.permanent];
+      assert(builtIn.findUnknown(ids).length === 0, `${type} defaults should be defined`);
+    }
+    console.log(`✅ ${builtIn.ids().length} consequences, every rule-type default defined\n`);
+
+    // Test 2: v1 effects unchanged
+    console.log('Test 2: Applying built-in consequences');
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-consequences', { ruleCount: 1 });
+    ['protection_void', 'attention_drawn', 'marked_for_collection', 'contamination_spread', 'temporal_slip']
+      .forEach(id => stateManager.applyConsequence(id));
+
+    const canonical = stateManager.state.canonical_state;
+    assert(canonical.irreversible_flags.protected === false, 'flag should be set');
+    assert(canonical.irreversible_flags.marked === true, 'marking flag should be set');
+    assert(canonical.irreversible_flags.contamination_level === 3, 'contamination should add up');
+    assert(canonical.entity_capabilities.aware_of_narrator === true, 'capability should be granted');
+    assert(canonical.world_facts.temporal_stability === 'unstable', 'world fact should be set');
+    console.log('✅ Flags, capabilities, world facts and contamination applied\n');
+
+    // Test 3: A pack adds and overrides consequences
+    console.log('Test 3: Pack-defined consequences');
+    await fs.cp(path.join(__dirname, 'templates', 'v1'), path.join(packsRoot, 'v1'), { recursive: true });
+    await fs.mkdir(path.join(packsRoot, 'hollow'));
+    await fs.writeFile(path.join(packsRoot, 'hollow', 'pack.yaml'),
+      'name: hollow\nversion: "0.1.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n');
+    await fs.writeFile(path.join(packsRoot, 'hollow', 'consequences.yaml'), [
+      'version: "1.0"',
+      'consequences:',
+      '  name_forgotten:',
+      '    category: "identity"',
+      '    description: "Narrator can no longer recall their own name"',
+      '    effects:',
+      '      flags: { remembers_name: false }',
+      '      capabilities: { knows_narrator_name: true }',
+      '      contamination: 2',
+      '  temporal_slip:',
+      '    category: "temporal"',
+      '    description: "Clocks in the hollow run backwards"',
+      '    effects:',
+      '      world_facts: { temporal_stability: "reversed" }',
+      ''
+    ].join('\n'));
+
+    const packLoader = new TemplateLoader(packsRoot, 'v1');
+    const hollow = await packLoader.runWithPack('hollow', () => packLoader.loadConsequenceCatalog());
+    assert(hollow.has('name_forgotten') && hollow.has('protection_void'), 'child ids should be added to the parent catalog');
+    assert(hollow.get('temporal_slip').description === 'Clocks in the hollow run backwards', 'child should override parent ids');
+
+    const packRules = new RuleBuilder({ consequences: hollow });
+    const rule = packRules.buildRule({
+      rule_id: 'rule_1',
+      text: 'Never answer when it calls you by name',
+      type: 'behavioral',
+      consequences: { immediate: ['name_forgotten'], delayed: [], permanent: ['temporal_slip'] }
+    });
+
+    const packState = new StateManager(null, { consequences: hollow });
+    packState.initializeState('test-hollow', { ruleCount: 1 });
+    packState.setStructuredRules([rule]);
+    const violation = packState.violateRule('rule_1', 1);
+
+    const packCanonical = packState.state.canonical_state;
+    assert(violation.appliedConsequences.immediate.includes('name_forgotten'), 'pack consequence should be applied');
+    assert(packCanonical.irreversible_flags.remembers_name === false, 'pack flag should be set');
+    assert(packCanonical.irreversible_flags.contamination_level === 2, 'pack contamination should be applied');
+    assert(packCanonical.world_facts.temporal_stability === 'reversed', 'overridden effect should be used');
+    console.log('✅ Pack consequence applied without code changes\n');
+
+    // Test 4: Unknown ids are errors, not warnings
+    console.log('Test 4: Unknown consequence ids');
+    const buildError = await expectCode(() => ruleBuilder.buildRule({
+      rule_id: 'rule_2',
+      text: 'Do not count the lanterns',
+      type: 'behavioral',
+      consequences: { immediate: ['name_forgotten', 'attention_drawn'], delayed: [], permanent: [] }
+    }), 'UNKNOWN_CONSEQUENCE');
+    assert(buildError && JSON.stringify(buildError.consequences) === '["name_forgotten"]', 'buildRule should reject ids missing from its catalog');
+    assert(await expectCode(() => stateManager.applyConsequence('name_forgotten'), 'UNKNOWN_CONSEQUENCE'), 'applyConsequence should throw');
+
+    stateManager.setStructuredRules([packRules.buildRule({
+      rule_id: 'rule_1',
+      text: 'Never answer when it calls you by name',
+      type: 'behavioral',
+      consequences: { immediate: ['name_forgotten', 'attention_drawn'], delayed: [], permanent: [] }
+    })]);
+    const partial = stateManager.violateRule('rule_1', 2);
+    assert(JSON.stringify(partial.appliedConsequences.immediate) === '["attention_drawn"]', 'failed consequences should not be reported as applied');
+    console.log('✅ Unknown ids rejected\n');
+
+    // Test 5: Invalid catalog files are refused
+    console.log('Test 5: Schema-checked catalog');
+    await fs.writeFile(path.join(packsRoot, 'hollow', 'consequences.yaml'),
+      'version: "1.0"\nconsequences:\n  name_forgotten:\n    category: "identity"\n    description: "No effects"\n');
+    packLoader.clearCache();
+    const loadError = await expectCode(
+      () => packLoader.packContext.run('hollow', () => packLoader.loadConsequenceCatalog()),
+      'INVALID_TEMPLATE'
+    );
+    assert(loadError && loadError.details[0].file === 'hollow/consequences.yaml', 'error should name the pack file');
+    assert(await expectCode(() => packLoader.resolvePack('hollow'), 'INVALID_TEMPLATE_PACK'), 'pack should not be selectable');
+    console.log(`✅ ${loadError.errors[0]}\n`);
+
+    console.log('=== All consequence catalog tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testConsequences()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
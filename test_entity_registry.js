@@ -0,0 +1,173 @@
+/**
+ * Test script for the entity registry
+ * Runs capabilities, appearances and rule bindings through StateManager,
+ * StateUpdater and StateTracker, then the escalation check and chunk prompts (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const StateUpdater = require('./src/generators/stateUpdater');
+const ConstraintEnforcer = require('./src/backend/audit/constraintEnforcer');
+const StateModel = require('./src/backend/utils/stateModel');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function createState() {
+  const ruleBuilder = new RuleBuilder();
+  const stateManager = new StateManager();
+  stateManager.initializeState('test-entities', { ruleCount: 3 });
+  stateManager.setStructuredRules([
+    ruleBuilder.buildRule({
+      rule_id: 'rule_1',
+      text: 'Never answer a voice that uses your name',
+      type: 'behavioral',
+      consequences: { immediate: ['entity_can_imitate_narrator'], delayed: [], permanent: [] }
+    }),
+    ruleBuilder.buildRule({
+      rule_id: 'rule_2',
+      text: 'Keep the car doors locked',
+      type: 'boundary',
+      consequences: { immediate: ['entity_can_reach_vehicle'], delayed: [], permanent: [] }
+    }),
+    ruleBuilder.buildRule({
+      rule_id: 'rule_3',
+      text: 'Do not look at the lake after dark',
+      type: 'behavioral',
+      consequences: { immediate: ['contamination_spread'], delayed: [], permanent: [] }
+    })
+  ]);
+  return stateManager;
+}
+
+async function testEntityRegistry() {
+  console.log('=== Testing Entity Registry ===\n');
+
+  try {
+    // Test 1: Rules that would grant a capability bind the entity
+    console.log('Test 1: Rule bindings');
+    const stateManager = createState();
+    let [primary] = stateManager.getEntities();
+    assert(primary && primary.entity_id === 'entity_1' && primary.entity_name === null, 'an unnamed primary entity should be registered');
+    assert(primary.bound_by_rules.join() === 'rule_1,rule_2', 'rules granting capabilities should bind it');
+    console.log('✅ entity_1 bound by rule_1, rule_2\n');
+
+    // Test 2: A violation grants the capability with its cause
+    console.log('Test 2: Capability gained through a violation');
+    stateManager.violateRule('rule_1', 2);
+    const imitation = primary.capabilities.can_imitate_narrator;
+    assert(imitation.value === true && imitation.gained_at_scene === 2, 'capability should record its scene');
+    assert(imitation.caused_by_rule === 'rule_1' && imitation.source === 'entity_can_imitate_narrator', 'capability should record its rule and consequence');
+    assert(stateManager.getEntityCapabilities().can_imitate_narrator === true, 'flat capabilities should stay the union');
+    console.log('✅ can_imitate_narrator traced to rule_1\n');
+
+    // Test 3: Appearances name the primary entity and register new ones
+    console.log('Test 3: Appearances from extracted deltas');
+    const updater = new StateUpdater(stateManager);
+    updater.updateCanonicalState({
+      sceneNumber: 3,
+      entitiesAppeared: [{ name: 'The Hollow Man', action: 'Waited at the tree line' }]
+    });
+    assert(stateManager.getEntities().length === 1 && primary.entity_name === 'The Hollow Man', 'first named appearance should name the primary entity');
+
+    updater.updateCanonicalState({
+      sceneNumber: 4,
+      rulesViolated: ['rule_3'],
+      entitiesAppeared: [{ name: 'The Usher', action: 'Opened the boathouse' }],
+      entityCapabilities: { can_open_doors: true }
+    });
+    const usher = stateManager.getEntities().find(e => e.entity_name === 'The Usher');
+    assert(usher && usher.entity_id === 'entity_2', 'new entity should be registered');
+    assert(usher.appearances.length === 1 && usher.appearances[0].scene === 4, 'appearance should be recorded');
+    assert(usher.capabilities.can_open_doors.caused_by_rule === 'rule_3', 'capability of the entity on stage should trace to the scene violation');
+    assert(!primary.capabilities.can_open_doors, 'capability should not go to another entity');
+    assert(stateManager.getState().canonical_state.entities.total_entity_appearances === 2, 'appearances should be counted');
+    console.log('✅ The Hollow Man (entity_1) and The Usher (entity_2) tracked separately\n');
+
+    // Test 4: Escalation traceability uses the registry
+    console.log('Test 4: Escalation traceability per entity');
+    const enforcer = new ConstraintEnforcer(stateManager);
+    const escalations = prose => enforcer.checkEscalationTraceability(prose).untracedEscalations;
+
+    assert(escalations('The Hollow Man spoke in my voice.').length === 0, 'entity with the capability should pass');
+    const misattributed = escalations('Then The Usher spoke in my voice.');
+    assert(misattributed.length === 1 && misattributed[0].type === 'misattributed_capability' && misattributed[0].entity_id === 'entity_2',
+      'entity without the capability should be flagged');
+
+    stateManager.addEntityCapability('knows_narrator_name', true, { entity: 'The Usher', rule_id: null });
+    const untraced = escalations('The Usher knew my name.');
+    assert(untraced.length === 1 && untraced[0].type === 'untraced_capability', 'capability without a cause should be flagged');
+    assert(escalations('The Hollow Man entered the car.')[0].type === 'missing_capability', 'capability nobody has should be flagged');
+    console.log('✅ Behaviors checked against the entity showing them\n');
+
+    // Test 5: Chunk prompts list each entity
+    console.log('Test 5: Chunked prompt');
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('### The Hollow Man (entity_1)') && constraints.includes('### The Usher (entity_2)'), 'prompt should list entities');
+    assert(constraints.includes('CAN imitate narrator (scene 2, after rule_1 was violated)'), 'prompt should give the cause');
+    assert(constraints.includes('Held back by rule_2') && constraints.includes('No longer held back by rule_1'), 'prompt should give bindings');
+    assert(constraints.includes('YOU MAY NOT give one entity the abilities another has gained'), 'prompt should keep abilities apart');
+    console.log('✅ Entities, causes and bindings in the prompt\n');
+
+    // Test 6: Staged pipeline
+    console.log('Test 6: Staged state updates and prompt');
+    const tracker = new StateTracker();
+    tracker.initializeFromContract({
+      session_id: 'test-entities-staged',
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Do not feed the ferryman' }, { rule_number: 2, rule_text: 'Stay below deck' }] },
+      identity_anchors: { protagonist: { name: 'Mara' } }
+    });
+    tracker.updateAfterChunk({ entities_appeared: [{ name: 'The Purser', type: 'custodian', action: 'Counted the passengers', bound_by_rules: [2] }] }, 1, 1000);
+    tracker.updateAfterChunk({
+      rules_violated: [2],
+      entities_appeared: [{ name: 'The Purser', status: 'pursuing', capabilities: ['can_walk_through_walls'] }]
+    }, 2, 1000);
+    const purser = tracker.entities.getEntity('the purser');
+    assert(purser.appearances.map(a => a.chunk).join() === '1,2' && purser.current_status === 'pursuing', 'appearances should accumulate');
+    assert(purser.capabilities.can_walk_through_walls.gained_in_chunk === 2 && purser.capabilities.can_walk_through_walls.caused_by_rule === 'rule_2',
+      'capability should trace to the chunk violation');
+    assert(purser.bound_by_rules.join() === 'rule_2', 'binding should be recorded');
+    assert(tracker.getState().canonical_state.continuity.named_elements.entity_names.join() === 'The Purser', 'name should be recorded once');
+    const context = tracker.getPromptContext();
+    assert(context.includes('The Purser (entity_1): pursuing') && context.includes('seen in chunks 1, 2'), 'prompt should list the entity');
+    assert(context.includes('CAN walk through walls (chunk 2, after rule_2 was violated)') && context.includes('Bound by: rule_2'),
+      'prompt should give capabilities and bindings');
+    console.log('✅ Staged entity tracked across chunks\n');
+
+    // Test 7: Older states are brought up to the registry
+    console.log('Test 7: Older states');
+    const legacy = StateModel.create('test-entities-legacy');
+    legacy.canonical_state.entity_capabilities = { knows_narrator_name: true };
+    legacy.canonical_state.entities.entities = [{
+      entity_name: 'The Lodger', entity_type: 'presence', first_appeared_chunk: 2, current_status: 'active',
+      threat_level: 'present', last_action: 'Knocked', triggered_by: [], capabilities_revealed: ['can_knock']
+    }];
+    const migrated = StateModel.migrate(legacy).canonical_state.entities.entities[0];
+    assert(migrated.entity_id === 'entity_1' && migrated.appearances[0].chunk === 2, 'entity should get an id and its first appearance');
+    assert(migrated.capabilities.can_knock.source === 'unattributed' && migrated.capabilities.knows_narrator_name.value === true,
+      'known capabilities should be added as unattributed');
+    console.log('✅ Legacy entities normalized\n');
+
+    console.log('=== All entity registry tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testEntityRegistry()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
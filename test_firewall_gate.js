@@ -0,0 +1,138 @@
+/**
+ * Test script for the inline narrative firewall gate
+ * Rewrites only the offending sentences of each chunk in the staged and
+ * chunked pipelines, and stores the counts with the chunk audit / manifest
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const NarrativeFirewall = require('./src/validators/narrativeFirewall');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const LEAK = 'I understood the system now, and it was like a game.';
+
+async function testFirewallGate() {
+  console.log('=== Testing Firewall Gate ===\n');
+
+  const chunkedSessionId = 'test-firewall-chunked-' + Date.now();
+  let stagedDir = null;
+
+  try {
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+    const provider = orchestrator.claudeClient.provider;
+    const synthesizeProse = provider.synthesizeProse;
+    const synthesizeRewrite = provider.synthesizeRewrite;
+
+    // Test 1: Span-level rewrites
+    console.log('Test 1: Only offending spans are rewritten');
+    const text = `The lights hummed. ${LEAK} Mr. Hale waited.\n\nI parked on level three. Nothing moved.`;
+    const firewall = new NarrativeFirewall(orchestrator.claudeClient);
+    const gated = await firewall.gate(text);
+    const [rewrite] = gated.report.rewrites;
+
+    assert(gated.report.status === 'rewritten' && gated.report.violations_found === 4 && gated.report.violations_remaining === 0,
+      `unexpected report ${JSON.stringify(gated.report)}`);
+    assert(gated.report.rewrites.length === 2 && rewrite.before === LEAK, 'each offending sentence should be its own span');
+    assert(gated.text.startsWith('The lights hummed. ') && gated.text.includes(' Mr. Hale waited.\n\n') && gated.text.endsWith(' Nothing moved.'),
+      'text around the spans should be untouched');
+    assert(gated.text.includes(rewrite.after) && !gated.text.includes(LEAK), 'rewrites should be spliced in');
+
+    const paragraph = await firewall.gate(text, { span: 'paragraph' });
+    assert(paragraph.report.rewrites[0].before === `The lights hummed. ${LEAK} Mr. Hale waited.`, 'paragraph spans should cover the paragraph');
+
+    const scanOnly = await firewall.gate(text, { location: 'parking_structure', rewrite: false });
+    assert(scanOnly.text === text && scanOnly.report.violations_remaining === 3 && scanOnly.report.location === 'parking_structure',
+      'rewrite: false should only count, with the location allowlist applied');
+
+    const failing = new NarrativeFirewall({ messages: { create: async () => { throw new Error('overloaded'); } } });
+    const failed = await failing.rewriteToRemoveMeta(text);
+    assert(!failed.success && failed.text === text && failed.rewrites[0].error === 'overloaded', 'a failed rewrite should keep the original span');
+    console.log(`✅ ${gated.report.rewrites.length} spans rewritten, paragraph mode and failures handled\n`);
+
+    // Chunk prose leaks meta-language from here on
+    provider.synthesizeProse = function (...args) {
+      return `${LEAK} I parked on level three. ${synthesizeProse.apply(this, args)}`;
+    };
+
+    // Test 2: Staged chunks
+    console.log('Test 2: Staged chunks are gated before they are saved');
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const { contract, state: initialState } = await stagedWorkflow.createContract({
+      wordCount: 6000,
+      locationMode: 'specific',
+      location: 'parking_structure'
+    });
+    stagedDir = stagedWorkflow.getSessionDir(contract.session_id);
+
+    const first = await stagedWorkflow.generateChunk(contract, initialState, { chunkNumber: 1 });
+    const savedChunk = await fs.readFile(path.join(stagedDir, 'chunks', 'chunk_001.txt'), 'utf-8');
+    assert(first.firewall.status === 'rewritten' && first.firewall.location === 'parking_structure', 'staged chunk should be rewritten');
+    assert(!savedChunk.includes(LEAK) && savedChunk.includes('I parked on level three.'), 'saved chunk should be clean, allowlisted text kept');
+    assert(savedChunk === first.chunkText, 'the gated text should be what is saved and audited');
+
+    const audit = JSON.parse(await fs.readFile(path.join(stagedDir, 'audit_chunk_1.json'), 'utf-8'));
+    assert(audit.firewall.violations_found === 3 && audit.firewall.violations_remaining === 0, 'audit JSON should hold the counts');
+    assert(audit.firewall.rewrites[0].before === LEAK, 'audit JSON should hold the before/after log');
+    assert(audit.checks.meta_language.status === 'PASS', 'clean chunk should pass the meta-language check');
+    const report = await fs.readFile(path.join(stagedDir, 'audit_chunk_1.md'), 'utf-8');
+    assert(report.includes('## Narrative Firewall Rewrites') && report.includes(`  - Before: ${LEAK}`), 'audit report should list rewrites');
+
+    // A rewrite that leaves the meta-language in place is a warning
+    provider.synthesizeRewrite = passage => passage;
+    const second = await stagedWorkflow.generateChunk(contract, first.state, { chunkNumber: 2 });
+    provider.synthesizeRewrite = synthesizeRewrite;
+    assert(second.firewall.status === 'violations_remaining' && second.firewall.violations_remaining === 3, 'unfixed violations should remain');
+    assert(second.auditResult.checks.meta_language.status === 'FAIL' &&
+      second.auditResult.warnings.some(w => w.check === 'meta_language' && w.reason.includes('"system" (high)')),
+      'remaining meta-language should be a warning');
+    assert(second.auditResult.status === 'PASS_WITH_WARNINGS', 'remaining meta-language should not stop generation');
+    console.log(`✅ ${first.firewall.rewrites.length} rewrite(s) in chunk 1; chunk 2 ${second.auditResult.status}\n`);
+
+    // Test 3: Chunked pipeline
+    console.log('Test 3: Chunked scenes are gated before they are saved');
+    const result = await orchestrator.executeWorkflow({ wordCount: 13000, skipAudit: true }, { sessionId: chunkedSessionId });
+    assert(result.success, `chunked workflow should succeed: ${result.error}`);
+
+    const chunkedDir = path.join(process.cwd(), 'generated', chunkedSessionId);
+    const manifest = JSON.parse(await fs.readFile(path.join(chunkedDir, 'chunk_manifest.json'), 'utf-8'));
+    assert(manifest.chunks.length > 1 && manifest.chunks.every(c => c.firewall && c.firewall.spans_rewritten >= 1 && c.firewall.violations_remaining === 0),
+      'manifest should record the firewall counts of every chunk');
+    const scene = await fs.readFile(path.join(chunkedDir, 'chunks', manifest.chunks[0].filename), 'utf-8');
+    assert(!scene.includes(LEAK), 'saved scene should be clean');
+    console.log(`✅ ${manifest.chunks.length} scenes gated\n`);
+
+    provider.synthesizeProse = synthesizeProse;
+
+    console.log('=== All firewall gate tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (stagedDir) {
+      await fs.rm(stagedDir, { recursive: true, force: true });
+    }
+    const chunkedDir = path.join(process.cwd(), 'generated', chunkedSessionId);
+    await fs.rm(chunkedDir, { recursive: true, force: true });
+    await fs.rm(`${chunkedDir}.zip`, { force: true });
+  }
+}
+
+// Run tests
+testFirewallGate()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,187 @@
+/**
+ * Test script for protagonist inventory tracking
+ * Runs item gains and losses through both pipelines, then the possession
+ * continuity checks of ConstraintEnforcer and GateAudit and the chunk prompts (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const GateAudit = require('./src/backend/services/gateAudit');
+const StateUpdater = require('./src/generators/stateUpdater');
+const CanonDeltaExtractor = require('./src/generators/canonDeltaExtractor');
+const ConstraintEnforcer = require('./src/backend/audit/constraintEnforcer');
+const StateModel = require('./src/backend/utils/stateModel');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testInventory() {
+  console.log('=== Testing Inventory Tracking ===\n');
+
+  try {
+    // Test 1: Chunked pipeline deltas
+    console.log('Test 1: Items from extracted deltas');
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-inventory', { ruleCount: 3 });
+    const updater = new StateUpdater(stateManager);
+    const extractor = new CanonDeltaExtractor(null);
+
+    const first = extractor.parseDeltaResponse(JSON.stringify({
+      itemsGained: ['Flashlight', 'the keycard'],
+      itemsUsed: [' '],
+      timelineCommitments: []
+    }), 1);
+    assert(first.itemsGained.join() === 'Flashlight,the keycard' && first.itemsUsed.length === 0, 'item lists should be parsed');
+    updater.updateCanonicalState(extractor.toStateManagerFormat(first));
+
+    const result = updater.updateCanonicalState({
+      sceneNumber: 2,
+      itemsUsed: ['keycard', 'lighter'],
+      itemsLost: ['flashlight']
+    });
+    const condition = stateManager.getState().canonical_state.protagonist.physical_condition;
+    assert(condition.possessions.join() === 'keycard,lighter', 'used items should be kept, untracked ones added');
+    assert(condition.lost_possessions.join() === 'flashlight', 'lost item should move to lost_possessions');
+    assert(stateManager.inventory.has('The Keycard'), 'item names should match without case or article');
+    assert(condition.possession_log.map(e => `${e.event}:${e.scene}`).join() === 'gained:1,gained:1,used:2,used:2,lost:2', 'every event should be logged with its scene');
+    assert(result.appliedChanges.filter(c => c.type === 'possession').length === 3, 'update result should list the events');
+
+    stateManager.updatePossessions({ gained: ['radio'], destroyed: ['radio'] }, 3);
+    assert(condition.lost_possessions.includes('radio') && !condition.possessions.includes('radio'), 'item gained and destroyed together should end up lost');
+    assert(stateManager.getSummary().possessions_count === 2, 'summary should count possessions');
+    console.log(`✅ Carrying: ${condition.possessions.join(', ')}; lost: ${condition.lost_possessions.join(', ')}\n`);
+
+    // Test 2: ConstraintEnforcer
+    console.log('Test 2: Constraint enforcer');
+    const enforcer = new ConstraintEnforcer(stateManager);
+    const issues = prose => enforcer.checkPossessionContinuity(prose).issues;
+
+    const lostUse = issues('The hall went dark. I switched on my flashlight and swept the beam across the doors.');
+    assert(lostUse.length === 1 && lostUse[0].type === 'lost_item_used' && lostUse[0].severity === 'critical', 'use of a lost item should be critical');
+    assert(lostUse[0].description.includes('lost in scene 2'), 'issue should say when it was lost');
+
+    assert(issues('I switched on the flashlight. Then I dropped the flashlight down the stairwell.').length === 0,
+      'use before the prose loses the item should pass');
+    assert(issues('I dropped the flashlight down the stairwell. Later I raised the flashlight again.').length === 1,
+      'use after the prose loses the item should be flagged');
+    assert(issues('I swiped the keycard and the door unlocked.').length === 0, 'item carried should pass');
+
+    const othersItem = issues('The guard swept the hall with his flashlight. He switched on his radio.');
+    assert(othersItem.length === 2 && othersItem.every(i => i.type === 'unattributed_lost_item_used' && i.severity === 'major'),
+      'another character using an item like the narrator\'s lost one should be a major issue, not critical');
+    assert(issues('The guard pulled out his phone.').length === 0, 'another character\'s item is not one the narrator never acquired');
+
+    const unacquired = issues('I pulled out my phone to call for help.');
+    assert(unacquired.length === 1 && unacquired[0].type === 'unacquired_item_used' && unacquired[0].severity === 'major',
+      'item never acquired should be flagged');
+
+    const enforced = enforcer.enforceConstraints('I switched on my flashlight.');
+    assert(!enforced.passed && enforced.results.possessions.issues.length === 1 && enforced.summary.criticalViolations >= 1,
+      'enforceConstraints should include the possession check');
+    console.log('✅ Lost and never-acquired items flagged\n');
+
+    // Test 3: Staged pipeline and GateAudit
+    console.log('Test 3: Staged updates and gate audit');
+    const contract = {
+      session_id: 'test-inventory-staged',
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Do not leave the ward' }] },
+      identity_anchors: { protagonist: { name: 'Mara' } },
+      generation_parameters: { chunk_size: 40 }
+    };
+    const tracker = new StateTracker();
+    tracker.initializeFromContract(contract);
+    tracker.updateAfterChunk({ items_gained: ['flashlight', 'keycard'] }, 1, 40);
+    tracker.updateAfterChunk({ items_used: ['keycard'], items_lost: ['flashlight'] }, 2, 40);
+    const previousState = JSON.parse(tracker.exportState());
+    assert(previousState.narrative_delta_log[1].changes.includes('item lost: flashlight'), 'delta log should list the loss');
+
+    const gateAudit = new GateAudit(null);
+    const prose = 'I switched on my flashlight and walked the ward again, counting the beds under my breath while the lights hummed overhead. ' +
+      'Nothing moved at first. Then the curtain at the far end of the ward shifted.';
+    tracker.updateAfterChunk({}, 3, prose.split(/\s+/).length);
+    const audit = await gateAudit.auditChunk(contract, previousState, tracker.getState(), prose, 3);
+    assert(audit.checks.possession_continuity.status === 'FAIL', 'possession check should fail');
+    assert(audit.critical_failures.some(f => f.check === 'possession_continuity' && f.evidence.includes('lost in chunk 2')),
+      'gate audit should stop on the lost item');
+
+    // Only uses the prose gives to the protagonist are failures
+    const guard = 'The guard swept the hall with his flashlight. I pulled out my keycard.';
+    const others = await gateAudit.checkPossessionContinuity(tracker.getState(), guard);
+    assert(others.status === 'WARN' && others.sub_checks.no_lost_items_used.status === 'PASS' &&
+      others.sub_checks.no_unattributed_lost_items_used.evidence.includes('"with his flashlight"'), 'another character\'s item should only warn');
+
+    const thirdPerson = JSON.parse(tracker.exportState());
+    Object.assign(thirdPerson.canonical_state.immutable_facts, { pov_type: 'third_person_limited', protagonist_name: 'Mara Quill' });
+    const named = await gateAudit.checkPossessionContinuity(thirdPerson, 'Mara raised the flashlight toward the curtain.');
+    assert(named.status === 'FAIL', 'third person: a use by the protagonist\'s name should fail');
+    const pronoun = await gateAudit.checkPossessionContinuity(thirdPerson, 'She raised her flashlight toward the curtain. I checked my phone.');
+    assert(pronoun.status === 'WARN' && pronoun.sub_checks.no_unacquired_items_used.status === 'PASS',
+      'third person: a pronoun may be anyone, and "I" is not the protagonist');
+
+    tracker.updateAfterChunk({ items_gained: ['flashlight'] }, 4, 40);
+    const found = await gateAudit.checkPossessionContinuity(tracker.getState(), 'I found the flashlight under a bed. I switched on my flashlight.');
+    assert(found.status === 'PASS', 'item found again should pass');
+    const warned = await gateAudit.checkPossessionContinuity(tracker.getState(), 'I checked my phone. No signal.');
+    assert(warned.status === 'WARN' && warned.sub_checks.no_unacquired_items_used.evidence.includes('phone'), 'never-acquired item should warn');
+
+    // Extraction records the use of an item it never saw acquired
+    const beforeUse = JSON.parse(tracker.exportState());
+    const pulled = 'I pulled out my phone and held it up to the dark doorway. No signal, and the battery was almost gone.';
+    tracker.updateAfterChunk({ items_used: ['phone'] }, 5, pulled.split(/\s+/).length, pulled);
+    assert(tracker.getState().canonical_state.protagonist.physical_condition.possessions.includes('phone'), 'used item should be carried from now on');
+    const afterExtraction = await gateAudit.auditChunk(contract, beforeUse, tracker.getState(), pulled, 5);
+    assert(afterExtraction.checks.possession_continuity.status === 'WARN' &&
+      afterExtraction.checks.possession_continuity.sub_checks.no_unacquired_items_used.evidence.includes('phone never acquired'),
+      'item first used after extraction should still warn');
+
+    const beforeGain = JSON.parse(tracker.exportState());
+    const picked = 'A lighter lay on the windowsill. I took it, struck the lighter, and watched the flame shiver.';
+    tracker.updateAfterChunk({ items_gained: ['lighter'], items_used: ['lighter', 'phone'] }, 6, picked.split(/\s+/).length, picked);
+    const gainedAndUsed = await gateAudit.auditChunk(contract, beforeGain, tracker.getState(), `${picked} I checked my phone again.`, 6);
+    assert(gainedAndUsed.checks.possession_continuity.status === 'PASS', 'items gained in the chunk or carried before it should pass');
+    console.log('✅ Gate audit stops on a lost item and warns on an untracked one\n');
+
+    // Test 4: Chunk prompts
+    console.log('Test 4: Chunk prompts');
+    tracker.updateAfterChunk({ items_destroyed: ['keycard'] }, 7, 40);
+    const context = tracker.getPromptContext();
+    assert(context.includes('- Carrying: flashlight, phone, lighter') && context.includes('- Lost: keycard (destroyed in chunk 7)'), 'staged prompt should list the inventory');
+    assert(context.includes('Lost items are GONE'), 'staged prompt should forbid lost items');
+
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Protagonist Inventory:') && constraints.includes('- Lost: flashlight (lost in scene 2), radio (destroyed in scene 3)'),
+      'chunked prompt should list the inventory');
+    assert(constraints.includes('- Have the narrator use lost items (flashlight, radio)'), 'chunked prompt should prohibit lost items');
+    console.log('✅ Inventory in both prompts\n');
+
+    // Test 5: Older states
+    console.log('Test 5: Older states');
+    const legacy = StateModel.create('test-inventory-legacy');
+    delete legacy.canonical_state.protagonist.physical_condition.possession_log;
+    legacy.canonical_state.protagonist.physical_condition.possessions = ['map'];
+    const migrated = StateModel.migrate(legacy).canonical_state.protagonist.physical_condition;
+    assert(Array.isArray(migrated.possession_log) && migrated.possessions.join() === 'map', 'possession_log should be added');
+    console.log('✅ Legacy states get a possession log\n');
+
+    console.log('=== All inventory tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testInventory()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
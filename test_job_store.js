@@ -0,0 +1,180 @@
+/**
+ * Test script for the durable job store
+ * Persists jobs atomically, reloads them in a new instance (as after a
+ * restart) and polls /api/status on a freshly started server
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const fs = require('fs').promises;
+const { spawn } = require('child_process');
+const JobStore = require('./src/backend/utils/jobStore');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readLines(filepath) {
+  return (await fs.readFile(filepath, 'utf-8')).split('\n').filter(line => line.trim());
+}
+
+/**
+ * Start server.js and resolve once it listens
+ */
+function startServer(port) {
+  return new Promise((resolve, reject) => {
+    const server = spawn('node', [path.join(__dirname, 'server.js')], {
+      cwd: __dirname,
+      env: { ...process.env, PORT: String(port), LLM_PROVIDER: 'mock', ADMIN_PASSWORD: '' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const timer = setTimeout(() => {
+      server.kill();
+      reject(new Error(`Server did not start: ${output.slice(-500)}`));
+    }, 60000);
+
+    const onData = data => {
+      output += data;
+      if (output.includes('Server running on')) {
+        clearTimeout(timer);
+        resolve({ server, output: () => output });
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}: ${output.slice(-500)}`));
+    });
+  });
+}
+
+function getJson(port, urlPath) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on('error', reject);
+  });
+}
+
+async function testJobStore() {
+  console.log('=== Testing Job Store ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-jobs-'));
+  const serverJobs = new JobStore({ baseDir: path.join(__dirname, 'generated') });
+  const stamp = Date.now();
+  const runningId = `test-job-running-${stamp}`;
+  const completeId = `test-job-complete-${stamp}`;
+  let server = null;
+
+  try {
+    // Test 1: Atomic persistence
+    console.log('Test 1: Jobs are written atomically with an event log');
+    const store = new JobStore({ baseDir });
+    await store.initialize();
+    await store.set('job-a', { status: 'running', sessionId: 'session-a', createdAt: '2026-01-01T00:00:00.000Z' });
+    await store.addEvent('job-a', { type: 'stage_start', stage: 'contract', percentComplete: 10 });
+    const firstEvent = (await readLines(store.getEventsPath('job-a')))[0];
+    await store.addEvent('job-a', { type: 'chunk_complete', stage: 'chunks', percentComplete: 40 });
+    await store.addArtifact('job-a', { name: 'chunk_001.txt', path: 'chunks/chunk_001.txt' });
+    await store.set('job-b', { status: 'running', createdAt: '2026-01-01T00:00:01.000Z' });
+    await store.set('job-c', { status: 'complete', sessionId: 'session-c', result: { sessionId: 'session-c' } });
+
+    const files = await fs.readdir(store.jobsDir);
+    assert(!files.some(f => f.endsWith('.tmp')), 'no temp files should be left behind');
+    const persisted = JSON.parse(await fs.readFile(store.getJobPath('job-a'), 'utf-8'));
+    assert(persisted.progress.stage === 'chunks' && persisted.progress.percentComplete === 40, 'latest progress should be persisted');
+    assert(persisted.artifacts.length === 1 && persisted.artifacts[0].name === 'chunk_001.txt', 'artifacts should be persisted');
+
+    const events = await readLines(store.getEventsPath('job-a'));
+    assert(events.length === 2 && events[0] === firstEvent, 'events should be appended, not rewritten');
+    assert((await store.getEvents('job-a')).map(e => e.type).join() === 'stage_start,chunk_complete', 'events should read back in order');
+    console.log(`✅ ${files.filter(f => f.endsWith('.json')).length} job records, ${events.length} events\n`);
+
+    // Test 2: Restart
+    console.log('Test 2: A new instance marks running jobs interrupted');
+    await fs.writeFile(path.join(store.jobsDir, 'job-corrupt.json'), '{ not json', 'utf-8');
+    const restarted = new JobStore({ baseDir });
+    const { loaded, interrupted } = await restarted.initialize();
+    assert(loaded === 3 && interrupted.sort().join() === 'job-a,job-b', `unexpected reload ${loaded} ${interrupted}`);
+
+    const jobA = restarted.get('job-a');
+    assert(jobA.status === 'interrupted' && jobA.resumable === true && jobA.interruptedAt, 'job with a session should be resumable');
+    assert(jobA.artifacts.length === 1 && jobA.progress.type === 'interrupted' && jobA.progress.stage === 'chunks',
+      'artifacts and last stage should survive the restart');
+    assert(restarted.get('job-b').resumable === false, 'job without a session should not be resumable');
+    assert(restarted.get('job-c').status === 'complete', 'finished jobs should be left alone');
+    assert(restarted.findBySession('session-c').jobId === 'job-c', 'jobs should be found by session');
+
+    const reloadedEvents = await restarted.getEvents('job-a');
+    assert(reloadedEvents.length === 3 && reloadedEvents[2].type === 'interrupted' && reloadedEvents[2].stage === 'chunks',
+      'the interruption should be appended to the event log');
+    const onDisk = JSON.parse(await fs.readFile(restarted.getJobPath('job-a'), 'utf-8'));
+    assert(onDisk.status === 'interrupted', 'the interruption should be persisted');
+    console.log(`✅ ${interrupted.length} job(s) interrupted, 1 resumable\n`);
+
+    // Test 3: /api/status after a restart
+    console.log('Test 3: /api/status answers for jobs from before the restart');
+    await serverJobs.set(runningId, { status: 'running', sessionId: `session-${stamp}`, createdAt: new Date().toISOString() });
+    await serverJobs.addEvent(runningId, { type: 'stage_start', stage: 'chunks' });
+    await serverJobs.set(completeId, {
+      status: 'complete',
+      createdAt: new Date().toISOString(),
+      result: { sessionId: `session-done-${stamp}`, summary: { wordCount: 8000 } }
+    });
+
+    const port = 3900 + Math.floor(Math.random() * 100);
+    ({ server } = await startServer(port));
+
+    const running = await getJson(port, `/api/status/${runningId}`);
+    assert(running.status === 409 && running.body.status === 'interrupted' && running.body.resumable === true,
+      `running job should be reported interrupted: ${JSON.stringify(running.body)}`);
+    assert(running.body.resumeUrl === `/api/session/session-${stamp}/resume`, 'interrupted job should point at its resume route');
+
+    const complete = await getJson(port, `/api/status/${completeId}`);
+    assert(complete.status === 200 && complete.body.downloadUrl === `/api/download/${completeId}` &&
+      complete.body.summary.wordCount === 8000, 'completed job should still be downloadable');
+
+    const serverEvents = await getJson(port, `/api/status/${runningId}/events`);
+    assert(serverEvents.status === 200 && JSON.stringify(serverEvents.body).includes('"interrupted"'), 'event log should be served');
+
+    const missing = await getJson(port, '/api/status/job-does-not-exist');
+    assert(missing.status === 404 && missing.body.success === false, 'unknown job should be a 404');
+    console.log(`✅ ${running.body.status} (resumable) and ${complete.body.status} jobs served after restart\n`);
+
+    console.log('=== All job store tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (server) {
+      server.removeAllListeners('exit');
+      server.kill();
+    }
+    await fs.rm(baseDir, { recursive: true, force: true });
+    for (const jobId of [runningId, completeId]) {
+      await fs.rm(serverJobs.getJobPath(jobId), { force: true });
+      await fs.rm(serverJobs.getEventsPath(jobId), { force: true });
+    }
+  }
+}
+
+// Run tests
+testJobStore()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,149 @@
+/**
+ * Test script for name continuity
+ * Extracts proper nouns from prose in both pipelines, flags respelled names
+ * and a named narrator, then the gate audit and chunk prompts (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const GateAudit = require('./src/backend/services/gateAudit');
+const NameContinuity = require('./src/backend/services/nameContinuity');
+const StateUpdater = require('./src/generators/stateUpdater');
+const StateModel = require('./src/backend/utils/stateModel');
+const StateDiff = require('./src/backend/utils/stateDiff');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testNameContinuity() {
+  console.log('=== Testing Name Continuity ===\n');
+
+  try {
+    // Test 1: Extraction and spelling distance
+    console.log('Test 1: Proper nouns and near spellings');
+    const names = NameContinuity.extractNames(
+      'It was late when I met Mr. Hale at the desk of the Pine Hollow Motel. Hale looked tired. ' +
+      'When Mara Cole came in, he left. The lights flickered on Monday. Father, please.'
+    );
+    assert(names.map(n => n.name).join() === 'Mr. Hale,Pine Hollow Motel,Hale,Mara Cole',
+      'titles, multi-word names and names after a sentence opener should be found; ordinary words skipped');
+
+    assert(NameContinuity.editDistance('hale', 'hall') === 1 && NameContinuity.editDistance('abernathy', 'abernethy') === 1, 'edit distance');
+    assert(NameContinuity.isVariant('Mr. Hall', 'Mr. Hale') && NameContinuity.isVariant('Hall', 'Mr. Hale'), 'one letter off should be a variant');
+    assert(!NameContinuity.isVariant('Cole', 'Mara Cole') && !NameContinuity.isVariant('Mr. Hale', 'Hale'), 'part of a name should not be a variant');
+    assert(!NameContinuity.isVariant('Tom', 'Tim'), 'three-letter names should have to match exactly');
+    const clusters = NameContinuity.cluster(['Mr. Hale', 'Mara', 'Hall', 'Ellis', 'Mr. Hall']);
+    assert(JSON.stringify(clusters) === JSON.stringify([['Mr. Hale', 'Hall'], ['Mara'], ['Ellis']]), 'near spellings should cluster');
+    console.log('✅ Names extracted and clustered\n');
+
+    // Test 2: Staged pipeline
+    console.log('Test 2: Staged chunks');
+    const contract = {
+      session_id: 'test-names-staged',
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Never give the night manager your name' }] },
+      identity_anchors: {
+        protagonist: { name: null, role: 'night auditor' },
+        setting: { location_name: 'Pine Hollow Motel' },
+        point_of_view: { pov_type: 'first_person', tense: 'past' }
+      },
+      generation_parameters: { chunk_size: 40 }
+    };
+    const tracker = new StateTracker();
+    tracker.initializeFromContract(contract);
+    const continuity = () => tracker.getState().canonical_state.continuity;
+
+    tracker.updateAfterChunk({}, 1, 40, 'I signed in at the Pine Hollow Motel. Mr. Hale gave me the keys and a warning. I did not ask Mr. Hale why.');
+    assert(continuity().named_elements.prose_names.join() === 'Mr. Hale', 'new names should be recorded');
+
+    tracker.updateAfterChunk({ entities_appeared: [{ name: 'The Visitor' }] }, 2, 40,
+      'A woman called Ellis rang the bell. I told Ellis we were full, but Elis did not move. The Visitor stood behind her.');
+    assert(continuity().named_elements.prose_names.join() === 'Mr. Hale,Ellis', 'the most used spelling should be kept');
+    assert(continuity().name_drifts[0].found === 'Elis' && continuity().name_drifts[0].known === 'Ellis', 'rarer spelling in the same chunk should drift');
+
+    const previousState = JSON.parse(tracker.exportState());
+    const respelled = 'At two I went back to the desk. Mr. Hall was waiting there, smiling at nothing.';
+    tracker.updateAfterChunk({}, 3, 40, respelled);
+    const drift = continuity().name_drifts[1];
+    assert(drift.type === 'spelling' && drift.found === 'Mr. Hall' && drift.known === 'Mr. Hale' && drift.chunk === 3, 'respelled name should drift');
+    assert(drift.known_locations.join() === 'chunk 1' && drift.excerpt.includes('Mr. Hall was waiting'), 'drift should give where both spellings were used');
+    assert(!continuity().named_elements.prose_names.includes('Mr. Hall'), 'a drift should not become a name');
+    assert(tracker.getState().narrative_delta_log[2].changes.some(c => c.startsWith('name drift: "Mr. Hall" looks like a misspelling of "Mr. Hale"')),
+      'delta log should record the drift');
+
+    const gateAudit = new GateAudit(null);
+    const audit = await gateAudit.auditChunk(contract, previousState, tracker.getState(), respelled, 3);
+    const check = audit.checks.name_continuity;
+    assert(check.status === 'FAIL' && check.sub_checks.names_consistent.evidence.includes('"Mr. Hall" (chunk 3: ') &&
+      check.sub_checks.names_consistent.evidence.includes('vs "Mr. Hale" (chunk 1)'), 'gate audit should report both spellings');
+    assert(audit.status === 'PASS_WITH_WARNINGS' && audit.warnings.some(w => w.check === 'name_continuity'), 'drifts should be warnings');
+
+    tracker.updateAfterChunk({}, 4, 40, '"Who are you?" he asked. "My name is Daniel," I said before I could stop myself.');
+    const narrator = await gateAudit.checkNameContinuity(tracker.getState(), 4);
+    assert(narrator.sub_checks.narrator_unnamed.status === 'FAIL' && narrator.failure_reason === 'The unnamed first-person narrator is called "Daniel"',
+      'naming the unnamed narrator should be flagged');
+    assert(!continuity().named_elements.prose_names.includes('Daniel'), "the narrator's name should not be established");
+    tracker.updateAfterChunk({}, 5, 40, 'Mr. Hale did not come back. I locked the office.');
+    assert((await gateAudit.checkNameContinuity(tracker.getState(), 5)).status === 'PASS', 'a chunk with the right spellings should pass');
+
+    const context = tracker.getPromptContext();
+    assert(context.includes('### Names') && context.includes('Names in use (keep these spellings): Pine Hollow Motel, The Visitor, Mr. Hale, Ellis'),
+      'staged prompt should give the established spellings');
+    assert(context.includes('The narrator has no name: nobody calls them by one'), 'staged prompt should keep the narrator unnamed');
+    console.log(`✅ ${continuity().name_drifts.length} drifts flagged in staged chunks\n`);
+
+    // Test 3: Chunked pipeline
+    console.log('Test 3: Chunked scenes');
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-names-chunked', { ruleCount: 2 });
+    const updater = new StateUpdater(stateManager);
+
+    updater.updateCanonicalState({ sceneNumber: 1 }, { prose: 'The ward was quiet. Dr. Abernathy checked the charts twice.' });
+    const respelledScene = updater.updateCanonicalState({ sceneNumber: 2 }, { prose: 'By midnight Dr. Abernethy had stopped answering pages.' });
+    assert(respelledScene.appliedChanges.some(c => c.type === 'name_drift' && c.found === 'Dr. Abernethy' && c.known === 'Dr. Abernathy'),
+      'scene drift should be an applied change');
+    assert(stateManager.getSummary().name_drifts === 1, 'summary should count drifts');
+    assert(stateManager.getState().canonical_state.continuity.name_drifts[0].known_locations.join() === 'scene 1', 'scene locations should be given');
+
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Names:') && constraints.includes('- Names in use (keep these spellings): Dr. Abernathy'),
+      'chunked prompt should give the spellings');
+    assert(constraints.includes('- "Dr. Abernethy" was a misspelling: the name is "Dr. Abernathy"'), 'chunked prompt should correct the last drift');
+    console.log('✅ Drift flagged in scenes\n');
+
+    // Test 4: Older states
+    console.log('Test 4: Older states');
+    const legacy = StateModel.create('test-names-legacy');
+    delete legacy.canonical_state.continuity.name_sightings;
+    delete legacy.canonical_state.continuity.name_drifts;
+    delete legacy.canonical_state.continuity.named_elements.prose_names;
+    const migrated = StateModel.migrate(legacy);
+    assert(Array.isArray(migrated.canonical_state.continuity.named_elements.prose_names) &&
+      Array.isArray(migrated.canonical_state.continuity.name_drifts), 'name fields should be added');
+
+    const later = JSON.parse(JSON.stringify(migrated));
+    later.canonical_state.continuity.named_elements.prose_names.push('Mr. Hale');
+    assert(StateDiff.diff(migrated, later).changes.some(c => c.text === 'New prose name: Mr. Hale'), 'state diff should list prose names');
+    console.log('✅ Legacy states upgraded\n');
+
+    console.log('=== All name continuity tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testNameContinuity()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+/**
+ * Test script for the narrative firewall lexicon
+ * Scans prose against the pack's firewall.yaml: severities, allowed and
+ * banned contexts, location allowlists and child-pack overrides (no API calls)
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const NarrativeFirewall = require('./src/validators/narrativeFirewall');
+const FirewallLexicon = require('./src/backend/utils/firewallLexicon');
+const TemplateLoader = require('./src/backend/utils/templateLoader');
+const TemplateReferenceChecker = require('./src/backend/utils/templateReferences');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function expectCode(fn, code) {
+  try {
+    await fn();
+  } catch (error) {
+    return error.code === code ? error : null;
+  }
+  return null;
+}
+
+const PROSE = 'The security protocol had not changed in years. My nervous system hummed. ' +
+  'I parked on level three. Nobody would understand the system of rules here, not even the nervous system of the place.';
+
+async function testNarrativeFirewall() {
+  console.log('=== Testing Narrative Firewall ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-firewall-'));
+  const packsRoot = path.join(baseDir, 'templates');
+
+  try {
+    // Test 1: Default lexicon
+    console.log('Test 1: Lexemes, severities and contexts');
+    const firewall = new NarrativeFirewall();
+    const result = firewall.scanForMetaLanguage(PROSE);
+    const flagged = result.violations.map(v => `${v.match}:${v.severity}`);
+    assert(JSON.stringify(flagged) === '["protocol:low","level:low","system:high"]', `unexpected violations ${flagged}`);
+    assert(result.allowed.filter(a => a.reason === 'nervous system').length === 2, 'allowed contexts should be let through and reported');
+    assert(result.violations[2].position === PROSE.indexOf('system of rules'), 'banned context should be flagged');
+    assert(firewall.getSeverity('threshold') === 'medium' && firewall.getSeverity('mechanism') === 'high', 'severities should come from the lexicon');
+
+    const pattern = firewall.scanForMetaLanguage('I had triggered the alarm.');
+    assert(pattern.violations.some(v => v.type === 'banned_pattern' && v.severity === 'high'), 'patterns should default to high');
+    assert(NarrativeFirewall.getForbiddenWordsList().includes('level') && NarrativeFirewall.getForbiddenPatterns().length > 0, 'static lists should come from the lexicon');
+    console.log(`✅ ${result.summary}\n`);
+
+    // Test 2: Location allowlists
+    console.log('Test 2: Location allowlists');
+    const airport = firewall.scanForMetaLanguage(PROSE, { location: 'airport_after_hours' });
+    assert(!airport.violations.some(v => v.term === 'protocol'), 'airport should allow "security protocol"');
+    assert(airport.allowed.some(a => a.term === 'protocol' && a.reason === 'security protocol'), 'allowlist phrase should be reported');
+    assert(firewall.scanForMetaLanguage('The protocol was the protocol.', { location: 'airport_after_hours' }).violationCount === 2,
+      'the term outside the allowed phrase should still be flagged');
+
+    const parking = new NarrativeFirewall(null, { location: 'parking_structure' });
+    const parked = parking.scanForMetaLanguage(PROSE);
+    assert(!parked.violations.some(v => v.term === 'level') && parked.allowed.some(a => a.term === 'level' && a.reason === 'location'),
+      'parking structure should allow "level" everywhere');
+    assert(parked.violations.some(v => v.term === 'system'), 'banned contexts should still be flagged at the location');
+    assert(!NarrativeFirewall.getForbiddenWordsList(FirewallLexicon.loadDefault(), 'parking_structure').includes('level'),
+      'prompt word list should leave out allowed lexemes');
+    console.log(`✅ airport: ${airport.summary}; parking: ${parked.summary}\n`);
+
+    // Test 3: Child pack merge
+    console.log('Test 3: Child pack overrides');
+    await fs.cp(path.join(__dirname, 'templates', 'v1'), path.join(packsRoot, 'v1'), { recursive: true });
+    await fs.mkdir(path.join(packsRoot, 'depot'));
+    await fs.writeFile(path.join(packsRoot, 'depot', 'pack.yaml'),
+      'name: depot\nversion: "0.1.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n');
+    await fs.writeFile(path.join(packsRoot, 'depot', 'firewall.yaml'), [
+      'version: "1.0"',
+      'lexemes:',
+      '  - term: "level"',
+      '    severity: "off"',
+      '  - term: "protocol"',
+      '    severity: "high"',
+      '  - term: "timetable"',
+      '    severity: "medium"',
+      'patterns:',
+      '  - pattern: "the (route|line) (wanted|chose)"',
+      '    severity: "medium"',
+      'location_allowlists:',
+      '  airport_after_hours:',
+      '    allowed_contexts: ["boarding protocol"]',
+      ''
+    ].join('\n'));
+
+    const loader = new TemplateLoader(packsRoot, 'v1');
+    const depot = await loader.runWithPack('depot', () => loader.loadFirewallLexicon());
+    const depotFirewall = new NarrativeFirewall(null, { lexicon: depot, location: 'airport_after_hours' });
+    const depotScan = depotFirewall.scanForMetaLanguage(
+      'I parked on level three. The security protocol and the boarding protocol. The timetable lied. The line wanted me.');
+    const depotFlagged = depotScan.violations.map(v => `${v.match}:${v.severity}`);
+    assert(JSON.stringify(depotFlagged) === '["protocol:high","timetable:medium","The line wanted:medium"]', `unexpected pack violations ${depotFlagged}`);
+    assert(depot.getLexeme('system').severity === 'high', 'parent lexemes should be kept');
+    assert(depot.locations().includes('parking_structure'), 'parent allowlists should be kept');
+    console.log('✅ Child lexemes, patterns and allowlists merged\n');
+
+    // Test 4: Schema and references
+    console.log('Test 4: Schema and reference checks');
+    await fs.writeFile(path.join(packsRoot, 'depot', 'firewall.yaml'),
+      'version: "1.0"\nlexemes:\n  - term: "timetable"\n    severity: "severe"\n');
+    loader.clearCache();
+    const loadError = await expectCode(() => loader.packContext.run('depot', () => loader.loadFirewallLexicon()), 'INVALID_TEMPLATE');
+    assert(loadError && loadError.errors[0].includes('lexemes[0].severity') && loadError.errors[0].includes('high, medium, low, off'),
+      'bad severity should be refused with the allowed values');
+
+    await fs.writeFile(path.join(packsRoot, 'depot', 'firewall.yaml'),
+      'version: "1.0"\nlocation_allowlists:\n  airport_after_hour:\n    allowed_lexemes: ["protocol"]\n');
+    loader.clearCache();
+    const references = await loader.packContext.run('depot', () => new TemplateReferenceChecker(loader).check());
+    const dangling = references.dangling.filter(d => d.file === 'firewall.yaml').map(TemplateReferenceChecker.format);
+    assert(dangling.length === 1 && dangling[0].includes('firewall.yaml: location_allowlists.airport_after_hour: unknown location') &&
+      dangling[0].includes('did you mean "airport_after_hours"'), `unexpected reference errors ${dangling}`);
+    console.log(`✅ ${loadError.errors[0]}\n`);
+
+    console.log('=== All narrative firewall tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testNarrativeFirewall()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+/**
+ * Test script for the setup/payoff promise ledger
+ * Records promises in both pipelines, checks the final-chunk prompt, and the
+ * payoff report of staged assembly and PostProcessor (mock provider, no API calls)
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const PromiseLedger = require('./src/backend/services/promiseLedger');
+const StateUpdater = require('./src/generators/stateUpdater');
+const CanonDeltaExtractor = require('./src/generators/canonDeltaExtractor');
+const ChunkPersistence = require('./src/generators/chunkPersistence');
+const PostProcessor = require('./src/generators/postProcessor');
+const StateModel = require('./src/backend/utils/stateModel');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function exists(filepath) {
+  return fs.access(filepath).then(() => true, () => false);
+}
+
+async function testPromiseLedger() {
+  console.log('=== Testing Promise Ledger ===\n');
+
+  let sessionDir = null;
+  let tempDir = null;
+
+  try {
+    // Test 1: Staged promises
+    console.log('Test 1: Promises made and paid in staged chunks');
+    const contract = {
+      session_id: 'test-promises-staged',
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Do not open the drawer' }] },
+      identity_anchors: { protagonist: { name: 'Mara' } },
+      generation_parameters: { chunk_size: 40 }
+    };
+    const tracker = new StateTracker();
+    tracker.initializeFromContract(contract);
+    tracker.updateAfterChunk({
+      promises: [
+        { setup: 'The brass key taped under the night desk drawer', kind: 'object', importance: 'critical', payoff_by: 3 },
+        { setup: 'The bells will stop at three', kind: 'foreshadowing' },
+        { setup: 'A smell of wet earth in the lift', kind: 'clue', importance: 'minor' },
+        { setup: 'The brass key taped under the night desk drawer' }
+      ]
+    }, 1, 40);
+    const promises = tracker.getState().canonical_state.continuity.promises;
+    assert(promises.map(p => p.promise_id).join() === 'promise_1,promise_2,promise_3', 'repeated setup should not be recorded twice');
+    assert(promises[1].importance === 'major' && promises[2].kind === 'foreshadowing', 'unknown kind and importance should fall back');
+
+    tracker.updateAfterChunk({ promises_paid: ['promise_2', 'the smell of wet earth', 'a ghost that never appeared'] }, 2, 40);
+    assert(promises[1].paid_off && promises[1].payoff_chunk === 2, 'promise should be paid by id');
+    assert(promises[2].paid_off, 'promise should be paid by close wording');
+    assert(tracker.getState().narrative_delta_log[1].changes.filter(c => c.startsWith('promise paid')).length === 2, 'delta log should list payoffs');
+
+    const context = tracker.getPromptContext();
+    assert(context.includes('### Open Promises') &&
+      context.includes('promise_1 (object, critical): The brass key taped under the night desk drawer - set up in chunk 1, pay off by chunk 3'),
+      'chunk prompt should list open promises');
+    console.log('✅ 3 promises recorded, 2 paid\n');
+
+    // Test 2: Final-chunk prompt and staged assembly
+    console.log('Test 2: Final chunk and staged assembly');
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const created = await stagedWorkflow.createContract({ wordCount: 6000 });
+    const sessionId = created.contract.session_id;
+    sessionDir = stagedWorkflow.getSessionDir(sessionId);
+
+    let state = (await stagedWorkflow.generateChunk(created.contract, created.state, { chunkNumber: 1 })).state;
+    const staged = new StateTracker();
+    staged.loadState(state);
+    staged.promises.open({ setup: 'The brass key under the drawer', kind: 'object', importance: 'critical' }, { chunk: 1 });
+    staged.promises.open({ setup: 'The radio static has a voice in it', kind: 'foreshadowing', importance: 'minor' }, { chunk: 1 });
+    state = staged.getState();
+
+    const requirements = await stagedWorkflow.loadPayoffRequirements();
+    assert(requirements.includes('Ending must enact thematic choice (not just describe it)'), 'thematic payoff requirements should load');
+    const prompt = stagedWorkflow.buildChunkPrompt(created.contract, staged, 2, 2000, true, [], requirements);
+    assert(prompt.includes('# PROMISES TO PAY OFF') && prompt.includes('promise_1 (object, critical): The brass key under the drawer'),
+      'final chunk should be told which promises to resolve');
+    const payoffSection = prompt.slice(prompt.indexOf('# PROMISES TO PAY OFF'), prompt.indexOf('# THEMATIC PAYOFF'));
+    assert(!payoffSection.includes('radio static') && prompt.includes('# THEMATIC PAYOFF'),
+      'final chunk should be told to resolve major promises and the thematic payoff, not minor ones');
+    assert(!stagedWorkflow.buildChunkPrompt(created.contract, staged, 1, 2000, false).includes('PROMISES TO PAY OFF'), 'earlier chunks should not be');
+
+    state = (await stagedWorkflow.generateChunk(created.contract, state, { chunkNumber: 2 })).state;
+
+    let refused = null;
+    try {
+      await stagedWorkflow.assemble(created.contract, state);
+    } catch (error) {
+      refused = error;
+    }
+    assert(refused && refused.code === 'UNPAID_PROMISES' && refused.payoffReport.critical_unpaid[0].promise_id === 'promise_1',
+      'assembly should refuse a critical promise unpaid');
+    const report = await fs.readFile(path.join(sessionDir, 'payoff_report.md'), 'utf-8');
+    assert(report.includes('**Status:** FAIL (1 critical promise(s) unpaid)') && report.includes('| promise_1: The brass key under the drawer | object | critical | chunk 1 | - |'),
+      'payoff report should be written even when assembly fails');
+    assert(!(await exists(path.join(sessionDir, 'full_story.md'))), 'story should not be assembled');
+
+    const allowed = await stagedWorkflow.assemble(created.contract, state, { allowUnpaidPromises: true });
+    assert(allowed.payoffReport.unpaid.length === 2 && await exists(allowed.storyPath), 'assembly should go ahead when allowed');
+
+    const paid = new StateTracker();
+    paid.loadState(state);
+    paid.promises.pay('promise_1', { chunk: 2 });
+    const assembled = await stagedWorkflow.assemble(created.contract, paid.getState());
+    assert(assembled.payoffReport.passed && assembled.payoffReport.paid.length === 1, 'paid-off story should assemble');
+    console.log('✅ Unpaid critical promise stops assembly; report written\n');
+
+    // Test 3: Chunked pipeline and PostProcessor
+    console.log('Test 3: Chunked scenes and PostProcessor');
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-promises-chunked', { ruleCount: 2 });
+    const updater = new StateUpdater(stateManager);
+    const extractor = new CanonDeltaExtractor(null);
+
+    const first = extractor.parseDeltaResponse(JSON.stringify({
+      promisesMade: [{ setup: 'The nurse who signs every chart in red', kind: 'rule_hint', importance: 'critical' }, { setup: ' ' }],
+      timelineCommitments: []
+    }), 1);
+    assert(first.promisesMade.length === 1, 'promises should be parsed');
+    assert(extractor.buildExtractionPrompt('text', stateManager.getState()).includes('OPEN PROMISES:\nNone'), 'extraction prompt should list open promises');
+    updater.updateCanonicalState(extractor.toStateManagerFormat(first));
+    updater.updateCanonicalState({ sceneNumber: 2, promisesMade: [{ setup: 'The locked ward on the fourth floor', kind: 'object' }] });
+
+    const ledger = stateManager.getState().canonical_state.continuity.promises;
+    assert(ledger[0].established_scene === 1 && ledger[0].kind === 'rule_hint' && stateManager.getSummary().open_promises === 2,
+      'scene promises should be recorded');
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Open Promises:') && constraints.includes('promise_2 (object, major): The locked ward on the fourth floor - set up in scene 2'),
+      'chunked prompt should list open promises');
+
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'promises-'));
+    const chunkPersistence = new ChunkPersistence({ baseDir: tempDir });
+    await chunkPersistence.saveChunkImmediately('test-promises-chunked', 1, 'The nurse signed the chart in red ink.', 8);
+    await stateManager.saveState(path.join(tempDir, 'test-promises-chunked', 'session_state.json'));
+
+    const postProcessor = new PostProcessor({ baseDir: tempDir, templateLoader: orchestrator.storyGenerator.getTemplateLoader() });
+    const failed = await postProcessor.assembleAndProcess('test-promises-chunked', { runAudit: false, runConstraints: false });
+    assert(!failed.success && failed.errors[0].message.includes('promise_1 (The nurse who signs every chart in red)'), 'PostProcessor should fail on the critical promise');
+    assert(failed.stages.payoff.report.critical_unpaid.length === 1 && await exists(failed.outputs.payoffReport), 'PostProcessor should write the payoff report');
+    assert(!failed.stages.saveFinal, 'final story should not be saved');
+
+    updater.updateCanonicalState({ sceneNumber: 3, changes: [{ type: 'promise', event: 'paid', reference: 'promise_1' }] });
+    await stateManager.saveState(path.join(tempDir, 'test-promises-chunked', 'session_state.json'));
+    const processed = await postProcessor.assembleAndProcess('test-promises-chunked', { runAudit: false, runConstraints: false });
+    assert(processed.success && processed.stages.payoff.passed && processed.outputs.finalStory, 'PostProcessor should finish once it is paid');
+    const chunkedReport = await fs.readFile(processed.outputs.payoffReport, 'utf-8');
+    assert(chunkedReport.includes('| promise_1: The nurse who signs every chart in red | rule_hint | scene 1 | scene 3 |') &&
+      chunkedReport.includes('## Thematic Payoff'), 'report should list payoffs and thematic requirements');
+
+    // Staged sessions keep their state in state.json
+    const stagedState = StateModel.migrate(JSON.parse(await fs.readFile(path.join(tempDir, 'test-promises-chunked', 'session_state.json'), 'utf-8')));
+    stagedState.canonical_state.continuity.promises[0].paid_off = false;
+    await chunkPersistence.saveChunkImmediately('test-promises-staged', 1, 'The nurse signed the chart in red ink.', 8);
+    await fs.writeFile(path.join(tempDir, 'test-promises-staged', 'state.json'), JSON.stringify(stagedState), 'utf-8');
+    const stagedRun = await postProcessor.assembleAndProcess('test-promises-staged', { runAudit: false, runConstraints: false });
+    assert(!stagedRun.success && stagedRun.outputs.sessionState.endsWith('state.json') && stagedRun.stages.payoff.report.critical_unpaid.length === 1,
+      'PostProcessor should check the promises in state.json');
+
+    await fs.rm(path.join(tempDir, 'test-promises-staged', 'state.json'));
+    const stateless = await postProcessor.assembleAndProcess('test-promises-staged', { runAudit: false, runConstraints: false });
+    assert(!stateless.success && stateless.errors[0].message.includes('no state.json or session_state.json') && !stateless.stages.payoff,
+      'PostProcessor should fail when there is no state to check payoffs against');
+    console.log('✅ PostProcessor reports and enforces payoffs\n');
+
+    // Test 4: Older states
+    console.log('Test 4: Older states');
+    const legacy = StateModel.create('test-promises-legacy');
+    legacy.canonical_state.continuity.promises = [
+      { setup: 'The photograph with one face scratched out', established_chunk: 2, requires_payoff_by: null, paid_off: false, payoff_chunk: null }
+    ];
+    const [migrated] = StateModel.migrate(legacy).canonical_state.continuity.promises;
+    assert(migrated.promise_id === 'promise_1' && migrated.kind === 'foreshadowing' && migrated.importance === 'major' && migrated.payoff_scene === null,
+      'legacy promises should get ids, kinds and importance');
+    assert(PromiseLedger.report(StateModel.migrate(legacy).canonical_state).passed, 'legacy promises should not be critical');
+    console.log('✅ Legacy promises normalized\n');
+
+    console.log('=== All promise ledger tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (sessionDir) {
+      await fs.rm(sessionDir, { recursive: true, force: true });
+    }
+    if (tempDir) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests
+testPromiseLedger()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,202 @@
+/**
+ * Test script for regenerating a single staged chunk
+ * Generates a staged session with the mock provider, regenerates a middle chunk
+ * and checks the archive, corrective prompt and re-validation of later chunks
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const StateTracker = require('./src/backend/services/stateTracker');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readJson(filepath) {
+  return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+}
+
+async function testRegenerateChunk() {
+  console.log('=== Testing Chunk Regeneration ===\n');
+
+  let sessionDir = null;
+
+  try {
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const { contract, state: initialState } = await stagedWorkflow.createContract({ wordCount: 6000 });
+    const sessionId = contract.session_id;
+    sessionDir = stagedWorkflow.getSessionDir(sessionId);
+
+    let state = initialState;
+    for (const chunkNumber of [1, 2, 3]) {
+      state = (await stagedWorkflow.generateChunk(contract, state, { chunkNumber })).state;
+    }
+
+    const chunkPath = (n) => path.join(sessionDir, 'chunks', `chunk_00${n}.txt`);
+    const originalChunk2 = await fs.readFile(chunkPath(2), 'utf-8');
+
+    // Pretend chunk 2 failed its gate audit
+    const auditPath = path.join(sessionDir, 'audit_chunk_2.json');
+    const audit = await readJson(auditPath);
+    audit.status = 'FAIL';
+    audit.critical_failures = [{ check: 'scope_enforcement', reason: 'Story appears to end prematurely', evidence: 'the end' }];
+    await fs.writeFile(auditPath, JSON.stringify(audit, null, 2));
+
+    // Chunk 3 was written after "The Purser" was named in chunk 2
+    const snapshotPath = path.join(sessionDir, 'snapshots', 'state_after_chunk_002.json');
+    const snapshot2 = await readJson(snapshotPath);
+    snapshot2.state.canonical_state.continuity.named_elements.entity_names.push('The Purser');
+    await fs.writeFile(snapshotPath, JSON.stringify(snapshot2, null, 2));
+    const chunk3 = (await fs.readFile(chunkPath(3), 'utf-8')) + '\n\nThe Purser was waiting at the end of the hall.';
+    await fs.writeFile(chunkPath(3), chunk3);
+
+    // Test 1: A failed regeneration leaves the session as it was
+    console.log('Test 1: Failed regeneration restores the previous chunk');
+    const generateChunk = stagedWorkflow.generateChunk;
+    stagedWorkflow.generateChunk = async () => {
+      throw new Error('provider unavailable');
+    };
+    let failure = null;
+    try {
+      await stagedWorkflow.regenerateChunk(sessionId, 2);
+    } catch (error) {
+      failure = error;
+    }
+    stagedWorkflow.generateChunk = generateChunk;
+    assert(failure && failure.message === 'provider unavailable', 'generation error should propagate');
+    assert(await fs.readFile(chunkPath(2), 'utf-8') === originalChunk2, 'chunk 2 should be restored');
+    assert((await readJson(auditPath)).status === 'FAIL', 'chunk 2 audit should be restored');
+    const leftover = await fs.readdir(path.join(sessionDir, 'regenerations')).catch(() => []);
+    assert(leftover.length === 0, 'no archive should be left behind');
+    console.log('✅ Session unchanged\n');
+
+    // Test 2: Regenerate chunk 2 with its audit failures as corrections
+    console.log('Test 2: Regenerate chunk 2');
+    const prompts = [];
+    const buildChunkPrompt = stagedWorkflow.buildChunkPrompt.bind(stagedWorkflow);
+    stagedWorkflow.buildChunkPrompt = (...args) => {
+      const prompt = buildChunkPrompt(...args);
+      prompts.push(prompt);
+      return prompt;
+    };
+
+    const result = await stagedWorkflow.regenerateChunk(sessionId, 2, { feedback: 'Keep the radio on the whole time' });
+    assert(result.chunkNumber === 2, 'chunk 2 should be regenerated');
+    assert(result.corrections.some(c => c.includes('Story appears to end prematurely')), 'audit failure should be a correction');
+    assert(result.corrections.includes('Keep the radio on the whole time'), 'feedback should be a correction');
+    assert(prompts.length === 1 && prompts[0].includes('# CORRECTIONS') && prompts[0].includes('Story appears to end prematurely'),
+      'chunk prompt should carry the corrections');
+    assert(await fs.readFile(chunkPath(2), 'utf-8') === result.chunkText, 'chunk 2 file should hold the new text');
+    assert(await fs.readFile(chunkPath(3), 'utf-8') === chunk3, 'chunk 3 text should be kept');
+
+    const archived = await fs.readFile(path.join(result.archiveDir, 'chunks', 'chunk_002.txt'), 'utf-8');
+    assert(archived === originalChunk2, 'previous chunk 2 should be archived');
+    const archivedFiles = await fs.readdir(result.archiveDir);
+    assert(archivedFiles.includes('audit_chunk_2.json') && archivedFiles.includes('audit_chunk_3.json'), 'old audits should be archived');
+    assert(!(await fs.readdir(path.join(result.archiveDir, 'chunks'))).includes('chunk_003.txt'), 'later chunk text should not be archived');
+    console.log(`✅ Chunk 2 regenerated (${result.corrections.length} correction(s)), old version in ${path.basename(result.archiveDir)}\n`);
+
+    // Test 3: Later chunks are re-validated against the new state
+    console.log('Test 3: Downstream reconciliation');
+    assert(result.downstream.length === 1 && result.downstream[0].chunkNumber === 3, 'chunk 3 should be re-validated');
+    const [chunk3Result] = result.downstream;
+    assert(!chunk3Result.consistent, 'chunk 3 should contradict the new canon');
+    assert(chunk3Result.contradictions.some(c => c.type === 'name' && c.detail.includes('The Purser')), 'lost name should be reported');
+    assert(result.contradicting.join() === '3', 'chunk 3 should be offered for regeneration');
+    assert(result.nextAction === 'regenerate' && result.nextInstructions.includes('chunkNumber: 3'), 'next action should be to regenerate chunk 3');
+
+    const stateFile = await readJson(path.join(sessionDir, 'state.json'));
+    assert(stateFile.canonical_state.narrative.current_chunk === 3, 'state.json should be the state after chunk 3');
+    assert(result.state.canonical_state.narrative.current_chunk === 3, 'returned state should be after chunk 3');
+    const snapshot3 = await readJson(path.join(sessionDir, 'snapshots', 'state_after_chunk_003.json'));
+    assert(snapshot3.state.canonical_state.narrative.total_words_generated === stateFile.canonical_state.narrative.total_words_generated,
+      'chunk 3 snapshot should be rebuilt on the new state');
+    assert((await readJson(path.join(sessionDir, 'audit_chunk_3.json'))).chunk_number === 3, 'chunk 3 should have a new audit');
+    chunk3Result.contradictions.forEach(c => console.log(`   [${c.type}] ${c.detail}`));
+    console.log('✅ Chunk 3 flagged for regeneration\n');
+
+    // Test 4: Regenerating the flagged chunk resolves it
+    console.log('Test 4: Regenerate the last chunk');
+    const last = await stagedWorkflow.regenerateChunk(sessionId, 3);
+    assert(last.downstream.length === 0, 'last chunk has nothing downstream');
+    assert(last.nextAction === 'assemble' || last.nextAction === 'stop', 'last chunk should lead to assembly (or stop on a failed audit)');
+    assert(!(await fs.readFile(chunkPath(3), 'utf-8')).includes('The Purser was waiting'), 'chunk 3 should be rewritten');
+    console.log(`✅ Next action: ${last.nextAction}\n`);
+
+    // Test 5: A later chunk fails to re-validate
+    console.log('Test 5: Failed re-validation leaves a consistent session');
+    const extractUpdates = StateTracker.prototype.extractUpdatesFromChunk;
+    StateTracker.prototype.extractUpdatesFromChunk = function (client, text, contract, number) {
+      if (number === 3) {
+        return Promise.reject(new Error('provider overloaded'));
+      }
+      return extractUpdates.call(this, client, text, contract, number);
+    };
+    const chunk3Before = await fs.readFile(chunkPath(3), 'utf-8');
+    let downstreamFailure = null;
+    try {
+      await stagedWorkflow.regenerateChunk(sessionId, 1);
+    } catch (error) {
+      downstreamFailure = error;
+    }
+    StateTracker.prototype.extractUpdatesFromChunk = extractUpdates;
+
+    assert(downstreamFailure && downstreamFailure.message === 'provider overloaded', 'extraction error should propagate');
+    assert(downstreamFailure.reconciledThrough === 2, 'error should say which chunk the session now ends at');
+    assert(await fs.readFile(path.join(downstreamFailure.archiveDir, 'chunks', 'chunk_003.txt'), 'utf-8') === chunk3Before,
+      'chunk 3 text should be archived, not lost');
+    assert((await fs.readdir(path.join(sessionDir, 'chunks'))).join() === 'chunk_001.txt,chunk_002.txt', 'only re-validated chunks should remain');
+    assert((await stagedWorkflow.chunkPersistence.listFilesAfterChunk(sessionId, 2)).length === 0, 'chunk 3 should have no snapshot or audit');
+
+    const failedState = await readJson(path.join(sessionDir, 'state.json'));
+    const snapshotAfter2 = await readJson(path.join(sessionDir, 'snapshots', 'state_after_chunk_002.json'));
+    assert(failedState.canonical_state.narrative.current_chunk === 2 &&
+      JSON.stringify(failedState) === JSON.stringify(snapshotAfter2.state), 'state.json should be the state after chunk 2');
+    assert((await readJson(path.join(sessionDir, 'audit_chunk_2.json'))).chunk_number === 2, 'chunk 2 should have its new audit');
+
+    const continued = await stagedWorkflow.generateChunk(contract, failedState, { chunkNumber: 3 });
+    assert(continued.state.canonical_state.narrative.current_chunk === 3, 'generation should continue from chunk 3');
+    console.log(`✅ Session ends at chunk ${downstreamFailure.reconciledThrough}, chunk 3 archived\n`);
+
+    // Test 6: Refusals
+    console.log('Test 6: Invalid requests');
+    const refused = async (id, chunk) => {
+      try {
+        await stagedWorkflow.regenerateChunk(id, chunk);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    assert(await refused(sessionId, 0) === 'INVALID_INPUT', 'chunk 0 should be INVALID_INPUT');
+    assert(await refused(sessionId, 9) === 'CHUNK_NOT_FOUND', 'missing chunk should be CHUNK_NOT_FOUND');
+    assert(await refused('no-such-session', 1) === 'SESSION_NOT_FOUND', 'unknown session should be SESSION_NOT_FOUND');
+    console.log('✅ Invalid requests refused\n');
+
+    console.log('=== All chunk regeneration tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (sessionDir) {
+      await fs.rm(sessionDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests
+testRegenerateChunk()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
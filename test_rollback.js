@@ -0,0 +1,172 @@
+/**
+ * Test script for per-chunk state snapshots and rollback
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readJson(filepath) {
+  return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+}
+
+async function exists(filepath) {
+  try {
+    await fs.access(filepath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function testRollback() {
+  console.log('=== Testing Snapshots and Rollback ===\n');
+
+  // Session files are written under <cwd>/generated
+  const generatedDir = path.join(process.cwd(), 'generated');
+  const sessionDirs = [];
+
+  try {
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+
+    // Test 1: A snapshot per scene
+    console.log('Test 1: Chunked generation keeps a snapshot per scene');
+    const sessionId = 'test-rollback-' + Date.now();
+    const sessionDir = path.join(generatedDir, sessionId);
+    sessionDirs.push(sessionDir);
+
+    const result = await orchestrator.executeWorkflow({ wordCount: 13000, skipAudit: true }, { sessionId });
+    assert(result.success, `generation should succeed: ${result.error}`);
+
+    const manifest = await readJson(path.join(sessionDir, 'chunk_manifest.json'));
+    const totalChunks = manifest.total_chunks;
+    const snapshots = await fs.readdir(path.join(sessionDir, 'snapshots'));
+    assert(totalChunks >= 3, `expected at least 3 chunks, got ${totalChunks}`);
+    assert(snapshots.length === totalChunks + 1, 'snapshots should cover chunk 0 and every chunk');
+
+    const afterOne = await readJson(path.join(sessionDir, 'snapshots', 'state_after_chunk_001.json'));
+    const afterLast = await readJson(path.join(sessionDir, 'state_snapshot.json'));
+    assert(afterOne.last_chunk === 1 && afterLast.last_chunk === totalChunks, 'snapshots should record their chunk');
+    assert(afterOne.state.canonical_state.scheduled_consequences.current_scene === 2, 'chunk 1 snapshot should be taken before scene 2');
+    assert(afterLast.state.canonical_state.scheduled_consequences.current_scene === totalChunks + 1, 'latest snapshot should be after the last scene');
+    console.log(`✅ ${snapshots.length} snapshots for ${totalChunks} chunks\n`);
+
+    // Test 2: Roll back to scene 1
+    console.log('Test 2: Roll back to scene 1');
+    const chunkOne = await fs.readFile(path.join(sessionDir, 'chunks', 'chunk_001.txt'), 'utf-8');
+    assert(await exists(`${sessionDir}.zip`) && await exists(path.join(sessionDir, '06_story_metadata.json')), 'finished session should be packaged');
+    const rollback = await orchestrator.rollbackSession(sessionId, 1);
+    assert(rollback.pipeline === 'chunked' && rollback.nextChunk === 2, 'chunked session should continue at chunk 2');
+
+    const remaining = await fs.readdir(path.join(sessionDir, 'chunks'));
+    assert(remaining.length === 1 && remaining[0] === 'chunk_001.txt', 'only chunk 1 should remain');
+    assert(rollback.archived.includes(path.join('chunks', 'chunk_002.txt')), 'chunk 2 should be archived');
+    assert(await exists(path.join(rollback.archiveDir, 'chunks', 'chunk_002.txt')), 'archived chunk should be kept on disk');
+    assert(!(await exists(path.join(sessionDir, 'full_story.md'))), 'assembled story should be archived');
+    assert(!(await exists(`${sessionDir}.zip`)) && await exists(path.join(rollback.archiveDir, `${sessionId}.zip`)),
+      'download package should be archived');
+    assert(!(await exists(path.join(sessionDir, '06_story_metadata.json'))) && await exists(path.join(rollback.archiveDir, '06_story_metadata.json')),
+      'packaged files should be archived');
+    assert(!(await exists(path.join(sessionDir, 'snapshots', 'state_after_chunk_002.json'))), 'later snapshots should be archived');
+
+    const restored = await readJson(path.join(sessionDir, 'state_snapshot.json'));
+    const sessionState = await readJson(path.join(sessionDir, 'session_state.json'));
+    const rolledManifest = await readJson(path.join(sessionDir, 'chunk_manifest.json'));
+    assert(restored.last_chunk === 1, 'latest snapshot should point at chunk 1');
+    assert(JSON.stringify(sessionState) === JSON.stringify(afterOne.state), 'session_state.json should be the chunk 1 state');
+    assert(rolledManifest.total_chunks === 1 && !rolledManifest.status, 'manifest should list chunk 1 only');
+    console.log(`✅ ${rollback.archived.length} file(s) archived\n`);
+
+    // Test 3: Generation continues from scene 2
+    console.log('Test 3: Regenerate from scene 2');
+    const resumePoint = await orchestrator.prepareResume(sessionId);
+    assert(resumePoint.chunks.length === 1, 'resume point should hold chunk 1');
+    const resumed = await orchestrator.resumeWorkflow(sessionId, { resumePoint });
+    assert(resumed.success, `regeneration should succeed: ${resumed.error}`);
+
+    const finalManifest = await readJson(path.join(sessionDir, 'chunk_manifest.json'));
+    assert(finalManifest.status === 'complete' && finalManifest.total_words >= 13000, 'story should be complete again');
+    assert(await fs.readFile(path.join(sessionDir, 'chunks', 'chunk_001.txt'), 'utf-8') === chunkOne, 'chunk 1 must not be regenerated');
+    assert((await fs.readdir(path.join(sessionDir, 'snapshots'))).length === finalManifest.total_chunks + 1, 'new chunks should get snapshots');
+    console.log(`✅ Regenerated to ${finalManifest.total_chunks} chunks\n`);
+
+    // Test 4: Bad rollback points
+    console.log('Test 4: Rollback points without a snapshot are refused');
+    const refused = async (chunk) => {
+      try {
+        await orchestrator.rollbackSession(sessionId, chunk);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    assert(await refused(99) === 'SNAPSHOT_NOT_FOUND', 'missing snapshot should be SNAPSHOT_NOT_FOUND');
+    assert(await refused(-1) === 'INVALID_INPUT', 'negative chunk should be INVALID_INPUT');
+    assert(await refused(1.5) === 'INVALID_INPUT', 'fractional chunk should be INVALID_INPUT');
+    console.log('✅ Refused\n');
+
+    // Test 5: Staged sessions
+    console.log('Test 5: Staged session rolls back and continues');
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const { contract, state: initialState } = await stagedWorkflow.createContract({ wordCount: 6000 });
+    const stagedDir = stagedWorkflow.getSessionDir(contract.session_id);
+    sessionDirs.push(stagedDir);
+
+    let state = initialState;
+    for (const chunkNumber of [1, 2]) {
+      state = (await stagedWorkflow.generateChunk(contract, state, { chunkNumber })).state;
+    }
+    await stagedWorkflow.assemble(contract, state, { allowUnpaidPromises: true });
+
+    const stagedRollback = await orchestrator.rollbackSession(contract.session_id, 1);
+    assert(stagedRollback.pipeline === 'staged', 'pipeline should be staged');
+    assert(stagedRollback.state.canonical_state.narrative.current_chunk === 1, 'restored state should be after chunk 1');
+    assert(!(await exists(path.join(stagedDir, 'audit_chunk_2.json'))), 'chunk 2 audit should be archived');
+    assert(!(await exists(path.join(stagedDir, 'chunks', 'chunk_002.txt'))), 'chunk 2 should be archived');
+    for (const output of ['full_story.md', 'payoff_report.md', 'final_pack.zip']) {
+      assert(!(await exists(path.join(stagedDir, output))) && stagedRollback.archived.includes(output) &&
+        await exists(path.join(stagedRollback.archiveDir, output)), `${output} from the old ending should be archived`);
+    }
+    const stagedState = await readJson(path.join(stagedDir, 'state.json'));
+    assert(stagedState.canonical_state.narrative.current_chunk === 1, 'state.json should be restored');
+
+    const next = await stagedWorkflow.generateChunk(contract, stagedRollback.state, { chunkNumber: stagedRollback.nextChunk });
+    assert(next.state.canonical_state.narrative.current_chunk === 2, 'next chunk should be 2');
+    assert(await exists(path.join(stagedDir, 'chunks', 'chunk_002.txt')), 'chunk 2 should be regenerated');
+
+    const fromStart = await orchestrator.rollbackSession(contract.session_id, 0);
+    assert(fromStart.state.canonical_state.narrative.total_words_generated === 0, 'chunk 0 should be the initial state');
+    assert((await fs.readdir(path.join(stagedDir, 'chunks'))).length === 0, 'rolling back to 0 keeps no chunks');
+    console.log('✅ Staged rollback\n');
+
+    console.log('=== All rollback tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    for (const dir of sessionDirs) {
+      await fs.rm(dir, { recursive: true, force: true });
+      await fs.rm(`${dir}.zip`, { force: true });
+    }
+  }
+}
+
+// Run tests
+testRollback()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
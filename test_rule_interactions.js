@@ -0,0 +1,250 @@
+/**
+ * Test script for the rule interaction engine
+ * Runs every rule_interactions.yaml type through StateManager and StateUpdater (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const RuleInteractionEngine = require('./src/backend/services/ruleInteractionEngine');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const StateUpdater = require('./src/generators/stateUpdater');
+const CanonDeltaExtractor = require('./src/generators/canonDeltaExtractor');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function expectCode(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    return error.code === code ? error : null;
+  }
+  return null;
+}
+
+const RULE_TEXTS = [
+  'Lock the front door before dusk',
+  'Close the shutters after the door is locked',
+  'Light the hall candle before midnight',
+  'Never let the hall candle burn out',
+  'Keep the cellar door shut',
+  'Keep the cellar door open'
+];
+
+function createState(interactions = []) {
+  const ruleBuilder = new RuleBuilder();
+  const stateManager = new StateManager();
+  stateManager.initializeState('test-interactions', { ruleCount: RULE_TEXTS.length });
+  stateManager.setStructuredRules(RULE_TEXTS.map((text, i) => ruleBuilder.buildRule({
+    rule_id: `rule_${i + 1}`,
+    text,
+    type: 'behavioral',
+    violation_threshold: 3,
+    consequences: { immediate: ['contamination_spread'], delayed: [], permanent: [] }
+  })));
+  stateManager.setRuleInteractions(interactions);
+  return stateManager;
+}
+
+async function testRuleInteractions() {
+  console.log('=== Testing Rule Interaction Engine ===\n');
+
+  try {
+    // Test 1: Dependency
+    console.log('Test 1: Dependency');
+    const dependency = [{ type: 'dependency', rules: ['rule_1', 'rule_2'] }];
+    let state = createState(dependency);
+    state.complyWithRule('rule_2', 1);
+    assert(state.getRule('rule_2').violated, 'following the dependent without its prerequisite should not protect');
+
+    state = createState(dependency);
+    state.complyWithRule('rule_1', 1);
+    state.complyWithRule('rule_2', 1);
+    assert(!state.getRule('rule_2').violated, 'following both in order should protect');
+    const prerequisiteBroken = state.violateRule('rule_1', 2);
+    assert(state.getRule('rule_2').invalidated_by === 'rule_1', 'violating the prerequisite should invalidate the dependent');
+    assert(prerequisiteBroken.interactions.some(e => e.interaction === 'dependency_1'), 'violation result should report the interaction');
+    console.log('✅ Dependent rule only protects after its prerequisite\n');
+
+    // Test 2: Threshold
+    console.log('Test 2: Threshold');
+    state = createState([{ type: 'threshold', rules: ['rule_1', 'rule_2'], count: 2, consequences: ['system_instability'] }]);
+    const flags = state.getState().canonical_state.irreversible_flags;
+    state.violateRule('rule_1', 1);
+    assert(flags.system_stable === undefined, 'one violation should stay below the threshold');
+    state.violateRule('rule_2', 2);
+    assert(flags.system_stable === false, 'crossing the threshold should apply its consequences');
+    state.violateRule('rule_2', 3);
+    assert(state.interactions.getInteractions()[0].status.triggered_at_scene === 2, 'threshold should fire once');
+    console.log('✅ Consequences applied when the combined count is reached\n');
+
+    // Test 3: Conflict
+    console.log('Test 3: Conflict');
+    state = createState([{ type: 'conflict', rules: ['rule_3', 'rule_4'] }]);
+    state.complyWithRule('rule_3', 1);
+    assert(state.getRule('rule_4').violated && !state.getRule('rule_3').violated, 'following one side of a genuine conflict breaks the other');
+
+    state = createState([{ type: 'conflict', rules: ['rule_3', 'rule_4'], resolution: 'apparent' }]);
+    state.complyWithRule('rule_3', 1);
+    assert(!state.getRule('rule_4').violated, 'apparent conflicts should not violate anything');
+    console.log('✅ Genuine conflicts force a violation, apparent ones do not\n');
+
+    // Test 4: Contextual drift
+    console.log('Test 4: Contextual drift');
+    state = createState([{
+      type: 'contextual_drift',
+      rules: ['rule_3'],
+      when: { violated: 'rule_1' },
+      context: 'The candle must now be lit wherever the narrator sleeps',
+      text: 'Light a candle wherever you sleep before midnight'
+    }]);
+    state.violateRule('rule_1', 2);
+    const drifted = state.getRule('rule_3');
+    assert(drifted.text === 'Light a candle wherever you sleep before midnight', 'rule text should drift');
+    assert(drifted.original_text === RULE_TEXTS[2], 'original text should be kept');
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(state.getState());
+    assert(constraints.includes('## Rule Interactions') && constraints.includes('rule_3 has drifted'), 'drift should be surfaced in the prompt');
+    console.log('✅ Rule meaning shifted once the condition held\n');
+
+    // Test 5: Mutual exclusion
+    console.log('Test 5: Mutual exclusion');
+    state = createState([{ type: 'mutual_exclusion', rules: ['rule_5', 'rule_6'] }]);
+    state.complyWithRule('rule_5', 1);
+    assert(state.getRule('rule_6').active === false && state.getRule('rule_6').excluded_by === 'rule_5', 'other rule should be locked out');
+    assert(expectCode(() => state.complyWithRule('rule_6', 2), 'MUTUALLY_EXCLUSIVE'), 'following a locked-out rule should throw');
+    assert(expectCode(() => state.activateRule('rule_6'), 'MUTUALLY_EXCLUSIVE'), 'activating a locked-out rule should throw');
+    state.complyWithRule('rule_5', 2);
+    console.log('✅ First rule engaged locks the others out\n');
+
+    // Test 6: Amplification
+    console.log('Test 6: Amplification');
+    state = createState([{ type: 'amplification', rules: ['rule_1', 'rule_4'], multiplier: 3 }]);
+    const canonicalFlags = state.getState().canonical_state.irreversible_flags;
+    const first = state.violateRule('rule_1', 1);
+    assert(first.multiplier === 1 && canonicalFlags.contamination_level === 2, 'first violation should not be amplified');
+    const second = state.violateRule('rule_4', 2);
+    assert(second.multiplier === 3 && canonicalFlags.contamination_level === 8, 'violation completing the set should be amplified');
+
+    // Only contamination is an amount; flags and capabilities are set as they are
+    state = createState([{ type: 'amplification', rules: ['rule_1', 'rule_4'], multiplier: 3 }]);
+    state.getRule('rule_4').consequences.immediate = ['marked_for_collection', 'entity_knows_name'];
+    state.violateRule('rule_1', 1);
+    const mixed = state.violateRule('rule_4', 2);
+    const mixedState = state.getState().canonical_state;
+    assert(mixed.multiplier === 3 && mixedState.irreversible_flags.contamination_level === 5, 'contamination should be multiplied (2 + 1 x3)');
+    assert(mixedState.irreversible_flags.marked === true && mixedState.entity_capabilities.knows_narrator_name === true,
+      'flags and capabilities should be set unchanged');
+    assert(state.getState().narrative_delta_log.some(d => d.changes.includes('Contamination amplified x3')), 'delta log should name what was amplified');
+    console.log('✅ Contamination multiplied when every linked rule is broken\n');
+
+    // Test 7: Temporal sequencing
+    console.log('Test 7: Temporal sequencing');
+    const sequence = [{ type: 'temporal_sequencing', rules: ['rule_2', 'rule_3'], window_scenes: 2 }];
+    state = createState(sequence);
+    state.complyWithRule('rule_3', 1);
+    assert(state.getRule('rule_3').violated, 'following out of order should break the sequence');
+
+    state = createState(sequence);
+    const updater = new StateUpdater(state);
+    updater.updateCanonicalState({ scene_number: 1, rulesFollowed: ['rule_2'] });
+    updater.updateCanonicalState({ scene_number: 2, changes: [] });
+    assert(!state.getRule('rule_3').violated, 'next rule is still within its window');
+    const late = updater.updateCanonicalState({ scene_number: 3, changes: [] });
+    assert(state.getRule('rule_3').violated, 'missing the window should violate the next rule');
+    assert(late.appliedChanges.some(c => c.type === 'rule_interaction' && c.interaction === 'temporal_sequencing_1'), 'updater should report the interaction');
+
+    state = createState(sequence);
+    state.complyWithRule('rule_2', 1);
+    state.complyWithRule('rule_3', 2);
+    assert(state.interactions.getInteractions()[0].status.progress === 2 && !state.getRule('rule_3').violated, 'in-order compliance should complete the sequence');
+    console.log('✅ Order and window enforced\n');
+
+    // Test 8: Conditional activation
+    console.log('Test 8: Conditional activation');
+    state = createState([{ type: 'conditional_activation', rules: ['rule_6'], when: { scene: 3 } }]);
+    state.getRule('rule_6').active = false;
+    const activationUpdater = new StateUpdater(state);
+    activationUpdater.updateCanonicalState({ scene_number: 1, changes: [] });
+    assert(!state.getRule('rule_6').active, 'rule should stay dormant before its condition');
+    activationUpdater.updateCanonicalState({ scene_number: 2, changes: [] });
+    assert(state.getRule('rule_6').active, 'rule should activate once scene 3 is next');
+
+    state = createState([{ type: 'conditional_activation', rules: ['rule_6'], when: { flag: 'under_observation' } }]);
+    state.getRule('rule_6').active = false;
+    state.applyDelta(1, { changes: [{ type: 'irreversible_flag', flag: 'under_observation', value: true }] });
+    assert(state.getRule('rule_6').active, 'flag condition should activate the rule');
+    console.log('✅ Dormant rules activated by scene and flag conditions\n');
+
+    // Test 9: Cycle detection
+    console.log('Test 9: Dependency cycles');
+    assert(RuleInteractionEngine.findCycle([['a', 'b'], ['b', 'c']]) === null, 'acyclic graph should pass');
+    assert(JSON.stringify(RuleInteractionEngine.findCycle([['a', 'b'], ['b', 'c'], ['c', 'a']])) === '["a","b","c","a"]', 'cycle path should be returned');
+
+    const cycleError = expectCode(() => createState([
+      { type: 'dependency', rules: ['rule_1', 'rule_2'] },
+      { type: 'temporal_sequencing', rules: ['rule_2', 'rule_3'] },
+      { type: 'conditional_activation', rules: ['rule_1'], when: { violated: 'rule_3' } }
+    ]), 'INVALID_RULE_INTERACTION');
+    const cycle = cycleError && cycleError.errors.find(e => e.code === 'RULE_DEPENDENCY_CYCLE');
+    assert(cycle && cycle.cycle.length === 4, 'cycle across interaction types should be rejected');
+
+    state = createState();
+    state.getRule('rule_1').dependencies.requires_rules.push('rule_2');
+    const requiresError = expectCode(() => state.setRuleInteractions([{ type: 'dependency', rules: ['rule_1', 'rule_2'] }]), 'INVALID_RULE_INTERACTION');
+    assert(requiresError && requiresError.errors[0].code === 'RULE_DEPENDENCY_CYCLE', 'requires_rules should be part of the graph');
+    console.log(`✅ ${cycle.message}\n`);
+
+    // Test 10: Invalid definitions
+    console.log('Test 10: Invalid interactions');
+    const invalid = expectCode(() => createState([
+      { type: 'mutual_exclusion', rules: ['rule_5', 'rule_6'] },
+      { type: 'dependency', rules: ['rule_5', 'rule_6'] },
+      { type: 'threshold', rules: ['rule_1', 'rule_9'], count: 2, consequences: ['sky_falls'] },
+      { type: 'resonance', rules: ['rule_1'] }
+    ]), 'INVALID_RULE_INTERACTION');
+    const codes = invalid ? invalid.errors.map(e => e.code) : [];
+    invalid.errors.forEach(e => console.log(`   ${e.code}: ${e.message}`));
+    ['IMPOSSIBLE_INTERACTION', 'UNKNOWN_RULE', 'UNKNOWN_CONSEQUENCE', 'UNKNOWN_INTERACTION_TYPE']
+      .forEach(code => assert(codes.includes(code), `${code} should be reported`));
+    console.log('✅ Every problem reported\n');
+
+    // Test 11: Generated interactions and extracted compliance
+    console.log('Test 11: RuleBuilder and extractor wiring');
+    const ruleBuilder = new RuleBuilder();
+    const rules = ruleBuilder.buildRuleSet(7);
+    const built = ruleBuilder.buildInteractions(rules, RuleInteractionEngine.getTypes());
+    assert(built.length === 8, 'every pattern should get an interaction for 7 rules');
+    assert(rules[6].dormant === true, 'conditionally activated rule should start dormant');
+    const generated = new StateManager();
+    generated.initializeState('test-generated', { ruleCount: 7 });
+    generated.setStructuredRules(rules);
+    generated.setRuleInteractions(built);
+    assert(ruleBuilder.buildInteractions(ruleBuilder.buildRuleSet(3), ['mutual_exclusion']).length === 0, 'patterns needing more rules should be skipped');
+
+    const extractor = new CanonDeltaExtractor(null);
+    const extracted = extractor.parseDeltaResponse('{"rulesViolated": [], "rulesFollowed": ["Rule 5"]}', 4);
+    const converted = extractor.toStateManagerFormat(extracted);
+    assert(converted.changes.some(c => c.type === 'rule_compliance' && c.rule_id === 'rule_5'), 'followed rules should reach the state');
+    console.log('✅ Default interactions valid, compliance extracted\n');
+
+    console.log('=== All rule interaction tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testRuleInteractions()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,154 @@
+/**
+ * Test script for session forking and variant trees
+ * Generates a staged session with the mock provider, forks it with a different
+ * ending, forks the fork, and checks the copied files, lineage and tree
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const SessionTree = require('./src/backend/services/sessionTree');
+const ChunkPersistence = require('./src/generators/chunkPersistence');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function readJson(filepath) {
+  return JSON.parse(await fs.readFile(filepath, 'utf-8'));
+}
+
+async function testSessionTree() {
+  console.log('=== Testing Session Forking ===\n');
+
+  const sessionDirs = [];
+
+  try {
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const sessionTree = new SessionTree(orchestrator, { baseDir: stagedWorkflow.baseDir });
+    const options = await orchestrator.getAvailableOptions();
+
+    const { contract, state: initialState } = await stagedWorkflow.createContract({ wordCount: 6000 });
+    const sessionId = contract.session_id;
+    sessionDirs.push(stagedWorkflow.getSessionDir(sessionId));
+
+    let state = initialState;
+    for (const chunkNumber of [1, 2]) {
+      state = (await stagedWorkflow.generateChunk(contract, state, { chunkNumber })).state;
+    }
+
+    // Test 1: Fork after chunk 1 with a different ending
+    console.log('Test 1: Fork a staged session after chunk 1');
+    const endingType = options.exitConditions.find(id => id !== contract.ending_contract.ending_type);
+    const fork = await sessionTree.fork(sessionId, 1, { endingType });
+    const forkDir = stagedWorkflow.getSessionDir(fork.sessionId);
+    sessionDirs.push(forkDir);
+
+    assert(fork.sessionId !== sessionId && fork.parentId === sessionId, 'fork should be a new session');
+    assert(fork.pipeline === 'staged' && fork.nextChunk === 2, 'fork should continue from chunk 2');
+    assert(fork.nextAction === 'continue', 'fork should be ready to continue');
+
+    const forkChunks = await fs.readdir(path.join(forkDir, 'chunks'));
+    assert(forkChunks.join() === 'chunk_001.txt', 'only chunk 1 should be inherited');
+    const parentChunk = await fs.readFile(path.join(stagedWorkflow.getSessionDir(sessionId), 'chunks', 'chunk_001.txt'), 'utf-8');
+    assert(await fs.readFile(path.join(forkDir, 'chunks', 'chunk_001.txt'), 'utf-8') === parentChunk, 'chunk 1 text should be copied');
+
+    const forkContract = await readJson(path.join(forkDir, 'story_contract.json'));
+    assert(forkContract.session_id === fork.sessionId, 'contract should carry the fork session ID');
+    assert(forkContract.ending_contract.ending_type === endingType, 'contract should carry the new ending');
+    assert(forkContract.rule_system.violation_response_type === contract.rule_system.violation_response_type,
+      'unchanged parameters should be kept');
+
+    const forkState = await readJson(path.join(forkDir, 'state.json'));
+    assert(forkState.session_id === fork.sessionId, 'state should carry the fork session ID');
+    assert(forkState.canonical_state.narrative.current_chunk === 1, 'state should be the state after chunk 1');
+    assert(forkState.metadata.forked_from.session_id === sessionId && forkState.metadata.forked_from.chunk === 1,
+      'state should record where it was forked from');
+
+    const snapshots = await new ChunkPersistence({ baseDir: stagedWorkflow.baseDir }).listStateSnapshots(fork.sessionId);
+    assert(snapshots.map(s => s.chunk).join() === '0,1', 'snapshots 0 and 1 should be inherited');
+    const forkFiles = await fs.readdir(forkDir);
+    assert(forkFiles.includes('audit_chunk_1.json') && !forkFiles.includes('audit_chunk_2.json'), 'only audits up to chunk 1 should be copied');
+    assert(forkFiles.includes('resume_pack.zip'), 'fork should have a resume pack');
+    console.log(`✅ ${fork.sessionId} forked with ending "${endingType}"\n`);
+
+    // Test 2: The fork continues on its own
+    console.log('Test 2: Continue the fork');
+    const next = await stagedWorkflow.generateChunk(forkContract, forkState, { chunkNumber: 2 });
+    assert(next.state.canonical_state.narrative.current_chunk === 2, 'fork should generate chunk 2');
+    const parentChunks = await fs.readdir(path.join(stagedWorkflow.getSessionDir(sessionId), 'chunks'));
+    assert(parentChunks.length === 2, 'parent session should be untouched');
+    console.log('✅ Fork generated chunk 2\n');
+
+    // Test 3: Fork the fork and read the tree from any node
+    console.log('Test 3: Variant tree');
+    const grandchild = await sessionTree.fork(fork.sessionId, 2, { wordCount: 8000 });
+    sessionDirs.push(stagedWorkflow.getSessionDir(grandchild.sessionId));
+    const grandchildContract = await readJson(path.join(stagedWorkflow.getSessionDir(grandchild.sessionId), 'story_contract.json'));
+    assert(grandchildContract.generation_parameters.target_word_count === 8000, 'word count override should reach the contract');
+    assert(grandchildContract.ending_contract.ending_type === endingType, 'grandchild should inherit the forked ending');
+
+    const sibling = await sessionTree.fork(sessionId, 0, {});
+    sessionDirs.push(stagedWorkflow.getSessionDir(sibling.sessionId));
+
+    const { rootId, path: ancestry, tree } = await sessionTree.getTree(grandchild.sessionId);
+    assert(rootId === sessionId, 'root should be the original session');
+    assert(ancestry.join() === [sessionId, fork.sessionId, grandchild.sessionId].join(), 'path should lead from the root');
+    assert(tree.fork === null && tree.children.length === 2, 'root should have two forks');
+
+    const child = tree.children.find(c => c.session_id === fork.sessionId);
+    assert(child.fork.chunk === 1 && child.fork.overrides.endingType === endingType, 'child node should describe its fork');
+    assert(child.chunks === 2 && child.pipeline === 'staged', 'child node should report its progress');
+    assert(child.children.length === 1 && child.children[0].session_id === grandchild.sessionId, 'grandchild should hang off the child');
+    assert(tree.children.find(c => c.session_id === sibling.sessionId).chunks === 0, 'fork at chunk 0 inherits no chunks');
+
+    const fromRoot = await sessionTree.getTree(sessionId);
+    assert(JSON.stringify(fromRoot.tree) === JSON.stringify(tree), 'tree should be the same from any node');
+    console.log(`✅ Tree of ${1 + tree.children.length + child.children.length} sessions\n`);
+
+    // Test 4: Refusals
+    console.log('Test 4: Invalid forks');
+    const refused = async (id, chunk, overrides) => {
+      try {
+        await sessionTree.fork(id, chunk, overrides);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    assert(await refused(sessionId, 1, { endingType: 'no_such_ending' }) === 'INVALID_INPUT', 'unknown ending should be INVALID_INPUT');
+    assert(await refused(sessionId, 1, { location: 'anywhere' }) === 'INVALID_INPUT', 'location cannot be changed in a fork');
+    assert(await refused(sessionId, 1, { wordCount: 100 }) === 'INVALID_INPUT', 'invalid word count should be INVALID_INPUT');
+    assert(await refused(sessionId, -1, {}) === 'INVALID_INPUT', 'negative chunk should be INVALID_INPUT');
+    assert(await refused(sessionId, 7, {}) === 'SNAPSHOT_NOT_FOUND', 'chunk past the end should be SNAPSHOT_NOT_FOUND');
+    assert(await refused('no-such-session', 1, {}) === 'SESSION_NOT_FOUND', 'unknown session should be SESSION_NOT_FOUND');
+    const lineage = await sessionTree.loadLineage(sessionId);
+    assert(lineage.children.length === 2, 'refused forks should not be recorded');
+    console.log('✅ Invalid forks refused\n');
+
+    console.log('=== All session forking tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    for (const dir of sessionDirs) {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests
+testSessionTree()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,145 @@
+/**
+ * Test script for state diffs between chunks
+ * Diffs StateManager and StateTracker states, then a staged session's snapshots (mock provider)
+ */
+
+const fs = require('fs').promises;
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const StateDiff = require('./src/backend/utils/stateDiff');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+function snapshot(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+async function testStateDiff() {
+  console.log('=== Testing State Diff ===\n');
+
+  let stagedDir = null;
+
+  try {
+    // Test 1: Chunked pipeline changes
+    console.log('Test 1: Diff of StateManager updates');
+    const ruleBuilder = new RuleBuilder();
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-diff', { ruleCount: 3 });
+    stateManager.setStructuredRules([
+      ruleBuilder.buildRule({ rule_id: 'rule_1', text: 'Never leave the vehicle', type: 'boundary' }),
+      ruleBuilder.buildRule({ rule_id: 'rule_2', text: 'Do not answer voices', type: 'behavioral', active: false }),
+      ruleBuilder.buildRule({ rule_id: 'rule_3', text: 'Keep the radio on', type: 'procedural', active: false })
+    ]);
+    const before = snapshot(stateManager.getState());
+
+    stateManager.activateRule('rule_2');
+    stateManager.violateRule('rule_1', 2);
+    stateManager.setIrreversibleFlag('contamination_level', 20);
+    stateManager.applyDelta(2, {
+      changes: [
+        { type: 'entity_capability', capability: 'can_mimic_voices', value: true },
+        { type: 'irreversible_flag', flag: 'bound_to_system', value: true }
+      ]
+    });
+    const after = snapshot(stateManager.getState());
+
+    const diff = StateDiff.diff(before, after);
+    assert(diff.rules.discovered.map(r => r.rule_id).join() === 'rule_2', 'rule 2 should be discovered');
+    assert(diff.rules.violated.length === 1 && diff.rules.violated[0].violations.to === 1, 'rule 1 should be violated once');
+    assert(diff.entity_capabilities.added.some(c => c.key === 'can_mimic_voices' && c.value === true), 'capability should be added');
+    assert(diff.flags.some(f => f.key === 'bound_to_system' && f.from === false && f.to === true), 'flag flip should be reported');
+    assert(!diff.flags.some(f => f.key === 'violations' || f.key === 'contamination_level'), 'violations and contamination are reported separately');
+    assert(diff.contamination && diff.contamination.from === 0 && diff.contamination.to === 20, 'contamination should be reported');
+    assert(diff.log.length > 0 && diff.log.length === after.narrative_delta_log.length - before.narrative_delta_log.length, 'new delta log entries should be included');
+    assert(diff.changes.some(c => c.category === 'rules' && c.text.includes('Never leave the vehicle')), 'change list should name the rule');
+    diff.changes.forEach(c => console.log(`   [${c.category}] ${c.text}`));
+    assert(StateDiff.diff(after, after).changes.length === 0, 'identical states should have no changes');
+    console.log('✅ Chunked diff\n');
+
+    // Test 2: Staged pipeline changes (and a v1 starting point)
+    console.log('Test 2: Diff of StateTracker updates');
+    const tracker = new StateTracker();
+    tracker.initializeFromContract({
+      session_id: 'test-diff-staged',
+      identity_anchors: { protagonist: { name: 'Mara' } },
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Stay below deck', is_hidden: true }] },
+      generation_parameters: { target_word_count: 6000 }
+    });
+    const stagedBefore = snapshot(tracker.getState());
+    tracker.updateAfterChunk({
+      rules_discovered: [1],
+      escalation_tier: 2,
+      contamination_level: 15,
+      entities_appeared: [{ name: 'The Purser', type: 'custodian' }]
+    }, 1, 2000);
+    const stagedDiff = StateDiff.diff(stagedBefore, tracker.getState());
+    assert(stagedDiff.rules.discovered[0].rule_number === 1, 'staged rule should be discovered');
+    assert(stagedDiff.escalation.tier && stagedDiff.escalation.tier.to === 2, 'escalation tier should be reported');
+    assert(stagedDiff.contamination && stagedDiff.contamination.to === 15, 'contamination should be reported');
+    assert(stagedDiff.named_elements.entity_names.join() === 'The Purser', 'new entity name should be reported');
+    assert(stagedDiff.log.length === 1 && stagedDiff.log[0].chunk === 1, 'chunk delta should be included');
+    stagedDiff.changes.forEach(c => console.log(`   [${c.category}] ${c.text}`));
+
+    const legacy = { rule_state: { rules: [{ rule_number: 1, rule_text: 'Stay below deck', status: 'unknown', violation_count: 0 }] }, escalation_state: { escalation_tier: 1 } };
+    const fromLegacy = StateDiff.diff(legacy, tracker.getState());
+    assert(fromLegacy.rules.discovered.length === 1 && fromLegacy.escalation.tier.from === 1, 'v1 states should be migrated before diffing');
+    console.log('✅ Staged diff\n');
+
+    // Test 3: Session snapshots
+    console.log('Test 3: Diff between chunk snapshots of a session');
+    const orchestrator = new Orchestrator(null, { provider: 'mock' });
+    const stagedWorkflow = new StagedWorkflow(orchestrator);
+    const { contract, state: initialState } = await stagedWorkflow.createContract({ wordCount: 6000 });
+    stagedDir = stagedWorkflow.getSessionDir(contract.session_id);
+
+    let state = initialState;
+    for (const chunkNumber of [1, 2]) {
+      state = (await stagedWorkflow.generateChunk(contract, state, { chunkNumber })).state;
+    }
+
+    const result = await orchestrator.diffSessionState(contract.session_id, 0, 2);
+    assert(result.from === 0 && result.to === 2, 'chunk range should be echoed');
+    assert(result.diff.log.length === 2, 'both chunk deltas should be included');
+    assert(Array.isArray(result.diff.changes), 'change list should be present');
+
+    const refused = async (from, to) => {
+      try {
+        await orchestrator.diffSessionState(contract.session_id, from, to);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    assert(await refused(0, 9) === 'SNAPSHOT_NOT_FOUND', 'missing snapshot should be SNAPSHOT_NOT_FOUND');
+    assert(await refused('a', 2) === 'INVALID_INPUT', 'non-numeric chunk should be INVALID_INPUT');
+    console.log(`✅ ${result.diff.changes.length} change(s) between chunk 0 and 2\n`);
+
+    console.log('=== All state diff tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (stagedDir) {
+      await fs.rm(stagedDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests
+testStateDiff()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
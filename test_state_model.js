@@ -0,0 +1,227 @@
+/**
+ * Test script for the unified session state model
+ * Migrates chunked and staged v1 states and runs both pipelines' services on the result
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const ClaudeClient = require('./src/backend/api/claudeClient');
+const StateModel = require('./src/backend/utils/stateModel');
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const GateAudit = require('./src/backend/services/gateAudit');
+const ConstraintEnforcer = require('./src/backend/audit/constraintEnforcer');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+// StateTracker output before schema_version (state schema 1.0)
+function stagedV1State() {
+  return {
+    session_id: 'staged-legacy',
+    chunk_number: 2,
+    last_updated: '2026-01-02T00:00:00.000Z',
+    immutable_facts: {
+      setting_location: 'Night Ferry',
+      protagonist_name: 'Mara',
+      total_rule_count: 3,
+      primary_theme: 'isolation_and_recursion'
+    },
+    rule_state: {
+      rules: [
+        { rule_number: 1, rule_text: 'Stay below deck after dark', status: 'discovered', discovered_in_chunk: 0, violated_in_chunk: null, violation_count: 0, consequence_description: null },
+        { rule_number: 2, rule_text: 'Never answer the horn', status: 'violated', discovered_in_chunk: 1, violated_in_chunk: 2, violation_count: 1, consequence_description: 'The fog takes the rail' },
+        { rule_number: 3, rule_text: 'Count the passengers at every stop', status: 'unknown', discovered_in_chunk: null, violated_in_chunk: null, violation_count: 0, consequence_description: null }
+      ],
+      rules_discovered: 2,
+      rules_violated: 1
+    },
+    protagonist_state: {
+      physical_condition: { health: 'injured', injuries: ['cut hand'], location_in_setting: 'upper deck', possessions: [], lost_possessions: [] },
+      mental_condition: { awareness: 'suspicious', sanity: 'shaken', primary_emotion: 'dread', motivations: ['reach shore'] },
+      knowledge: { knows_rules: [1, 2], knows_entities: [], knows_escape_method: false, false_beliefs: [], recent_discoveries: [] }
+    },
+    entity_state: { entities: [], active_entity_count: 0, total_entity_appearances: 1 },
+    escalation_state: { escalation_tier: 2, contamination_level: 30, escalation_events: [], point_of_no_return_reached: false, can_still_escape_cleanly: true },
+    narrative_state: {
+      current_chunk: 2,
+      total_words_generated: 4000,
+      target_words_remaining: 6000,
+      act_structure: { current_act: 'rising_action', act_started_chunk: 2, beats_completed: ['introduction'], beats_remaining: [] },
+      scene_state: { current_scene_number: 2, current_scene_goal: '', scene_tension_level: 'high' },
+      timeline: { story_start_time: null, current_time: null, elapsed_in_story: '2 hours' }
+    },
+    continuity: { established_facts: ['The ferry never docks'], named_elements: { character_names: ['Mara'], location_names: [], object_names: [], entity_names: [] }, promises: [] },
+    state_delta: { chunk: 2, changes: ['rule 2 violated (count: 1)'], timestamp: '2026-01-02T00:00:00.000Z' }
+  };
+}
+
+// StateManager output before schema_version
+function chunkedV1State() {
+  return {
+    session_id: 'chunked-legacy',
+    canonical_state: {
+      rules: [
+        { rule_id: 'rule_1', text: 'Never leave the vehicle', type: 'boundary', active: true, violated: true, violation_count: 1, established_at_scene: 1 },
+        { rule_id: 'rule_2', text: null, type: null, active: false, violated: false, violation_count: 0, established_at_scene: null }
+      ],
+      entity_capabilities: { mimicry: true },
+      world_facts: { location: 'desert_road', custom_location: null, time_anchor: null, timeline_commitments: [] },
+      irreversible_flags: { bound_to_system: false, contamination_level: 20, violations: [{ rule_id: 'rule_1', scene: 2, timestamp: '2026-01-01T00:00:00.000Z', violation_number: 1 }] },
+      thematic_focus: 'isolation_and_recursion'
+    },
+    narrative_delta_log: [{ scene: 0, timestamp: '2026-01-01T00:00:00.000Z', changes: ['State tracking initialized'] }],
+    metadata: { created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z', user_parameters: { ruleCount: 2 } }
+  };
+}
+
+async function testStateModel() {
+  console.log('=== Testing Unified State Model ===\n');
+
+  let tmpDir = null;
+
+  try {
+    // Test 1: Both pipelines create the same shape
+    console.log('Test 1: New states share one schema');
+    const manager = new StateManager();
+    manager.initializeState('test-chunked', { ruleCount: 3 });
+    const tracker = new StateTracker();
+    tracker.initializeFromContract({
+      session_id: 'test-staged',
+      identity_anchors: { protagonist: { name: 'Mara' }, setting: { location_name: 'Night Ferry' } },
+      rule_system: { rules: [{ rule_number: 1, rule_text: 'Stay below deck', is_hidden: false }, { rule_number: 2, rule_text: 'Never answer the horn', is_hidden: true }] },
+      generation_parameters: { target_word_count: 10000 }
+    });
+    const chunked = manager.getState();
+    const staged = tracker.getState();
+    assert(chunked.schema_version === StateModel.SCHEMA_VERSION && staged.schema_version === StateModel.SCHEMA_VERSION, 'both states should carry schema_version');
+    assert(JSON.stringify(Object.keys(chunked.canonical_state)) === JSON.stringify(Object.keys(staged.canonical_state)), 'canonical sections should match');
+    assert(JSON.stringify(Object.keys(chunked.canonical_state.rules[0])) === JSON.stringify(Object.keys(staged.canonical_state.rules[0])), 'rule fields should match');
+    assert(chunked.metadata.pipeline === 'chunked' && staged.metadata.pipeline === 'staged', 'pipeline should be recorded');
+    assert(StateModel.ruleStatus(staged.canonical_state.rules[1]) === 'unknown', 'hidden contract rule starts unknown');
+    console.log('✅ Same sections and rule fields\n');
+
+    // Test 2: Staged v1 migration
+    console.log('Test 2: Migrate a staged v1 state');
+    const legacyStaged = stagedV1State();
+    const fromStaged = StateModel.migrate(legacyStaged);
+    const stagedCanonical = fromStaged.canonical_state;
+    assert(legacyStaged.rule_state && !legacyStaged.schema_version, 'input should not be modified');
+    assert(fromStaged.metadata.pipeline === 'staged', 'pipeline should be staged');
+    assert(stagedCanonical.rules.map(r => r.rule_id).join() === 'rule_1,rule_2,rule_3', 'rules should get rule_N ids');
+    assert(stagedCanonical.rules.map(r => StateModel.ruleStatus(r)).join() === 'discovered,violated,unknown', 'statuses should survive');
+    assert(stagedCanonical.rules[1].consequence_description === 'The fog takes the rail', 'consequence description should survive');
+    assert(stagedCanonical.irreversible_flags.contamination_level === 30, 'contamination should move to irreversible_flags');
+    assert(stagedCanonical.escalation.contamination_level === undefined, 'contamination should not stay in escalation');
+    assert(stagedCanonical.irreversible_flags.violations.length === 1 && stagedCanonical.irreversible_flags.violations[0].chunk === 2, 'violations should be rebuilt from rules');
+    assert(stagedCanonical.narrative.total_words_generated === 4000, 'narrative should survive');
+    assert(stagedCanonical.protagonist.physical_condition.health === 'injured', 'protagonist should survive');
+    assert(fromStaged.narrative_delta_log[0].chunk === 2, 'state_delta should become a delta log entry');
+    assert(fromStaged.metadata.migrations.length === 1 && fromStaged.metadata.migrations[0].from === 'staged_v1', 'migration should be recorded');
+    console.log('✅ Staged state migrated\n');
+
+    // Test 3: Chunked v1 migration
+    console.log('Test 3: Migrate a chunked v1 state');
+    const fromChunked = StateModel.migrate(chunkedV1State());
+    const chunkedCanonical = fromChunked.canonical_state;
+    assert(fromChunked.metadata.pipeline === 'chunked', 'pipeline should be chunked');
+    assert(chunkedCanonical.entity_capabilities.mimicry === true, 'existing sections should be kept');
+    assert(chunkedCanonical.rules[0].rule_number === 1 && chunkedCanonical.rules[0].consequences.immediate.length === 0, 'missing rule fields should get defaults');
+    assert(chunkedCanonical.scheduled_consequences.pending.length === 0, 'missing scheduler queue should be created');
+    assert(chunkedCanonical.narrative.current_chunk === 0 && chunkedCanonical.escalation.escalation_tier === 1, 'staged sections should be added');
+    assert(fromChunked.metadata.migrations[0].from === 'chunked_v1', 'migration should be recorded');
+    console.log('✅ Chunked state migrated\n');
+
+    // Test 4: Current states and bad input
+    console.log('Test 4: Current states pass through, unknown formats are refused');
+    const again = StateModel.migrate(fromStaged);
+    assert(JSON.stringify(again) === JSON.stringify(fromStaged), 'migrating a current state should change nothing');
+    assert(again !== fromStaged, 'migrate should return a copy');
+
+    const refused = (state) => {
+      try {
+        StateModel.migrate(state);
+        return null;
+      } catch (error) {
+        return error.code;
+      }
+    };
+    assert(refused({ story: 'text' }) === 'INVALID_STATE', 'unrecognized shape should be INVALID_STATE');
+    assert(refused(null) === 'INVALID_STATE', 'missing state should be INVALID_STATE');
+    assert(refused({ ...fromStaged, schema_version: StateModel.SCHEMA_VERSION + 1 }) === 'UNSUPPORTED_STATE_VERSION', 'newer state should be refused');
+    console.log('✅ Idempotent, errors coded\n');
+
+    // Test 5: Chunked services on a staged state
+    console.log('Test 5: StateManager restores and enforces a staged state');
+    const restored = new StateManager();
+    restored.restoreState(legacyStaged);
+    assert(restored.getRule('rule_2').violated, 'restored rule should be violated');
+    const enforcer = new ConstraintEnforcer(restored);
+    const enforced = enforcer.checkNoRetcon('Mara told herself she had followed all the rules.');
+    assert(enforced.violations.some(v => v.type === 'false_compliance' && v.violated_rules.includes('rule_2')), 'staged violation should be enforced');
+
+    let restoreError = null;
+    try {
+      restored.restoreState({ story: 'text' });
+    } catch (error) {
+      restoreError = error;
+    }
+    assert(restoreError && restoreError.code === 'INVALID_STATE' && restoreError.message.startsWith('Cannot restore state'), 'bad restore should keep the code');
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-model-'));
+    const legacyFile = path.join(tmpDir, 'session_state.json');
+    await fs.writeFile(legacyFile, JSON.stringify(chunkedV1State()));
+    const loaded = new StateManager();
+    await loaded.loadState(legacyFile);
+    assert(loaded.getState().schema_version === StateModel.SCHEMA_VERSION, 'loadState should migrate');
+    console.log('✅ Constraint enforcement sees staged violations\n');
+
+    // Test 6: Staged services on a migrated state
+    console.log('Test 6: StateTracker continues a staged v1 state and the gate audit passes it');
+    const client = new ClaudeClient(null, { provider: 'mock' });
+    const resumed = new StateTracker();
+    resumed.loadState(JSON.stringify(legacyStaged));
+    const previousState = JSON.parse(JSON.stringify(resumed.getState()));
+    resumed.updateAfterChunk({ rules_discovered: [3], escalation_tier: 3 }, 3, 2000);
+    const next = resumed.getState();
+    assert(next.canonical_state.narrative.current_chunk === 3 && next.canonical_state.narrative.total_words_generated === 6000, 'chunk counters should advance');
+    assert(StateModel.ruleStatus(next.canonical_state.rules[2]) === 'discovered', 'rule 3 should be discovered');
+    assert(resumed.getPromptContext().includes('Rule 2'), 'prompt context should list violated rules');
+
+    const contract = {
+      session_id: 'staged-legacy',
+      identity_anchors: {},
+      rule_system: { rules: legacyStaged.rule_state.rules.map(r => ({ rule_number: r.rule_number, rule_text: r.rule_text })) },
+      scope_constraints: {}
+    };
+    const gate = await new GateAudit(client).auditChunk(contract, legacyStaged, next, 'The horn sounded again across the water.', 3, false);
+    assert(gate.checks.rule_consistency.status === 'PASS', 'rule consistency should pass on the migrated state');
+    assert(gate.checks.escalation_integrity.status === 'PASS', 'escalation integrity should pass on the migrated state');
+    console.log(`✅ Gate audit ${gate.status}\n`);
+
+    console.log('=== All state model tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    if (tmpDir) {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Run tests
+testStateModel()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
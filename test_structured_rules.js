@@ -222,7 +222,7 @@ async function testStructuredRules() {
     sampleConsequences.forEach(c => {
       const def = allConsequences[c];
       if (def) {
-        console.log(`   - ${c}: ${def.description} (${def.type})`);
+        console.log(`   - ${c}: ${def.description} (${def.category})`);
       }
     });
     console.log();
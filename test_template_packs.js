@@ -0,0 +1,169 @@
+/**
+ * Test script for template packs
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const Orchestrator = require('./src/backend/services/orchestrator');
+const StagedWorkflow = require('./src/backend/services/stagedWorkflow');
+const TemplateLoader = require('./src/backend/utils/templateLoader');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+const CUSTOM_LOCATIONS = `version: "1.0"
+locations:
+  drowned_chapel:
+    category: "sacred"
+    isolation_level: "high"
+    infrastructure: "minimal"
+    temporal_liminality: "high"
+    natural_rhythms: ["tide"]
+    typical_roles: ["caretaker"]
+    rule_affordances: ["Tide-timed rituals"]
+    thematic_fit: ["obligation"]
+    entry_conditions: ["new_hire"]
+`;
+
+async function writePack(root, name, manifest, files = {}) {
+  const dir = path.join(root, name);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'pack.yaml'), manifest);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(dir, file), content);
+  }
+}
+
+async function testTemplatePacks() {
+  console.log('=== Testing Template Packs ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-packs-'));
+  const packsRoot = path.join(baseDir, 'templates');
+
+  try {
+    await fs.cp(path.join(__dirname, 'templates', 'v1'), path.join(packsRoot, 'v1'), { recursive: true });
+    await writePack(packsRoot, 'coastal',
+      'name: coastal\nversion: "0.1.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n',
+      { 'locations.yaml': CUSTOM_LOCATIONS });
+    await writePack(packsRoot, 'future', 'name: future\nversion: "1.0.0"\ncompatibility:\n  template_schema: 99\nextends: v1\n');
+    await writePack(packsRoot, 'loop-a', 'name: loop-a\nversion: "1.0.0"\ncompatibility:\n  template_schema: 1\nextends: loop-b\n');
+    await writePack(packsRoot, 'loop-b', 'name: loop-b\nversion: "1.0.0"\ncompatibility:\n  template_schema: 1\nextends: loop-a\n');
+
+    // Test 1: Listing and validation
+    console.log('Test 1: List and validate packs');
+    const loader = new TemplateLoader(packsRoot, 'v1');
+    const packs = await loader.listPacks();
+    const byName = Object.fromEntries(packs.map(p => [p.name, p]));
+    assert(packs[0].name === 'v1' && packs[0].default, 'default pack should be listed first');
+    assert(byName.v1.valid && byName.coastal.valid, 'v1 and coastal should be valid');
+    assert(!byName.future.valid, 'unsupported template_schema should be flagged');
+    assert(!byName['loop-a'].valid && byName['loop-a'].errors.some(e => /cycle/i.test(e)), 'extends cycle should be flagged');
+    console.log(`✅ ${packs.filter(p => p.valid).length} valid, ${packs.filter(p => !p.valid).length} invalid\n`);
+
+    // Test 2: Per-flow pack with extends fallback
+    console.log('Test 2: Files fall back along extends');
+    const custom = await loader.runWithPack('coastal', () => loader.listOptions('locations'));
+    const entries = await loader.runWithPack('coastal', () => loader.listOptions('entry_conditions'));
+    const defaults = await loader.listOptions('locations');
+    assert(JSON.stringify(custom) === JSON.stringify(['drowned_chapel']), 'coastal should use its own locations');
+    assert(entries.length > 0, 'coastal should inherit inflection points from v1');
+    assert(!defaults.includes('drowned_chapel'), 'default pack should be unaffected');
+
+    for (const bad of ['nope', '../v1', 'future']) {
+      let error = null;
+      try {
+        await loader.resolvePack(bad);
+      } catch (e) {
+        error = e;
+      }
+      assert(error && error.code === 'INVALID_TEMPLATE_PACK', `${bad} should be rejected`);
+    }
+    console.log('✅ Custom locations with inherited inflection points\n');
+
+    // Test 3: Sessions record the pack
+    console.log('Test 3: Sessions record the pack');
+    const orchestrator = new Orchestrator(null, { provider: 'mock', outputDir: baseDir });
+    orchestrator.storyGenerator.getTemplateLoader().basePath = packsRoot;
+    const filled = await orchestrator.fillDefaults({ wordCount: 8000, templatePack: 'coastal', seed: 7 });
+    assert(filled.location === 'drowned_chapel', 'defaults should be drawn from the selected pack');
+    assert(filled.templatePack === 'coastal', 'fillDefaults should record the pack');
+
+    const stagedWorkflow = new StagedWorkflow(orchestrator, { baseDir });
+    const { contract } = await stagedWorkflow.createContract({ wordCount: 8000, templatePack: 'coastal', seed: 7 });
+    const recorded = contract.generation_parameters.template_pack;
+    assert(recorded.name === 'coastal' && recorded.version === '0.1.0', 'contract should record pack name and version');
+
+    let rejected = null;
+    try {
+      await stagedWorkflow.createContract({ wordCount: 8000, templatePack: 'future' });
+    } catch (e) {
+      rejected = e;
+    }
+    assert(rejected && rejected.code === 'INVALID_INPUT', 'invalid pack should be rejected as input');
+    console.log(`✅ Contract records ${recorded.name}@${recorded.version}\n`);
+
+    // Test 4: Validation cache
+    console.log('Test 4: Pack validation is cached until a file changes');
+    const checkPack = loader.checkPack;
+    const checked = [];
+    loader.checkPack = function (packName) {
+      checked.push(packName);
+      return checkPack.call(this, packName);
+    };
+
+    const first = await loader.resolvePack('coastal');
+    await loader.runWithPack('coastal', () => loader.listOptions('locations'));
+    assert(checked.length === 0 && (await loader.resolvePack('coastal')) === first, 'unchanged packs should not be validated again');
+
+    await fs.writeFile(path.join(packsRoot, 'coastal', 'pack.yaml'),
+      'name: coastal\nversion: "0.2.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n');
+    const bumped = await loader.resolvePack('coastal');
+    assert(checked.join() === 'coastal' && bumped.version === '0.2.0', 'an edited manifest should be re-read');
+
+    await fs.writeFile(path.join(packsRoot, 'coastal', 'locations.yaml'),
+      CUSTOM_LOCATIONS.replace('  drowned_chapel:', '  flooded_nave:').replace('    rule_affordances: ["Tide-timed rituals"]\n', ''));
+    let stale = null;
+    try {
+      await loader.resolvePack('coastal');
+    } catch (e) {
+      stale = e;
+    }
+    assert(stale && stale.code === 'INVALID_TEMPLATE_PACK' && /rule_affordances/.test(stale.message), 'an edited template should be re-validated');
+
+    await fs.writeFile(path.join(packsRoot, 'coastal', 'locations.yaml'), CUSTOM_LOCATIONS.replace('  drowned_chapel:', '  flooded_nave:'));
+    await loader.resolvePack('coastal');
+    const reloaded = await loader.runWithPack('coastal', () => loader.listOptions('locations'));
+    assert(JSON.stringify(reloaded) === JSON.stringify(['flooded_nave']), 'templates of a changed pack should be reloaded');
+
+    checked.length = 0;
+    loader.clearCache();
+    await loader.resolvePack('coastal');
+    assert(checked.join() === 'coastal,v1', 'clearCache should force validation again');
+    loader.checkPack = checkPack;
+    console.log('✅ Cached, and re-validated after edits and clearCache\n');
+
+    console.log('=== All template pack tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testTemplatePacks()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
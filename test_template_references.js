@@ -0,0 +1,118 @@
+/**
+ * Test script for template cross-reference checking
+ * Uses the mock provider so no API key is needed
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const Orchestrator = require('./src/backend/services/orchestrator');
+const TemplateLoader = require('./src/backend/utils/templateLoader');
+const TemplateReferenceChecker = require('./src/backend/utils/templateReferences');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testTemplateReferences() {
+  console.log('=== Testing Template Cross-References ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-refs-'));
+  const packsRoot = path.join(baseDir, 'templates');
+
+  try {
+    // Test 1: Shipped pack
+    console.log('Test 1: Built-in pack references are resolved');
+    const shipped = await new TemplateReferenceChecker(
+      new TemplateLoader(path.join(__dirname, 'templates'), 'v1')
+    ).check();
+    const shippedRefs = shipped.dangling.map(TemplateReferenceChecker.format);
+    assert(shipped.valid && shippedRefs.length === 0 && shipped.refused.length === 0, `built-in pack should have no dangling references: ${shippedRefs}`);
+    assert(shipped.pairings.themes.grief_and_avoidance.exitConditions.includes('true_exit_with_cost'), 'theme exits should be offered as pairings');
+    assert(shipped.pairings.locations.desert_diner.entryConditions.join() === 'new_hire,inherited_obligation,returner',
+      'location entry conditions should be offered as pairings');
+    console.log(`✅ ${shippedRefs.length} dangling references, ${shipped.orphaned.length} orphan warnings\n`);
+
+    // Test 2: Dangling references in a derived pack
+    console.log('Test 2: Dangling ids are reported');
+    const v1Dir = path.join(__dirname, 'templates', 'v1');
+    const packDir = path.join(packsRoot, 'drift');
+    await fs.cp(v1Dir, path.join(packsRoot, 'v1'), { recursive: true });
+    await fs.mkdir(path.join(packDir, 'inflection_points'), { recursive: true });
+    await fs.writeFile(path.join(packDir, 'pack.yaml'),
+      'name: drift\nversion: "0.1.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n');
+
+    // Start from a pack whose references all resolve
+    const themes = yaml.load(await fs.readFile(path.join(v1Dir, 'thematic_elements.yaml'), 'utf8'));
+    Object.values(themes.themes).forEach(theme => {
+      theme.best_paired_with = { entry: theme.best_paired_with.entry, location: ['institutional'], exit: ['impossible_exit'] };
+    });
+    themes.themes.grief_and_avoidance.best_paired_with.exit = ['exit_with_cost', 'deferred_exit'];
+    themes.themes.temporal_binding.best_paired_with.location = ['transit', 'lighthouse'];
+    await fs.writeFile(path.join(packDir, 'thematic_elements.yaml'), yaml.dump(themes));
+
+    const locations = yaml.load(await fs.readFile(path.join(v1Dir, 'locations.yaml'), 'utf8'));
+    locations.locations.desert_diner.entry_conditions.push('hitchhiker');
+    await fs.writeFile(path.join(packDir, 'locations.yaml'), yaml.dump(locations));
+
+    const exits = yaml.load(await fs.readFile(path.join(v1Dir, 'inflection_points', 'exit_conditions.yaml'), 'utf8'));
+    exits.thematic_guidance = { spatial_wrongness: 'Exit never leads where it should', punishment: 'Exit is survival with scarring' };
+    await fs.writeFile(path.join(packDir, 'inflection_points', 'exit_conditions.yaml'), yaml.dump(exits));
+
+    const loader = new TemplateLoader(packsRoot, 'v1');
+    const result = await loader.runWithPack('drift', () => new TemplateReferenceChecker(loader).check());
+    result.dangling.forEach(d => console.log(`   ${TemplateReferenceChecker.format(d)}`));
+
+    assert(!result.valid && result.dangling.length === 4, 'four dangling references expected');
+    const exitRef = result.dangling.find(d => d.value === 'exit_with_cost');
+    assert(exitRef.path === 'themes.grief_and_avoidance.best_paired_with.exit[0]', 'dangling reference should carry its key path');
+    assert(exitRef.message.includes('did you mean "true_exit_with_cost"'), 'close ids should be suggested');
+    assert(result.dangling.some(d => d.path === 'thematic_guidance.punishment' && d.id === null), 'section keys should be resolved');
+    assert(JSON.stringify(result.refused.map(TemplateReferenceChecker.formatRefused).sort()) === JSON.stringify([
+      'locations.desert_diner + entry_conditions "hitchhiker"',
+      'themes.grief_and_avoidance + best_paired_with.exit "exit_with_cost"',
+      'themes.temporal_binding + best_paired_with.location "lighthouse"'
+    ]), 'only the dangling combinations should be refused');
+    assert(result.pairings.themes.grief_and_avoidance.exitConditions.join() === 'deferred_exit', 'resolved pairings of the entry should be kept');
+    assert(result.pairings.themes.temporal_binding.locations.includes('ferry_terminal'), 'a location category should expand to its locations');
+    assert(!result.orphaned.some(o => o.id === 'ferry_terminal'), 'a location category reference should cover its locations');
+    console.log('✅ Dangling ids reported with suggestions\n');
+
+    // Test 3: Options never offer the dangling combinations
+    console.log('Test 3: /api/options pairings');
+    const orchestrator = new Orchestrator(null, { provider: 'mock', outputDir: baseDir });
+    orchestrator.storyGenerator.getTemplateLoader().basePath = packsRoot;
+    const options = await orchestrator.getAvailableOptions('drift');
+    assert(options.themes.includes('grief_and_avoidance') && options.locations.includes('desert_diner'), 'entries with a dangling id should still be offered');
+    assert(!options.pairings.locations.desert_diner.entryConditions.includes('hitchhiker') &&
+      options.pairings.locations.desert_diner.entryConditions.includes('returner'), 'only the dangling pairing should be left out');
+    assert(!options.pairings.themes.temporal_binding.locations.includes('lighthouse'), 'a missing location should not be paired');
+    assert(options.refused.length === 3 && options.refused.some(r => r.id === 'desert_diner' && r.value === 'hitchhiker'), 'refusals should be reported');
+
+    const [checked] = await orchestrator.validateTemplates('drift');
+    assert(!checked.valid && checked.references.dangling.length === 4, 'validateTemplates should fail on dangling references');
+    console.log(`✅ ${options.locations.length} locations and ${options.themes.length} themes offered, ${options.refused.length} pairings refused\n`);
+
+    console.log('=== All cross-reference tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testTemplateReferences()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
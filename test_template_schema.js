@@ -0,0 +1,122 @@
+/**
+ * Test script for template schema validation
+ * Checks the shipped templates and a pack with deliberate mistakes
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const TemplateLoader = require('./src/backend/utils/templateLoader');
+const TemplateValidator = require('./src/backend/utils/templateValidator');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testTemplateSchema() {
+  console.log('=== Testing Template Schema Validation ===\n');
+
+  const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'horror-schema-'));
+  const packsRoot = path.join(baseDir, 'templates');
+
+  try {
+    // Test 1: Shipped templates
+    console.log('Test 1: Built-in pack passes every schema');
+    const shipped = await new TemplateLoader(path.join(__dirname, 'templates'), 'v1').validateTemplates('v1');
+    shipped.files.forEach(f => f.errors.forEach(e => console.log(`   ${TemplateValidator.formatError(e)}`)));
+    assert(shipped.valid, 'v1 templates should be valid');
+    assert(shipped.files.length === TemplateValidator.getSchemaFiles().length, 'every schema should be checked');
+    assert(['schemas/state_schema.yaml', 'schemas/story_contract.yaml', 'schemas/gate_audit.yaml']
+      .every(file => shipped.files.some(f => f.file.endsWith(file))), 'state, contract and gate audit schema files should be checked');
+
+    const gateAudit = yaml.load(await fs.readFile(path.join(__dirname, 'templates', 'v1', 'schemas', 'gate_audit.yaml'), 'utf8'));
+    gateAudit.gate_checks.state_validity.checks.no_dead_character_action.severity = 'fatal';
+    delete gateAudit.gate_checks.rule_consistency.checks;
+    const gateErrors = new TemplateValidator().validate('schemas/gate_audit.yaml', gateAudit).map(TemplateValidator.formatError);
+    assert(gateErrors.length === 2 &&
+      gateErrors.some(e => e.includes('gate_checks.state_validity.checks.no_dead_character_action.severity')) &&
+      gateErrors.some(e => e.includes('gate_checks.rule_consistency') && e.includes('checks')),
+    `unexpected gate_audit.yaml errors ${gateErrors}`);
+    console.log(`✅ ${shipped.files.length} files valid\n`);
+
+    // Test 2: Mistakes are reported with file, key path and expected shape
+    console.log('Test 2: Broken locations.yaml');
+    await fs.cp(path.join(__dirname, 'templates', 'v1'), path.join(packsRoot, 'v1'), { recursive: true });
+
+    const locations = yaml.load(await fs.readFile(path.join(packsRoot, 'v1', 'locations.yaml'), 'utf8'));
+    const terminal = locations.locations.ferry_terminal;
+    delete terminal.rule_affordances;
+    terminal.entry_condition = terminal.entry_conditions;
+    delete terminal.entry_conditions;
+
+    await fs.mkdir(path.join(packsRoot, 'broken'));
+    await fs.writeFile(path.join(packsRoot, 'broken', 'pack.yaml'),
+      'name: broken\nversion: "0.1.0"\ncompatibility:\n  template_schema: 1\nextends: v1\n');
+    await fs.writeFile(path.join(packsRoot, 'broken', 'locations.yaml'), yaml.dump(locations));
+
+    const loader = new TemplateLoader(packsRoot, 'v1');
+    const result = await loader.validateTemplates('broken');
+    const errors = result.files.flatMap(f => f.errors);
+    errors.forEach(e => console.log(`   ${TemplateValidator.formatError(e)}`));
+
+    assert(!result.valid && errors.length === 3, 'missing, misspelled and absent keys should be reported');
+    assert(errors.every(e => e.file === 'broken/locations.yaml'), 'errors should name the pack file');
+
+    const missing = errors.find(e => e.path === 'locations.ferry_terminal.rule_affordances');
+    assert(missing && /missing required key/.test(missing.message), 'missing key should be reported at its path');
+    assert(missing.expected === 'non-empty list of non-empty strings', 'expected shape should be described');
+
+    const misspelled = errors.find(e => e.path === 'locations.ferry_terminal.entry_condition');
+    assert(misspelled && misspelled.message.includes('did you mean "entry_conditions"'), 'misspelling should suggest the key');
+    console.log('✅ File, key path and expected shape reported\n');
+
+    // Test 3: Invalid files are refused at load time
+    console.log('Test 3: Load-time validation');
+    let loadError = null;
+    try {
+      await loader.packContext.run('broken', () => loader.loadLocations());
+    } catch (error) {
+      loadError = error;
+    }
+    assert(loadError && loadError.code === 'INVALID_TEMPLATE', 'INVALID_TEMPLATE error expected');
+    assert(loadError.errors.length === 3, 'every schema error should be attached');
+
+    const inherited = await loader.packContext.run('broken', () => loader.listOptions('entry_conditions'));
+    assert(inherited.length > 0, 'valid inherited files should still load');
+
+    const packs = await loader.listPacks();
+    const broken = packs.find(p => p.name === 'broken');
+    assert(!broken.valid && broken.errors.length === 3, 'listPacks should flag the pack');
+
+    let resolveError = null;
+    try {
+      await loader.resolvePack('broken');
+    } catch (error) {
+      resolveError = error;
+    }
+    assert(resolveError && resolveError.code === 'INVALID_TEMPLATE_PACK', 'broken pack should not be selectable');
+    console.log('✅ Broken pack refused, inherited files unaffected\n');
+
+    console.log('=== All template schema tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  } finally {
+    await fs.rm(baseDir, { recursive: true, force: true });
+  }
+}
+
+// Run tests
+testTemplateSchema()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
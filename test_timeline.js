@@ -0,0 +1,167 @@
+/**
+ * Test script for the story timeline
+ * Reads clock times from prose in both pipelines, checks regressions, jumps and
+ * timing-rule deadlines, then the gate audit and chunk prompts (no API calls)
+ */
+
+const StateManager = require('./src/backend/services/stateManager');
+const StateTracker = require('./src/backend/services/stateTracker');
+const RuleBuilder = require('./src/backend/services/ruleBuilder');
+const StoryGenerator = require('./src/backend/services/storyGenerator');
+const GateAudit = require('./src/backend/services/gateAudit');
+const Timeline = require('./src/backend/services/timeline');
+const StateUpdater = require('./src/generators/stateUpdater');
+const CanonDeltaExtractor = require('./src/generators/canonDeltaExtractor');
+const StateModel = require('./src/backend/utils/stateModel');
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
+
+async function testTimeline() {
+  console.log('=== Testing Story Timeline ===\n');
+
+  try {
+    // Test 1: References and deadlines
+    console.log('Test 1: Parsing time references and timing rules');
+    const refs = Timeline.extractReferences(
+      'It was almost 11:40 PM when I arrived. The rota said to check the doors at 2 AM. ' +
+      'The clock read 12:15. Twenty minutes later the second bell rang. Midnight came.'
+    );
+    assert(refs.map(r => r.kind).join() === 'clock,clock,relative,bell,clock', 'references should be found in order, plans ignored');
+    assert(refs[0].clock.minute === 1420 && refs[1].clock.period === 720 && refs[2].minutes === 20 && refs[3].bell === 2,
+      'references should be normalized');
+
+    const window = Timeline.parseDeadline('Never look at the mirror between 2 and 3 AM');
+    assert(window.kind === 'window' && window.prohibition && window.start_clock.minute === 120 && window.end_clock.minute === 180,
+      'window should take its AM/PM from the end time');
+    assert(Timeline.parseDeadline('All rituals must be completed before dawn').kind === 'by', 'before dawn should be a deadline');
+    assert(Timeline.parseDeadline('Do not go past the tree line after dark').kind === 'after', 'after dark should open a period');
+    const bell = Timeline.parseDeadline('Do not speak before the third bell');
+    assert(bell.unit === 'bell' && bell.end_bell === 3, 'bells should be counted');
+    assert(Timeline.parseDeadline('Stay inside') === null, 'rules without a time should have no deadline');
+    console.log('✅ Clock times, bells and deadlines parsed\n');
+
+    // Test 2: Staged pipeline
+    console.log('Test 2: Staged chunks');
+    const contract = {
+      session_id: 'test-timeline-staged',
+      rule_system: {
+        rules: [
+          { rule_number: 1, rule_text: 'Never look at the mirror between 2 and 3 AM' },
+          { rule_number: 2, rule_text: 'Lock the front door before midnight' },
+          { rule_number: 3, rule_text: 'Do not speak before the third bell' }
+        ]
+      },
+      identity_anchors: { protagonist: { name: 'Mara' } },
+      generation_parameters: { chunk_size: 40 }
+    };
+    const tracker = new StateTracker();
+    tracker.initializeFromContract(contract);
+    const timeline = () => tracker.getState().canonical_state.narrative.timeline;
+    const deadline = ruleId => timeline().deadlines.find(d => d.rule_id === ruleId);
+
+    tracker.updateAfterChunk({}, 1, 40, 'It was 10:30 PM when I signed the night book.');
+    assert(timeline().story_start_time === '10:30 PM' && deadline('rule_1').start_minute === 1560, 'deadlines should be anchored to the start');
+
+    tracker.updateAfterChunk({ rules_followed: [2] }, 2, 40, 'The clock read 11:50. I turned the key in the front door.');
+    tracker.updateAfterChunk({}, 3, 40, 'At 12:20 the hall lights died.');
+    assert(timeline().current_time === '12:20 AM, day 2' && timeline().elapsed_in_story === '1 hour 50 minutes', 'ambiguous time should roll past midnight');
+    assert(deadline('rule_2').status === 'kept' && deadline('rule_2').resolved_in_chunk === 3, 'followed deadline should be kept');
+    assert(tracker.getState().narrative_delta_log[2].changes.includes('deadline kept: rule_2 (before midnight)'), 'delta log should record the deadline');
+
+    const previousState = JSON.parse(tracker.exportState());
+    const regressed = 'It was 11:45 PM again, and the lights were back on as if nothing had happened.';
+    tracker.updateAfterChunk({}, 4, 40, regressed);
+    assert(timeline().issues.length === 1 && timeline().issues[0].type === 'regression' && timeline().current_time === '12:20 AM, day 2',
+      'going back in time should be flagged without moving the clock');
+
+    const gateAudit = new GateAudit(null);
+    const audit = await gateAudit.auditChunk(contract, previousState, tracker.getState(), regressed, 4);
+    assert(audit.checks.timeline_consistency.status === 'FAIL' && audit.checks.timeline_consistency.sub_checks.no_regression.status === 'FAIL',
+      'gate audit should report the regression');
+    assert(audit.status === 'PASS_WITH_WARNINGS' && audit.warnings.some(w => w.check === 'timeline_consistency'), 'timeline issues should be warnings');
+
+    tracker.updateAfterChunk({}, 5, 40, 'The clock said 2:15. I kept my eyes on the floor.');
+    assert(deadline('rule_1').status === 'active', 'window should open');
+    tracker.updateAfterChunk({}, 6, 40, 'At 6:30 AM the third bell rang.');
+    assert(deadline('rule_1').status === 'kept' && deadline('rule_3').status === 'kept', 'prohibitions should be kept once passed');
+    assert(timeline().issues[1].type === 'impossible_jump', 'hours passing off the page should be flagged');
+    const clean = await gateAudit.checkTimelineConsistency(tracker.getState(), 7);
+    assert(clean.status === 'PASS', 'a chunk without issues should pass');
+    console.log(`✅ Story time ${timeline().current_time}; regression and jump flagged\n`);
+
+    // Test 3: Chunked pipeline
+    console.log('Test 3: Chunked scenes');
+    const ruleBuilder = new RuleBuilder();
+    const stateManager = new StateManager();
+    stateManager.initializeState('test-timeline', { ruleCount: 2 });
+    stateManager.setStructuredRules([
+      ruleBuilder.buildRule({ rule_id: 'rule_1', text: 'All rituals must be completed before dawn', type: 'temporal' }),
+      ruleBuilder.buildRule({ rule_id: 'rule_2', text: 'Do not answer the phone after midnight', type: 'temporal' })
+    ]);
+    const updater = new StateUpdater(stateManager);
+    const extractor = new CanonDeltaExtractor(null);
+
+    updater.updateCanonicalState({ sceneNumber: 1 }, { prose: 'It was 11:00 PM when the shift started.' });
+    const violated = updater.updateCanonicalState({ sceneNumber: 2, rulesViolated: ['rule_2'] },
+      { prose: 'Midnight came. The phone rang, and I answered it.' });
+    assert(violated.appliedChanges.some(c => c.type === 'deadline' && c.rule_id === 'rule_2' && c.status === 'violated'),
+      'deadline of a broken rule should be violated');
+
+    const parsed = extractor.parseDeltaResponse(JSON.stringify({ storyTime: '6:15 AM', timelineCommitments: [] }), 3);
+    const skipped = updater.updateCanonicalState(extractor.toStateManagerFormat(parsed), { prose: 'I must have dozed off in the chair.' });
+    const canonicalTimeline = stateManager.getState().canonical_state.narrative.timeline;
+    assert(canonicalTimeline.current_time === '6:15 AM, day 2' && stateManager.getSummary().story_time === '6:15 AM, day 2', 'reported time should move the clock');
+    assert(!canonicalTimeline.issues.some(i => i.type === 'impossible_jump'), 'a jump the prose explains should pass');
+    assert(skipped.appliedChanges.some(c => c.type === 'timeline_issue' && c.issue === 'deadline_unresolved'),
+      'obligation passed without compliance should be unresolved');
+
+    const constraints = new StoryGenerator('test-key').buildStateConstraintsSection(stateManager.getState());
+    assert(constraints.includes('## Story Clock:') && constraints.includes('Story time: 6:15 AM, day 2 (began 11:00 PM; 7 hours 15 minutes in)'),
+      'chunked prompt should give the story time');
+    assert(constraints.includes('rule_1 "before dawn": deadline PASSED in scene 3') && constraints.includes('rule_2 "after midnight": broken in scene 2'),
+      'chunked prompt should give deadline statuses');
+    assert(constraints.includes('- Set the story clock earlier than 6:15 AM, day 2'), 'chunked prompt should prohibit going back');
+    console.log('✅ Deadlines kept, broken and skipped past in scenes\n');
+
+    // Test 4: Staged prompt
+    console.log('Test 4: Staged prompt');
+    const context = tracker.getPromptContext();
+    assert(context.includes('### Story Clock') && context.includes('Bells rung: 3'), 'staged prompt should give the clock');
+    assert(context.includes('rule_1 "between 2 and 3 AM": kept in chunk 6') && context.includes('Time only moves forward'),
+      'staged prompt should give deadlines and the rule of the clock');
+    const fresh = new StateTracker();
+    fresh.initializeFromContract(contract);
+    assert(fresh.getPromptContext().includes('(no time established yet)'), 'prompt should say when no time is known');
+    console.log('✅ Clock in both prompts\n');
+
+    // Test 5: Older states
+    console.log('Test 5: Older states');
+    const legacy = StateModel.create('test-timeline-legacy');
+    legacy.canonical_state.narrative.timeline = { story_start_time: '10:00 PM', current_time: '11:00 PM', elapsed_in_story: '1 hour' };
+    const migrated = StateModel.migrate(legacy).canonical_state.narrative.timeline;
+    assert(migrated.current_time === '11:00 PM' && Array.isArray(migrated.markers) && Array.isArray(migrated.deadlines) && migrated.current_minute === null,
+      'timeline fields should be added');
+    console.log('✅ Legacy timelines upgraded\n');
+
+    console.log('=== All timeline tests passed ===');
+    return true;
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    return false;
+  }
+}
+
+// Run tests
+testTimeline()
+  .then(success => {
+    process.exit(success ? 0 : 1);
+  })
+  .catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });